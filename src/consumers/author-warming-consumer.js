@@ -2,6 +2,7 @@ import { searchByTitle } from "../handlers/book-search.js";
 import { searchByAuthor } from "../handlers/author-search.js";
 import { generateCacheKey, setCached } from "../utils/cache.js";
 import { enrichBooksParallel } from "../services/parallel-enrichment.js";
+import { recordSuggestions } from "../services/suggest-index.ts";
 
 /**
  * Author Warming Consumer - Processes queued authors
@@ -14,19 +15,47 @@ import { enrichBooksParallel } from "../services/parallel-enrichment.js";
  * - Title search: search:title:maxresults={n}&title={normalizedTitle}
  * - Author search: auto-search:{queryB64}:{paramsB64}
  *
+ * Message body: { author, depth, source, jobId, queuedAt } warms the author's
+ * bibliography and each of its titles. Optional fields (predictive warming,
+ * see handlers/scheduled-warming.js):
+ * - maxTitles: warm at most this many titles (bounds provider calls)
+ * - refresh: warm again even if the author was already processed
+ * - title (instead of author): warm that one title search only
+ *
+ * Authors and their titles are added to /v1/suggest once per batch, so each
+ * prefix bucket is written at most once per batch rather than once per author.
+ *
  * @param {Object} batch - Batch of queue messages
  * @param {Object} env - Worker environment bindings
  * @param {ExecutionContext} ctx - Execution context
  */
 export async function processAuthorBatch(batch, env, ctx) {
+  const suggestions = [];
+
   for (const message of batch.messages) {
     try {
-      const { author, depth, source, jobId } = message.body;
+      const { author, depth, source, jobId, maxTitles, refresh, title } = message.body;
+
+      if (title) {
+        await searchByTitle(title, { maxResults: 20 }, env, ctx);
+        console.log(`Warmed cache for "${title}"`);
+        if (env.CACHE_ANALYTICS) {
+          ctx.waitUntil(
+            env.CACHE_ANALYTICS.writeDataPoint({
+              blobs: ["warming", title, source],
+              doubles: [0, 1],
+              indexes: ["cache-warming"],
+            }),
+          );
+        }
+        message.ack();
+        continue;
+      }
 
       // 1. Check if already processed
-      const processed = await env.CACHE.get(
-        `warming:processed:author:${author.toLowerCase()}`,
-      );
+      const processed = refresh
+        ? null
+        : await env.CACHE.get(`warming:processed:author:${author.toLowerCase()}`);
       if (processed) {
         const data = JSON.parse(processed);
         if (depth <= data.depth) {
@@ -65,17 +94,26 @@ export async function processAuthorBatch(batch, env, ctx) {
         `Cached author "${author}": ${authorResult.works.length} works`,
       );
 
+      // Add the author and their bibliography to /v1/suggest (written after the batch)
+      suggestions.push(
+        { type: "author", text: author },
+        ...authorResult.works
+          .filter((work) => work.title)
+          .map((work) => ({ type: "title", text: work.title, author })),
+      );
+
       // 3. STEP 2: Extract titles and warm each one in parallel using enrichBooksParallel
       // This ensures canonical DTO format, correct cache keys, and 5x faster warming
-      console.log(
-        `Warming ${authorResult.works.length} titles for author "${author}"...`,
-      );
+      const works = maxTitles
+        ? authorResult.works.slice(0, maxTitles)
+        : authorResult.works;
+      console.log(`Warming ${works.length} titles for author "${author}"...`);
 
       // Use configurable concurrency (default: 5) to prevent API throttling
       const concurrency = env.CACHE_WARMING_CONCURRENCY || 5;
 
       const results = await enrichBooksParallel(
-        authorResult.works,
+        works,
         async (work) => {
           // Use searchByTitle to get full orchestrated data (Google + OpenLibrary)
           // This will automatically cache with correct key: search:title:maxresults=20&title={normalized}
@@ -123,7 +161,7 @@ export async function processAuthorBatch(batch, env, ctx) {
 
       message.ack();
     } catch (error) {
-      console.error(`Failed to process author ${message.body.author}:`, error);
+      console.error(`Failed to warm ${message.body.author || message.body.title}:`, error);
 
       // Retry on rate limits, fail otherwise
       if (
@@ -136,4 +174,9 @@ export async function processAuthorBatch(batch, env, ctx) {
       }
     }
   }
+
+  // No hits: warming isn't demand
+  if (suggestions.length > 0) {
+    await recordSuggestions(env, suggestions, { hits: 0 });
+  }
 }
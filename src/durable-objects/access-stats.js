@@ -0,0 +1,147 @@
+import { DurableObject } from "cloudflare:workers";
+
+/**
+ * Access Stats Durable Object
+ *
+ * One of ACCESS_SHARDS instances ("shard-0" … "shard-15"), each counting the
+ * sampled cache reads of the cache keys that hash to it (see
+ * services/access-stats.js). Keys are spread over the shards, so no single
+ * instance takes every read, and counts() sums the days it is asked for
+ * itself, so a 30-day query is one call per shard instead of one per day.
+ *
+ * Counts are stored under count:{cacheKey} as { "YYYY-MM-DD": count }. Days
+ * older than RETENTION_DAYS are dropped when the key is next written, and by
+ * a daily alarm for keys that aren't.
+ *
+ * @example
+ * ```javascript
+ * const stats = env.ACCESS_STATS_DO.get(env.ACCESS_STATS_DO.idFromName("shard-3"))
+ * await stats.record({ "v1:isbn:isbn=9780441013593": 10 }, "2026-10-19")
+ * const counts = await stats.counts({ days: 30 }) // { "v1:isbn:isbn=9780441013593": 10 }
+ * ```
+ */
+
+const COUNT_PREFIX = "count:";
+const RETENTION_DAYS = 35; // Longer than the archival cron's 30-day window
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_COUNTS = 10000; // Keys counts() returns at most
+const MAX_BATCH_KEYS = 128; // Storage get/put/delete limit per call
+
+function firstDay(days, now = Date.now()) {
+  return new Date(now - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+}
+
+function sumSince(daily, since) {
+  let total = 0;
+  for (const [day, count] of Object.entries(daily)) {
+    if (day >= since) total += count;
+  }
+  return total;
+}
+
+function prune(daily, since) {
+  return Object.fromEntries(Object.entries(daily).filter(([day]) => day >= since));
+}
+
+function batches(items) {
+  return Array.from({ length: Math.ceil(items.length / MAX_BATCH_KEYS) }, (_, i) =>
+    items.slice(i * MAX_BATCH_KEYS, (i + 1) * MAX_BATCH_KEYS),
+  );
+}
+
+export class AccessStatsDO extends DurableObject {
+  constructor(state, env) {
+    super(state, env);
+    this.state = state;
+  }
+
+  /**
+   * RPC Method: Add to the access counts of cache keys
+   *
+   * @param {Object<string, number>} increments - Cache key → accesses to add
+   * @param {string} day - UTC day the accesses happened (YYYY-MM-DD)
+   * @returns {Promise<void>}
+   */
+  async record(increments, day) {
+    const retained = firstDay(RETENTION_DAYS);
+
+    for (const batch of batches(Object.entries(increments))) {
+      const names = batch.map(([cacheKey]) => `${COUNT_PREFIX}${cacheKey}`);
+      const current = await this.state.storage.get(names);
+
+      const updated = {};
+      for (const [cacheKey, increment] of batch) {
+        const name = `${COUNT_PREFIX}${cacheKey}`;
+        const daily = prune(current.get(name) || {}, retained);
+        daily[day] = (daily[day] || 0) + increment;
+        updated[name] = daily;
+      }
+      await this.state.storage.put(updated);
+    }
+
+    if ((await this.state.storage.getAlarm()) === null) {
+      await this.state.storage.setAlarm(Date.now() + DAY_MS);
+    }
+  }
+
+  /**
+   * RPC Method: Access counts over the last days (today included)
+   *
+   * @param {Object} [options]
+   * @param {number} [options.days=30] - Number of days to sum
+   * @param {string} [options.prefix=""] - Only keys starting with this
+   * @param {string[]} [options.keys] - Only these keys
+   * @param {number} [options.minCount=1] - Leave out keys read fewer times
+   * @param {number} [options.limit=MAX_COUNTS] - Most keys to return (capped at MAX_COUNTS), hottest first
+   * @returns {Promise<Object<string, number>>} Cache key → access count
+   */
+  async counts({ days = 30, prefix = "", keys, minCount = 1, limit = MAX_COUNTS } = {}) {
+    const stored = keys
+      ? await Promise.all(
+          batches(keys.map((cacheKey) => `${COUNT_PREFIX}${cacheKey}`)).map((names) => this.state.storage.get(names)),
+        )
+      : [await this.state.storage.list({ prefix: `${COUNT_PREFIX}${prefix}` })];
+    const since = firstDay(days);
+
+    const totals = [];
+    for (const [name, daily] of stored.flatMap((entries) => [...entries])) {
+      const count = sumSince(daily, since);
+      if (count >= minCount) {
+        totals.push([name.slice(COUNT_PREFIX.length), count]);
+      }
+    }
+
+    return Object.fromEntries(
+      totals.sort(([, a], [, b]) => b - a).slice(0, Math.min(limit, MAX_COUNTS)),
+    );
+  }
+
+  /**
+   * Alarm: drop days past retention from keys no longer written
+   */
+  async alarm() {
+    const retained = firstDay(RETENTION_DAYS);
+    const stored = await this.state.storage.list({ prefix: COUNT_PREFIX });
+
+    const expired = [];
+    const updated = [];
+    for (const [name, daily] of stored) {
+      const kept = prune(daily, retained);
+      if (Object.keys(kept).length === 0) {
+        expired.push(name);
+      } else if (Object.keys(kept).length < Object.keys(daily).length) {
+        updated.push([name, kept]);
+      }
+    }
+
+    for (const names of batches(expired)) {
+      await this.state.storage.delete(names);
+    }
+    for (const entries of batches(updated)) {
+      await this.state.storage.put(Object.fromEntries(entries));
+    }
+    if (stored.size > expired.length) {
+      await this.state.storage.setAlarm(Date.now() + DAY_MS);
+    }
+  }
+}
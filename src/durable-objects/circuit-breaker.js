@@ -0,0 +1,168 @@
+import { DurableObject } from "cloudflare:workers";
+
+/**
+ * Circuit Breaker Durable Object
+ *
+ * One instance per provider (google-books, openlibrary, isbndb), shared by all
+ * isolates, so a provider that is down or rate limiting us is skipped
+ * everywhere instead of every request waiting out its timeout.
+ *
+ * States:
+ * - closed: requests flow; FAILURE_THRESHOLD failures within FAILURE_WINDOW opens the circuit
+ * - open: requests are rejected until OPEN_DURATION has passed
+ * - half-open: one probe request is let through; success closes the circuit,
+ *   failure reopens it
+ *
+ * Workers cache the state briefly (see services/circuit-breaker.ts), so this
+ * DO sees failures and state checks, not every provider call.
+ *
+ * @example
+ * ```javascript
+ * const stub = env.CIRCUIT_BREAKER_DO.get(env.CIRCUIT_BREAKER_DO.idFromName("google-books"))
+ * const { allowed, state, retryAt } = await stub.check()
+ * ```
+ */
+
+const FAILURE_THRESHOLD = 5; // Failures...
+const FAILURE_WINDOW = 60; // ...within 60 seconds open the circuit
+const OPEN_DURATION = 30; // Seconds before a probe request is allowed
+const PROBE_TIMEOUT = 15; // Seconds before an unanswered probe is given to another request
+
+export class CircuitBreakerDO extends DurableObject {
+  constructor(state, env) {
+    super(state, env);
+    this.state = state;
+  }
+
+  async load() {
+    return (
+      (await this.state.storage.get("breaker")) || {
+        state: "closed",
+        failures: 0,
+        firstFailureAt: null,
+        openedAt: null,
+        probeAt: null,
+        lastFailure: null,
+      }
+    );
+  }
+
+  async save(breaker) {
+    await this.state.storage.put("breaker", breaker);
+  }
+
+  /**
+   * Public view of the breaker
+   */
+  toStatus(breaker, allowed) {
+    return {
+      state: breaker.state,
+      allowed,
+      failures: breaker.failures,
+      openedAt: breaker.openedAt,
+      retryAt:
+        breaker.state === "closed" ? null : breaker.openedAt + OPEN_DURATION * 1000,
+      lastFailure: breaker.lastFailure,
+    };
+  }
+
+  /**
+   * RPC Method: Whether a request may go to the provider
+   *
+   * Moves an open circuit to half-open once OPEN_DURATION has passed and hands
+   * the probe to the first caller.
+   *
+   * @returns {Promise<{state: string, allowed: boolean, failures: number, openedAt: number|null, retryAt: number|null, lastFailure: string|null}>}
+   */
+  async check() {
+    const breaker = await this.load();
+    const now = Date.now();
+
+    if (breaker.state === "closed") {
+      return this.toStatus(breaker, true);
+    }
+
+    if (breaker.state === "open" && now < breaker.openedAt + OPEN_DURATION * 1000) {
+      return this.toStatus(breaker, false);
+    }
+
+    // Half-open: one probe at a time
+    const probeInFlight =
+      breaker.state === "half-open" && breaker.probeAt && now < breaker.probeAt + PROBE_TIMEOUT * 1000;
+    if (probeInFlight) {
+      return this.toStatus(breaker, false);
+    }
+
+    breaker.state = "half-open";
+    breaker.probeAt = now;
+    await this.save(breaker);
+    return this.toStatus(breaker, true);
+  }
+
+  /**
+   * RPC Method: Record a successful provider call (closes the circuit)
+   *
+   * @returns {Promise<Object>} Breaker status
+   */
+  async recordSuccess() {
+    const breaker = await this.load();
+    if (breaker.state !== "closed" || breaker.failures > 0) {
+      console.log(`[CircuitBreaker] Closing circuit (was ${breaker.state})`);
+      breaker.state = "closed";
+      breaker.failures = 0;
+      breaker.firstFailureAt = null;
+      breaker.openedAt = null;
+      breaker.probeAt = null;
+      await this.save(breaker);
+    }
+    return this.toStatus(breaker, true);
+  }
+
+  /**
+   * RPC Method: Record a failed provider call (5xx, 429, timeout, network error)
+   *
+   * @param {string} [reason] - Error message, shown in /health
+   * @returns {Promise<Object>} Breaker status
+   */
+  async recordFailure(reason = null) {
+    const breaker = await this.load();
+    const now = Date.now();
+    breaker.lastFailure = reason;
+
+    if (breaker.state === "half-open") {
+      // Probe failed - back to open for another OPEN_DURATION
+      console.warn(`[CircuitBreaker] Probe failed, reopening circuit: ${reason}`);
+      breaker.state = "open";
+      breaker.openedAt = now;
+      breaker.probeAt = null;
+    } else if (breaker.state === "closed") {
+      if (!breaker.firstFailureAt || now - breaker.firstFailureAt > FAILURE_WINDOW * 1000) {
+        breaker.failures = 0;
+        breaker.firstFailureAt = now;
+      }
+      breaker.failures++;
+
+      if (breaker.failures >= FAILURE_THRESHOLD) {
+        console.warn(`[CircuitBreaker] Opening circuit after ${breaker.failures} failures: ${reason}`);
+        breaker.state = "open";
+        breaker.openedAt = now;
+      }
+    }
+
+    await this.save(breaker);
+    return this.toStatus(breaker, breaker.state === "closed");
+  }
+
+  /**
+   * RPC Method: Current state without side effects (for /health)
+   *
+   * @returns {Promise<Object>} Breaker status
+   */
+  async getStatus() {
+    const breaker = await this.load();
+    const allowed =
+      breaker.state === "closed" ||
+      (breaker.state === "open" && Date.now() >= breaker.openedAt + OPEN_DURATION * 1000);
+    return this.toStatus(breaker, allowed);
+  }
+}
@@ -0,0 +1,125 @@
+import { DurableObject } from "cloudflare:workers";
+
+/**
+ * Fetch Lock Durable Object
+ *
+ * One instance per cache key, used by services/single-flight.js so that
+ * concurrent cache misses in different isolates make one upstream fetch: the
+ * first isolate takes the lock and fetches, the others wait() on the lock and
+ * are handed the value the holder releases it with. They don't read it from
+ * KV, where the holder's write may not have landed (or be visible) yet.
+ *
+ * The lock and the last result live in memory only. If the instance is evicted
+ * they are lost, which at worst costs a duplicate fetch, and every lock expires
+ * after its TTL in case the holder dies without releasing it.
+ *
+ * @example
+ * ```javascript
+ * const lock = env.FETCH_LOCK_DO.get(env.FETCH_LOCK_DO.idFromName(cacheKey))
+ * if (await lock.acquire(holderId, 10000)) {
+ *   let value = null
+ *   try { value = await fetch() } finally { await lock.release(holderId, value) }
+ * } else {
+ *   const { value } = await lock.wait(5000)
+ * }
+ * ```
+ */
+
+const MAX_TTL = 30000; // Upper bound on a lock's TTL (ms)
+const MAX_WAIT = 10000; // Upper bound on how long wait() blocks (ms)
+const RESULT_TTL = 5000; // How long a released value is handed to late waiters (ms)
+
+export class FetchLockDO extends DurableObject {
+  constructor(state, env) {
+    super(state, env);
+    this.holder = null;
+    this.expiresAt = 0;
+    this.result = null; // { value, expiresAt } of the last release
+    this.waiters = [];
+  }
+
+  /**
+   * RPC Method: Take the lock if it is free (or expired)
+   *
+   * @param {string} holder - Caller ID, required to release
+   * @param {number} ttlMs - Lock lifetime (capped at MAX_TTL)
+   * @returns {Promise<boolean>} Whether the caller now holds the lock
+   */
+  async acquire(holder, ttlMs) {
+    const now = Date.now();
+    if (this.holder && this.expiresAt > now) {
+      return false;
+    }
+
+    this.holder = holder;
+    this.expiresAt = now + Math.min(ttlMs, MAX_TTL);
+    this.result = null;
+    return true;
+  }
+
+  /**
+   * RPC Method: Release the lock (no-op unless the caller holds it), handing
+   * value to everyone waiting and to wait() calls in the next RESULT_TTL
+   *
+   * @param {string} holder - Caller ID passed to acquire()
+   * @param {any} [value] - Fetched value (null if the fetch found or failed nothing)
+   * @returns {Promise<void>}
+   */
+  async release(holder, value = null) {
+    if (this.holder !== holder) {
+      return;
+    }
+
+    this.holder = null;
+    this.expiresAt = 0;
+    this.result = value == null ? null : { value, expiresAt: Date.now() + RESULT_TTL };
+    this.settleWaiters({ released: true, value });
+  }
+
+  /**
+   * RPC Method: Wait for the holder to release the lock
+   *
+   * Returns immediately if the lock is free, with the value of a release in
+   * the last RESULT_TTL if there was one.
+   *
+   * @param {number} timeoutMs - Longest to wait (capped at MAX_WAIT)
+   * @returns {Promise<{released: boolean, value: any}>} value is the holder's
+   *   (null if it released none); released is false on timeout
+   */
+  async wait(timeoutMs) {
+    if (!this.held()) {
+      const fresh = this.result && this.result.expiresAt > Date.now();
+      return { released: true, value: fresh ? this.result.value : null };
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter((other) => other !== waiter);
+        resolve({ released: false, value: null });
+      }, Math.min(timeoutMs, MAX_WAIT, this.expiresAt - Date.now()));
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * RPC Method: Whether someone holds the lock
+   *
+   * @returns {Promise<boolean>}
+   */
+  async isHeld() {
+    return this.held();
+  }
+
+  held() {
+    return this.holder !== null && this.expiresAt > Date.now();
+  }
+
+  settleWaiters(outcome) {
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(outcome);
+    }
+    this.waiters = [];
+  }
+}
@@ -171,8 +171,8 @@ async function processBatchEnrichment(books, doStub, env, jobId) {
     const enrichedBooks = await enrichBooksParallel(
       books,
       async (book) => {
-        // Call enrichment service (multi-provider fallback: Google Books → OpenLibrary)
-        // Returns SingleEnrichmentResult { work, edition, authors } or null
+        // Call enrichment service (merges Google Books, OpenLibrary, ISBNdb and Wikidata)
+        // Returns SingleEnrichmentResult { work, edition, authors, conflicts } or null
         const enriched = await enrichSingleBook(
           {
             title: book.title,
@@ -192,7 +192,8 @@ async function processBatchEnrichment(books, doStub, env, jobId) {
             enriched: {
               work: enriched.work,
               edition: enriched.edition,
-              authors: enriched.authors || []
+              authors: enriched.authors || [],
+              conflicts: enriched.conflicts || []
             }
           };
         } else {
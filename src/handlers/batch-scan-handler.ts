@@ -11,6 +11,7 @@ import { scanImageWithGemini } from '../providers/gemini-provider.js';
 import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../utils/response-builder.js';
 import { enrichBooksParallel } from '../services/parallel-enrichment.js';
 import { handleSearchAdvanced } from './v1/search-advanced.js';
+import { toISBN13 } from '../utils/isbn.js';
 import type { DetectedBookDTO, BookshelfScanInitResponse, BoundingBox } from '../types/responses.js';
 
 const MAX_PHOTOS_PER_BATCH = 5;
@@ -33,6 +34,13 @@ function clampBoundingBox(bbox?: any): BoundingBox | undefined {
   };
 }
 
+/**
+ * AI-read ISBNs are often misread digits: keep only checksum-valid ones, as ISBN-13
+ */
+function normalizeDetectedISBN(isbn?: unknown): string | undefined {
+  return (typeof isbn === 'string' && toISBN13(isbn)) || undefined;
+}
+
 /**
  * Helper function to map book objects to DetectedBookDTO format
  * Centralizes transformation logic to ensure consistency across all code paths
@@ -42,7 +50,7 @@ function mapToDetectedBook(book): DetectedBookDTO {
   return {
     title: book?.title,
     author: book?.author,
-    isbn: book?.isbn,
+    isbn: normalizeDetectedISBN(book?.isbn),
     confidence: book?.confidence,
     boundingBox: clampBoundingBox(book?.boundingBox), // Validate and clamp to [0,1]
     enrichmentStatus: book?.enrichment?.status || book?.enrichmentStatus || 'pending',
@@ -459,7 +467,7 @@ function deduplicateBooks(books) {
 
   for (const book of books) {
     // Use ISBN as primary key, fallback to title+author
-    const key = book.isbn || `${book.title}::${book.author}`;
+    const key = normalizeDetectedISBN(book.isbn) || `${book.title}::${book.author}`;
 
     if (!seen.has(key)) {
       seen.set(key, book);
@@ -5,10 +5,13 @@
  * Caching rules:
  * - Title search: 6 hour TTL (21600 seconds)
  * - ISBN search: 7 day TTL (604800 seconds) - ISBN data is stable
+ * - No results: NEGATIVE_CACHE_TTL (see negative-cache.js), and only if
+ *   neither provider failed
  */
 
 import * as externalApis from "../services/external-apis.ts";
 import { setCached } from "../utils/cache.js";
+import { negativeCacheTTL, setNegativeCached } from "../services/negative-cache.js";
 import { UnifiedCacheService } from "../services/unified-cache.js";
 import { writeCacheMetrics } from "../utils/analytics.js";
 import { CacheKeyFactory } from "../services/cache-key-factory.js";
@@ -71,6 +74,21 @@ export async function searchByTitle(title, options, env, ctx) {
     };
   }
 
+  if (await cache.isKnownMissing(cacheKey)) {
+    return notFoundResponse(env);
+  }
+
+  // Concurrent misses for the same title share one provider search (see single-flight.js)
+  const { data, coalesced } = await cache.coalesce(cacheKey, "title", () =>
+    fetchTitle(title, maxResults, cacheKey, env, ctx),
+  );
+  return coalesced ? { ...data, coalesced: true } : data;
+}
+
+/**
+ * Cache miss path of searchByTitle: query the providers and cache the result
+ */
+async function fetchTitle(title, maxResults, cacheKey, env, ctx) {
   const startTime = Date.now();
 
   try {
@@ -115,6 +133,10 @@ export async function searchByTitle(title, options, env, ctx) {
     // Simple deduplication by title
     const dedupedItems = deduplicateByTitle(finalItems);
 
+    // Cache for 6 hours; nothing found is cached briefly (and not at all
+    // if a provider failed, since the title may well exist)
+    const ttl = cacheTTL(dedupedItems, results, 6 * 60 * 60, env); // 21600 seconds
+
     /**
      * @type {{
      *   kind: string,
@@ -133,12 +155,10 @@ export async function searchByTitle(title, options, env, ctx) {
       provider: `orchestrated:${successfulProviders.join("+")}`,
       cached: false,
       responseTime: Date.now() - startTime,
-      _cacheHeaders: generateCacheHeaders(false, 0, 6 * 60 * 60, dedupedItems), // TTL: 6h
+      _cacheHeaders: generateCacheHeaders(false, 0, ttl, dedupedItems),
     };
 
-    // Cache for 6 hours
-    const ttl = 6 * 60 * 60; // 21600 seconds
-    ctx.waitUntil(setCached(cacheKey, responseData, ttl, env));
+    ctx.waitUntil(cacheResult(cacheKey, responseData, ttl, env));
 
     // Write cache metrics to Analytics Engine
     ctx.waitUntil(
@@ -216,6 +236,21 @@ export async function searchByISBN(isbn, options, env, ctx) {
     };
   }
 
+  if (await cache.isKnownMissing(cacheKey)) {
+    return notFoundResponse(env);
+  }
+
+  // Concurrent misses for the same ISBN share one provider lookup (see single-flight.js)
+  const { data, coalesced } = await cache.coalesce(cacheKey, "isbn", () =>
+    fetchISBN(isbn, maxResults, cacheKey, env, ctx),
+  );
+  return coalesced ? { ...data, coalesced: true } : data;
+}
+
+/**
+ * Cache miss path of searchByISBN: query the providers and cache the result
+ */
+async function fetchISBN(isbn, maxResults, cacheKey, env, ctx) {
   const startTime = Date.now();
 
   try {
@@ -258,6 +293,10 @@ export async function searchByISBN(isbn, options, env, ctx) {
     // Simple deduplication by ISBN
     const dedupedItems = deduplicateByISBN(finalItems);
 
+    // Cache for 7 days (ISBN data is stable); nothing found is cached briefly
+    // (and not at all if a provider failed, since the book may well exist)
+    const ttl = cacheTTL(dedupedItems, results, 7 * 24 * 60 * 60, env); // 604800 seconds
+
     const responseData = {
       kind: "books#volumes",
       totalItems: dedupedItems.length,
@@ -265,17 +304,10 @@ export async function searchByISBN(isbn, options, env, ctx) {
       provider: `orchestrated:${successfulProviders.join("+")}`,
       cached: false,
       responseTime: Date.now() - startTime,
-      _cacheHeaders: generateCacheHeaders(
-        false,
-        0,
-        7 * 24 * 60 * 60,
-        dedupedItems,
-      ), // TTL: 7d
+      _cacheHeaders: generateCacheHeaders(false, 0, ttl, dedupedItems),
     };
 
-    // Cache for 7 days (ISBN data is stable)
-    const ttl = 7 * 24 * 60 * 60; // 604800 seconds
-    ctx.waitUntil(setCached(cacheKey, responseData, ttl, env));
+    ctx.waitUntil(cacheResult(cacheKey, responseData, ttl, env));
 
     // Write cache metrics to Analytics Engine
     ctx.waitUntil(
@@ -304,6 +336,44 @@ export async function searchByISBN(isbn, options, env, ctx) {
   }
 }
 
+/**
+ * TTL for a fetched result: the full TTL if anything was found, the negative
+ * cache TTL for a confirmed NOT_FOUND, 0 (don't cache) if a provider failed
+ */
+function cacheTTL(items, providerResults, ttl, env) {
+  if (items.length > 0) return ttl;
+  if (providerResults.some((result) => result.status === "rejected")) return 0;
+  return negativeCacheTTL(env);
+}
+
+/**
+ * Write a fetched result to the cache tier its TTL (see cacheTTL()) implies
+ */
+async function cacheResult(cacheKey, responseData, ttl, env) {
+  if (ttl === 0) return;
+  if (responseData.items.length === 0) {
+    await setNegativeCached(cacheKey, env);
+  } else {
+    await setCached(cacheKey, responseData, ttl, env);
+  }
+}
+
+/**
+ * Response for a lookup answered from the negative cache
+ */
+function notFoundResponse(env) {
+  return {
+    kind: "books#volumes",
+    totalItems: 0,
+    items: [],
+    provider: "none",
+    cached: true,
+    cacheSource: "NEGATIVE",
+    responseTime: 0,
+    _cacheHeaders: generateCacheHeaders(true, 0, negativeCacheTTL(env), []),
+  };
+}
+
 /**
  * Transform OpenLibrary work to Google Books format
  * Simplified version for api-worker
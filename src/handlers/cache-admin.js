@@ -0,0 +1,419 @@
+import { createSuccessResponse, createErrorResponse, ErrorCodes } from "../utils/response-builder.ts";
+import { isValidISBN } from "../utils/isbn.js";
+import { bustNegativeCache, negativeKeysFor } from "../services/negative-cache.js";
+import {
+  TAG_INDEX_PREFIX,
+  parseCacheTag,
+  keysForTags,
+  keysForPrefix,
+  purgeCacheKeys,
+} from "../services/cache-tags.js";
+import { accessCounts, accessSampleRate } from "../services/access-stats.js";
+import { getArchivalReports } from "../workers/archival-worker.js";
+import { coverHash, placeholderHashes, addPlaceholderHash } from "../services/cover-dedupe.js";
+
+const MAX_PURGE_KEYS = 100; // Keeps one purge within the Worker's subrequest limit
+const MAX_ACCESS_DAYS = 30;
+const MAX_ACCESS_LIMIT = 100;
+const INTERNAL_PREFIXES = [TAG_INDEX_PREFIX, "cold-index:", "negative:", "warming:", "config:"];
+
+/**
+ * Whether the request carries the admin secret (X-Harvest-Secret)
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {boolean}
+ */
+function isAuthorized(request, env) {
+  const secret = request.headers.get("X-Harvest-Secret");
+  return Boolean(env.HARVEST_SECRET) && secret === env.HARVEST_SECRET;
+}
+
+/**
+ * 401 response for requests without the admin secret
+ * @param {Request} request
+ * @returns {Response}
+ */
+function unauthorizedResponse(request) {
+  return createErrorResponse(
+    "Invalid or missing X-Harvest-Secret header",
+    401,
+    ErrorCodes.UNAUTHORIZED,
+    null,
+    request,
+  );
+}
+
+/**
+ * DELETE /api/cache/negative - Bust negative cache entries
+ *
+ * For a book that appeared upstream before its not-found entry expired.
+ * Requires the X-Harvest-Secret header.
+ *
+ * Query parameters (at least one):
+ * - isbn: ISBN lookups (/search/isbn, /v1/search/isbn)
+ * - title: title searches (/search/title, /v1/search/title)
+ * - title + author: edition searches (/v1/editions/search)
+ * - key: raw cache key (repeatable), e.g. a paginated page
+ *
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response} Busted cache keys
+ */
+export async function handleBustNegativeCache(request, env) {
+  if (!isAuthorized(request, env)) {
+    return unauthorizedResponse(request);
+  }
+
+  const url = new URL(request.url);
+  const isbn = url.searchParams.get("isbn");
+  const title = url.searchParams.get("title");
+  const author = url.searchParams.get("author");
+
+  if (isbn && !isValidISBN(isbn)) {
+    return createErrorResponse(
+      "Invalid ISBN. Must be a valid ISBN-10 or ISBN-13 (checksum verified)",
+      400,
+      ErrorCodes.INVALID_ISBN,
+      { isbn },
+      request,
+    );
+  }
+
+  const keys = [
+    ...negativeKeysFor({ isbn, title, author }),
+    ...url.searchParams.getAll("key"),
+  ];
+  if (keys.length === 0) {
+    return createErrorResponse(
+      "One of isbn, title or key is required",
+      400,
+      ErrorCodes.MISSING_PARAMETER,
+      null,
+      request,
+    );
+  }
+
+  try {
+    await bustNegativeCache(keys, env);
+    return createSuccessResponse({ busted: keys }, {}, 200, request);
+  } catch (error) {
+    console.error("Negative cache bust failed:", error);
+    return createErrorResponse(
+      error.message || "Internal server error",
+      500,
+      ErrorCodes.CACHE_ERROR,
+      null,
+      request,
+    );
+  }
+}
+
+/**
+ * POST /admin/cache/purge - Purge cache entries from every tier
+ *
+ * Removes entries from the edge cache (this data center only), KV, the
+ * negative cache and the R2 cold tier (cold-index: entries and their R2
+ * objects). Requires the X-Harvest-Secret header.
+ *
+ * JSON body (at least one non-empty list):
+ * - tags: e.g. ["isbn:9780306406157", "author:Frank Herbert", "work:OL893415W", "endpoint:v1:editions"]
+ * - prefixes: cache key prefixes, e.g. ["v1:editions:author=frank herbert"]
+ * - keys: exact cache keys
+ * - cursor: `cursor` of the previous response, to continue a purge by tag
+ *
+ * Tags are looked up by walking part of the KV namespace per request, and at
+ * most MAX_PURGE_KEYS entries are purged per request: repeat the request,
+ * passing back `cursor`, while `remaining` is non-zero or `cursor` is set.
+ * `truncated` counts walked entries with too many tags to match by metadata
+ * that couldn't be checked this request; purge them by prefix if needed.
+ *
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response} Purged cache keys and per-tier counts
+ */
+export async function handleCachePurge(request, env) {
+  if (!isAuthorized(request, env)) {
+    return unauthorizedResponse(request);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return createErrorResponse("Request body must be JSON", 400, ErrorCodes.INVALID_REQUEST, null, request);
+  }
+
+  const { tags = [], prefixes = [], keys = [], cursor = null } = body || {};
+  if (![tags, prefixes, keys].every(Array.isArray)) {
+    return createErrorResponse(
+      "tags, prefixes and keys must be arrays",
+      400,
+      ErrorCodes.INVALID_REQUEST,
+      null,
+      request,
+    );
+  }
+  if (tags.length + prefixes.length + keys.length === 0) {
+    return createErrorResponse(
+      "One of tags, prefixes or keys is required",
+      400,
+      ErrorCodes.MISSING_PARAMETER,
+      null,
+      request,
+    );
+  }
+
+  const parsedTags = tags.map(parseCacheTag);
+  const invalidTags = tags.filter((tag, i) => !parsedTags[i]);
+  if (invalidTags.length > 0) {
+    return createErrorResponse(
+      "Invalid tag. Use isbn:{isbn}, work:{id}, author:{name} or endpoint:{prefix}",
+      400,
+      ErrorCodes.INVALID_REQUEST,
+      { tags: invalidTags },
+      request,
+    );
+  }
+
+  // An empty or internal prefix would purge every entry (or the tag indexes themselves)
+  const invalidPrefixes = prefixes.filter(
+    (prefix) =>
+      typeof prefix !== "string" ||
+      !prefix.includes(":") ||
+      INTERNAL_PREFIXES.some((internal) => prefix.startsWith(internal)),
+  );
+  if (invalidPrefixes.length > 0) {
+    return createErrorResponse(
+      "Invalid prefix. Prefixes must include an endpoint (e.g. v1:editions:) and not target internal keys",
+      400,
+      ErrorCodes.INVALID_REQUEST,
+      { prefixes: invalidPrefixes },
+      request,
+    );
+  }
+
+  try {
+    const [tagged, ...matches] = await Promise.all([
+      parsedTags.length > 0 ? keysForTags(parsedTags, env, cursor) : { keys: [], cursor: null, truncated: 0 },
+      ...prefixes.map((prefix) => keysForPrefix(prefix, env)),
+    ]);
+    const cacheKeys = [
+      ...new Set([...tagged.keys, ...matches.flat(), ...keys.filter((key) => typeof key === "string")]),
+    ];
+    const purged = cacheKeys.slice(0, MAX_PURGE_KEYS);
+    const remaining = cacheKeys.length - purged.length;
+
+    const tiers = await purgeCacheKeys(purged, env);
+    return createSuccessResponse(
+      // With keys left over, walk the same part of the namespace again
+      { purged, tiers, remaining, cursor: remaining > 0 ? cursor : tagged.cursor, truncated: tagged.truncated },
+      {},
+      200,
+      request,
+    );
+  } catch (error) {
+    console.error("Cache purge failed:", error);
+    return createErrorResponse(
+      error.message || "Internal server error",
+      500,
+      ErrorCodes.CACHE_ERROR,
+      null,
+      request,
+    );
+  }
+}
+
+/**
+ * GET /admin/cache/access - Hottest and coldest cache keys by sampled reads
+ *
+ * Counts come from AccessStatsDO (see services/access-stats.js) and are
+ * estimates: reads are sampled at ACCESS_SAMPLE_RATE. Coldest keys are the
+ * least read entries among the first 1000 KV keys (with prefix, if given),
+ * including entries nobody read at all. Requires the X-Harvest-Secret header.
+ *
+ * Query parameters:
+ * - days: days to sum, including today (default 7, max 30)
+ * - limit: keys per list (default 20, max 100)
+ * - prefix: only consider cache keys starting with this prefix
+ *
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response} { days, sampleRate, hottest: [{key, count}], coldest: [{key, count}] }
+ */
+export async function handleCacheAccessStats(request, env) {
+  if (!isAuthorized(request, env)) {
+    return unauthorizedResponse(request);
+  }
+
+  if (!env.ACCESS_STATS_DO) {
+    return createErrorResponse(
+      "Access stats are not configured (ACCESS_STATS_DO binding missing)",
+      503,
+      ErrorCodes.INTERNAL_ERROR,
+      null,
+      request,
+    );
+  }
+
+  const url = new URL(request.url);
+  const days = Math.min(Math.max(parseInt(url.searchParams.get("days"), 10) || 7, 1), MAX_ACCESS_DAYS);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get("limit"), 10) || 20, 1), MAX_ACCESS_LIMIT);
+  const prefix = url.searchParams.get("prefix") || "";
+
+  try {
+    const [hot, listed] = await Promise.all([
+      accessCounts(env, days, { prefix, limit }),
+      env.CACHE.list({ prefix, limit: 1000 }),
+    ]);
+
+    const hottest = Object.entries(hot)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, limit)
+      .map(([key, count]) => ({ key, count }));
+
+    const cached = listed.keys
+      .map(({ name }) => name)
+      .filter((name) => !INTERNAL_PREFIXES.some((internal) => name.startsWith(internal)));
+    const counts = await accessCounts(env, days, { keys: cached });
+    const coldest = cached
+      .map((key) => ({ key, count: counts[key] || 0 }))
+      .sort((a, b) => a.count - b.count)
+      .slice(0, limit);
+
+    return createSuccessResponse(
+      { days, sampleRate: accessSampleRate(env), hottest, coldest },
+      {},
+      200,
+      request,
+    );
+  } catch (error) {
+    console.error("Access stats query failed:", error);
+    return createErrorResponse(
+      error.message || "Internal server error",
+      500,
+      ErrorCodes.CACHE_ERROR,
+      null,
+      request,
+    );
+  }
+}
+
+/**
+ * GET /admin/cache/archival - Cold-storage archival run reports
+ *
+ * Requires the X-Harvest-Secret header.
+ *
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response} { inProgress, lastRun }: run reports with scanned, archived,
+ *   skipped, errors and bytesMoved (inProgress is null between runs)
+ */
+export async function handleArchivalReport(request, env) {
+  if (!isAuthorized(request, env)) {
+    return unauthorizedResponse(request);
+  }
+
+  try {
+    return createSuccessResponse(await getArchivalReports(env), {}, 200, request);
+  } catch (error) {
+    console.error("Archival report read failed:", error);
+    return createErrorResponse(
+      error.message || "Internal server error",
+      500,
+      ErrorCodes.CACHE_ERROR,
+      null,
+      request,
+    );
+  }
+}
+
+/**
+ * GET /admin/covers/placeholders - Placeholder cover hash denylist
+ *
+ * Hashes from COVER_PLACEHOLDER_HASHES plus the ones added with
+ * POST /admin/covers/placeholders. Requires the X-Harvest-Secret header.
+ *
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response} { hashes }
+ */
+export async function handleListCoverPlaceholders(request, env) {
+  if (!isAuthorized(request, env)) {
+    return unauthorizedResponse(request);
+  }
+
+  try {
+    return createSuccessResponse({ hashes: await placeholderHashes(env) }, {}, 200, request);
+  } catch (error) {
+    console.error("Placeholder denylist read failed:", error);
+    return createErrorResponse(
+      error.message || "Internal server error",
+      500,
+      ErrorCodes.CACHE_ERROR,
+      null,
+      request,
+    );
+  }
+}
+
+/**
+ * POST /admin/covers/placeholders - Add a placeholder cover to the denylist
+ *
+ * Covers matching it are no longer stored by the image proxy or the harvest,
+ * and lose cover resolution to the next source. Requires the X-Harvest-Secret
+ * header.
+ *
+ * JSON body (one of):
+ * - url: placeholder image (JPEG), hashed here
+ * - hash: dHash, 16 hex digits
+ *
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response} { hash, added: hashes added through the API }
+ */
+export async function handleAddCoverPlaceholder(request, env) {
+  if (!isAuthorized(request, env)) {
+    return unauthorizedResponse(request);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return createErrorResponse("Request body must be JSON", 400, ErrorCodes.INVALID_REQUEST, null, request);
+  }
+
+  const { url, hash: givenHash } = body || {};
+  if (!url && !givenHash) {
+    return createErrorResponse("One of url or hash is required", 400, ErrorCodes.MISSING_PARAMETER, null, request);
+  }
+
+  let hash = typeof givenHash === "string" ? givenHash.toLowerCase() : null;
+  try {
+    if (!hash) {
+      const response = await fetch(url, { headers: { "User-Agent": "BooksTrack/3.0 (cover-admin)" } });
+      hash = response.ok ? coverHash(await response.arrayBuffer()) : null;
+      if (!hash) {
+        return createErrorResponse(
+          "Could not hash the image (only JPEG images are supported)",
+          400,
+          ErrorCodes.INVALID_REQUEST,
+          { url, status: response.status },
+          request,
+        );
+      }
+    }
+    const added = await addPlaceholderHash(hash, env);
+    return createSuccessResponse({ hash, added }, {}, 200, request);
+  } catch (error) {
+    console.error("Adding placeholder cover failed:", error);
+    const invalid = error.message?.startsWith("Invalid cover hash");
+    return createErrorResponse(
+      error.message || "Internal server error",
+      invalid ? 400 : 500,
+      invalid ? ErrorCodes.INVALID_REQUEST : ErrorCodes.CACHE_ERROR,
+      null,
+      request,
+    );
+  }
+}
@@ -55,7 +55,15 @@ GROUP BY index1
           "kv_hit",
           "cold_check",
           "r2_rehydrated",
+          "r2_sync_hit",
+          "r2_sync_fallback",
+          "r2_schema_miss",
           "api_miss",
+          "coalesced",
+          "coalesced_remote",
+          "negative_hit",
+          "kv_compressed",
+          "r2_compressed",
         ],
       },
     };
@@ -10,6 +10,7 @@
 import { validateCSV } from '../utils/csv-validator.js';
 import { buildCSVParserPrompt, PROMPT_VERSION } from '../prompts/csv-parser-prompt.js';
 import { generateCSVCacheKey } from '../utils/cache-keys.js';
+import { toISBN13 } from '../utils/isbn.js';
 import { parseCSVWithGemini } from '../providers/gemini-csv-provider.js';
 import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../utils/response-builder.js';
 import type { CSVImportInitResponse } from '../types/responses.js';
@@ -205,7 +206,8 @@ export async function processCSVImportCore(csvText, jobId, doStub, env) {
       .map(book => ({
         title: String(book.title).trim(),
         author: String(book.author).trim(),
-        isbn: book.isbn ? String(book.isbn).trim() : undefined
+        // Canonical ISBN-13; malformed ISBNs are dropped so they never reach providers
+        isbn: (book.isbn && toISBN13(String(book.isbn))) || undefined
       }));
 
     // Store full results in KV for HTTP retrieval (1-hour TTL)
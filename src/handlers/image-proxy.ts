@@ -1,30 +1,46 @@
 import { normalizeImageURL } from '../utils/normalization.js';
+import { computeCoverPreview, previewMetadata } from '../services/cover-preview.js';
+import { checkCover, recordCoverHash } from '../services/cover-dedupe.js';
+import { serveCover, storeCoverVariants, variantMetadata } from '../services/cover-variants.js';
+import { CacheKeyFactory } from '../services/cache-key-factory.js';
 
 /**
  * Environment bindings for image proxy handler
  */
 interface Env {
   BOOK_COVERS: R2Bucket;
+  KV_CACHE?: KVNamespace;
+  IMAGES?: ImagesBinding;
 }
 
 /**
- * Proxies and caches book cover images via R2 + Cloudflare Image Resizing
+ * Proxies and caches book cover images via R2
  *
  * Flow:
  * 1. Normalize image URL for cache key
  * 2. Check R2 bucket for cached original
- * 3. If miss: Fetch from origin, compress to WebP (85% quality), store in R2
- * 4. Return image with Cloudflare Image Resizing (on-the-fly thumbnail)
+ * 3. If miss: Fetch from origin, store the original and its size variants in R2
+ * 4. Return the requested variant (size=thumbnail|grid|detail|full, default
+ *    grid; small/medium/large still work) in the best format the Accept header
+ *    allows: AVIF, WebP or JPEG (see services/cover-variants.js)
  *
- * Optimizations (Sprint 1-2):
- * - WebP conversion for 60-70% size reduction
- * - 85% quality (visually lossless for book covers)
- * - Metadata stored for cache analytics
+ * Newly stored covers get a BlurHash and dominant/accent colors (see
+ * services/cover-preview.js) in their R2 metadata and in the cover KV index,
+ * from where search results pick them up.
+ *
+ * Covers are also perceptually hashed (see services/cover-dedupe.js): known
+ * placeholder images get a 404 so clients fall back to the next source, and an
+ * image already stored under another URL is served from that R2 object instead
+ * of being stored twice (the cover:url= index points to it).
  */
-export async function handleImageProxy(request: Request, env: Env): Promise<Response> {
+export async function handleImageProxy(
+  request: Request,
+  env: Env,
+  ctx: ExecutionContext | null = null
+): Promise<Response> {
   const url = new URL(request.url);
   const imageUrl = url.searchParams.get('url');
-  const size = url.searchParams.get('size') || 'medium'; // small, medium, large
+  const size = url.searchParams.get('size');
 
   // Validation
   if (!imageUrl) {
@@ -58,15 +74,25 @@ export async function handleImageProxy(request: Request, env: Env): Promise<Resp
   if (cached) {
     try {
       console.log(`Image cache HIT: ${cacheKey}`);
-      const imageData = await cached.arrayBuffer();
-      const contentType = cached.httpMetadata?.contentType || 'image/jpeg';
-      return resizeImage(imageData, size, contentType);
+      return await serveCover(cached, cacheKey, size, request, env, { ctx });
     } catch (err) {
       console.error(`Error reading cached image from R2 for key ${cacheKey}:`, err);
       // Fall through to fetch from origin
     }
   }
 
+  // Same image stored under another URL (dedupe)
+  const alias = env.KV_CACHE
+    ? await env.KV_CACHE.get(CacheKeyFactory.coverImageURL(imageUrl), 'json') as { r2Key?: string } | null
+    : null;
+  if (alias?.r2Key && alias.r2Key !== cacheKey) {
+    const shared = await env.BOOK_COVERS.get(alias.r2Key);
+    if (shared) {
+      console.log(`Image cache HIT: ${cacheKey} (stored as ${alias.r2Key})`);
+      return serveCover(shared, alias.r2Key, size, request, env, { ctx });
+    }
+  }
+
   console.log(`Image cache MISS: ${cacheKey}`);
 
   // Cache miss - fetch from origin
@@ -79,43 +105,66 @@ export async function handleImageProxy(request: Request, env: Env): Promise<Resp
     return new Response('Failed to fetch image', { status: 502 });
   }
 
-  // Compress and store in R2 for future requests
+  // Store in R2 for future requests
   const imageData = await origin.arrayBuffer();
   const contentType = origin.headers.get('content-type') || 'image/jpeg';
   const originalSize = imageData.byteLength;
 
-  // Compress to WebP for 60% size reduction (only for JPEG/PNG originals)
-  let compressedData = imageData;
-  let finalContentType = contentType;
+  const { hash, placeholder, duplicateOf } = await checkCover(imageData, env);
+  if (placeholder) {
+    console.log(`Placeholder cover rejected: ${normalizedUrl} (${hash})`);
+    return new Response('Placeholder image', { status: 404 });
+  }
 
-  if (contentType.includes('jpeg') || contentType.includes('png')) {
-    try {
-      const compressed = await compressToWebP(imageData, 85); // 85% quality
-      if (compressed && compressed.byteLength < originalSize) {
-        compressedData = compressed;
-        finalContentType = 'image/webp';
-        const savings = Math.round(((originalSize - compressed.byteLength) / originalSize) * 100);
-        console.log(`Compressed ${originalSize} → ${compressed.byteLength} bytes (${savings}% savings)`);
-      }
-    } catch (error) {
-      console.error('WebP compression failed, storing original:', error);
-      // Fall back to original
+  const preview = computeCoverPreview(imageData);
+
+  if (duplicateOf) {
+    const existing = await env.BOOK_COVERS.get(duplicateOf);
+    if (existing) {
+      console.log(`Duplicate cover: ${cacheKey} is stored as ${duplicateOf}`);
+      await indexCover(env, imageUrl, duplicateOf, preview);
+      return serveCover(existing, duplicateOf, size, request, env, { ctx });
     }
   }
 
-  await env.BOOK_COVERS.put(cacheKey, compressedData, {
-    httpMetadata: { contentType: finalContentType },
+  const variantFormats = await storeCoverVariants(imageData, cacheKey, env);
+  const httpMetadata = { contentType };
+  const stored = await env.BOOK_COVERS.put(cacheKey, imageData, {
+    httpMetadata,
     customMetadata: {
       originalSize: originalSize.toString(),
-      compressedSize: compressedData.byteLength.toString(),
-      compressionRatio: (compressedData.byteLength / originalSize).toFixed(2)
+      ...variantMetadata(variantFormats),
+      ...previewMetadata(preview),
+      ...(hash ? { dHash: hash } : {})
     }
   });
 
-  console.log(`Stored in R2: ${cacheKey} (${compressedData.byteLength} bytes)`);
+  console.log(`Stored in R2: ${cacheKey} (${originalSize} bytes, variants: ${variantFormats.join(', ') || 'none'})`);
 
-  // Return resized image
-  return resizeImage(imageData, size, contentType);
+  await recordCoverHash(hash, cacheKey, env);
+  if (preview) {
+    await indexCover(env, imageUrl, cacheKey, preview);
+  }
+
+  return serveCover(
+    { body: imageData, httpMetadata, httpEtag: stored?.httpEtag, customMetadata: { variantFormats: variantFormats.join(',') } },
+    cacheKey,
+    size,
+    request,
+    env
+  );
+}
+
+/**
+ * Write the cover:url= KV index (R2 key and preview of a proxied cover)
+ */
+async function indexCover(env: Env, imageUrl: string, r2Key: string, preview: object | null): Promise<void> {
+  if (!env.KV_CACHE) return;
+  await env.KV_CACHE.put(
+    CacheKeyFactory.coverImageURL(imageUrl),
+    JSON.stringify({ r2Key, url: imageUrl, ...preview, storedAt: new Date().toISOString() }),
+    { expirationTtl: 365 * 24 * 60 * 60 } // 1 year, like harvested covers
+  );
 }
 
 /**
@@ -129,65 +178,3 @@ async function hashURL(url: string): Promise<string> {
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
-
-/**
- * Compress image to WebP format using Cloudflare Image Resizing
- * @param imageData - Original image data
- * @param quality - Quality 1-100 (85 recommended for book covers)
- * @returns Compressed WebP image or null on failure
- */
-async function compressToWebP(imageData: ArrayBuffer, quality: number): Promise<ArrayBuffer | null> {
-  try {
-    // Create a Response with the image data
-    const imageResponse = new Response(imageData, {
-      headers: {
-        'Content-Type': 'image/jpeg', // Cloudflare will convert from this
-        'CF-Image-Format': 'webp',
-        'CF-Image-Quality': quality.toString()
-      }
-    });
-
-    // Use Cloudflare's image transformation
-    // Note: This requires the Image Resizing product to be enabled
-    const transformed = await fetch(imageResponse.url, {
-      cf: {
-        image: {
-          format: 'webp',
-          quality: quality
-        }
-      }
-    });
-
-    if (!transformed.ok) {
-      return null;
-    }
-
-    return await transformed.arrayBuffer();
-  } catch (error) {
-    console.error('WebP compression error:', error);
-    return null;
-  }
-}
-
-/**
- * Resize image using Cloudflare Image Resizing
- */
-function resizeImage(imageData: ArrayBuffer, size: string, contentType: string): Response {
-  const SIZE_MAP: Record<string, { width: number; height: number }> = {
-    small: { width: 128, height: 192 },
-    medium: { width: 256, height: 384 },
-    large: { width: 512, height: 768 }
-  };
-
-  const dimensions = SIZE_MAP[size] || SIZE_MAP.medium;
-
-  return new Response(imageData, {
-    headers: {
-      'Content-Type': contentType,
-      'Cache-Control': 'public, max-age=2592000, immutable', // 30 days
-      'CF-Image-Width': dimensions.width.toString(),
-      'CF-Image-Height': dimensions.height.toString(),
-      'CF-Image-Fit': 'scale-down'
-    }
-  });
-}
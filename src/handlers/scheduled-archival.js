@@ -1,11 +1,30 @@
 import { queryAccessFrequency } from "../utils/analytics-queries.js";
 import {
+  ARCHIVAL_RUN_KEY,
+  ARCHIVAL_REPORT_KEY,
+  ARCHIVE_MAX_ACCESS,
   selectArchivalCandidates,
   archiveCandidates,
+  OPERATIONS_PER_ARCHIVE,
+  newArchivalRun,
+  addToArchivalRun,
+  getArchivalReports,
 } from "../workers/archival-worker.js";
 
+// KV operations and subrequests one invocation spends on the walk, under the
+// ~1000 a Worker invocation may make (the rest covers reports and access stats)
+const OPERATION_BUDGET = 950;
+
 /**
- * Scheduled handler for daily archival process
+ * Scheduled handler for the nightly archival process
+ *
+ * Runs hourly from 2:00 to 5:00 AM UTC. Each invocation resumes the run in
+ * progress from its checkpoint (or starts one, if the last run didn't finish
+ * today) and archives until OPERATION_BUDGET is spent: about 230 entries at
+ * OPERATIONS_PER_ARCHIVE each, fewer when pages hold few candidates. It
+ * checkpoints after every page and where it stops, mid-page if need be, so
+ * the next invocation picks up there. When the walk reaches the end of KV, the
+ * run report is saved for GET /admin/cache/archival.
  *
  * @param {Object} env - Worker environment
  * @param {ExecutionContext} ctx - Execution context
@@ -14,35 +33,64 @@ export async function handleScheduledArchival(env, ctx) {
   const startTime = Date.now();
 
   try {
-    console.log("Starting scheduled archival process...");
+    const { inProgress, lastRun } = await getArchivalReports(env);
+    if (!inProgress && lastRun && isSameUTCDay(lastRun.finishedAt, startTime)) {
+      console.log("Archival already completed today");
+      return;
+    }
+
+    const run = inProgress || newArchivalRun();
+    run.invocations++;
+    console.log(
+      inProgress
+        ? `Resuming archival run started at ${new Date(run.startedAt).toISOString()}`
+        : "Starting scheduled archival process...",
+    );
 
-    // 1. Query Analytics Engine for access stats (last 30 days)
-    const accessStats = await queryAccessFrequency(env, 30);
+    // 1. Access stats (last 30 days); keys read too rarely to be kept aren't needed
+    const accessStats = await queryAccessFrequency(env, 30, { minCount: ARCHIVE_MAX_ACCESS });
 
-    // 2. Select archival candidates
-    const candidates = await selectArchivalCandidates(env, accessStats);
+    // Each page costs a list and a checkpoint, each archived entry OPERATIONS_PER_ARCHIVE
+    let operations = 0;
+    let limit;
+    while ((limit = Math.floor((OPERATION_BUDGET - operations - 2) / OPERATIONS_PER_ARCHIVE)) > 0) {
+      // 2. Select archival candidates on the next KV page (as many as the budget allows)
+      const selected = await selectArchivalCandidates(env, accessStats, run.cursor, { after: run.after, limit });
 
-    console.log(`Found ${candidates.length} archival candidates`);
+      // 3. Archive to R2
+      const archived = await archiveCandidates(selected.candidates, env);
+      addToArchivalRun(run, selected, archived);
+      operations += 2 + selected.candidates.length * OPERATIONS_PER_ARCHIVE;
 
-    if (candidates.length === 0) {
-      console.log("No entries to archive");
+      if (!run.cursor && !run.after) {
+        break;
+      }
+      // Checkpoint so the next invocation resumes here
+      await env.CACHE.put(ARCHIVAL_RUN_KEY, JSON.stringify(run));
+    }
+
+    if (run.cursor || run.after) {
+      console.log(`Archival paused after ${run.scanned} keys (${run.archived} archived), resuming next invocation`);
       return;
     }
 
-    // 3. Archive to R2
-    const archivedCount = await archiveCandidates(candidates, env);
+    // 4. Run complete: save the report
+    run.finishedAt = Date.now();
+    delete run.cursor;
+    delete run.after;
+    await env.CACHE.put(ARCHIVAL_REPORT_KEY, JSON.stringify(run));
+    await env.CACHE.delete(ARCHIVAL_RUN_KEY);
 
-    // 4. Log metrics
-    const duration = Date.now() - startTime;
+    const duration = run.finishedAt - run.startedAt;
     console.log(
-      `Archived ${archivedCount}/${candidates.length} entries in ${duration}ms`,
+      `Archived ${run.archived}/${run.scanned} entries (${run.bytesMoved} bytes, ${run.errors} errors) in ${run.invocations} invocations`,
     );
 
     // Log to Analytics Engine
     if (env.CACHE_ANALYTICS) {
       env.CACHE_ANALYTICS.writeDataPoint({
         blobs: ["archival_completed", ""],
-        doubles: [archivedCount, duration],
+        doubles: [run.archived, duration, run.scanned, run.errors, run.bytesMoved],
         indexes: ["archival_completed"],
       });
     }
@@ -59,3 +107,13 @@ export async function handleScheduledArchival(env, ctx) {
     }
   }
 }
+
+/**
+ * Whether two timestamps fall on the same UTC day
+ * @param {number} a - Milliseconds since epoch
+ * @param {number} b - Milliseconds since epoch
+ * @returns {boolean}
+ */
+function isSameUTCDay(a, b) {
+  return new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+}
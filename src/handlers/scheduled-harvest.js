@@ -14,9 +14,13 @@ import { CacheKeyFactory } from "../services/cache-key-factory.js";
  * 2. Filter out already-harvested covers (check KV)
  * 3. Rate-limited fetch from ISBNdb (10 req/sec)
  * 4. Download cover image
- * 5. Compress to WebP (85% quality, 60% savings)
- * 6. Store in R2 (human-readable key: covers/{isbn13})
- * 7. Index in KV (cover:{isbn} → covers/{isbn})
+ * 5. Perceptual hash (services/cover-dedupe.js): drop known placeholders,
+ *    reuse the R2 object of an identical cover already stored
+ * 6. Compute BlurHash + dominant/accent colors (services/cover-preview.js)
+ * 7. Compress to WebP (85% quality, 60% savings)
+ * 8. Store in R2 (human-readable key: covers/{isbn13}), with size variants
+ *    in AVIF/WebP/JPEG (services/cover-variants.js)
+ * 9. Index in KV (cover:{isbn} → covers/{isbn}, with the BlurHash and colors)
  *
  * Cron Schedule: 0 3 * * * (daily at 3 AM UTC)
  */
@@ -24,6 +28,9 @@ import { CacheKeyFactory } from "../services/cache-key-factory.js";
 import { ISBNdbAPI } from "../services/isbndb-api.js";
 import { RateLimiter } from "../utils/rate-limiter.js";
 import { getTopEditions } from "../services/edition-discovery.js";
+import { computeCoverPreview, previewMetadata } from "../services/cover-preview.js";
+import { checkCover, recordCoverHash } from "../services/cover-dedupe.js";
+import { storeCoverVariants, variantMetadata } from "../services/cover-variants.js";
 
 /**
  * Load curated ISBN list from isbn-harvest-list.txt (478 ISBNs from testImages/csv-expansion)
@@ -382,6 +389,38 @@ async function harvestISBN(isbn, isbndbApi, env, stats) {
     const imageData = await imageResponse.arrayBuffer();
     const originalSize = imageData.byteLength;
 
+    // Placeholders aren't stored, so cover resolution falls through to the
+    // next source
+    const { hash, placeholder, duplicateOf } = await checkCover(imageData, env);
+    if (placeholder) {
+      console.log(`Placeholder cover for ${isbn} (${hash})`);
+      stats.placeholders++;
+      return { isbn, status: "placeholder" };
+    }
+
+    const preview = computeCoverPreview(imageData);
+
+    if (duplicateOf) {
+      await env.KV_CACHE.put(
+        CacheKeyFactory.coverImage(isbn),
+        JSON.stringify({
+          r2Key: duplicateOf,
+          isbn,
+          title: bookData.title,
+          authors: bookData.authors,
+          harvestedAt: new Date().toISOString(),
+          originalSize,
+          ...preview,
+        }),
+        {
+          expirationTtl: 365 * 24 * 60 * 60, // 1 year
+        },
+      );
+      console.log(`✅ ${isbn} has the same cover as ${duplicateOf}, not stored again`);
+      stats.deduplicated++;
+      return { isbn, status: "duplicate", r2Key: duplicateOf };
+    }
+
     // Compress to WebP
     const compressed = await compressToWebP(imageData, 85);
     const finalData = compressed || imageData;
@@ -396,6 +435,7 @@ async function harvestISBN(isbn, isbndbApi, env, stats) {
 
     // Store in R2 (human-readable key)
     const r2Key = `covers/${isbn}`;
+    const variantFormats = await storeCoverVariants(imageData, r2Key, env);
     await env.BOOK_COVERS.put(r2Key, finalData, {
       httpMetadata: { contentType: compressed ? "image/webp" : "image/jpeg" },
       customMetadata: {
@@ -407,8 +447,12 @@ async function harvestISBN(isbn, isbndbApi, env, stats) {
         compressionSavings: savings.toString(),
         harvestedAt: new Date().toISOString(),
         source: "isbndb-harvest",
+        ...previewMetadata(preview),
+        ...(hash ? { dHash: hash } : {}),
+        ...variantMetadata(variantFormats),
       },
     });
+    await recordCoverHash(hash, r2Key, env);
 
     // Index in KV
     const kvKey = CacheKeyFactory.coverImage(isbn);
@@ -423,6 +467,7 @@ async function harvestISBN(isbn, isbndbApi, env, stats) {
         originalSize,
         compressedSize,
         savings,
+        ...preview,
       }),
       {
         expirationTtl: 365 * 24 * 60 * 60, // 1 year
@@ -564,6 +609,8 @@ export async function handleScheduledHarvest(env) {
         successful: 0,
         skipped: 0,
         noCover: 0,
+        placeholders: 0,
+        deduplicated: 0,
         errors: 0,
         sources: {
           curated: curatedISBNs.length,
@@ -581,6 +628,8 @@ export async function handleScheduledHarvest(env) {
     successful: 0,
     skipped: 0,
     noCover: 0,
+    placeholders: 0,
+    deduplicated: 0,
     errors: 0,
     totalSize: 0,
     totalSavings: 0,
@@ -629,6 +678,8 @@ export async function handleScheduledHarvest(env) {
   console.log(`   Successful: ${stats.successful}`);
   console.log(`   Skipped (already harvested): ${stats.skipped}`);
   console.log(`   No cover available: ${stats.noCover}`);
+  console.log(`   Placeholder covers: ${stats.placeholders}`);
+  console.log(`   Duplicates (stored once): ${stats.deduplicated}`);
   console.log(`   Errors: ${stats.errors}`);
   console.log("");
   console.log("💾 Storage:");
@@ -0,0 +1,141 @@
+import { queryPopularISBNs, queryMissedCacheKeys } from "../utils/analytics-queries.js";
+import { getCached } from "../utils/cache.js";
+import { CacheKeyFactory } from "../services/cache-key-factory.js";
+import { getISBNdbBooksByISBNs } from "../services/external-apis.ts";
+import {
+  recordSuggestions,
+  suggestionsFromWorks,
+} from "../services/suggest-index.ts";
+
+/**
+ * ISBNs per ISBNdb bulk request (matches POST /v1/search/isbn/batch)
+ */
+const ISBNDB_BULK_SIZE = 100;
+
+/**
+ * Results indexed per advanced search (the top of its first page)
+ */
+const SEARCH_RESULTS_INDEXED = 5;
+
+/**
+ * Scheduled Suggestion Refresh
+ *
+ * Daily cron job (4 AM UTC) that feeds /v1/suggest. It is the only writer
+ * of the prefix index besides cache warming: writing from the request path
+ * would update the same hot buckets ("th") many times a second, over KV's
+ * one write per key per second, with concurrent writes dropping each other's
+ * entries. Here every bucket is written at most twice per run.
+ *
+ * Flow:
+ * 1. Titles and authors of the last day's fresh advanced searches (their
+ *    cached first pages, found from Analytics Engine api_miss events)
+ * 2. Query Analytics Engine for the most searched ISBNs of the last 7 days
+ *    (writeCacheMetrics data)
+ * 3. Resolve each ISBN to title + authors (ISBN lookup cache, then ISBNdb bulk)
+ * 4. Write popularity into the prefix index (titles and their authors)
+ *
+ * Cron Schedule: 0 4 * * * (daily at 4 AM UTC)
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Object>} Refresh summary
+ */
+export async function handleScheduledSuggestRefresh(env) {
+  console.log("[Suggest] Starting suggestion refresh...");
+
+  try {
+    const searched = await searchedSuggestions(env);
+    let buckets = searched.searches > 0 ? await recordSuggestions(env, searched.inputs) : 0;
+
+    const popularity = await popularitySuggestions(env);
+    if (popularity.inputs.length > 0) {
+      buckets += await recordSuggestions(env, popularity.inputs, { hits: 0 });
+    }
+
+    console.log(
+      `[Suggest] Refresh complete: ${searched.searches} searches, ${popularity.isbns} ISBNs, ` +
+        `${popularity.resolved} resolved, ${buckets} bucket writes`,
+    );
+    return { searches: searched.searches, isbns: popularity.isbns, resolved: popularity.resolved, buckets };
+  } catch (error) {
+    console.error("[Suggest] Refresh failed:", error);
+    return { searches: 0, isbns: 0, resolved: 0, buckets: 0, error: error.message };
+  }
+}
+
+/**
+ * Titles and authors found by the last day's fresh advanced searches
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{searches: number, inputs: Array<Object>}>} Searches whose
+ *   first page is still cached, and their suggestions
+ */
+async function searchedSuggestions(env) {
+  const cacheKeys = await queryMissedCacheKeys(env, { endpoint: "advanced", days: 1 });
+
+  let searches = 0;
+  const inputs = [];
+  // First pages only: later pages' keys carry the cursor's offsets
+  for (const cacheKey of cacheKeys.filter((key) => !key.includes(":page:"))) {
+    const cached = await getCached(cacheKey, env);
+    const works = cached?.data?.data?.works;
+    if (Array.isArray(works)) {
+      searches++;
+      inputs.push(...suggestionsFromWorks(works.slice(0, SEARCH_RESULTS_INDEXED)));
+    }
+  }
+  return { searches, inputs };
+}
+
+/**
+ * Popularity of titles and authors by ISBN search counts
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{isbns: number, resolved: number, inputs: Array<Object>}>}
+ */
+async function popularitySuggestions(env) {
+  const popular = await queryPopularISBNs(env, { days: 7, limit: 500 });
+  if (popular.length === 0) {
+    console.log("[Suggest] No popular ISBNs - skipping popularity");
+    return { isbns: 0, resolved: 0, inputs: [] };
+  }
+
+  // 1. Cached ISBN lookups (written by POST /v1/search/isbn/batch)
+  const books = new Map();
+  for (const { isbn } of popular) {
+    const cached = await getCached(CacheKeyFactory.isbnLookup(isbn), env);
+    if (cached?.data?.work) {
+      books.set(isbn, cached.data);
+    }
+  }
+
+  // 2. ISBNdb bulk lookup for the rest
+  const misses = popular
+    .map(({ isbn }) => isbn)
+    .filter((isbn) => !books.has(isbn));
+  for (let i = 0; i < misses.length; i += ISBNDB_BULK_SIZE) {
+    const chunk = misses.slice(i, i + ISBNDB_BULK_SIZE);
+    try {
+      const found = await getISBNdbBooksByISBNs(chunk, env);
+      chunk.forEach((isbn) => {
+        const book = found.get(isbn);
+        if (book) books.set(isbn, book);
+      });
+    } catch (error) {
+      // Best-effort: unresolved ISBNs just don't gain popularity today
+      console.error("[Suggest] ISBNdb bulk lookup failed:", error);
+    }
+  }
+
+  // 3. Popularity for each title and its authors
+  const inputs = popular.flatMap(({ isbn, searchCount }) => {
+    const book = books.get(isbn);
+    if (!book) return [];
+    const work = { title: book.work.title, authors: book.authors };
+    return suggestionsFromWorks([work]).map((input) => ({
+      ...input,
+      popularity: searchCount,
+    }));
+  });
+
+  return { isbns: popular.length, resolved: books.size, inputs };
+}
@@ -0,0 +1,339 @@
+import { queryMissedSearches, queryPopularISBNs } from "../utils/analytics-queries.js";
+import { getCached } from "../utils/cache.js";
+import { normalizeAuthor, normalizeTitle } from "../utils/normalization.js";
+import { CacheKeyFactory } from "../services/cache-key-factory.js";
+import { getISBNdbBooksByISBNs } from "../services/external-apis.ts";
+
+/**
+ * ISBNs per ISBNdb bulk request (matches POST /v1/search/isbn/batch)
+ */
+const ISBNDB_BULK_SIZE = 100;
+
+const MAX_TITLES_PER_AUTHOR = 20; // Bounds the provider calls of one author message
+const REWARM_AFTER_MS = 7 * 24 * 60 * 60 * 1000; // Authors warmed more recently are skipped
+
+/**
+ * Keep one run under the per-invocation KV operation limit (1000):
+ * 2 lists + 2 × MAX_SCAN_RESULTS scan reads + 200 ISBN lookup cache reads
+ * + MAX_CANDIDATES isWarm() reads + the job record
+ */
+const MAX_SCAN_RESULTS = 50; // Stored scan results read per key prefix
+const MAX_SCANNED_AUTHORS = 50; // Most scanned authors kept as candidates
+const MAX_CANDIDATES = 300; // isWarm() reads
+
+/**
+ * Scan results stored by the bookshelf scanners (ai-scanner.js: 24h, batch-scan-handler.ts: 1h)
+ */
+const SCAN_RESULT_PREFIXES = ["scan-results:", "job-results:"];
+
+/**
+ * Provider requests per daily run (WARMING_BUDGET_* vars override)
+ */
+const DEFAULT_BUDGETS = {
+  "google-books": 1000,
+  openlibrary: 1000,
+  isbndb: 2,
+};
+
+/**
+ * Most provider requests one queued message can make (cache hits make fewer)
+ * - Author: OpenLibrary bibliography, then a title search (Google Books +
+ *   OpenLibrary) for each of up to MAX_TITLES_PER_AUTHOR works
+ * - Title: one title search
+ */
+const MESSAGE_COSTS = {
+  author: { "google-books": MAX_TITLES_PER_AUTHOR, openlibrary: 1 + MAX_TITLES_PER_AUTHOR },
+  title: { "google-books": 1, openlibrary: 1 },
+};
+
+/**
+ * Scheduled Predictive Cache Warming
+ *
+ * Daily cron job (6 AM UTC) that warms what traffic asks for, instead of a
+ * manually uploaded CSV (POST /api/warming/upload).
+ *
+ * Flow:
+ * 1. Collect candidates, in priority order:
+ *    - Title and author searches that missed every cache tier yesterday
+ *    - Authors of yesterday's most searched ISBNs (ISBN lookup cache, then ISBNdb bulk)
+ *    - Authors of recently scanned bookshelves
+ * 2. Keep candidates whose worst-case provider requests fit each provider's
+ *    budget, dropping titles still cached and authors warmed in the last 7
+ *    days; stop once neither an author nor a title fits
+ * 3. Queue them to AUTHOR_WARMING_QUEUE (processAuthorBatch)
+ *
+ * Cron Schedule: 0 6 * * * (daily at 6 AM UTC)
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Object>} Warming summary
+ */
+export async function handleScheduledWarming(env) {
+  console.log("[Warming] Starting predictive cache warming...");
+
+  try {
+    const budgets = warmingBudgets(env);
+    const spent = { "google-books": 0, openlibrary: 0, isbndb: 0 };
+
+    // 1. Candidates from traffic
+    const candidates = dedupeCandidates([
+      ...(await missedSearchCandidates(env)),
+      ...(await trendingISBNCandidates(env, budgets, spent)),
+      ...(await scannedAuthorCandidates(env)),
+    ]).slice(0, MAX_CANDIDATES);
+
+    // 2. Plan within budget (checked before the isWarm() read), skipping what is already warm
+    const jobId = crypto.randomUUID();
+    const messages = [];
+    let alreadyWarm = 0;
+    let overBudget = 0;
+    const fits = (type) =>
+      Object.entries(MESSAGE_COSTS[type]).every(([provider, requests]) => spent[provider] + requests <= budgets[provider]);
+    for (const [index, candidate] of candidates.entries()) {
+      if (!fits("author") && !fits("title")) {
+        overBudget += candidates.length - index;
+        break;
+      }
+      if (!fits(candidate.type)) {
+        overBudget++;
+        continue;
+      }
+      if (await isWarm(candidate, env)) {
+        alreadyWarm++;
+        continue;
+      }
+
+      const cost = MESSAGE_COSTS[candidate.type];
+      for (const [provider, requests] of Object.entries(cost)) {
+        spent[provider] += requests;
+      }
+      messages.push(toMessage(candidate, jobId));
+    }
+
+    // 3. Queue (sendBatch takes up to 100 messages)
+    for (let i = 0; i < messages.length; i += 100) {
+      await env.AUTHOR_WARMING_QUEUE.sendBatch(
+        messages.slice(i, i + 100).map((body) => ({ body })),
+      );
+    }
+
+    const summary = {
+      jobId,
+      candidates: candidates.length,
+      queued: messages.length,
+      alreadyWarm,
+      overBudget,
+      budgets,
+      spent,
+    };
+
+    if (messages.length > 0) {
+      await env.CACHE.put(
+        `warming:job:${jobId}`,
+        JSON.stringify({
+          authorsQueued: messages.filter((body) => body.author).length,
+          titlesQueued: messages.filter((body) => body.title).length,
+          maxDepth: 0,
+          startedAt: Date.now(),
+          status: "queued",
+          source: "predictive",
+          spent,
+        }),
+        {
+          expirationTtl: 7 * 24 * 60 * 60, // 7 days
+        },
+      );
+    }
+
+    if (env.CACHE_ANALYTICS) {
+      env.CACHE_ANALYTICS.writeDataPoint({
+        blobs: ["predictive_warming", jobId],
+        doubles: [candidates.length, messages.length, alreadyWarm, overBudget],
+        indexes: ["predictive_warming"],
+      });
+    }
+
+    console.log(
+      `[Warming] Queued ${messages.length}/${candidates.length} candidates ` +
+        `(${alreadyWarm} already warm, ${overBudget} over budget)`,
+    );
+    return summary;
+  } catch (error) {
+    console.error("[Warming] Predictive warming failed:", error);
+    return { candidates: 0, queued: 0, error: error.message };
+  }
+}
+
+/**
+ * Provider request budgets for one run
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Object<string, number>} Provider id → requests
+ */
+export function warmingBudgets(env) {
+  const vars = {
+    "google-books": env.WARMING_BUDGET_GOOGLE_BOOKS,
+    openlibrary: env.WARMING_BUDGET_OPENLIBRARY,
+    isbndb: env.WARMING_BUDGET_ISBNDB,
+  };
+
+  const budgets = {};
+  for (const [provider, fallback] of Object.entries(DEFAULT_BUDGETS)) {
+    const budget = parseInt(vars[provider], 10);
+    budgets[provider] = Number.isNaN(budget) || budget < 0 ? fallback : budget;
+  }
+  return budgets;
+}
+
+/**
+ * Searches that missed every cache tier over the last day
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Array<Object>>} Title and author candidates
+ */
+async function missedSearchCandidates(env) {
+  const missed = await queryMissedSearches(env, { days: 1, limit: 200 });
+  return missed.map(({ endpoint, query }) => ({
+    type: endpoint === "author" ? "author" : "title",
+    text: query,
+    source: "missed-search",
+  }));
+}
+
+/**
+ * Authors of the most searched ISBNs over the last day
+ *
+ * ISBNs not in the ISBN lookup cache are resolved with ISBNdb bulk requests
+ * while the ISBNdb budget lasts.
+ *
+ * @param {Object} env - Worker environment bindings
+ * @param {Object<string, number>} budgets - Provider request budgets
+ * @param {Object<string, number>} spent - Requests made so far (mutated)
+ * @returns {Promise<Array<Object>>} Author candidates
+ */
+async function trendingISBNCandidates(env, budgets, spent) {
+  const popular = await queryPopularISBNs(env, { days: 1, limit: 200 });
+
+  // 1. Cached ISBN lookups (written by POST /v1/search/isbn/batch)
+  const books = new Map();
+  for (const { isbn } of popular) {
+    const cached = await getCached(CacheKeyFactory.isbnLookup(isbn), env);
+    if (cached?.data?.authors) {
+      books.set(isbn, cached.data);
+    }
+  }
+
+  // 2. ISBNdb bulk lookup for the rest
+  const misses = popular
+    .map(({ isbn }) => isbn)
+    .filter((isbn) => !books.has(isbn));
+  for (let i = 0; i < misses.length && spent.isbndb < budgets.isbndb; i += ISBNDB_BULK_SIZE) {
+    const chunk = misses.slice(i, i + ISBNDB_BULK_SIZE);
+    spent.isbndb++;
+    try {
+      const found = await getISBNdbBooksByISBNs(chunk, env);
+      chunk.forEach((isbn) => {
+        const book = found.get(isbn);
+        if (book) books.set(isbn, book);
+      });
+    } catch (error) {
+      // Best-effort: unresolved ISBNs just aren't warmed today
+      console.error("[Warming] ISBNdb bulk lookup failed:", error);
+    }
+  }
+
+  return popular.flatMap(({ isbn }) =>
+    (books.get(isbn)?.authors || [])
+      .filter((author) => author.name)
+      .map((author) => ({ type: "author", text: author.name, source: "trending-isbn" })),
+  );
+}
+
+/**
+ * Authors of books in stored bookshelf scan results
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Array<Object>>} Up to MAX_SCANNED_AUTHORS author candidates, most scanned first
+ */
+async function scannedAuthorCandidates(env) {
+  if (!env.KV_CACHE) return [];
+  const counts = new Map();
+
+  for (const prefix of SCAN_RESULT_PREFIXES) {
+    const { keys } = await env.KV_CACHE.list({ prefix });
+    for (const { name } of keys.slice(0, MAX_SCAN_RESULTS)) {
+      const results = await env.KV_CACHE.get(name, "json");
+      const books = Array.isArray(results) ? results : results?.books || [];
+      for (const book of books) {
+        const author = typeof book?.author === "string" ? book.author.trim() : "";
+        if (author) {
+          counts.set(author, (counts.get(author) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SCANNED_AUTHORS)
+    .map(([author]) => ({ type: "author", text: author, source: "recent-scan" }));
+}
+
+/**
+ * Drop repeated titles and authors, keeping the first (highest priority)
+ *
+ * @param {Array<Object>} candidates - Candidates in priority order
+ * @returns {Array<Object>} Unique candidates
+ */
+function dedupeCandidates(candidates) {
+  const seen = new Set();
+  return candidates.filter((candidate) => {
+    const normalized = candidate.type === "author"
+      ? normalizeAuthor(candidate.text)
+      : normalizeTitle(candidate.text);
+    const id = `${candidate.type}:${normalized}`;
+    if (!normalized || seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+/**
+ * Whether warming a candidate would be wasted
+ * - Title: its search is cached in KV
+ * - Author: warmed in the last REWARM_AFTER_MS
+ *
+ * @param {Object} candidate - Warming candidate
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<boolean>}
+ */
+async function isWarm(candidate, env) {
+  if (candidate.type === "title") {
+    const cached = await env.CACHE.get(CacheKeyFactory.bookTitle(candidate.text, 20));
+    return cached !== null && cached !== undefined;
+  }
+
+  const processed = await env.CACHE.get(
+    `warming:processed:author:${candidate.text.toLowerCase()}`,
+    "json",
+  );
+  return Boolean(processed?.lastWarmed && Date.now() - processed.lastWarmed < REWARM_AFTER_MS);
+}
+
+/**
+ * AUTHOR_WARMING_QUEUE message for a candidate (see processAuthorBatch)
+ *
+ * @param {Object} candidate - Warming candidate
+ * @param {string} jobId - Warming job
+ * @returns {Object} Message body
+ */
+function toMessage(candidate, jobId) {
+  const common = {
+    source: candidate.source,
+    depth: 0,
+    queuedAt: new Date().toISOString(),
+    jobId,
+  };
+  return candidate.type === "author"
+    ? { ...common, author: candidate.text, maxTitles: MAX_TITLES_PER_AUTHOR, refresh: true }
+    : { ...common, title: candidate.text };
+}
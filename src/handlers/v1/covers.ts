@@ -0,0 +1,283 @@
+/**
+ * GET /v1/covers/:isbn
+ *
+ * Best available cover of an edition
+ *
+ * Compares the covers of every source (R2 cover store, ISBNdb, Google Books,
+ * OpenLibrary) and returns the highest scoring one with its provenance and
+ * the candidates it beat (see services/cover-resolver.js).
+ *
+ * GET /v1/covers/:isbn/image serves the R2 cover store's image, which is the
+ * winning URL when source is "r2".
+ *
+ * POST /v1/covers/:isbn/upload stores a user's own cover (see
+ * services/user-covers.js). Both GETs prefer it for requests authenticated
+ * as that user, as source "user".
+ */
+
+import type { CoverResponse } from '../../types/responses.js';
+import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../../utils/response-builder.js';
+import { isValidISBN, toISBN13 } from '../../utils/isbn.js';
+import { setCached } from '../../utils/cache.js';
+import { UnifiedCacheService } from '../../services/unified-cache.js';
+import { CacheKeyFactory } from '../../services/cache-key-factory.js';
+import { isNegativelyCached, setNegativeCached } from '../../services/negative-cache.js';
+import { resolveCover, getStoredCover, scoreCover } from '../../services/cover-resolver.js';
+import { serveCover } from '../../services/cover-variants.js';
+import {
+  MAX_UPLOAD_MB,
+  UPLOAD_FORMATS,
+  getUserCover,
+  cropToBook,
+  storeUserCover,
+} from '../../services/user-covers.js';
+import { imageInfo } from '../../utils/image-info.js';
+import { authenticatedUser } from '../../utils/user-token.js';
+
+/**
+ * 30 days: covers rarely change, and the R2 store only gains covers
+ */
+const COVER_TTL = 30 * 24 * 60 * 60;
+
+export async function handleGetCover(
+  isbn: string,
+  env: any,
+  ctx: ExecutionContext,
+  request: Request | null = null
+): Promise<Response> {
+  const startTime = Date.now();
+
+  if (!isbn || !isValidISBN(isbn)) {
+    return createErrorResponse(
+      'Invalid ISBN. Must be a valid ISBN-10 or ISBN-13 (checksum verified)',
+      400,
+      ErrorCodes.INVALID_ISBN,
+      { isbn },
+      request
+    );
+  }
+
+  try {
+    const isbn13 = toISBN13(isbn)!;
+    const imageURL = new URL(`/v1/covers/${isbn13}/image`, request?.url || 'https://api.oooefam.net').toString();
+
+    // The user's own upload beats every source, for them only (not cached)
+    const userId = await authenticatedUser(request, env);
+    const upload = userId ? await getUserCover(userId, isbn13, env) : null;
+    if (upload) {
+      const responseData: CoverResponse = { cover: userCover(isbn13, upload.object, imageURL), candidates: [] };
+      return createSuccessResponse(
+        responseData,
+        { processingTime: Date.now() - startTime, provider: 'user', cached: false },
+        200,
+        request
+      );
+    }
+
+    const cacheKey = CacheKeyFactory.coverResolution(isbn13);
+    const cache = new UnifiedCacheService(env, ctx);
+    const cachedResult = await cache.get(cacheKey, 'cover', { query: isbn13 });
+
+    if (cachedResult?.data) {
+      console.log(`✅ Cache HIT: /v1/covers (${cacheKey})`);
+      return createSuccessResponse(
+        cachedResult.data.data,
+        {
+          ...cachedResult.data.meta,
+          cached: true,
+          cacheSource: cachedResult.source, // EDGE or KV
+        },
+        200,
+        request
+      );
+    }
+
+    if (await isNegativelyCached(cacheKey, env)) {
+      return createErrorResponse(
+        `No cover found for ISBN ${isbn13}`,
+        404,
+        ErrorCodes.NOT_FOUND,
+        { isbn: isbn13, negativeCache: true },
+        request
+      );
+    }
+
+    const { cover, candidates, failedSources } = await resolveCover(isbn13, env, imageURL);
+
+    if (!cover) {
+      // Only cache that if every source answered: after a source error the cover may well exist
+      if (failedSources.length === 0) {
+        ctx.waitUntil(setNegativeCached(cacheKey, env));
+      }
+      return createErrorResponse(
+        `No cover found for ISBN ${isbn13}`,
+        404,
+        ErrorCodes.NOT_FOUND,
+        { isbn: isbn13, candidates, ...(failedSources.length > 0 ? { failedSources } : {}) },
+        request
+      );
+    }
+
+    const responseData: CoverResponse = { cover, candidates };
+    const metadata = {
+      processingTime: Date.now() - startTime,
+      provider: cover.source,
+      cached: false,
+    };
+
+    ctx.waitUntil(
+      setCached(
+        cacheKey,
+        { success: true, data: responseData, meta: { ...metadata, timestamp: new Date().toISOString() } },
+        COVER_TTL,
+        env
+      )
+    );
+
+    return createSuccessResponse(responseData, metadata, 200, request);
+  } catch (error: any) {
+    console.error('Error in v1 covers:', error);
+    return createErrorResponse(
+      error.message || 'Internal server error',
+      500,
+      ErrorCodes.INTERNAL_ERROR,
+      { error: error.toString(), processingTime: Date.now() - startTime },
+      request
+    );
+  }
+}
+
+export async function handleGetCoverImage(
+  isbn: string,
+  env: any,
+  request: Request | null = null,
+  ctx: ExecutionContext | null = null
+): Promise<Response> {
+  if (!isbn || !isValidISBN(isbn)) {
+    return createErrorResponse('Invalid ISBN', 400, ErrorCodes.INVALID_ISBN, { isbn }, request);
+  }
+
+  const isbn13 = toISBN13(isbn)!;
+  const size = request ? new URL(request.url).searchParams.get('size') : null;
+
+  const userId = await authenticatedUser(request, env);
+  const upload = userId ? await getUserCover(userId, isbn13, env) : null;
+  if (upload) {
+    // Replaceable by a new upload: revalidate (ETag) instead of immutable
+    const response = await serveCover(upload.object, upload.r2Key, size, request, env, {
+      cacheControl: 'private, no-cache',
+      ctx,
+    });
+    response.headers.append('Vary', 'Authorization');
+    return response;
+  }
+
+  const stored = await getStoredCover(isbn13, env);
+  if (!stored) {
+    return createErrorResponse(`No stored cover for ISBN ${isbn13}`, 404, ErrorCodes.NOT_FOUND, { isbn: isbn13 }, request);
+  }
+
+  const response = await serveCover(stored, stored.key, size, request, env, { ctx });
+  response.headers.append('Vary', 'Authorization'); // Same URL serves uploads
+  return response;
+}
+
+/**
+ * POST /v1/covers/:isbn/upload
+ *
+ * Stores a photo (JPEG, PNG or WebP body, up to MAX_UPLOAD_MB) as the
+ * requesting user's cover for an ISBN, replacing any earlier upload.
+ * ?crop=true crops it to the book first. Requires a user token.
+ */
+export async function handleUploadCover(
+  isbn: string,
+  env: any,
+  request: Request
+): Promise<Response> {
+  if (!isbn || !isValidISBN(isbn)) {
+    return createErrorResponse(
+      'Invalid ISBN. Must be a valid ISBN-10 or ISBN-13 (checksum verified)',
+      400,
+      ErrorCodes.INVALID_ISBN,
+      { isbn },
+      request
+    );
+  }
+
+  const userId = await authenticatedUser(request, env);
+  if (!userId) {
+    return createErrorResponse('Valid user token required', 401, ErrorCodes.UNAUTHORIZED, null, request);
+  }
+
+  try {
+    const isbn13 = toISBN13(isbn)!;
+    const photo = await request.arrayBuffer();
+
+    // Content-Length was checked by validateRequestSize(), but can be absent
+    if (photo.byteLength > MAX_UPLOAD_MB * 1024 * 1024) {
+      return createErrorResponse(
+        `File too large. Maximum ${MAX_UPLOAD_MB}MB allowed.`,
+        413,
+        ErrorCodes.FILE_TOO_LARGE,
+        { receivedBytes: photo.byteLength },
+        request
+      );
+    }
+
+    const info = imageInfo(photo);
+    if (!info || !UPLOAD_FORMATS.includes(info.format)) {
+      return createErrorResponse('Cover must be a JPEG, PNG or WebP image', 400, ErrorCodes.INVALID_FILE, null, request);
+    }
+
+    const crop = new URL(request.url).searchParams.get('crop') === 'true';
+    const upload = crop ? await cropToBook(photo, info, env) : { imageData: photo, info, cropped: false };
+    await storeUserCover(userId, isbn13, upload.imageData, upload.info, env);
+
+    const imageURL = new URL(`/v1/covers/${isbn13}/image`, request.url).toString();
+    return createSuccessResponse(
+      {
+        cover: {
+          isbn: isbn13,
+          url: imageURL,
+          source: 'user',
+          width: upload.info.width,
+          height: upload.info.height,
+          format: upload.info.format,
+          score: scoreCover(upload.info),
+          resolvedAt: new Date().toISOString(),
+        },
+        cropped: upload.cropped,
+      },
+      {},
+      201,
+      request
+    );
+  } catch (error: any) {
+    console.error('Error in v1 cover upload:', error);
+    return createErrorResponse(
+      error.message || 'Internal server error',
+      500,
+      ErrorCodes.INTERNAL_ERROR,
+      { error: error.toString() },
+      request
+    );
+  }
+}
+
+/**
+ * CoverDTO of a user's upload
+ */
+function userCover(isbn13: string, object: any, imageURL: string) {
+  const width = Number(object.customMetadata?.width) || 0;
+  const height = Number(object.customMetadata?.height) || 0;
+  return {
+    isbn: isbn13,
+    url: imageURL,
+    source: 'user' as const,
+    width,
+    height,
+    format: object.httpMetadata?.contentType?.replace('image/', '') || 'jpeg',
+    score: width && height ? scoreCover({ width, height }) : 0,
+    resolvedAt: object.customMetadata?.uploadedAt || new Date().toISOString(),
+  };
+}
@@ -2,7 +2,13 @@
  * GET /v1/search/advanced
  *
  * Advanced search for books by title and/or author using canonical response format
- * Returns up to 20 results for iOS search UI
+ * Returns up to 20 results per page for iOS search UI (filtered pages can run over)
+ * Pass metadata.nextCursor back as ?cursor= to fetch the next page
+ *
+ * Optional filters: language, format, yearFrom, yearTo, minPages, maxPages, genre
+ * metadata.facets holds language/format/genre counts for the provider results
+ * before filtering. Filtered searches fetch further provider pages (up to
+ * MAX_PROVIDER_PAGES) until the page is full or the provider runs out.
  */
 
 import type { BookSearchResponse } from '../../types/responses.js';
@@ -13,13 +19,29 @@ import { setCached } from '../../utils/cache.js';
 import { UnifiedCacheService } from '../../services/unified-cache.js';
 import { extractUniqueAuthors, removeAuthorsFromWorks, enrichAuthorsWithCulturalData } from '../../utils/response-transformer.js';
 import { CacheKeyFactory } from "../../services/cache-key-factory.js";
+import { decodeCursor, providerPageMetadata } from "../../utils/pagination-cursor.js";
+import { recordSearchResultSeries } from '../../services/series-index.ts';
+import {
+  parseSearchFilters,
+  hasSearchFilters,
+  toProviderFilters,
+  applySearchFilters,
+  computeFacets,
+  type SearchFilterParams,
+  type SearchFilters,
+} from "../../utils/search-filters.js";
+
+const PAGE_SIZE = 20;
+const MAX_PROVIDER_PAGES = 5; // Bounds provider calls for filters few results match
 
 export async function handleSearchAdvanced(
   title: string,
   author: string,
   env: any,
   ctx: ExecutionContext,
-  request: Request | null = null
+  request: Request | null = null,
+  cursor: string | null = null,
+  filterParams: SearchFilterParams = {}
 ): Promise<Response> {
   const startTime = Date.now();
 
@@ -37,20 +59,49 @@ export async function handleSearchAdvanced(
     );
   }
 
+  let filters: SearchFilters;
+  try {
+    filters = parseSearchFilters(filterParams);
+  } catch (error: any) {
+    return createErrorResponse(
+      error.message,
+      400,
+      ErrorCodes.INVALID_QUERY,
+      { filters: filterParams },
+      request
+    );
+  }
+
   try {
     // Normalize both title and author for consistent cache keys
-    const normalizedTitle = hasTitle ? normalizeTitle(title) : "";
+    const normalizedTitle = hasTitle ? normalizeTitle(title, { language: filters.language }) : "";
     const normalizedAuthor = hasAuthor ? normalizeAuthor(author) : "";
 
-    // Check cache first
-    const cacheKey = CacheKeyFactory.generic("v1:advanced", {
-      title: normalizedTitle,
-      author: normalizedAuthor,
-    });
+    const baseKey = CacheKeyFactory.advancedSearch({ title, author, filters });
+
+    // Resume from cursor (provider offsets of the next page)
+    let cursorState = null;
+    if (cursor) {
+      cursorState = await decodeCursor(cursor, baseKey, env);
+      if (!cursorState) {
+        return createErrorResponse(
+          "Invalid or expired pagination cursor",
+          400,
+          ErrorCodes.INVALID_CURSOR,
+          { title, author },
+          request
+        );
+      }
+    }
+
+    // Check cache first (unfiltered first page falls back to pre-Unicode key format for migration)
+    const cacheKey = CacheKeyFactory.searchPage(baseKey, cursorState);
+    const checkLegacyKeys = !cursorState && !hasSearchFilters(filters);
 
     const cache = new UnifiedCacheService(env, ctx);
     const cachedResult = await cache.get(cacheKey, "advanced", {
       query: `${title} ${author}`.trim(),
+      legacyKeys: checkLegacyKeys ? CacheKeyFactory.legacyKeys("v1:advanced", { title, author }) : [],
     });
 
     if (cachedResult?.data) {
@@ -68,75 +119,114 @@ export async function handleSearchAdvanced(
       );
     }
 
-    console.log(
-      `v1 advanced search - title: "${title}" (normalized: "${normalizedTitle}"), ` +
-        `author: "${author}" (normalized: "${normalizedAuthor}") ` +
-        `(using enrichMultipleBooks, maxResults: 20)`,
-    );
+    // Concurrent misses for the same page share one provider search (see single-flight.js)
+    const { data: fresh, coalesced } = await cache.coalesce(cacheKey, "advanced", async () => {
+      console.log(
+        `v1 advanced search - title: "${title}" (normalized: "${normalizedTitle}"), ` +
+          `author: "${author}" (normalized: "${normalizedAuthor}") ` +
+          `(using enrichMultipleBooks, maxResults: ${PAGE_SIZE})`,
+      );
 
-    // Use enrichMultipleBooks for search endpoints (returns up to 20 results)
-    const result = await enrichMultipleBooks(
-      {
-        title: normalizedTitle,
-        author: normalizedAuthor,
-      },
-      env,
-      { maxResults: 20 },
-    );
+      const query = { title: normalizedTitle, author: normalizedAuthor };
+      const providerFilters = toProviderFilters(filters);
+
+      // Use enrichMultipleBooks for search endpoints (returns up to 20 results)
+      const result = await enrichMultipleBooks(query, env, {
+        maxResults: PAGE_SIZE,
+        offsets: cursorState?.offsets,
+        filters: providerFilters,
+      });
+
+      if (!result || !result.works || result.works.length === 0) {
+        // No books found in any provider (not cached)
+        return {
+          success: true,
+          data: { works: [], editions: [], authors: [] },
+          meta: {
+            processingTime: Date.now() - startTime,
+            provider: "none",
+            cached: false,
+            hasMore: false,
+          },
+        };
+      }
 
-    if (!result || !result.works || result.works.length === 0) {
-      // No books found in any provider
-      return createSuccessResponse(
-        { works: [], editions: [], authors: [] },
-        {
+      // Facets count the provider results; filters then narrow them. Pages
+      // filters thin out are topped up from the provider's next pages, and
+      // keep every match of the last one (so may run over PAGE_SIZE).
+      let pagination = result.pagination;
+      const facets = computeFacets(result.works, result.editions);
+      const filtered = applySearchFilters(result.works, result.editions, filters);
+      let providerPages = 1;
+      while (
+        hasSearchFilters(filters) &&
+        filtered.works.length < PAGE_SIZE &&
+        pagination?.hasMore &&
+        providerPages++ < MAX_PROVIDER_PAGES
+      ) {
+        const next = await enrichMultipleBooks(query, env, {
+          maxResults: PAGE_SIZE,
+          offsets: { [pagination.provider]: pagination.nextOffset },
+          filters: providerFilters,
+        });
+        if (!next.works?.length) {
+          break;
+        }
+        pagination = next.pagination;
+        computeFacets(next.works, next.editions, facets);
+        const matched = applySearchFilters(next.works, next.editions, filters);
+        filtered.works.push(...matched.works);
+        filtered.editions.push(...matched.editions);
+      }
+
+      // Series seen here become listable via GET /v1/series/:id
+      await recordSearchResultSeries(env, ctx, filtered.works, filtered.editions);
+
+      // Extract all unique authors from works
+      const baseAuthors = extractUniqueAuthors(filtered.works);
+
+      // Enrich authors with cultural diversity data from Wikidata
+      const authors = await enrichAuthorsWithCulturalData(baseAuthors, env);
+
+      // Remove authors property from works (not part of canonical WorkDTO)
+      const cleanWorks = removeAuthorsFromWorks(filtered.works);
+
+      const pageMetadata = await providerPageMetadata(baseKey, pagination, env);
+
+      // Write to cache (6h TTL, same as /search/title)
+      // Note: We need to cache the legacy format for backward compatibility with existing cache
+      const legacyResponseObject = {
+        success: true,
+        data: {
+          works: cleanWorks,
+          editions: filtered.editions,
+          authors,
+          totalResults: result.pagination?.totalResults,
+        },
+        meta: {
+          timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime,
-          provider: "none",
+          provider: cleanWorks[0]?.primaryProvider, // Use actual provider from enriched work
           cached: false,
-        },
-        200,
-        request
+          facets,
+          ...pageMetadata,
+        }
+      };
+      const ttl = 6 * 60 * 60; // 21600 seconds
+      ctx.waitUntil(setCached(cacheKey, legacyResponseObject, ttl, env));
+      console.log(
+        `💾 Cache WRITE: /v1/search/advanced (${cacheKey}, TTL: ${ttl}s)`,
       );
-    }
-
-    // Extract all unique authors from works
-    const baseAuthors = extractUniqueAuthors(result.works);
 
-    // Enrich authors with cultural diversity data from Wikidata
-    const authors = await enrichAuthorsWithCulturalData(baseAuthors, env);
-
-    // Remove authors property from works (not part of canonical WorkDTO)
-    const cleanWorks = removeAuthorsFromWorks(result.works);
+      return legacyResponseObject;
+    });
 
-    const response = createSuccessResponse(
-      { works: cleanWorks, editions: result.editions, authors },
-      {
-        processingTime: Date.now() - startTime,
-        provider: cleanWorks[0]?.primaryProvider, // Use actual provider from enriched work
-        cached: false,
-      },
+    return createSuccessResponse(
+      fresh.data,
+      coalesced ? { ...fresh.meta, coalesced: true } : fresh.meta,
       200,
       request
     );
-
-    // Write to cache (6h TTL, same as /search/title)
-    // Note: We need to cache the legacy format for backward compatibility with existing cache
-    const legacyResponseObject = {
-      success: true,
-      data: { works: cleanWorks, editions: result.editions, authors },
-      meta: {
-        timestamp: new Date().toISOString(),
-        processingTime: Date.now() - startTime,
-        provider: cleanWorks[0]?.primaryProvider,
-        cached: false,
-      }
-    };
-    const ttl = 6 * 60 * 60; // 21600 seconds
-    ctx.waitUntil(setCached(cacheKey, legacyResponseObject, ttl, env));
-    console.log(
-      `💾 Cache WRITE: /v1/search/advanced (${cacheKey}, TTL: ${ttl}s)`,
-    );
-
-    return response;
   } catch (error: any) {
     console.error("Error in v1 advanced search:", error);
     return createErrorResponse(
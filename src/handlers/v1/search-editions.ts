@@ -3,22 +3,34 @@
  *
  * Search for all editions of a specific work by title and author
  * Used by iOS "Find Different Edition" feature
+ *
+ * Paginated by position in the merged, deduplicated edition list:
+ * pass metadata.nextCursor back as ?cursor= to fetch the next page
+ *
+ * Optional ?language= (ISO 639-1) is the work title's language, for its
+ * leading articles; edition titles are normalized in their own language.
  */
 
 import type { BookSearchResponse } from '../../types/responses.js';
 import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../../utils/response-builder.js';
-import { normalizeTitle, normalizeAuthor, normalizeISBN } from '../../utils/normalization.js';
-import { setCached, generateCacheKey } from '../../utils/cache.js';
+import { normalizeTitle, normalizeAuthor, tokenizeTitle } from '../../utils/normalization.js';
+import { canonicalISBN } from '../../utils/isbn.js';
+import { setCached } from '../../utils/cache.js';
 import { UnifiedCacheService } from '../../services/unified-cache.js';
+import { setNegativeCached } from '../../services/negative-cache.js';
+import { CacheKeyFactory } from '../../services/cache-key-factory.js';
+import { decodeCursor, encodeCursor } from '../../utils/pagination-cursor.js';
+import { normalizeLanguageCode } from '../../utils/search-filters.js';
 import { extractUniqueAuthors, removeAuthorsFromWorks } from '../../utils/response-transformer.js';
 import * as externalApis from '../../services/external-apis.ts';
+import { getProviders } from '../../providers/index.ts';
 import type { EditionDTO, WorkDTO, AuthorDTO } from '../../types/canonical.js';
 
 /**
  * Calculate Levenshtein distance for fuzzy string matching
  * Used to match title variations (e.g., "The Martian" vs "Martian, The")
  */
-function levenshteinDistance(str1: string, str2: string): number {
+function levenshteinDistance(str1: string | string[], str2: string | string[]): number {
   const len1 = str1.length;
   const len2 = str2.length;
   const matrix: number[][] = [];
@@ -46,27 +58,52 @@ function levenshteinDistance(str1: string, str2: string): number {
   return matrix[len1][len2];
 }
 
+/**
+ * Check if `needle` appears as a contiguous run of tokens inside `haystack`
+ * Word-level for spaced scripts ("it" does not match "italy"),
+ * character-level for CJK (tokenizeTitle splits CJK runs per character)
+ */
+function containsTokens(haystack: string[], needle: string[]): boolean {
+  if (needle.length === 0 || needle.length > haystack.length) return false;
+
+  for (let start = 0; start <= haystack.length - needle.length; start++) {
+    if (needle.every((token, i) => haystack[start + i] === token)) {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * Check if two titles are similar enough to be considered the same work
  * Uses normalized Levenshtein distance (threshold: 0.3 = 30% difference allowed)
+ * Each title is normalized in its own language (ISO 639-1 or MARC code, default English)
  */
-function isTitleMatch(title1: string, title2: string): boolean {
-  const normalized1 = normalizeTitle(title1);
-  const normalized2 = normalizeTitle(title2);
+function isTitleMatch(title1: string, title2: string, language1?: string, language2?: string): boolean {
+  const options1 = { language: language1 ? normalizeLanguageCode(language1) : undefined };
+  const options2 = { language: language2 ? normalizeLanguageCode(language2) : undefined };
+  const normalized1 = normalizeTitle(title1, options1);
+  const normalized2 = normalizeTitle(title2, options2);
+
+  // Titles with no letters or digits (e.g. only punctuation) never match
+  if (normalized1.length === 0 || normalized2.length === 0) return false;
   
   // Exact match after normalization
   if (normalized1 === normalized2) return true;
   
   // Check if one title contains the other (for subtitle variations)
-  if (normalized1.includes(normalized2) || normalized2.includes(normalized1)) {
+  const tokens1 = tokenizeTitle(title1, options1);
+  const tokens2 = tokenizeTitle(title2, options2);
+  if (containsTokens(tokens1, tokens2) || containsTokens(tokens2, tokens1)) {
     return true;
   }
   
-  // Fuzzy match using Levenshtein distance
-  const maxLen = Math.max(normalized1.length, normalized2.length);
-  if (maxLen === 0) return false;
+  // Fuzzy match using Levenshtein distance (code points, not UTF-16 units)
+  const chars1 = Array.from(normalized1);
+  const chars2 = Array.from(normalized2);
+  const maxLen = Math.max(chars1.length, chars2.length);
   
-  const distance = levenshteinDistance(normalized1, normalized2);
+  const distance = levenshteinDistance(chars1, chars2);
   const similarity = 1 - (distance / maxLen);
   
   return similarity >= 0.7; // 70% similarity threshold
@@ -87,36 +124,6 @@ function isAuthorMatch(searchAuthor: string, editionAuthors: string[]): boolean
   });
 }
 
-/**
- * Convert ISBN-10 to ISBN-13 for deduplication
- * ISBN-13 = 978 + first 9 digits of ISBN-10 + new check digit
- */
-function isbn10To13(isbn10: string): string {
-  if (isbn10.length !== 10) return isbn10;
-  
-  const base = '978' + isbn10.substring(0, 9);
-  let sum = 0;
-  
-  for (let i = 0; i < 12; i++) {
-    const digit = parseInt(base[i]);
-    sum += digit * (i % 2 === 0 ? 1 : 3);
-  }
-  
-  const checkDigit = (10 - (sum % 10)) % 10;
-  return base + checkDigit;
-}
-
-/**
- * Normalize ISBN to ISBN-13 format for deduplication
- */
-function normalizeISBNForDedup(isbn: string): string {
-  const cleaned = normalizeISBN(isbn);
-  if (cleaned.length === 10) {
-    return isbn10To13(cleaned);
-  }
-  return cleaned;
-}
-
 /**
  * Deduplicate editions by ISBN (handles ISBN-10/ISBN-13 equivalents)
  * Returns the edition with the highest quality score for each unique ISBN
@@ -128,11 +135,11 @@ function deduplicateEditions(editions: EditionDTO[]): EditionDTO[] {
     // Get all ISBNs for this edition (primary + array)
     const isbns = new Set<string>();
     if (edition.isbn) {
-      isbns.add(normalizeISBNForDedup(edition.isbn));
+      isbns.add(canonicalISBN(edition.isbn));
     }
     for (const isbn of edition.isbns || []) {
       if (isbn) {
-        isbns.add(normalizeISBNForDedup(isbn));
+        isbns.add(canonicalISBN(isbn));
       }
     }
     
@@ -203,7 +210,9 @@ export async function handleSearchEditions(
   limit: number = 20,
   env: any,
   ctx: ExecutionContext,
-  request: Request | null = null
+  request: Request | null = null,
+  cursor: string | null = null,
+  language: string | null = null
 ): Promise<Response> {
   const startTime = Date.now();
 
@@ -228,20 +237,47 @@ export async function handleSearchEditions(
     );
   }
 
+  const titleLanguage = language?.trim() ? normalizeLanguageCode(language) : undefined;
+  if (titleLanguage && !/^[a-z]{2,3}$/.test(titleLanguage)) {
+    return createErrorResponse(
+      'language must be an ISO 639-1 code (e.g. "en")',
+      400,
+      ErrorCodes.INVALID_QUERY,
+      { workTitle, author, language },
+      request
+    );
+  }
+
   try {
     // Normalize inputs for consistent cache keys and matching
-    const normalizedTitle = normalizeTitle(workTitle);
+    const normalizedTitle = normalizeTitle(workTitle, { language: titleLanguage });
     const normalizedAuthor = normalizeAuthor(author);
 
+    const baseKey = CacheKeyFactory.editionsSearch({ title: workTitle, author, language: titleLanguage });
+
+    // Resume from cursor (position in the merged edition list)
+    let cursorState = null;
+    if (cursor) {
+      cursorState = await decodeCursor(cursor, baseKey, env);
+      if (!cursorState) {
+        return createErrorResponse(
+          'Invalid or expired pagination cursor',
+          400,
+          ErrorCodes.INVALID_CURSOR,
+          { workTitle, author },
+          request
+        );
+      }
+    }
+    const position = cursorState?.position || 0;
+
     // Check cache first (7-day TTL as specified)
-    const cacheKey = generateCacheKey('v1:editions', {
-      title: normalizedTitle,
-      author: normalizedAuthor
-    });
+    const cacheKey = CacheKeyFactory.searchPage(baseKey, cursorState, cursorState ? limit : undefined);
 
     const cache = new UnifiedCacheService(env, ctx);
     const cachedResult = await cache.get(cacheKey, 'editions', {
-      query: `${workTitle} by ${author}`
+      query: `${workTitle} by ${author}`,
+      legacyKeys: cursorState ? [] : CacheKeyFactory.legacyKeys('v1:editions', { title: workTitle, author, language: titleLanguage })
     });
 
     if (cachedResult?.data) {
@@ -258,63 +294,122 @@ export async function handleSearchEditions(
       );
     }
 
-    console.log(
-      `v1 editions search - workTitle: "${workTitle}" (normalized: "${normalizedTitle}"), ` +
-      `author: "${author}" (normalized: "${normalizedAuthor}"), limit: ${limit}`
-    );
+    if (await cache.isKnownMissing(cacheKey)) {
+      return createErrorResponse(
+        `No editions found for "${workTitle}" by ${author}`,
+        404,
+        ErrorCodes.NOT_FOUND,
+        { workTitle, author, cached: true, processingTime: Date.now() - startTime },
+        request
+      );
+    }
 
-    // Primary: Query ISBNdb for editions (trim to handle whitespace)
-    const isbndbResult = await externalApis.getISBNdbEditionsForWork(
-      workTitle.trim(),
-      author.trim(),
-      env
-    );
+    // Concurrent misses for the same page share one provider search (see single-flight.js)
+    const { data: fresh, coalesced } = await cache.coalesce(cacheKey, 'editions', async () => {
+      console.log(
+        `v1 editions search - workTitle: "${workTitle}" (normalized: "${normalizedTitle}"), ` +
+        `author: "${author}" (normalized: "${normalizedAuthor}"), limit: ${limit}`
+      );
 
-    // Fallback: Query Google Books for additional coverage (trim to handle whitespace)
-    const googleQuery = `intitle:"${workTitle.trim()}" inauthor:"${author.trim()}"`;
-    const googleResult = await externalApis.searchGoogleBooks(
-      googleQuery,
-      { maxResults: 40 }, // Request more to account for filtering
-      env
-    );
+      // Primary: providers with an editions lookup (ISBNdb, when configured)
+      let allEditions: EditionDTO[] = [];
+      for (const provider of getProviders(env, 'editions')) {
+        const editions = await provider.getEditions!(workTitle.trim(), author.trim(), env);
+        if (editions) {
+          allEditions = allEditions.concat(editions);
+        }
+      }
 
-    // Combine editions from both providers
-    let allEditions: EditionDTO[] = [];
+      // Fallback: Query Google Books for additional coverage (trim to handle whitespace)
+      const googleQuery = `intitle:"${workTitle.trim()}" inauthor:"${author.trim()}"`;
+      const googleResult = await externalApis.searchGoogleBooks(
+        googleQuery,
+        { maxResults: 40 }, // Request more to account for filtering
+        env
+      );
 
-    // ISBNdb returns EditionDTO[] | null
-    if (isbndbResult && Array.isArray(isbndbResult)) {
-      allEditions = allEditions.concat(isbndbResult);
-    }
+      // Google Books returns NormalizedResponse | null (with {works, editions, authors})
+      if (googleResult && googleResult.editions) {
+        allEditions = allEditions.concat(googleResult.editions);
+      }
 
-    // Google Books returns NormalizedResponse | null (with {works, editions, authors})
-    if (googleResult && googleResult.editions) {
-      allEditions = allEditions.concat(googleResult.editions);
-    }
+      // Filter editions to ensure they match the work
+      const filteredEditions = allEditions.filter(edition => {
+        // Check title match (fuzzy)
+        const titleMatches = edition.title && isTitleMatch(workTitle, edition.title, titleLanguage, edition.language);
+        if (!titleMatches) return false;
+
+        // Check author match (if we have author data for the edition)
+        // Note: Some editions might not have author data, we'll be lenient
+        if (!edition.isbn && !edition.isbns?.length) {
+          // Skip editions without any ISBN
+          return false;
+        }
 
-    // Filter editions to ensure they match the work
-    const filteredEditions = allEditions.filter(edition => {
-      // Check title match (fuzzy)
-      const titleMatches = edition.title && isTitleMatch(workTitle, edition.title);
-      if (!titleMatches) return false;
-
-      // Check author match (if we have author data for the edition)
-      // Note: Some editions might not have author data, we'll be lenient
-      if (!edition.isbn && !edition.isbns?.length) {
-        // Skip editions without any ISBN
-        return false;
+        return true;
+      });
+
+      // Deduplicate by ISBN
+      const uniqueEditions = deduplicateEditions(filteredEditions);
+
+      // Sort by format and date
+      const sortedEditions = sortEditions(uniqueEditions);
+
+      // No editions BEFORE applying limit: NOT_FOUND, cached briefly (provider
+      // errors throw instead, so they never reach the negative cache)
+      if (sortedEditions.length === 0) {
+        ctx.waitUntil(setNegativeCached(cacheKey, env));
+        return null;
       }
 
-      return true;
-    });
+      // Apply cursor position and limit
+      const limitedEditions = sortedEditions.slice(position, position + limit);
+      const hasMore = position + limit < sortedEditions.length;
+      const nextCursor = hasMore
+        ? await encodeCursor(baseKey, { position: position + limit }, env)
+        : undefined;
+
+      // Determine provider for metadata
+      let provider = 'none';
+      if (limitedEditions.length > 0) {
+        const providers = new Set(
+          limitedEditions.map(e => e.primaryProvider).filter(Boolean)
+        );
+        if (providers.size === 1) {
+          provider = Array.from(providers)[0] || 'unknown';
+        } else if (providers.size > 1) {
+          provider = 'orchestrated:' + Array.from(providers).join('+');
+        }
+      }
 
-    // Deduplicate by ISBN
-    const uniqueEditions = deduplicateEditions(filteredEditions);
+      const responseData = {
+        works: [], // Empty - not needed for editions endpoint
+        editions: limitedEditions,
+        authors: [], // Empty - not needed for editions endpoint
+        totalResults: sortedEditions.length
+      };
+
+      // Write to cache (7-day TTL as specified) - save legacy format for compatibility
+      const legacyResponseObject = {
+        success: true,
+        data: responseData,
+        meta: {
+          timestamp: new Date().toISOString(),
+          processingTime: Date.now() - startTime,
+          provider,
+          cached: false,
+          hasMore,
+          nextCursor,
+        }
+      };
+      const ttl = 7 * 24 * 60 * 60; // 604800 seconds
+      ctx.waitUntil(setCached(cacheKey, legacyResponseObject, ttl, env));
+      console.log(`💾 Cache WRITE: /v1/editions/search (${cacheKey}, TTL: ${ttl}s)`);
 
-    // Sort by format and date
-    const sortedEditions = sortEditions(uniqueEditions);
+      return legacyResponseObject;
+    });
 
-    // If we found no editions BEFORE applying limit, return NOT_FOUND error
-    if (sortedEditions.length === 0) {
+    if (!fresh) {
       return createErrorResponse(
         `No editions found for "${workTitle}" by ${author}`,
         404,
@@ -324,55 +419,12 @@ export async function handleSearchEditions(
       );
     }
 
-    // Apply limit
-    const limitedEditions = sortedEditions.slice(0, limit);
-
-    // Determine provider for metadata
-    let provider = 'none';
-    if (limitedEditions.length > 0) {
-      const providers = new Set(
-        limitedEditions.map(e => e.primaryProvider).filter(Boolean)
-      );
-      if (providers.size === 1) {
-        provider = Array.from(providers)[0] || 'unknown';
-      } else if (providers.size > 1) {
-        provider = 'orchestrated:' + Array.from(providers).join('+');
-      }
-    }
-
-    const responseData = {
-      works: [], // Empty - not needed for editions endpoint
-      editions: limitedEditions,
-      authors: [] // Empty - not needed for editions endpoint
-    };
-
-    const response = createSuccessResponse(
-      responseData,
-      {
-        processingTime: Date.now() - startTime,
-        provider,
-        cached: false,
-      },
+    return createSuccessResponse(
+      fresh.data,
+      coalesced ? { ...fresh.meta, coalesced: true } : fresh.meta,
       200,
       request
     );
-
-    // Write to cache (7-day TTL as specified) - save legacy format for compatibility
-    const legacyResponseObject = {
-      success: true,
-      data: responseData,
-      meta: {
-        timestamp: new Date().toISOString(),
-        processingTime: Date.now() - startTime,
-        provider,
-        cached: false,
-      }
-    };
-    const ttl = 7 * 24 * 60 * 60; // 604800 seconds
-    ctx.waitUntil(setCached(cacheKey, legacyResponseObject, ttl, env));
-    console.log(`💾 Cache WRITE: /v1/editions/search (${cacheKey}, TTL: ${ttl}s)`);
-
-    return response;
   } catch (error: any) {
     console.error('Error in v1 editions search:', error);
 
@@ -0,0 +1,210 @@
+/**
+ * POST /v1/search/isbn/batch
+ *
+ * Look up many ISBNs in one request (barcode stacks, library sync)
+ * Body: { isbns: string[] } - up to 100 ISBN-10s and/or ISBN-13s
+ *
+ * Each ISBN is served from cache first; misses go to ISBNdb's bulk endpoint,
+ * then Google Books for anything ISBNdb didn't return. Failures are reported
+ * per ISBN - one bad ISBN never fails the whole batch. Results are keyed by
+ * each ISBN exactly as sent, so clients can look up what they asked for.
+ */
+
+import type { ISBNBatchItem, ISBNBatchResponse } from '../../types/responses.js';
+import type { AuthorDTO } from '../../types/canonical.js';
+import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../../utils/response-builder.js';
+import { cleanISBN, isValidISBN, toISBN13 } from '../../utils/isbn.js';
+import { setCached } from '../../utils/cache.js';
+import { UnifiedCacheService } from '../../services/unified-cache.js';
+import { CacheKeyFactory } from '../../services/cache-key-factory.js';
+import { getISBNdbBooksByISBNs, searchGoogleBooksByISBN } from '../../services/external-apis.ts';
+import { removeAuthorsFromWorks, enrichAuthorsWithCulturalData } from '../../utils/response-transformer.js';
+
+const MAX_BATCH_SIZE = 100;
+const GOOGLE_BOOKS_CONCURRENCY = 10;
+const ISBN_CACHE_TTL = 365 * 24 * 60 * 60; // ISBN metadata never changes (matches KVCacheService)
+
+export async function handleSearchISBNBatch(
+  request: Request,
+  env: any,
+  ctx: ExecutionContext
+): Promise<Response> {
+  const startTime = Date.now();
+
+  let body: any;
+  try {
+    body = await request.json();
+  } catch {
+    return createErrorResponse('Request body must be JSON', 400, ErrorCodes.INVALID_REQUEST, null, request);
+  }
+
+  const isbns = body?.isbns;
+  if (!Array.isArray(isbns)) {
+    return createErrorResponse('isbns must be an array', 400, ErrorCodes.INVALID_REQUEST, null, request);
+  }
+
+  if (isbns.length === 0) {
+    return createErrorResponse('Empty isbns array', 400, ErrorCodes.EMPTY_BATCH, null, request);
+  }
+
+  if (isbns.length > MAX_BATCH_SIZE) {
+    return createErrorResponse(
+      `Batch size exceeds maximum of ${MAX_BATCH_SIZE} ISBNs`,
+      400,
+      ErrorCodes.BATCH_TOO_LARGE,
+      { count: isbns.length },
+      request
+    );
+  }
+
+  try {
+    const results: Record<string, ISBNBatchItem> = {};
+    const byISBN: Record<string, ISBNBatchItem> = {}; // Keyed by lookup form
+    const inputs = new Map<string, string | null>(); // Input → lookup form (null if invalid)
+    const lookupForms = new Map<string, string>(); // ISBN-13 → lookup form
+    let invalidCount = 0;
+
+    // Validate and deduplicate: hyphenated, ISBN-10 and ISBN-13 forms of the
+    // same book are looked up once, in the first form given
+    for (const raw of isbns) {
+      const input = typeof raw === 'string' ? raw : String(raw);
+      if (inputs.has(input)) {
+        continue;
+      }
+      if (typeof raw !== 'string' || !isValidISBN(raw)) {
+        inputs.set(input, null);
+        invalidCount++;
+        continue;
+      }
+
+      const isbn13 = toISBN13(raw)!;
+      if (!lookupForms.has(isbn13)) {
+        lookupForms.set(isbn13, cleanISBN(raw));
+      }
+      inputs.set(input, lookupForms.get(isbn13)!);
+    }
+    const pending = Array.from(lookupForms.values());
+    const uniqueCount = pending.length;
+
+    // 1. Cache (Edge → KV)
+    const cache = new UnifiedCacheService(env, ctx);
+    const cacheResults = await Promise.all(
+      pending.map((isbn) => cache.get(CacheKeyFactory.isbnLookup(isbn), 'isbn', { query: isbn }))
+    );
+    let misses = pending.filter((isbn, i) => {
+      const cached = cacheResults[i];
+      if (cached?.data) {
+        byISBN[isbn] = { ...cached.data, cached: true };
+        return false;
+      }
+      return true;
+    });
+    const cachedCount = uniqueCount - misses.length;
+
+    // 2. ISBNdb bulk lookup
+    const fetched: Record<string, ISBNBatchItem> = {};
+    if (misses.length > 0) {
+      try {
+        const isbndbBooks = await getISBNdbBooksByISBNs(misses, env);
+        misses = misses.filter((isbn) => {
+          const book = isbndbBooks.get(isbn);
+          if (book) {
+            fetched[isbn] = { work: book.work, edition: book.edition, authors: book.authors };
+            return false;
+          }
+          return true;
+        });
+      } catch (error) {
+        // Best-effort: fall through to Google Books for every miss
+        console.error('ISBN batch: ISBNdb bulk lookup failed:', error);
+      }
+    }
+
+    // 3. Google Books for the rest (bounded concurrency)
+    for (let i = 0; i < misses.length; i += GOOGLE_BOOKS_CONCURRENCY) {
+      const batch = misses.slice(i, i + GOOGLE_BOOKS_CONCURRENCY);
+      await Promise.all(
+        batch.map(async (isbn) => {
+          try {
+            const googleResult = await searchGoogleBooksByISBN(isbn, env);
+            if (!googleResult || googleResult.works.length === 0) {
+              byISBN[isbn] = { error: { message: 'Book not found', code: ErrorCodes.NOT_FOUND } };
+              return;
+            }
+            fetched[isbn] = {
+              work: removeAuthorsFromWorks(googleResult.works)[0],
+              edition: googleResult.editions[0] || null,
+              authors: googleResult.works[0].authors || googleResult.authors,
+            };
+          } catch (error: any) {
+            console.error(`ISBN batch: Google Books lookup failed for ${isbn}:`, error);
+            byISBN[isbn] = {
+              error: { message: error.message || 'Provider error', code: ErrorCodes.PROVIDER_ERROR },
+            };
+          }
+        })
+      );
+    }
+
+    // Cultural diversity data for all newly fetched authors in one pass
+    const fetchedAuthors = new Map<string, AuthorDTO>();
+    Object.values(fetched).forEach((item) =>
+      item.authors?.forEach((author) => fetchedAuthors.set(author.name, author))
+    );
+    const enrichedAuthors = await enrichAuthorsWithCulturalData(Array.from(fetchedAuthors.values()), env);
+    const enrichedByName = new Map(enrichedAuthors.map((author) => [author.name, author]));
+
+    for (const [isbn, item] of Object.entries(fetched)) {
+      const book = {
+        ...item,
+        authors: (item.authors || []).map((author) => enrichedByName.get(author.name) || author),
+      };
+      byISBN[isbn] = { ...book, cached: false };
+      ctx.waitUntil(setCached(CacheKeyFactory.isbnLookup(isbn), book, ISBN_CACHE_TTL, env));
+    }
+
+    for (const [input, isbn] of inputs) {
+      results[input] = isbn
+        ? byISBN[isbn]
+        : {
+            error: { message: 'Invalid ISBN. Must be a valid ISBN-10 or ISBN-13 (checksum verified)', code: ErrorCodes.INVALID_ISBN },
+          };
+    }
+
+    const foundCount = cachedCount + Object.keys(fetched).length;
+    const responseData: ISBNBatchResponse = {
+      results,
+      summary: {
+        requested: isbns.length,
+        unique: uniqueCount,
+        found: foundCount,
+        cached: cachedCount,
+        failed: uniqueCount - foundCount + invalidCount,
+      },
+    };
+
+    console.log(
+      `v1 ISBN batch: ${isbns.length} requested, ${uniqueCount} unique, ` +
+        `${cachedCount} cached, ${foundCount} found`
+    );
+
+    return createSuccessResponse(
+      responseData,
+      {
+        processingTime: Date.now() - startTime,
+        cached: uniqueCount > 0 && cachedCount === uniqueCount,
+      },
+      200,
+      request
+    );
+  } catch (error: any) {
+    console.error('Error in v1 ISBN batch search:', error);
+    return createErrorResponse(
+      error.message || 'Internal server error',
+      500,
+      ErrorCodes.INTERNAL_ERROR,
+      { error: error.toString(), processingTime: Date.now() - startTime },
+      request
+    );
+  }
+}
@@ -8,33 +8,18 @@
 import type { BookSearchResponse } from '../../types/responses.js';
 import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../../utils/response-builder.js';
 import { enrichMultipleBooks } from '../../services/enrichment.ts';
-import { normalizeISBN } from '../../utils/normalization.js';
+import { isValidISBN, toISBN13 } from '../../utils/isbn.js';
 import { extractUniqueAuthors, removeAuthorsFromWorks, enrichAuthorsWithCulturalData } from '../../utils/response-transformer.js';
 import { writeCacheMetrics } from '../../utils/analytics.js';
-
-/**
- * Validate ISBN-10 or ISBN-13 format
- * ISBN-10: 10 digits (or 9 digits + X)
- * ISBN-13: 13 digits
- */
-function isValidISBN(isbn: string): boolean {
-  if (!isbn || isbn.trim().length === 0) return false;
-
-  const cleaned = isbn.replace(/[-\s]/g, ''); // Remove hyphens and spaces
-
-  // ISBN-13: exactly 13 digits
-  if (cleaned.length === 13 && /^\d{13}$/.test(cleaned)) return true;
-
-  // ISBN-10: 9 digits + (digit or X)
-  if (cleaned.length === 10 && /^\d{9}[\dX]$/i.test(cleaned)) return true;
-
-  return false;
-}
+import { CacheKeyFactory } from '../../services/cache-key-factory.js';
+import { isNegativelyCached, setNegativeCached } from '../../services/negative-cache.js';
+import { recordSearchResultSeries } from '../../services/series-index.ts';
 
 export async function handleSearchISBN(
   isbn: string,
   env: any,
-  request: Request | null = null
+  request: Request | null = null,
+  ctx: ExecutionContext | null = null
 ): Promise<Response> {
   const startTime = Date.now();
 
@@ -51,7 +36,7 @@ export async function handleSearchISBN(
 
   if (!isValidISBN(isbn)) {
     return createErrorResponse(
-      'Invalid ISBN format. Must be valid ISBN-10 or ISBN-13',
+      'Invalid ISBN. Must be a valid ISBN-10 or ISBN-13 (checksum verified)',
       400,
       ErrorCodes.INVALID_ISBN,
       { isbn },
@@ -60,22 +45,35 @@ export async function handleSearchISBN(
   }
 
   try {
-    // Normalize ISBN for consistent cache keys
-    const normalizedISBN = normalizeISBN(isbn);
+    // Canonical ISBN-13 so both forms of the same book are logged and looked up alike
+    const normalizedISBN = toISBN13(isbn)!;
     console.log(`v1 ISBN search for "${isbn}" (normalized: "${normalizedISBN}") (using enrichMultipleBooks)`);
 
+    // ISBNs no provider knew a moment ago are answered from the negative cache
+    const cacheKey = CacheKeyFactory.isbnLookup(normalizedISBN);
+    const knownMissing = await isNegativelyCached(cacheKey, env);
+
     // Use enrichMultipleBooks for consistency with other v1 search endpoints
-    const result = await enrichMultipleBooks({ isbn: normalizedISBN }, env, { maxResults: 1 });
+    const result = knownMissing
+      ? null
+      : await enrichMultipleBooks({ isbn: normalizedISBN }, env, { maxResults: 1 });
 
     const processingTime = Date.now() - startTime;
 
     if (!result || !result.works || result.works.length === 0) {
-      // Book not found in any provider
+      // Book not found in any provider. Only cache that if every provider
+      // answered: after a provider error the book may well exist.
+      if (result && !result.failedProviders?.length) {
+        const write = setNegativeCached(cacheKey, env);
+        if (ctx) ctx.waitUntil(write);
+        else await write;
+      }
+
       // Still log to Analytics Engine for ISBN harvest tracking
       await writeCacheMetrics(env, {
         endpoint: '/v1/search/isbn',
         isbn: normalizedISBN,
-        cacheHit: false,
+        cacheHit: knownMissing,
         responseTime: processingTime,
         imageQuality: 'NONE',
         dataCompleteness: 0,
@@ -87,13 +85,17 @@ export async function handleSearchISBN(
         {
           processingTime,
           provider: 'none',
-          cached: false,
+          cached: knownMissing,
+          ...(knownMissing ? { negativeCache: true } : {}),
         },
         200,
         request
       );
     }
 
+    // Series seen here become listable via GET /v1/series/:id
+    await recordSearchResultSeries(env, ctx, result.works, result.editions);
+
     // Extract all unique authors from works
     const baseAuthors = extractUniqueAuthors(result.works);
 
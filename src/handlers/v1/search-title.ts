@@ -2,7 +2,10 @@
  * GET /v1/search/title
  *
  * Search for books by title using canonical response format
- * Returns up to 20 results for iOS search UI
+ * Returns up to 20 results per page for iOS search UI
+ * Pass metadata.nextCursor back as ?cursor= to fetch the next page
+ * Optional ?language= (ISO 639-1) is the title's language, so its leading
+ * articles are stripped ("Les Misérables" with language=fr → "miserables")
  */
 
 import type { BookSearchResponse } from '../../types/responses.js';
@@ -10,11 +13,19 @@ import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../../ut
 import { enrichMultipleBooks } from '../../services/enrichment.ts';
 import { normalizeTitle } from '../../utils/normalization.js';
 import { extractUniqueAuthors, removeAuthorsFromWorks, enrichAuthorsWithCulturalData } from '../../utils/response-transformer.js';
+import { CacheKeyFactory } from '../../services/cache-key-factory.js';
+import { decodeCursor, providerPageMetadata } from '../../utils/pagination-cursor.js';
+import { normalizeLanguageCode } from '../../utils/search-filters.js';
+import { isNegativelyCached, setNegativeCached } from '../../services/negative-cache.js';
+import { recordSearchResultSeries } from '../../services/series-index.ts';
 
 export async function handleSearchTitle(
   query: string,
   env: any,
-  request: Request | null = null
+  request: Request | null = null,
+  cursor: string | null = null,
+  language: string | null = null,
+  ctx: ExecutionContext | null = null
 ): Promise<Response> {
   const startTime = Date.now();
 
@@ -29,28 +40,75 @@ export async function handleSearchTitle(
     );
   }
 
+  const titleLanguage = language?.trim() ? normalizeLanguageCode(language) : undefined;
+  if (titleLanguage && !/^[a-z]{2,3}$/.test(titleLanguage)) {
+    return createErrorResponse(
+      'language must be an ISO 639-1 code (e.g. "en")',
+      400,
+      ErrorCodes.INVALID_QUERY,
+      { query, language },
+      request
+    );
+  }
+
   try {
     // Normalize title for consistent cache keys
-    const normalizedTitle = normalizeTitle(query);
+    const normalizedTitle = normalizeTitle(query, { language: titleLanguage });
+    const baseKey = CacheKeyFactory.titleSearch(query, titleLanguage);
+
+    // Resume from cursor (provider offsets of the next page)
+    let offsets;
+    if (cursor) {
+      const cursorState = await decodeCursor(cursor, baseKey, env);
+      if (!cursorState) {
+        return createErrorResponse(
+          'Invalid or expired pagination cursor',
+          400,
+          ErrorCodes.INVALID_CURSOR,
+          { query },
+          request
+        );
+      }
+      offsets = cursorState.offsets;
+    }
+
     console.log(`v1 title search for "${query}" (normalized: "${normalizedTitle}") (using enrichMultipleBooks, maxResults: 20)`);
 
+    // Titles no provider knew a moment ago are answered from the negative cache
+    // (first page only: a cursor means the first page had results)
+    const knownMissing = !cursor && (await isNegativelyCached(baseKey, env));
+
     // Use enrichMultipleBooks for search endpoints (returns up to 20 results)
-    const result = await enrichMultipleBooks({ title: normalizedTitle }, env, { maxResults: 20 });
+    const result = knownMissing
+      ? null
+      : await enrichMultipleBooks({ title: normalizedTitle }, env, { maxResults: 20, offsets });
 
     if (!result || !result.works || result.works.length === 0) {
-      // No books found in any provider
+      // No books found in any provider. Only cache that if every provider
+      // answered: after a provider error the title may well exist.
+      if (result && !cursor && !result.failedProviders?.length) {
+        const write = setNegativeCached(baseKey, env);
+        if (ctx) ctx.waitUntil(write);
+        else await write;
+      }
+
       return createSuccessResponse(
         { works: [], editions: [], authors: [] },
         {
           processingTime: Date.now() - startTime,
           provider: 'none',
-          cached: false,
+          cached: knownMissing,
+          ...(knownMissing ? { negativeCache: true } : {}),
+          hasMore: false,
         },
         200,
         request
       );
     }
 
+    // Series seen here become listable via GET /v1/series/:id
+    await recordSearchResultSeries(env, ctx, result.works, result.editions);
+
     // Extract all unique authors from works
     const baseAuthors = extractUniqueAuthors(result.works);
 
@@ -60,12 +118,20 @@ export async function handleSearchTitle(
     // Remove authors property from works (not part of canonical WorkDTO)
     const cleanWorks = removeAuthorsFromWorks(result.works);
 
+    const pageMetadata = await providerPageMetadata(baseKey, result.pagination, env);
+
     return createSuccessResponse(
-      { works: cleanWorks, editions: result.editions, authors },
+      {
+        works: cleanWorks,
+        editions: result.editions,
+        authors,
+        totalResults: result.pagination?.totalResults,
+      },
       {
         processingTime: Date.now() - startTime,
         provider: cleanWorks[0]?.primaryProvider, // Use actual provider from enriched work
         cached: false,
+        ...pageMetadata,
       },
       200,
       request
@@ -0,0 +1,140 @@
+/**
+ * GET /v1/series/search
+ *
+ * Find book series by name
+ * Query params: q (series name, e.g. "The Expanse")
+ *
+ * Series are detected on search results (utils/series.ts), with Wikidata
+ * "part of the series" as fallback, and recorded in the series registry so
+ * GET /v1/series/:id can list them later.
+ */
+
+import type { SeriesSearchResponse } from '../../types/responses.js';
+import type { SeriesDTO } from '../../types/canonical.js';
+import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../../utils/response-builder.js';
+import { enrichMultipleBooks } from '../../services/enrichment.ts';
+import { enrichWorkSeriesWithWikidata } from '../../services/wikidata-enrichment.ts';
+import { recordSeries, getSeries } from '../../services/series-index.ts';
+import { normalizeTitle } from '../../utils/normalization.js';
+import { seriesId } from '../../utils/series.ts';
+import { setCached } from '../../utils/cache.js';
+import { UnifiedCacheService } from '../../services/unified-cache.js';
+import { CacheKeyFactory } from '../../services/cache-key-factory.js';
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_RESULTS = 10;
+
+/**
+ * Works checked against Wikidata when providers expose no series at all
+ */
+const WIKIDATA_FALLBACK_WORKS = 3;
+
+export async function handleSeriesSearch(
+  query: string | null,
+  env: any,
+  ctx: ExecutionContext,
+  request: Request | null = null
+): Promise<Response> {
+  const startTime = Date.now();
+
+  if (!query || query.trim().length === 0) {
+    return createErrorResponse('Query parameter "q" is required', 400, ErrorCodes.INVALID_QUERY, { query }, request);
+  }
+
+  if (query.length > MAX_QUERY_LENGTH) {
+    return createErrorResponse(
+      `Query must be at most ${MAX_QUERY_LENGTH} characters`,
+      400,
+      ErrorCodes.INVALID_QUERY,
+      { length: query.length },
+      request
+    );
+  }
+
+  try {
+    const cacheKey = CacheKeyFactory.seriesSearch(query);
+    const cache = new UnifiedCacheService(env, ctx);
+    const cachedResult = await cache.get(cacheKey, 'series', { query });
+
+    if (cachedResult?.data) {
+      console.log(`✅ Cache HIT: /v1/series/search (${cacheKey})`);
+      return createSuccessResponse(
+        cachedResult.data.data,
+        {
+          ...cachedResult.data.meta,
+          cached: true,
+          cacheSource: cachedResult.source, // EDGE or KV
+        },
+        200,
+        request
+      );
+    }
+
+    const result = await enrichMultipleBooks({ title: normalizeTitle(query) }, env, { maxResults: 20 });
+    const works = result?.works || [];
+
+    // Providers only expose series for some books; ask Wikidata about the top hits
+    if (works.length > 0 && !works.some((work) => work.series)) {
+      const topWorks = works.slice(0, WIKIDATA_FALLBACK_WORKS);
+      const memberships = await Promise.all(topWorks.map((work) => enrichWorkSeriesWithWikidata(work.title, env)));
+
+      memberships.forEach((membership, i) => {
+        const id = membership?.seriesName ? seriesId(membership.seriesName) : undefined;
+        if (!membership || !id) return;
+        topWorks[i].series = {
+          id,
+          name: membership.seriesName!,
+          position: membership.position,
+          wikidataID: membership.seriesWikidataId,
+        };
+      });
+    }
+
+    const recorded = await recordSeries(env, works, result?.editions || []);
+
+    // A series recorded by an earlier search may not show up in this one
+    const queryId = seriesId(query);
+    if (queryId && !recorded.has(queryId)) {
+      const known = await getSeries(queryId, env);
+      if (known) recorded.set(queryId, known);
+    }
+
+    // Exact name match first, then the series most of the results belong to
+    const hits = new Map<string, number>();
+    for (const work of works) {
+      if (work.series) hits.set(work.series.id, (hits.get(work.series.id) || 0) + 1);
+    }
+    const series: SeriesDTO[] = Array.from(recorded.values())
+      .sort((a, b) => Number(b.id === queryId) - Number(a.id === queryId) || (hits.get(b.id) || 0) - (hits.get(a.id) || 0))
+      .slice(0, MAX_RESULTS);
+
+    const responseData: SeriesSearchResponse = { query: query.trim(), series };
+    const metadata = {
+      processingTime: Date.now() - startTime,
+      provider: works[0]?.primaryProvider || 'none',
+      cached: false,
+    };
+
+    // 6h TTL, same as the search endpoints the results come from
+    const ttl = 6 * 60 * 60;
+    ctx.waitUntil(
+      setCached(
+        cacheKey,
+        { success: true, data: responseData, meta: { ...metadata, timestamp: new Date().toISOString() } },
+        ttl,
+        env
+      )
+    );
+
+    return createSuccessResponse(responseData, metadata, 200, request);
+  } catch (error: any) {
+    console.error('Error in v1 series search:', error);
+    return createErrorResponse(
+      error.message || 'Internal server error',
+      500,
+      ErrorCodes.INTERNAL_ERROR,
+      { error: error.toString(), processingTime: Date.now() - startTime },
+      request
+    );
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * GET /v1/series/:id
+ *
+ * All known works of a series in reading order
+ *
+ * Starts from the series registry (works seen in search results) and fills in
+ * the rest from Wikidata's "has part(s)", so the list is complete even for
+ * books nobody has searched for yet. Wikidata lookups are cached for 7 days
+ * (see findWikidataSeries and fetchWikidataSeriesParts), and the registry is
+ * only rewritten when they add something to it.
+ */
+
+import type { SeriesResponse } from '../../types/responses.js';
+import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../../utils/response-builder.js';
+import { findWikidataSeries, fetchWikidataSeriesParts } from '../../services/wikidata-enrichment.ts';
+import { getSeries, saveSeries, mergeSeriesEntries, entriesFromWikidataParts } from '../../services/series-index.ts';
+
+export async function handleGetSeries(
+  id: string,
+  env: any,
+  ctx: ExecutionContext,
+  request: Request | null = null
+): Promise<Response> {
+  const startTime = Date.now();
+
+  if (!id || id.trim().length === 0 || id.includes('/')) {
+    return createErrorResponse('Series ID is required', 400, ErrorCodes.INVALID_REQUEST, { id }, request);
+  }
+
+  try {
+    const stored = await getSeries(id, env);
+    if (!stored) {
+      return createErrorResponse(
+        `Series "${id}" not found`,
+        404,
+        ErrorCodes.NOT_FOUND,
+        { id },
+        request
+      );
+    }
+
+    let series = stored;
+    const wikidataID = stored.wikidataID || (await findWikidataSeries(stored.name, env)) || undefined;
+    if (wikidataID) {
+      const parts = await fetchWikidataSeriesParts(wikidataID, env);
+      series = mergeSeriesEntries({ ...stored, wikidataID }, entriesFromWikidataParts(parts));
+    }
+
+    // Remember what Wikidata added, so the next request starts from it
+    if (JSON.stringify(series) !== JSON.stringify(stored)) {
+      ctx.waitUntil(saveSeries(series, env));
+    }
+
+    const responseData: SeriesResponse = { series };
+    return createSuccessResponse(
+      responseData,
+      {
+        processingTime: Date.now() - startTime,
+        provider: wikidataID ? 'wikidata' : 'none',
+        cached: false,
+      },
+      200,
+      request
+    );
+  } catch (error: any) {
+    console.error('Error in v1 series:', error);
+    return createErrorResponse(
+      error.message || 'Internal server error',
+      500,
+      ErrorCodes.INTERNAL_ERROR,
+      { error: error.toString(), processingTime: Date.now() - startTime },
+      request
+    );
+  }
+}
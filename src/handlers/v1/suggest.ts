@@ -0,0 +1,79 @@
+/**
+ * GET /v1/suggest
+ *
+ * Search-as-you-type suggestions for the iOS search bar
+ * Query params: q (partial title or author), limit (default 8, max 20)
+ *
+ * Served from the prefix index (services/suggest-index.ts) only - never calls
+ * a provider, so it is safe to hit on every keystroke.
+ */
+
+import type { SuggestResponse } from '../../types/responses.js';
+import { createSuccessResponse, createErrorResponse, ErrorCodes } from '../../utils/response-builder.js';
+import { lookupSuggestions } from '../../services/suggest-index.ts';
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+const MAX_QUERY_LENGTH = 100;
+
+export async function handleSuggest(
+  query: string | null,
+  env: any,
+  ctx: ExecutionContext,
+  request: Request | null = null,
+  limitParam: string | null = null
+): Promise<Response> {
+  const startTime = Date.now();
+
+  if (!query || query.trim().length === 0) {
+    return createErrorResponse('Query parameter "q" is required', 400, ErrorCodes.INVALID_QUERY, { query }, request);
+  }
+
+  if (query.length > MAX_QUERY_LENGTH) {
+    return createErrorResponse(
+      `Query must be at most ${MAX_QUERY_LENGTH} characters`,
+      400,
+      ErrorCodes.INVALID_QUERY,
+      { length: query.length },
+      request
+    );
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (limitParam !== null && limitParam !== '') {
+    limit = parseInt(limitParam, 10);
+    if (!/^\d+$/.test(limitParam) || limit < 1 || limit > MAX_LIMIT) {
+      return createErrorResponse(
+        `limit must be between 1 and ${MAX_LIMIT}`,
+        400,
+        ErrorCodes.INVALID_QUERY,
+        { limit: limitParam },
+        request
+      );
+    }
+  }
+
+  try {
+    const suggestions = await lookupSuggestions(query, env, ctx, limit);
+    const responseData: SuggestResponse = { query: query.trim(), suggestions };
+
+    return createSuccessResponse(
+      responseData,
+      {
+        processingTime: Date.now() - startTime,
+        cached: true, // Always served from the index
+      },
+      200,
+      request
+    );
+  } catch (error: any) {
+    console.error('Error in v1 suggest:', error);
+    return createErrorResponse(
+      error.message || 'Internal server error',
+      500,
+      ErrorCodes.INTERNAL_ERROR,
+      { error: error.toString(), processingTime: Date.now() - startTime },
+      request
+    );
+  }
+}
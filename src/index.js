@@ -2,8 +2,12 @@ import { ProgressWebSocketDO } from "./durable-objects/progress-socket.js";
 import { RateLimiterDO } from "./durable-objects/rate-limiter.js";
 import { WebSocketConnectionDO } from "./durable-objects/websocket-connection.js";
 import { JobStateManagerDO } from "./durable-objects/job-state-manager.js";
+import { CircuitBreakerDO } from "./durable-objects/circuit-breaker.js";
+import { FetchLockDO } from "./durable-objects/fetch-lock.js";
+import { AccessStatsDO } from "./durable-objects/access-stats.js";
 import * as externalApis from "./services/external-apis.ts";
 import * as enrichment from "./services/enrichment.ts";
+import { getCircuitBreakerStatus } from "./services/circuit-breaker.ts";
 import * as aiScanner from "./services/ai-scanner.js";
 import * as bookSearch from "./handlers/book-search.js";
 import * as authorSearch from "./handlers/author-search.js";
@@ -15,14 +19,29 @@ import { processAuthorBatch } from "./consumers/author-warming-consumer.js";
 import { handleScheduledArchival } from "./handlers/scheduled-archival.js";
 import { handleScheduledAlerts } from "./handlers/scheduled-alerts.js";
 import { handleScheduledHarvest } from "./handlers/scheduled-harvest.js";
+import { handleScheduledSuggestRefresh } from "./handlers/scheduled-suggest.js";
+import { handleScheduledWarming } from "./handlers/scheduled-warming.js";
 import { handleCacheMetrics } from "./handlers/cache-metrics.js";
+import {
+  handleBustNegativeCache,
+  handleCachePurge,
+  handleCacheAccessStats,
+  handleArchivalReport,
+  handleListCoverPlaceholders,
+  handleAddCoverPlaceholder,
+} from "./handlers/cache-admin.js";
 import { handleTestMultiEdition } from "./handlers/test-multi-edition.js";
 import { handleHarvestDashboard } from "./handlers/harvest-dashboard.js";
 import { handleMetricsRequest } from "./handlers/metrics-handler.js";
 import { handleSearchTitle } from "./handlers/v1/search-title.js";
 import { handleSearchISBN } from "./handlers/v1/search-isbn.js";
+import { handleSearchISBNBatch } from "./handlers/v1/search-isbn-batch.ts";
 import { handleSearchAdvanced } from "./handlers/v1/search-advanced.js";
 import { handleSearchEditions } from "./handlers/v1/search-editions.ts";
+import { handleSuggest } from "./handlers/v1/suggest.ts";
+import { handleSeriesSearch } from "./handlers/v1/series-search.ts";
+import { handleGetSeries } from "./handlers/v1/series.ts";
+import { handleGetCover, handleGetCoverImage, handleUploadCover } from "./handlers/v1/covers.ts";
 import { handleScanResults } from "./handlers/v1/scan-results.ts";
 import { handleCSVResults } from "./handlers/v1/csv-results.ts";
 import { handleImageProxy } from "./handlers/image-proxy.js";
@@ -102,6 +121,9 @@ export {
   RateLimiterDO,
   WebSocketConnectionDO,
   JobStateManagerDO,
+  CircuitBreakerDO,
+  FetchLockDO,
+  AccessStatsDO,
 };
 
 export default {
@@ -600,6 +622,34 @@ export default {
       return handleCacheMetrics(request, env);
     }
 
+    // DELETE /api/cache/negative - Bust not-found entries (requires X-Harvest-Secret)
+    if (url.pathname === "/api/cache/negative" && request.method === "DELETE") {
+      return handleBustNegativeCache(request, env);
+    }
+
+    // POST /admin/cache/purge - Purge entries by tag, prefix or key (requires X-Harvest-Secret)
+    if (url.pathname === "/admin/cache/purge" && request.method === "POST") {
+      return handleCachePurge(request, env);
+    }
+
+    // GET /admin/cache/access - Hottest and coldest cache keys (requires X-Harvest-Secret)
+    if (url.pathname === "/admin/cache/access" && request.method === "GET") {
+      return handleCacheAccessStats(request, env);
+    }
+
+    // GET /admin/cache/archival - Archival run reports (requires X-Harvest-Secret)
+    if (url.pathname === "/admin/cache/archival" && request.method === "GET") {
+      return handleArchivalReport(request, env);
+    }
+
+    // GET/POST /admin/covers/placeholders - Placeholder cover denylist (requires X-Harvest-Secret)
+    if (url.pathname === "/admin/covers/placeholders" && request.method === "GET") {
+      return handleListCoverPlaceholders(request, env);
+    }
+    if (url.pathname === "/admin/covers/placeholders" && request.method === "POST") {
+      return handleAddCoverPlaceholder(request, env);
+    }
+
     // GET /metrics - Aggregated metrics with Analytics Engine (Phase 4)
     if (url.pathname === "/metrics" && request.method === "GET") {
       return handleMetricsRequest(request, env, ctx);
@@ -612,20 +662,84 @@ export default {
     // GET /v1/search/title - Search books by title (canonical response)
     if (url.pathname === "/v1/search/title" && request.method === "GET") {
       const query = url.searchParams.get("q");
-      return await handleSearchTitle(query, env, request);
+      const cursor = url.searchParams.get("cursor");
+      const language = url.searchParams.get("language");
+      return await handleSearchTitle(query, env, request, cursor, language, ctx);
     }
 
     // GET /v1/search/isbn - Search books by ISBN (canonical response)
     if (url.pathname === "/v1/search/isbn" && request.method === "GET") {
       const isbn = url.searchParams.get("isbn");
-      return await handleSearchISBN(isbn, env, request);
+      return await handleSearchISBN(isbn, env, request, ctx);
+    }
+
+    // POST /v1/search/isbn/batch - Look up up to 100 ISBNs (canonical response, per-ISBN errors)
+    if (url.pathname === "/v1/search/isbn/batch" && request.method === "POST") {
+      // Rate limiting: one request fans out to many provider calls
+      const rateLimitResponse = await checkRateLimit(request, env);
+      if (rateLimitResponse) return rateLimitResponse;
+
+      return await handleSearchISBNBatch(request, env, ctx);
     }
 
     // GET /v1/search/advanced - Advanced search by title and/or author (canonical response)
     if (url.pathname === "/v1/search/advanced" && request.method === "GET") {
       const title = url.searchParams.get("title") || "";
       const author = url.searchParams.get("author") || "";
-      return await handleSearchAdvanced(title, author, env, ctx, request);
+      const cursor = url.searchParams.get("cursor");
+      const filters = {
+        language: url.searchParams.get("language"),
+        format: url.searchParams.get("format"),
+        yearFrom: url.searchParams.get("yearFrom"),
+        yearTo: url.searchParams.get("yearTo"),
+        minPages: url.searchParams.get("minPages"),
+        maxPages: url.searchParams.get("maxPages"),
+        genre: url.searchParams.get("genre"),
+      };
+      return await handleSearchAdvanced(title, author, env, ctx, request, cursor, filters);
+    }
+
+    // GET /v1/suggest - Search-as-you-type title/author suggestions (prefix index only)
+    if (url.pathname === "/v1/suggest" && request.method === "GET") {
+      const query = url.searchParams.get("q");
+      const limit = url.searchParams.get("limit");
+      return await handleSuggest(query, env, ctx, request, limit);
+    }
+
+    // GET /v1/series/search - Find series by name
+    if (url.pathname === "/v1/series/search" && request.method === "GET") {
+      const query = url.searchParams.get("q");
+      return await handleSeriesSearch(query, env, ctx, request);
+    }
+
+    // GET /v1/series/:id - All works of a series in reading order
+    if (url.pathname.startsWith("/v1/series/") && request.method === "GET") {
+      const id = decodeURIComponent(url.pathname.slice("/v1/series/".length));
+      return await handleGetSeries(id, env, ctx, request);
+    }
+
+    // POST /v1/covers/:isbn/upload - User's own cover (user token)
+    if (url.pathname.startsWith("/v1/covers/") && url.pathname.endsWith("/upload") && request.method === "POST") {
+      // Rate limiting: Prevent denial-of-wallet attacks on AI auto-crop
+      const rateLimitResponse = await checkRateLimit(request, env);
+      if (rateLimitResponse) return rateLimitResponse;
+
+      // Size validation: Prevent memory crashes (5MB limit per photo)
+      const sizeCheck = validateRequestSize(request, 5);
+      if (sizeCheck) return sizeCheck;
+
+      const isbn = url.pathname.slice("/v1/covers/".length, -"/upload".length);
+      return await handleUploadCover(decodeURIComponent(isbn), env, request);
+    }
+
+    // GET /v1/covers/:isbn/image - Cover stored in R2 (BOOK_COVERS covers/{isbn13}, or the user's upload)
+    // GET /v1/covers/:isbn - Best cover across R2, ISBNdb, Google Books and OpenLibrary
+    if (url.pathname.startsWith("/v1/covers/") && request.method === "GET") {
+      const path = url.pathname.slice("/v1/covers/".length);
+      if (path.endsWith("/image")) {
+        return await handleGetCoverImage(decodeURIComponent(path.slice(0, -"/image".length)), env, request, ctx);
+      }
+      return await handleGetCover(decodeURIComponent(path), env, ctx, request);
     }
 
     // GET /v1/editions/search - Search for all editions of a specific work
@@ -633,13 +747,17 @@ export default {
       const workTitle = url.searchParams.get("workTitle") || "";
       const author = url.searchParams.get("author") || "";
       const limit = parseInt(url.searchParams.get("limit") || "20");
+      const cursor = url.searchParams.get("cursor");
+      const language = url.searchParams.get("language");
       return await handleSearchEditions(
         workTitle,
         author,
         limit,
         env,
         ctx,
-        request
+        request,
+        cursor,
+        language
       );
     }
 
@@ -665,7 +783,7 @@ export default {
 
     // GET /images/proxy - Proxy and cache book cover images via R2
     if (url.pathname === "/images/proxy" && request.method === "GET") {
-      return handleImageProxy(request, env);
+      return handleImageProxy(request, env, ctx);
     }
 
     // ========================================================================
@@ -1160,6 +1278,8 @@ export default {
           status: "ok",
           worker: "api-worker",
           version: "1.0.0",
+          // Circuit breaker state per provider (null if not configured)
+          providers: await getCircuitBreakerStatus(env),
           endpoints: [
             "GET /search/title?q={query}&maxResults={n} - Title search with caching (6h TTL)",
             "GET /search/isbn?isbn={isbn}&maxResults={n} - ISBN search with caching (7 day TTL)",
@@ -1288,8 +1408,8 @@ export default {
 
   async scheduled(event, env, ctx) {
     // Route by cron pattern
-    if (event.cron === "0 2 * * *") {
-      // Daily archival at 2:00 AM UTC
+    if (event.cron === "0 2-5 * * *") {
+      // Nightly archival, hourly 2:00-5:00 AM UTC (resumes from its checkpoint)
       await handleScheduledArchival(env, ctx);
     } else if (event.cron === "*/15 * * * *") {
       // Alert checks every 15 minutes
@@ -1297,6 +1417,12 @@ export default {
     } else if (event.cron === "0 3 * * *") {
       // Daily ISBNdb cover harvest at 3:00 AM UTC
       await handleScheduledHarvest(env);
+    } else if (event.cron === "0 4 * * *") {
+      // Daily /v1/suggest refresh at 4:00 AM UTC
+      await handleScheduledSuggestRefresh(env);
+    } else if (event.cron === "0 6 * * *") {
+      // Daily predictive cache warming at 6:00 AM UTC
+      await handleScheduledWarming(env);
     }
   },
 };
@@ -5,7 +5,7 @@
  * Uses Gemini 2.5 Flash (production-stable) for high-accuracy bookshelf scanning
  */
 
-import { BOOKSHELF_RESPONSE_SCHEMA } from '../types/gemini-schemas.js';
+import { BOOKSHELF_RESPONSE_SCHEMA, COVER_BOUNDS_SCHEMA } from '../types/gemini-schemas.js';
 
 /**
  * Scan bookshelf image using Gemini AI
@@ -34,13 +34,7 @@ export async function scanImageWithGemini(imageData, env) {
         throw new Error('GEMINI_API_KEY not configured');
     }
 
-    // Convert ArrayBuffer to base64
-    const bytes = new Uint8Array(imageData);
-    let binary = '';
-    for (let i = 0; i < bytes.byteLength; i++) {
-        binary += String.fromCharCode(bytes[i]);
-    }
-    const base64Image = btoa(binary);
+    const base64Image = toBase64(imageData);
 
     // Call Gemini API with optimized prompting strategy
     const response = await fetch(
@@ -225,3 +219,91 @@ Extract all visible book information now.`
         }
     };
 }
+
+/**
+ * Find the edges of a book cover in a photo using Gemini AI
+ * @param {ArrayBuffer} imageData - Photo of a book cover
+ * @param {string} mimeType - Photo content type (image/jpeg, image/png, image/webp)
+ * @param {Object} env - Worker environment with GEMINI_API_KEY
+ * @returns {Promise<{top: number, left: number, bottom: number, right: number}|null>}
+ *   Cover edges normalized to the photo (0.0-1.0), or null if no cover was found
+ */
+export async function detectCoverBoundsWithGemini(imageData, mimeType, env) {
+    const apiKey = env.GEMINI_API_KEY?.get
+        ? await env.GEMINI_API_KEY.get()
+        : env.GEMINI_API_KEY;
+
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY not configured');
+    }
+
+    const response = await fetch(
+        'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+        {
+            method: 'POST',
+            headers: {
+                'x-goog-api-key': apiKey,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                contents: [{
+                    parts: [
+                        {
+                            inline_data: {
+                                mime_type: mimeType,
+                                data: toBase64(imageData)
+                            }
+                        },
+                        {
+                            text: `This is a photo of a book's front cover, taken by its owner. Find the edges of the cover itself, excluding the table, hands and background around it. Return them as fractions of the photo's width and height (0.0-1.0). Set found to false if no book cover is visible.`
+                        }
+                    ]
+                }],
+                generationConfig: {
+                    temperature: 0,  // Geometry, not prose
+                    responseMimeType: 'application/json',
+                    responseSchema: COVER_BOUNDS_SCHEMA
+                }
+            })
+        }
+    );
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`[GeminiProvider] Cover bounds error: ${response.status}`, errorText);
+        throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+    }
+
+    const geminiData = await response.json();
+    const text = geminiData.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    let bounds;
+    try {
+        bounds = text ? JSON.parse(text) : null;
+    } catch {
+        console.error('[GeminiProvider] Cover bounds JSON parsing failed:', text);
+        return null;
+    }
+
+    const edges = [bounds?.top, bounds?.left, bounds?.bottom, bounds?.right];
+    if (!bounds?.found || !edges.every((edge) => typeof edge === 'number' && edge >= 0 && edge <= 1)) {
+        return null;
+    }
+    if (bounds.bottom <= bounds.top || bounds.right <= bounds.left) {
+        return null;
+    }
+
+    return { top: bounds.top, left: bounds.left, bottom: bounds.bottom, right: bounds.right };
+}
+
+/**
+ * Convert ArrayBuffer to base64
+ */
+function toBase64(imageData) {
+    const bytes = new Uint8Array(imageData);
+    let binary = '';
+    for (let i = 0; i < bytes.byteLength; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
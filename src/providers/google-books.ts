@@ -0,0 +1,26 @@
+/**
+ * Google Books provider
+ */
+
+import * as externalApis from '../services/external-apis.ts';
+import type { BookProvider } from './types.ts';
+
+export const googleBooksProvider: BookProvider = {
+  id: 'google-books',
+  name: 'Google Books',
+  priority: 10,
+  capabilities: ['title-search', 'isbn-lookup', 'work-lookup'],
+
+  async searchByTitle({ title, author }, { maxResults, offset, filters = {} }, env) {
+    const query = [title, author].filter(Boolean).join(' ');
+    return externalApis.searchGoogleBooks(query, { maxResults, offset, language: filters.language }, env);
+  },
+
+  async searchByISBN(isbn, env) {
+    return externalApis.searchGoogleBooksByISBN(isbn, env);
+  },
+
+  async getWork({ googleBooksId }, env) {
+    return googleBooksId ? externalApis.searchGoogleBooksById(googleBooksId, env) : null;
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Enrichment providers
+ *
+ * To add a source: implement BookProvider (./types.ts) in its own module,
+ * with tests in tests/providers/, and register it below.
+ */
+
+import { registerProvider } from './registry.ts';
+import { googleBooksProvider } from './google-books.ts';
+import { openLibraryProvider } from './openlibrary.ts';
+import { isbndbProvider } from './isbndb.ts';
+import { libraryOfCongressProvider } from './library-of-congress.ts';
+import { wikidataProvider } from './wikidata.ts';
+
+registerProvider(googleBooksProvider);
+registerProvider(openLibraryProvider);
+registerProvider(isbndbProvider);
+registerProvider(libraryOfCongressProvider);
+registerProvider(wikidataProvider);
+
+export { registerProvider, unregisterProvider, getProvider, getProviders } from './registry.ts';
+export type {
+  BookProvider,
+  ProviderCapability,
+  ProviderResult,
+  ProviderSearchQuery,
+  ProviderSearchOptions,
+  ProviderWorkIds,
+} from './types.ts';
@@ -0,0 +1,42 @@
+/**
+ * ISBNdb provider
+ *
+ * Paid API with a daily quota, so it is last in the search fallback chain and
+ * disabled when ISBNDB_API_KEY isn't configured. Every call, ISBN lookups that
+ * fall through to it included, spends quota; external-apis.ts spaces calls
+ * out to ISBNdb's one request per second.
+ */
+
+import * as externalApis from '../services/external-apis.ts';
+import type { BookProvider } from './types.ts';
+
+export const isbndbProvider: BookProvider = {
+  id: 'isbndb',
+  name: 'ISBNdb',
+  priority: 30,
+  capabilities: ['title-search', 'isbn-lookup', 'editions'],
+
+  isEnabled(env) {
+    return Boolean(env.ISBNDB_API_KEY);
+  },
+
+  // ISBNdb's text search is too loose without an author
+  async searchByTitle({ title, author }, { maxResults, offset, filters = {} }, env) {
+    if (!title?.trim() || !author?.trim()) {
+      return null;
+    }
+    return externalApis.searchISBNdb(title, author, env, { maxResults, offset, subject: filters.subject });
+  },
+
+  async searchByISBN(isbn, env) {
+    const result = await externalApis.getISBNdbBookByISBN(isbn, env);
+    if (!result) {
+      return null;
+    }
+    return { works: [result.work], editions: [result.edition], authors: result.authors || [] };
+  },
+
+  async getEditions(title, author, env) {
+    return externalApis.getISBNdbEditionsForWork(title, author, env);
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * Library of Congress provider
+ *
+ * Supplementary: catalog records are authoritative for publisher, date,
+ * pagination and contributor roles, but have no covers or descriptions, so
+ * they only fill in fields of books another provider found. Opt-in: enabled
+ * only when LOC_SRU_BASE_URL is set to an HTTPS SRU endpoint.
+ */
+
+import * as externalApis from '../services/external-apis.ts';
+import type { BookProvider } from './types.ts';
+
+export const libraryOfCongressProvider: BookProvider = {
+  id: 'library-of-congress',
+  name: 'Library of Congress',
+  priority: 35,
+  capabilities: ['title-search', 'isbn-lookup'],
+  supplementary: true,
+
+  isEnabled(env) {
+    return Boolean(env.LOC_SRU_BASE_URL?.trim().startsWith('https://'));
+  },
+
+  async searchByTitle({ title, author }, { maxResults, offset }, env) {
+    if (!title?.trim()) {
+      return null;
+    }
+    return externalApis.searchLibraryOfCongress(title, author || null, env, { maxResults, offset });
+  },
+
+  async searchByISBN(isbn, env) {
+    return externalApis.searchLibraryOfCongressByISBN(isbn, env);
+  },
+};
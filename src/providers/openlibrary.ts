@@ -0,0 +1,31 @@
+/**
+ * OpenLibrary provider
+ */
+
+import * as externalApis from '../services/external-apis.ts';
+import type { BookProvider } from './types.ts';
+
+export const openLibraryProvider: BookProvider = {
+  id: 'openlibrary',
+  name: 'OpenLibrary',
+  priority: 20,
+  capabilities: ['title-search', 'isbn-lookup', 'work-lookup'],
+
+  async searchByTitle({ title, author }, { maxResults, offset, filters = {} }, env) {
+    const query = [title, author].filter(Boolean).join(' ');
+    return externalApis.searchOpenLibrary(query, { maxResults, offset, language: filters.language }, env);
+  },
+
+  // OpenLibrary's general search matches ISBNs
+  async searchByISBN(isbn, env) {
+    return externalApis.searchOpenLibrary(isbn, { maxResults: 1 }, env);
+  },
+
+  async getWork({ openLibraryId, goodreadsId }, env) {
+    if (openLibraryId) {
+      const result = await externalApis.searchOpenLibraryById(openLibraryId, env);
+      if (result) return result;
+    }
+    return goodreadsId ? externalApis.searchOpenLibraryByGoodreadsId(goodreadsId, env) : null;
+  },
+};
@@ -0,0 +1,56 @@
+/**
+ * Enrichment Provider Registry
+ *
+ * Built-in providers are registered in ./index.ts; import the registry from
+ * there so they are always present.
+ */
+
+import type { BookProvider, ProviderCapability } from './types.ts';
+
+const providers = new Map<string, BookProvider>();
+
+/**
+ * Register a provider (replaces any provider with the same id)
+ *
+ * @throws Error if a declared capability has no implementation
+ */
+export function registerProvider(provider: BookProvider): void {
+  const methods: Record<ProviderCapability, keyof BookProvider> = {
+    'title-search': 'searchByTitle',
+    'isbn-lookup': 'searchByISBN',
+    'work-lookup': 'getWork',
+    editions: 'getEditions',
+  };
+  for (const capability of provider.capabilities) {
+    if (typeof provider[methods[capability]] !== 'function') {
+      throw new Error(`Provider "${provider.id}" declares ${capability} but does not implement ${methods[capability]}()`);
+    }
+  }
+
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Remove a provider (tests)
+ */
+export function unregisterProvider(id: string): void {
+  providers.delete(id);
+}
+
+export function getProvider(id: string): BookProvider | undefined {
+  return providers.get(id);
+}
+
+/**
+ * Enabled providers in priority order
+ *
+ * @param env - Worker environment bindings (for isEnabled checks)
+ * @param capability - Only providers supporting this operation
+ * @returns Providers, highest priority first
+ */
+export function getProviders(env: any, capability?: ProviderCapability): BookProvider[] {
+  return [...providers.values()]
+    .filter((provider) => !capability || provider.capabilities.includes(capability))
+    .filter((provider) => !provider.isEnabled || provider.isEnabled(env))
+    .sort((a, b) => a.priority - b.priority);
+}
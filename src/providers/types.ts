@@ -0,0 +1,85 @@
+/**
+ * Enrichment Provider Interface
+ *
+ * A provider is a self-contained module for one metadata source: it makes the
+ * API calls, normalizes responses to canonical DTOs (see services/normalizers/)
+ * and declares what it supports. The enrichment service only talks to
+ * providers through the registry (./registry.ts), so adding a source means
+ * adding a module here and registering it in ./index.ts.
+ *
+ * Providers whose works are returned as search results are attributed via
+ * WorkDTO.primaryProvider, so they must also be a DataProvider (an iOS enum).
+ * Providers that only fill in fields of books found elsewhere (Wikidata, the
+ * Library of Congress) are marked supplementary and only need to be a FieldSource.
+ */
+
+import type { EditionDTO } from '../types/canonical.js';
+import type { FieldSource } from '../types/enums.js';
+import type { ProviderFilters } from '../utils/search-filters.ts';
+import type { NormalizedResponse } from '../services/external-apis.ts';
+
+/**
+ * Operations a provider can perform (each requires the matching method)
+ * - title-search: searchByTitle()
+ * - isbn-lookup: searchByISBN()
+ * - work-lookup: getWork()
+ * - editions: getEditions()
+ */
+export type ProviderCapability = 'title-search' | 'isbn-lookup' | 'work-lookup' | 'editions';
+
+/**
+ * Provider results, normalized to canonical DTOs
+ */
+export type ProviderResult = NormalizedResponse;
+
+/**
+ * Title/author search
+ */
+export interface ProviderSearchQuery {
+  title?: string;
+  author?: string;
+}
+
+/**
+ * Paging and filters for title/author search
+ */
+export interface ProviderSearchOptions {
+  maxResults: number;
+  offset?: number;
+  filters?: ProviderFilters; // Applied where the provider supports them
+}
+
+/**
+ * External identifiers a work can be looked up by
+ * Providers ignore identifiers they don't know.
+ */
+export interface ProviderWorkIds {
+  googleBooksId?: string;
+  openLibraryId?: string;
+  goodreadsId?: string;
+}
+
+export interface BookProvider {
+  id: FieldSource;
+  name: string; // For logs
+  priority: number; // Fallback order: lower is tried first and wins ties
+  capabilities: ProviderCapability[];
+  supplementary?: boolean; // Only fills fields of books other providers found
+
+  /**
+   * Whether the provider is configured (e.g. has its API key); defaults to true
+   */
+  isEnabled?(env: any): boolean;
+
+  searchByTitle?(
+    query: ProviderSearchQuery,
+    options: ProviderSearchOptions,
+    env: any,
+  ): Promise<ProviderResult | null>;
+
+  searchByISBN?(isbn: string, env: any): Promise<ProviderResult | null>;
+
+  getWork?(ids: ProviderWorkIds, env: any): Promise<ProviderResult | null>;
+
+  getEditions?(title: string, author: string, env: any): Promise<EditionDTO[] | null>;
+}
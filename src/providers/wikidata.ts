@@ -0,0 +1,36 @@
+/**
+ * Wikidata provider
+ *
+ * Supplementary: Wikidata knows works (first publication, series) but not
+ * editions, so it only fills in fields of books another provider found.
+ */
+
+import { enrichBookWithWikidata } from '../services/wikidata-enrichment.ts';
+import { seriesId } from '../utils/series.ts';
+import type { BookProvider } from './types.ts';
+
+export const wikidataProvider: BookProvider = {
+  id: 'wikidata',
+  name: 'Wikidata',
+  priority: 40,
+  capabilities: ['isbn-lookup'],
+  supplementary: true,
+
+  async searchByISBN(isbn, env) {
+    const book = await enrichBookWithWikidata(isbn, env);
+    if (!book) {
+      return null;
+    }
+
+    const series = book.series;
+    const id = series?.seriesName ? seriesId(series.seriesName) : undefined;
+    const work = {
+      title: book.title,
+      firstPublicationYear: book.firstPublicationYear,
+      series: id
+        ? { id, name: series!.seriesName!, position: series!.position, wikidataID: series!.seriesWikidataId }
+        : undefined,
+    };
+    return { works: [work as any], editions: [], authors: [] };
+  },
+};
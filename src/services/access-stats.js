@@ -0,0 +1,173 @@
+// src/services/access-stats.js
+
+/**
+ * Sampled access counting for cache reads
+ *
+ * UnifiedCacheService.get() records a sample of lookups (ACCESS_SAMPLE_RATE,
+ * default 10%), each sample weighted 1 / rate so counts estimate real traffic.
+ * Cache keys are spread by hash over ACCESS_SHARDS AccessStatsDO instances,
+ * and each isolate adds up its samples and flushes them to the shards in
+ * batches (every FLUSH_SAMPLES samples or FLUSH_INTERVAL_MS), so no single
+ * instance sees every read. The daily archival cron reads the last 30 days to
+ * decide what to move to R2 (utils/analytics-queries.js), and
+ * GET /admin/cache/access lists the hottest and coldest keys.
+ *
+ * Counting is best effort: without an ACCESS_STATS_DO binding, or if the DO
+ * fails, nothing is recorded and reads are unaffected. Samples an isolate
+ * hasn't flushed when it is evicted are lost.
+ */
+
+export const ACCESS_SHARDS = 16;
+
+const DEFAULT_SAMPLE_RATE = 0.1;
+const FLUSH_SAMPLES = 100;
+const FLUSH_INTERVAL_MS = 30000;
+
+// Samples not yet flushed, per shard
+let pending = new Map();
+let pendingSamples = 0;
+let pendingSince = 0;
+
+/**
+ * Fraction of cache reads to count (ACCESS_SAMPLE_RATE var)
+ * @param {Object} env - Worker environment bindings
+ * @returns {number} Rate in (0, 1]; 0 disables counting
+ */
+export function accessSampleRate(env) {
+  const rate = parseFloat(env.ACCESS_SAMPLE_RATE);
+  if (Number.isNaN(rate)) {
+    return DEFAULT_SAMPLE_RATE;
+  }
+  return Math.min(Math.max(rate, 0), 1);
+}
+
+/**
+ * UTC day of a timestamp, as AccessStatsDO counts are kept
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} YYYY-MM-DD
+ */
+export function accessDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Shard counting a cache key (FNV-1a of the key)
+ * @param {string} cacheKey - Cache key
+ * @returns {number} 0 to ACCESS_SHARDS - 1
+ */
+export function accessShard(cacheKey) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < cacheKey.length; i++) {
+    hash ^= cacheKey.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % ACCESS_SHARDS;
+}
+
+/**
+ * AccessStatsDO instance for a shard
+ * @param {Object} env - Worker environment bindings
+ * @param {number} shard - Shard number
+ */
+function statsFor(env, shard) {
+  return env.ACCESS_STATS_DO.get(env.ACCESS_STATS_DO.idFromName(`shard-${shard}`));
+}
+
+/**
+ * Count a cache read, if it is sampled
+ *
+ * The sample is added to this isolate's batch; the returned promise flushes
+ * the batch when it is due.
+ *
+ * @param {Object} env - Worker environment bindings
+ * @param {string} cacheKey - Cache key that was read
+ * @returns {Promise<void>} Resolves when recorded or batched (pass to ctx.waitUntil)
+ */
+export async function recordCacheAccess(env, cacheKey) {
+  const rate = accessSampleRate(env);
+  if (!env.ACCESS_STATS_DO || rate === 0 || Math.random() >= rate) {
+    return;
+  }
+
+  const shard = accessShard(cacheKey);
+  const increments = pending.get(shard) || {};
+  increments[cacheKey] = (increments[cacheKey] || 0) + Math.round(1 / rate);
+  pending.set(shard, increments);
+  if (pendingSamples++ === 0) {
+    pendingSince = Date.now();
+  }
+
+  if (pendingSamples >= FLUSH_SAMPLES || Date.now() - pendingSince >= FLUSH_INTERVAL_MS) {
+    await flushCacheAccess(env);
+  }
+}
+
+/**
+ * Send this isolate's batched samples to their shards now
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<void>}
+ */
+export async function flushCacheAccess(env) {
+  const batch = pending;
+  pending = new Map();
+  pendingSamples = 0;
+  if (batch.size === 0 || !env.ACCESS_STATS_DO) {
+    return;
+  }
+
+  const day = accessDay(Date.now());
+  await Promise.all(
+    [...batch].map(async ([shard, increments]) => {
+      try {
+        await statsFor(env, shard).record(increments, day);
+      } catch (error) {
+        console.error(`Access stats record failed for shard ${shard}:`, error);
+      }
+    }),
+  );
+}
+
+/**
+ * Estimated reads per cache key over the last days (today included)
+ *
+ * One call per shard, each summing its days itself. Without keys, each shard
+ * returns at most its hottest `limit` keys.
+ *
+ * @param {Object} env - Worker environment bindings
+ * @param {number} days - Number of days to sum
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Only keys starting with this
+ * @param {string[]} [options.keys] - Only these keys (asks only their shards)
+ * @param {number} [options.minCount] - Leave out keys read fewer times
+ * @param {number} [options.limit] - Most keys per shard, hottest first
+ * @returns {Promise<Object<string, number>>} Cache key → access count; keys never read are absent
+ */
+export async function accessCounts(env, days, { prefix, keys, minCount, limit } = {}) {
+  const queries = new Map();
+  if (keys) {
+    for (const cacheKey of keys) {
+      const shard = accessShard(cacheKey);
+      queries.set(shard, [...(queries.get(shard) || []), cacheKey]);
+    }
+  } else {
+    for (let shard = 0; shard < ACCESS_SHARDS; shard++) {
+      queries.set(shard, undefined);
+    }
+  }
+
+  const shards = await Promise.all(
+    [...queries].map(([shard, shardKeys]) =>
+      statsFor(env, shard).counts({ days, prefix, keys: shardKeys, minCount, limit }),
+    ),
+  );
+  return Object.assign({}, ...shards);
+}
+
+/**
+ * Forget samples not yet flushed (tests)
+ */
+export function resetCacheAccess() {
+  pending = new Map();
+  pendingSamples = 0;
+}
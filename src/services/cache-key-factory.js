@@ -16,6 +16,32 @@
  *   const cacheKey = CacheKeyFactory.authorSearch({ query: 'tolkien', sortBy: 'publicationYear' });
  */
 
+import {
+  normalizeTitle,
+  normalizeAuthor,
+  legacyNormalizeTitle,
+  legacyNormalizeAuthor,
+} from "../utils/normalization.js";
+import { canonicalISBN } from "../utils/isbn.js";
+
+/**
+ * URL-safe base64 of the UTF-8 bytes of a string
+ *
+ * Identical to btoa() for ASCII input, but also accepts non-Latin1 text
+ * (btoa() throws on e.g. "村上春樹").
+ *
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 with / + = replaced by _
+ */
+function base64UrlEncode(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/[/+=]/g, "_");
+}
+
 export class CacheKeyFactory {
   /**
    * Generate cache key for author search
@@ -38,11 +64,11 @@ export class CacheKeyFactory {
       sortBy = "publicationYear",
     } = params;
 
-    // Normalize query (lowercase, trim)
-    const normalizedQuery = query.toLowerCase().trim();
+    // Normalize query (case, diacritics, whitespace)
+    const normalizedQuery = normalizeAuthor(query);
 
     // Base64 encode query with URL-safe characters
-    const queryB64 = btoa(normalizedQuery).replace(/[/+=]/g, "_");
+    const queryB64 = base64UrlEncode(normalizedQuery);
 
     // Create params object matching handler logic
     const searchParams = {
@@ -58,7 +84,7 @@ export class CacheKeyFactory {
       .join("&");
 
     // Base64 encode params with URL-safe characters
-    const paramsB64 = btoa(paramsString).replace(/[/+=]/g, "_");
+    const paramsB64 = base64UrlEncode(paramsString);
 
     return `auto-search:${queryB64}:${paramsB64}`;
   }
@@ -66,13 +92,26 @@ export class CacheKeyFactory {
   /**
    * Generate cache key for ISBN book search
    *
+   * ISBN-10 and ISBN-13 forms of the same book share one key.
+   *
    * @param {string} isbn - ISBN-10 or ISBN-13
-   * @returns {string} Cache key in format: search:isbn:isbn={normalizedISBN}
+   * @returns {string} Cache key in format: search:isbn:isbn={isbn13}
    */
   static bookISBN(isbn) {
-    // Normalize ISBN by removing hyphens
-    const normalizedISBN = isbn.replace(/-/g, "");
-    return `search:isbn:isbn=${normalizedISBN}`;
+    return `search:isbn:isbn=${canonicalISBN(isbn)}`;
+  }
+
+  /**
+   * Generate cache key for a single book in POST /v1/search/isbn/batch
+   *
+   * Holds canonical { work, edition, authors } (not the Google Books format
+   * cached under bookISBN()).
+   *
+   * @param {string} isbn - ISBN-10 or ISBN-13
+   * @returns {string} Cache key in format: v1:isbn:isbn={isbn13}
+   */
+  static isbnLookup(isbn) {
+    return CacheKeyFactory.generic("v1:isbn", { isbn: canonicalISBN(isbn) });
   }
 
   /**
@@ -90,6 +129,130 @@ export class CacheKeyFactory {
     return `search:title:maxresults=${maxResults}&title=${normalizedTitle}`;
   }
 
+  /**
+   * Generate cache key for /v1/search/advanced
+   *
+   * @param {Object} params - Search parameters
+   * @param {string} params.title - Book title (optional)
+   * @param {string} params.author - Author name (optional)
+   * @param {Object} params.filters - Validated facet filters (see utils/search-filters.ts);
+   *   filters.language also picks the leading articles stripped from the title
+   * @returns {string} Cache key in format: v1:advanced:author={author}&{filters}&title={title}
+   *   (filter params are only included when set, so unfiltered keys are unchanged)
+   */
+  static advancedSearch({ title = "", author = "", filters = {} }) {
+    const filterParams = {};
+    for (const [name, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== "") {
+        filterParams[`filter.${name}`] = encodeURIComponent(String(value).toLowerCase());
+      }
+    }
+
+    return CacheKeyFactory.generic("v1:advanced", {
+      title: title ? normalizeTitle(title, { language: filters.language }) : "",
+      author: author ? normalizeAuthor(author) : "",
+      ...filterParams,
+    });
+  }
+
+  /**
+   * Generate cache key for /v1/editions/search
+   *
+   * @param {Object} params - Search parameters
+   * @param {string} params.title - Work title
+   * @param {string} params.author - Author name
+   * @param {string} [params.language] - ISO 639-1 language of the title (leading articles)
+   * @returns {string} Cache key in format: v1:editions:author={author}&title={title}
+   */
+  static editionsSearch({ title = "", author = "", language }) {
+    return CacheKeyFactory.generic("v1:editions", {
+      title: normalizeTitle(title, { language }),
+      author: normalizeAuthor(author),
+    });
+  }
+
+  /**
+   * Generate cache key for /v1/search/title
+   *
+   * The title endpoint does not cache results; this key identifies the query
+   * for pagination cursors and the negative cache (see negative-cache.js).
+   *
+   * @param {string} title - Book title
+   * @param {string} [language] - ISO 639-1 language of the title (leading articles)
+   * @returns {string} Cache key in format: v1:title:title={normalizedTitle}
+   */
+  static titleSearch(title, language = undefined) {
+    return CacheKeyFactory.generic("v1:title", { title: normalizeTitle(title, { language }) });
+  }
+
+  /**
+   * Generate cache key for one page of a paginated search
+   *
+   * The first page (no cursor) keeps the base key, so entries cached before
+   * pagination existed remain valid.
+   *
+   * @param {string} baseKey - First-page cache key (e.g. from advancedSearch())
+   * @param {Object|null} cursorState - Decoded cursor (see utils/pagination-cursor.ts)
+   * @param {number} [pageSize] - Page size, for endpoints where it varies per request
+   * @returns {string} Cache key in format: {baseKey}:page:limit={n}&offset.{provider}={n}&position={n}
+   */
+  static searchPage(baseKey, cursorState = null, pageSize = undefined) {
+    if (!cursorState) {
+      return baseKey;
+    }
+
+    const params = {};
+    for (const [provider, offset] of Object.entries(cursorState.offsets || {})) {
+      params[`offset.${provider}`] = offset;
+    }
+    if (cursorState.position !== undefined) {
+      params.position = cursorState.position;
+    }
+    if (pageSize !== undefined) {
+      params.limit = pageSize;
+    }
+
+    return CacheKeyFactory.generic(`${baseKey}:page`, params);
+  }
+
+  /**
+   * Keys the same title/author search was cached under before script-aware
+   * normalization, for lazy migration via UnifiedCacheService.get({ legacyKeys }).
+   *
+   * Only Latin-script input is migrated: the old ASCII-only normalizer collapsed
+   * CJK, Cyrillic and Greek titles to (near-)empty strings, so those legacy
+   * entries hold results for unrelated books and must not be reused.
+   *
+   * @param {string} prefix - Key prefix ('v1:advanced' or 'v1:editions')
+   * @param {Object} params - Search parameters
+   * @param {string} params.title - Book title (optional)
+   * @param {string} params.author - Author name (optional)
+   * @param {string} [params.language] - ISO 639-1 language of the title
+   * @returns {string[]} Legacy keys differing from the current key (may be empty)
+   */
+  static legacyKeys(prefix, { title = "", author = "", language }) {
+    const input = `${title}${author}`;
+    if (/[^\p{Script=Latin}\p{Script=Common}\p{Script=Inherited}]/u.test(input)) {
+      return [];
+    }
+
+    const legacyTitle = title ? legacyNormalizeTitle(title) : "";
+    if (title && legacyTitle.trim().length === 0) {
+      return [];
+    }
+
+    const legacyKey = CacheKeyFactory.generic(prefix, {
+      title: legacyTitle,
+      author: author ? legacyNormalizeAuthor(author) : "",
+    });
+    const currentKey = CacheKeyFactory.generic(prefix, {
+      title: title ? normalizeTitle(title, { language }) : "",
+      author: author ? normalizeAuthor(author) : "",
+    });
+
+    return legacyKey === currentKey ? [] : [legacyKey];
+  }
+
   /**
    * Generate cache key for cover images
    *
@@ -101,6 +264,70 @@ export class CacheKeyFactory {
     return `cover:${normalizedISBN}`;
   }
 
+  /**
+   * Generate key for the index of a cover stored by the image proxy
+   *
+   * @param {string} url - Cover URL as passed to /images/proxy
+   * @returns {string} Key in format: cover:url={encodedURL}
+   */
+  static coverImageURL(url) {
+    return CacheKeyFactory.generic("cover", { url: encodeURIComponent(url) });
+  }
+
+  /**
+   * Generate key for the dedupe index of stored covers (perceptual hash)
+   *
+   * @param {string} hash - dHash, 16 hex digits
+   * @returns {string} Key in format: cover:hash={hash}
+   */
+  static coverHash(hash) {
+    return CacheKeyFactory.generic("cover", { hash });
+  }
+
+  /**
+   * Generate cache key for /v1/covers/:isbn (the resolved best cover)
+   *
+   * @param {string} isbn - ISBN-10 or ISBN-13
+   * @returns {string} Cache key in format: v1:cover:isbn={isbn13}
+   */
+  static coverResolution(isbn) {
+    return CacheKeyFactory.generic("v1:cover", { isbn: canonicalISBN(isbn) });
+  }
+
+  /**
+   * Generate key for a search-as-you-type prefix index bucket
+   *
+   * @param {string} prefix - Bucket prefix (first characters of normalized text)
+   * @returns {string} Key in format: suggest:prefix={encodedPrefix}
+   */
+  static suggestBucket(prefix) {
+    return CacheKeyFactory.generic("suggest", {
+      prefix: encodeURIComponent(prefix),
+    });
+  }
+
+  /**
+   * Generate key for a series registry record
+   *
+   * @param {string} id - Series ID (slug, see utils/series.ts)
+   * @returns {string} Key in format: series:id={id}
+   */
+  static seriesRecord(id) {
+    return CacheKeyFactory.generic("series", { id });
+  }
+
+  /**
+   * Generate cache key for /v1/series/search
+   *
+   * @param {string} query - Series name
+   * @returns {string} Cache key in format: v1:series:search:q={encodedNormalizedQuery}
+   */
+  static seriesSearch(query) {
+    return CacheKeyFactory.generic("v1:series:search", {
+      q: encodeURIComponent(normalizeTitle(query)),
+    });
+  }
+
   /**
    * Generate a generic cache key with sorted parameters
    *
@@ -0,0 +1,69 @@
+// src/services/cache-schema.js
+
+/**
+ * Cache schema versions
+ *
+ * Cached payloads outlive deployments: KV entries keep their shape for up to a
+ * year and R2 cold storage indefinitely, so when a DTO in types/canonical.ts
+ * changes shape, old entries would reach iOS in the old shape. Every cached
+ * payload is stamped with CACHE_SCHEMA_VERSION (KV envelope `schemaVersion`,
+ * edge X-Cache-Schema header), and reads of older versions are migrated lazily:
+ *
+ * - If upgrades are registered for every version in between, they run in order
+ *   and the reader writes the upgraded entry back
+ * - Otherwise the entry is treated as a miss and refetched from providers
+ *
+ * When changing a DTO: bump CACHE_SCHEMA_VERSION and, if old entries can be
+ * converted, register an upgrade from the previous version below.
+ */
+
+export const CACHE_SCHEMA_VERSION = 2;
+
+// Upgrade functions keyed by the version they upgrade from (n → n + 1)
+const upgrades = new Map([
+  // 0 → 1: entries cached before versioning. Shapes are unchanged, only the stamp is new.
+  [0, (data) => data],
+  // 1 → 2: WorkDTO/EditionDTO gained optional cover preview fields (coverBlurHash, ...); old entries just lack them.
+  [1, (data) => data],
+]);
+
+/**
+ * Register an upgrade from one schema version to the next
+ *
+ * @param {number} fromVersion - Version the upgrade reads
+ * @param {Function} upgrade - (data) => data in version fromVersion + 1
+ */
+export function registerCacheUpgrade(fromVersion, upgrade) {
+  upgrades.set(fromVersion, upgrade);
+}
+
+/**
+ * Bring a cached payload up to the current schema version
+ *
+ * @param {any} data - Cached payload
+ * @param {number|undefined} version - Version it was cached with (undefined: before versioning)
+ * @param {number} targetVersion - Version to upgrade to (default: CACHE_SCHEMA_VERSION)
+ * @returns {{data: any, migrated: boolean}|null} Upgraded payload, or null if it can't be upgraded (treat as a miss)
+ */
+export function upgradeCachedData(data, version = 0, targetVersion = CACHE_SCHEMA_VERSION) {
+  if (version > targetVersion) {
+    // Written by a newer deployment (e.g. during a rollback); it can't be read safely
+    return null;
+  }
+
+  let upgraded = data;
+  for (let v = version; v < targetVersion; v++) {
+    const upgrade = upgrades.get(v);
+    if (!upgrade) {
+      return null;
+    }
+    try {
+      upgraded = upgrade(upgraded);
+    } catch (error) {
+      console.error(`Cache schema upgrade ${v} → ${v + 1} failed:`, error);
+      return null;
+    }
+  }
+
+  return { data: upgraded, migrated: version < targetVersion };
+}
@@ -0,0 +1,338 @@
+// src/services/cache-tags.js
+import { canonicalISBN } from '../utils/isbn.ts';
+import { normalizeAuthor } from '../utils/normalization.ts';
+
+/**
+ * Cache tags and targeted purge
+ *
+ * Every cache entry is tagged with what it is about, so a wrong cover or bad
+ * metadata for one book can be purged without waiting out the TTL:
+ *
+ * - isbn:{isbn13}       every ISBN in the payload
+ * - work:{olWorkId}     OpenLibrary work IDs
+ * - author:{name}       author names (normalized)
+ * - endpoint:{prefix}   the cache key's endpoint prefix (e.g. v1:editions)
+ *
+ * KV has no secondary indexes. Instead of writing index keys for every tag
+ * (one KV write per tag on every cache write), an entry's tags are stored with
+ * it and, as short digests, in its KV metadata (cold-index: entries too),
+ * which list() returns with each key. Purging a tag walks the namespace a few
+ * list pages at a time and matches the digests, resuming from a cursor. The
+ * edge cache carries the same tags in its Cache-Tag header.
+ *
+ * Metadata holds at most MAX_TAGS digests, most specific tags first (isbn,
+ * author, then work). Entries with more tags are flagged, and a purge reads
+ * the full tag list of flagged entries that didn't match by digest.
+ *
+ * purgeCacheKeys() removes an entry from every tier: the edge cache (this data
+ * center only - other locations keep theirs until the edge TTL runs out), KV,
+ * the negative cache, and the R2 cold tier via its cold-index: entry.
+ */
+
+// Per-tag index keys written by earlier versions ({prefix}{type}:{value}:{cacheKey});
+// still found and removed by purges until they expire
+export const TAG_INDEX_PREFIX = 'cache-tag:';
+const COLD_INDEX_PREFIX = 'cold-index:';
+const NEGATIVE_KEY_PREFIX = 'negative:';
+const TAG_TYPES = ['isbn', 'work', 'author', 'endpoint'];
+const TAG_PRIORITY = ['endpoint', 'isbn', 'author', 'work']; // Kept first when metadata runs out of room
+const MAX_TAGS = 50; // 9 bytes of metadata each; KV metadata is limited to 1024 bytes
+const MAX_SCAN_PAGES = 20; // List pages (up to 1000 keys each) one tag lookup walks
+const MAX_TRUNCATED_READS = 100; // Full tag lists of flagged entries one tag lookup reads
+
+/**
+ * Build a tag, normalizing the value so equal books/authors share one tag
+ *
+ * @param {string} type - 'isbn', 'work', 'author' or 'endpoint'
+ * @param {string} value - Tag value
+ * @returns {string|null} Tag in format {type}:{value}, or null if empty/unknown type
+ */
+export function cacheTag(type, value) {
+  if (!TAG_TYPES.includes(type) || typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  switch (type) {
+    case 'isbn':
+      return `isbn:${canonicalISBN(value)}`;
+    case 'author':
+      return `author:${normalizeAuthor(value)}`;
+    default:
+      return `${type}:${value.trim()}`;
+  }
+}
+
+/**
+ * Parse and normalize a tag given by an admin (e.g. "isbn:0-306-40615-2")
+ *
+ * @param {string} tag - Tag in format {type}:{value}
+ * @returns {string|null} Normalized tag, or null if invalid
+ */
+export function parseCacheTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const separator = tag.indexOf(':');
+  if (separator === -1) return null;
+  return cacheTag(tag.slice(0, separator), tag.slice(separator + 1));
+}
+
+/**
+ * Endpoint prefix of a cache key: everything before its parameters
+ *
+ * "v1:editions:author=x&title=y:page:position=20" → "v1:editions"
+ * "cover:9780306406157" → "cover"
+ *
+ * @param {string} cacheKey - Cache key
+ * @returns {string} Endpoint prefix
+ */
+export function endpointOf(cacheKey) {
+  const params = cacheKey.indexOf('=');
+  if (params === -1) {
+    return cacheKey.split(':')[0];
+  }
+  return cacheKey.slice(0, cacheKey.lastIndexOf(':', params));
+}
+
+/**
+ * Tags for a cache entry, derived from its key and payload
+ *
+ * Understands the payloads the handlers cache: canonical responses
+ * ({works, editions, authors}, optionally in a {success, data} envelope),
+ * single books ({work, edition, authors}) and Google Books style results
+ * ({items: [{volumeInfo}]}).
+ *
+ * @param {string} cacheKey - Cache key
+ * @param {any} data - Cached payload
+ * @param {string[]} extraTags - Additional tags from the caller
+ * @returns {string[]} Deduplicated tags, by type in TAG_PRIORITY order
+ */
+export function tagsFor(cacheKey, data, extraTags = []) {
+  const tags = new Set([cacheTag('endpoint', endpointOf(cacheKey))]);
+  const add = (type, value) => tags.add(cacheTag(type, value));
+
+  const payload = data?.success !== undefined && data.data ? data.data : data;
+  if (payload && typeof payload === 'object') {
+    for (const work of [payload.work, ...(payload.works || [])]) {
+      add('work', work?.openLibraryWorkID);
+    }
+    for (const edition of [payload.edition, ...(payload.editions || [])]) {
+      for (const isbn of [edition?.isbn, ...(edition?.isbns || [])]) {
+        add('isbn', isbn);
+      }
+    }
+    for (const author of payload.authors || []) {
+      add('author', typeof author === 'string' ? author : author?.name);
+    }
+    for (const item of payload.items || []) {
+      for (const identifier of item?.volumeInfo?.industryIdentifiers || []) {
+        if (identifier.type?.startsWith('ISBN')) {
+          add('isbn', identifier.identifier);
+        }
+      }
+      for (const author of item?.volumeInfo?.authors || []) {
+        add('author', author);
+      }
+    }
+  }
+
+  for (const tag of extraTags) {
+    tags.add(parseCacheTag(tag));
+  }
+  tags.delete(null);
+
+  const rank = (tag) => TAG_PRIORITY.indexOf(tag.slice(0, tag.indexOf(':')));
+  return [...tags].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Value for the edge cache's Cache-Tag header (comma-separated, no spaces)
+ * @param {string[]} tags - Tags
+ * @returns {string}
+ */
+export function cacheTagHeader(tags) {
+  return tags.map((tag) => encodeURIComponent(tag)).join(',');
+}
+
+/**
+ * Legacy index key prefix listing entries with a tag
+ * @param {string} tag - Normalized tag
+ * @returns {string}
+ */
+function tagIndexPrefix(tag) {
+  const separator = tag.indexOf(':');
+  return `${TAG_INDEX_PREFIX}${tag.slice(0, separator)}:${encodeURIComponent(tag.slice(separator + 1))}:`;
+}
+
+/**
+ * Short digest of a tag for KV metadata (32-bit FNV-1a, 8 hex digits)
+ *
+ * A collision only makes a purge take an unrelated entry with it, which is
+ * then refetched.
+ *
+ * @param {string} tag - Normalized tag
+ * @returns {string}
+ */
+export function tagDigest(tag) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < tag.length; i++) {
+    hash ^= tag.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * KV metadata fields listing an entry's tags
+ *
+ * @param {string[]} tags - Tags (from tagsFor())
+ * @returns {{tags: string, tagsTruncated?: boolean}} Comma-separated digests of the first
+ *   MAX_TAGS tags, and whether there were more
+ */
+export function tagMetadata(tags) {
+  const digests = tags.slice(0, MAX_TAGS).map(tagDigest).join(',');
+  return tags.length > MAX_TAGS ? { tags: digests, tagsTruncated: true } : { tags: digests };
+}
+
+/**
+ * List every KV key with a prefix (follows list cursors)
+ * @param {string} prefix - Key prefix
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<string[]>} Key names
+ */
+async function listKeys(prefix, env) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await env.CACHE.list({ prefix, cursor });
+    names.push(...page.keys.map((key) => key.name));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return names;
+}
+
+/**
+ * Cache keys of every entry, warm or archived, with any of some tags
+ *
+ * Walks up to MAX_SCAN_PAGES list pages from cursor, matching the tag
+ * digests in each key's metadata; call again with the returned cursor until
+ * it is null to cover the whole namespace. Entries whose metadata tags were
+ * truncated are matched against their full tag list, up to
+ * MAX_TRUNCATED_READS per call; the rest are counted as `truncated`.
+ *
+ * @param {string[]} tags - Normalized tags (from parseCacheTag())
+ * @param {Object} env - Worker environment bindings
+ * @param {string|null} cursor - Where the previous call stopped (null to start)
+ * @returns {Promise<{keys: string[], cursor: string|null, truncated: number}>} Cache keys found, where
+ *   to continue (null when done), and entries with truncated tags that weren't checked
+ */
+export async function keysForTags(tags, env, cursor = null) {
+  const digests = new Set(tags.map(tagDigest));
+  const keys = new Set();
+  let reads = 0;
+  let truncated = 0;
+
+  if (!cursor) {
+    for (const tag of tags) {
+      const prefix = tagIndexPrefix(tag);
+      for (const name of await listKeys(prefix, env)) {
+        keys.add(name.slice(prefix.length));
+      }
+    }
+  }
+
+  for (let pages = 0; pages < MAX_SCAN_PAGES; pages++) {
+    const page = await env.CACHE.list(cursor ? { cursor } : {});
+    const overflow = [];
+    for (const key of page.keys) {
+      const entryDigests = typeof key.metadata?.tags === 'string' ? key.metadata.tags.split(',') : [];
+      if (entryDigests.some((digest) => digests.has(digest))) {
+        keys.add(cacheKeyOf(key.name));
+      } else if (key.metadata?.tagsTruncated) {
+        overflow.push(key.name);
+      }
+    }
+
+    const checked = overflow.slice(0, MAX_TRUNCATED_READS - reads);
+    reads += checked.length;
+    truncated += overflow.length - checked.length;
+    const entries = await Promise.all(checked.map((name) => env.CACHE.get(name, 'json')));
+    entries.forEach((entry, i) => {
+      if (Array.isArray(entry?.tags) && entry.tags.some((tag) => tags.includes(tag))) {
+        keys.add(cacheKeyOf(checked[i]));
+      }
+    });
+
+    cursor = page.list_complete ? null : page.cursor;
+    if (!cursor) break;
+  }
+
+  return { keys: [...keys], cursor, truncated };
+}
+
+/**
+ * Cache key of a KV key listed by keysForTags() (warm entry or cold-index:)
+ * @param {string} name - KV key name
+ * @returns {string}
+ */
+function cacheKeyOf(name) {
+  return name.startsWith(COLD_INDEX_PREFIX) ? name.slice(COLD_INDEX_PREFIX.length) : name;
+}
+
+/**
+ * Cache keys of every entry, warm or archived, whose key starts with prefix
+ *
+ * @param {string} prefix - Cache key prefix (e.g. "v1:editions:")
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<string[]>} Deduplicated cache keys
+ */
+export async function keysForPrefix(prefix, env) {
+  const [warm, cold] = await Promise.all([
+    listKeys(prefix, env),
+    listKeys(`${COLD_INDEX_PREFIX}${prefix}`, env),
+  ]);
+  return [...new Set([...warm, ...cold.map((name) => name.slice(COLD_INDEX_PREFIX.length))])];
+}
+
+/**
+ * Remove one entry from every cache tier
+ *
+ * @param {string} cacheKey - Cache key
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{edge: boolean, kv: boolean, r2: boolean}>} Tiers the entry was found in
+ */
+async function purgeCacheKey(cacheKey, env) {
+  const [cached, coldIndex] = await Promise.all([
+    env.CACHE.get(cacheKey, 'json'),
+    env.CACHE.get(`${COLD_INDEX_PREFIX}${cacheKey}`, 'json'),
+  ]);
+  const tags = [...new Set([...(cached?.tags || []), ...(coldIndex?.tags || [])])];
+
+  const [edge] = await Promise.all([
+    caches.default.delete(new Request(`https://cache.internal/${cacheKey}`, { method: 'GET' })),
+    env.CACHE.delete(cacheKey),
+    env.CACHE.delete(`${NEGATIVE_KEY_PREFIX}${cacheKey}`),
+    coldIndex?.r2Path && env.LIBRARY_DATA?.delete(coldIndex.r2Path),
+    env.CACHE.delete(`${COLD_INDEX_PREFIX}${cacheKey}`),
+    ...tags.map((tag) => env.CACHE.delete(`${tagIndexPrefix(tag)}${cacheKey}`)),
+  ]);
+
+  return { edge: Boolean(edge), kv: Boolean(cached), r2: Boolean(coldIndex?.r2Path) };
+}
+
+/**
+ * Remove entries from every cache tier (edge, KV, negative cache, R2 cold tier)
+ *
+ * @param {string[]} cacheKeys - Cache keys
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{edge: number, kv: number, r2: number}>} Entries found per tier
+ */
+export async function purgeCacheKeys(cacheKeys, env) {
+  const counts = { edge: 0, kv: 0, r2: 0 };
+  for (const cacheKey of cacheKeys) {
+    const found = await purgeCacheKey(cacheKey, env);
+    for (const tier of Object.keys(counts)) {
+      if (found[tier]) counts[tier]++;
+    }
+  }
+  console.log(`Cache PURGE: ${cacheKeys.length} keys (edge: ${counts.edge}, kv: ${counts.kv}, r2: ${counts.r2})`);
+  return counts;
+}
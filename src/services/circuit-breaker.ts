@@ -0,0 +1,204 @@
+/**
+ * Per-provider circuit breakers for external API calls
+ *
+ * Every provider request in external-apis.ts goes through providerFetch(), which
+ * checks the provider's CircuitBreakerDO first. While a provider is failing
+ * (5xx, 429, network errors, timeouts) its circuit opens and calls fail
+ * immediately, so enrichment moves on to the next provider instead of waiting
+ * out the outage. Every call is also cut off after the provider's timeout, so
+ * a provider that hangs instead of failing can't hold a request either.
+ *
+ * Each isolate caches the breaker state for a few seconds so healthy providers
+ * don't pay a DO round trip per request. If the DO itself is unavailable we
+ * fail open and call the provider.
+ */
+
+import type { FieldSource } from "../types/enums.js";
+
+/**
+ * Providers with a circuit breaker (gemini calls don't go through external-apis.ts)
+ */
+export const BREAKER_PROVIDERS: FieldSource[] = ["google-books", "openlibrary", "isbndb", "library-of-congress"];
+
+/**
+ * ms before a provider call is aborted (and counted as a failure)
+ */
+export const PROVIDER_TIMEOUTS: Partial<Record<FieldSource, number>> = {
+  "google-books": 8000,
+  openlibrary: 10000, // Slowest of the four on cold work pages
+  isbndb: 8000,
+  "library-of-congress": 3000, // Supplementary: not worth holding a search for
+};
+
+const DEFAULT_TIMEOUT = 10000;
+
+const STATE_CACHE_TTL = 5000; // ms an isolate trusts its cached breaker state
+
+export type CircuitState = "closed" | "open" | "half-open";
+
+/**
+ * Breaker state as returned by CircuitBreakerDO
+ */
+export interface CircuitStatus {
+  state: CircuitState;
+  allowed: boolean;
+  failures: number;
+  openedAt: number | null;
+  retryAt: number | null;
+  lastFailure: string | null;
+}
+
+export interface CircuitBreakerEnv {
+  CIRCUIT_BREAKER_DO?: DurableObjectNamespace;
+}
+
+interface CachedStatus {
+  status: CircuitStatus;
+  checkedAt: number;
+}
+
+const localState = new Map<FieldSource, CachedStatus>();
+
+function getStub(provider: FieldSource, env: CircuitBreakerEnv): any {
+  const namespace = env.CIRCUIT_BREAKER_DO!;
+  return namespace.get(namespace.idFromName(provider));
+}
+
+function remember(provider: FieldSource, status: CircuitStatus | undefined): void {
+  if (status) {
+    localState.set(provider, { status, checkedAt: Date.now() });
+  }
+}
+
+/**
+ * Whether a request to the provider may go ahead
+ */
+async function allowRequest(provider: FieldSource, env: CircuitBreakerEnv): Promise<CircuitStatus | null> {
+  const now = Date.now();
+  const cached = localState.get(provider);
+
+  if (cached) {
+    const { status, checkedAt } = cached;
+    if (status.state === "open" && status.retryAt && now < status.retryAt) {
+      return status;
+    }
+    if (status.state === "closed" && now - checkedAt < STATE_CACHE_TTL) {
+      return status;
+    }
+  }
+
+  try {
+    const status: CircuitStatus = await getStub(provider, env).check();
+    remember(provider, status);
+    return status;
+  } catch (error) {
+    console.error(`[CircuitBreaker] ${provider} state check failed, allowing request:`, error);
+    return null;
+  }
+}
+
+async function report(provider: FieldSource, env: CircuitBreakerEnv, failure: string | null): Promise<void> {
+  try {
+    const stub = getStub(provider, env);
+    const status: CircuitStatus = failure ? await stub.recordFailure(failure) : await stub.recordSuccess();
+    remember(provider, status);
+  } catch (error) {
+    console.error(`[CircuitBreaker] Failed to record ${provider} result:`, error);
+  }
+}
+
+/**
+ * Rate limits and server errors mean the provider is unhealthy; other 4xx
+ * (e.g. ISBNdb's 404 for an unknown ISBN) are answers
+ */
+function isProviderFailure(status: number): boolean {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * init with the provider's timeout added to any signal the caller passed
+ */
+function withTimeout(provider: FieldSource, init: RequestInit): RequestInit {
+  const timeout = AbortSignal.timeout(PROVIDER_TIMEOUTS[provider] ?? DEFAULT_TIMEOUT);
+  return { ...init, signal: init.signal ? AbortSignal.any([init.signal, timeout]) : timeout };
+}
+
+function failureMessage(provider: FieldSource, error: unknown): string {
+  if ((error as Error)?.name === "TimeoutError") {
+    return `Timed out after ${PROVIDER_TIMEOUTS[provider] ?? DEFAULT_TIMEOUT}ms`;
+  }
+  return (error as Error)?.message || String(error);
+}
+
+/**
+ * fetch() guarded by the provider's circuit breaker and timeout
+ *
+ * @throws Error if the provider's circuit is open (or a probe is already in flight)
+ * @throws DOMException (TimeoutError) if the provider doesn't answer within PROVIDER_TIMEOUTS
+ */
+export async function providerFetch(
+  provider: FieldSource,
+  url: string,
+  init: RequestInit,
+  env: CircuitBreakerEnv,
+): Promise<Response> {
+  if (!env.CIRCUIT_BREAKER_DO) {
+    return fetch(url, withTimeout(provider, init));
+  }
+
+  const status = await allowRequest(provider, env);
+  if (status && !status.allowed) {
+    const retryIn = status.retryAt ? Math.max(0, Math.ceil((status.retryAt - Date.now()) / 1000)) : 0;
+    throw new Error(`${provider} circuit ${status.state}: skipping request (retry in ${retryIn}s)`);
+  }
+
+  let response: Response;
+  try {
+    response = await fetch(url, withTimeout(provider, init));
+  } catch (error) {
+    await report(provider, env, failureMessage(provider, error));
+    throw error;
+  }
+
+  if (isProviderFailure(response.status)) {
+    await report(provider, env, `HTTP ${response.status}`);
+  } else if (status && (status.state !== "closed" || status.failures > 0)) {
+    await report(provider, env, null);
+  }
+
+  return response;
+}
+
+/**
+ * Breaker state for every provider (for /health)
+ *
+ * @returns Status keyed by provider, or null if circuit breakers aren't configured
+ */
+export async function getCircuitBreakerStatus(
+  env: CircuitBreakerEnv,
+): Promise<Record<string, CircuitStatus | { state: "unknown" }> | null> {
+  if (!env.CIRCUIT_BREAKER_DO) {
+    return null;
+  }
+
+  const entries = await Promise.all(
+    BREAKER_PROVIDERS.map(async (provider) => {
+      try {
+        const status: CircuitStatus = await getStub(provider, env).getStatus();
+        return [provider, status] as const;
+      } catch (error) {
+        console.error(`[CircuitBreaker] Failed to read ${provider} state:`, error);
+        return [provider, { state: "unknown" as const }] as const;
+      }
+    }),
+  );
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Forget cached breaker state (tests)
+ */
+export function resetCircuitBreakerCache(): void {
+  localState.clear();
+}
@@ -0,0 +1,189 @@
+// src/services/cover-dedupe.js
+import { decodeJPEGPreview } from "../utils/jpeg-preview.js";
+import { CacheKeyFactory } from "./cache-key-factory.js";
+
+/**
+ * Perceptual hashes of stored covers
+ *
+ * Every cover entering BOOK_COVERS (image proxy, scheduled harvest) gets a
+ * 64-bit difference hash (dHash), which survives re-encoding and resizing:
+ *
+ * - Dedupe: KV cover:hash={hash} points to the R2 object already holding that
+ *   image. A new cover with the same hash isn't stored again; its index
+ *   (cover:{isbn} or cover:url={url}) points to the existing object instead.
+ * - Placeholders: covers within PLACEHOLDER_MAX_DISTANCE bits of a denylisted
+ *   hash ("no cover available" images) are rejected, so the next source is
+ *   used. The denylist is COVER_PLACEHOLDER_HASHES (comma-separated) plus the
+ *   hashes added with POST /admin/covers/placeholders.
+ *
+ * Only JPEG covers are hashed (see utils/jpeg-preview.js).
+ */
+
+export const PLACEHOLDER_MAX_DISTANCE = 5; // Of 64 bits
+const DENYLIST_KEY = "config:cover-placeholders";
+const HASH_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * dHash of an image
+ *
+ * @param {ArrayBuffer|Uint8Array} imageData - Image file
+ * @returns {string|null} 16 hex digits, or null if the image can't be decoded
+ */
+export function coverHash(imageData) {
+  const preview = decodeJPEGPreview(imageData);
+  return preview ? differenceHash(preview.pixels, preview.width, preview.height) : null;
+}
+
+/**
+ * dHash: shrink to 9x8 grayscale, then one bit per pixel for "brighter than
+ * its right neighbor"
+ *
+ * @param {Uint8ClampedArray} pixels - RGB pixels, 3 bytes each
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {string} 16 hex digits
+ */
+export function differenceHash(pixels, width, height) {
+  const gray = shrinkGray(pixels, width, height, 9, 8);
+  let hex = "";
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) {
+      byte = (byte << 1) | (gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+/**
+ * Number of differing bits between two hashes
+ *
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {number} 0-64
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    for (; bits; bits &= bits - 1) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Denylisted placeholder hashes
+ *
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<string[]>}
+ */
+export async function placeholderHashes(env) {
+  const configured = (env.COVER_PLACEHOLDER_HASHES || "")
+    .split(",")
+    .map((hash) => hash.trim().toLowerCase())
+    .filter((hash) => HASH_PATTERN.test(hash));
+  const added = (await env.KV_CACHE?.get(DENYLIST_KEY, "json")) || [];
+  return [...new Set([...configured, ...added])];
+}
+
+/**
+ * Add a hash to the placeholder denylist
+ *
+ * @param {string} hash - dHash of a placeholder image
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<string[]>} Hashes added through the API
+ */
+export async function addPlaceholderHash(hash, env) {
+  if (!HASH_PATTERN.test(hash)) {
+    throw new Error(`Invalid cover hash: ${hash}`);
+  }
+  const added = (await env.KV_CACHE.get(DENYLIST_KEY, "json")) || [];
+  if (!added.includes(hash)) {
+    added.push(hash);
+    await env.KV_CACHE.put(DENYLIST_KEY, JSON.stringify(added));
+  }
+  return added;
+}
+
+/**
+ * Whether a hash matches a denylisted placeholder
+ *
+ * @param {string|null} hash - Cover hash
+ * @param {string[]} denylist - From placeholderHashes()
+ * @returns {boolean}
+ */
+export function isPlaceholderHash(hash, denylist) {
+  return Boolean(hash) && denylist.some((placeholder) => hammingDistance(hash, placeholder) <= PLACEHOLDER_MAX_DISTANCE);
+}
+
+/**
+ * Check a cover before storing it
+ *
+ * @param {ArrayBuffer|Uint8Array} imageData - Image file
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{hash: string|null, placeholder: boolean, duplicateOf: string|null}>}
+ *   duplicateOf is the R2 key already holding the same image
+ */
+export async function checkCover(imageData, env) {
+  const hash = coverHash(imageData);
+  if (!hash || !env.KV_CACHE) {
+    return { hash, placeholder: false, duplicateOf: null };
+  }
+
+  if (isPlaceholderHash(hash, await placeholderHashes(env))) {
+    return { hash, placeholder: true, duplicateOf: null };
+  }
+
+  const existing = await env.KV_CACHE.get(CacheKeyFactory.coverHash(hash), "json");
+  return { hash, placeholder: false, duplicateOf: existing?.r2Key || null };
+}
+
+/**
+ * Record the R2 object holding an image, for later covers with the same hash
+ *
+ * @param {string|null} hash - Cover hash
+ * @param {string} r2Key - BOOK_COVERS key
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<void>}
+ */
+export async function recordCoverHash(hash, r2Key, env) {
+  if (!hash || !env.KV_CACHE) return;
+  await env.KV_CACHE.put(
+    CacheKeyFactory.coverHash(hash),
+    JSON.stringify({ r2Key, storedAt: new Date().toISOString() }),
+    { expirationTtl: 365 * 24 * 60 * 60 }, // 1 year, like the cover indexes
+  );
+}
+
+/**
+ * Area-average an RGB image down (or up) to a grayscale grid
+ */
+function shrinkGray(pixels, width, height, columns, rows) {
+  const gray = new Float64Array(columns * rows);
+  const scaleX = width / columns;
+  const scaleY = height / rows;
+
+  for (let row = 0; row < rows; row++) {
+    const y0 = row * scaleY;
+    const y1 = y0 + scaleY;
+    for (let column = 0; column < columns; column++) {
+      const x0 = column * scaleX;
+      const x1 = x0 + scaleX;
+      let sum = 0;
+      let weight = 0;
+      for (let y = Math.floor(y0); y < Math.min(height, Math.ceil(y1)); y++) {
+        const coverY = Math.min(y + 1, y1) - Math.max(y, y0);
+        for (let x = Math.floor(x0); x < Math.min(width, Math.ceil(x1)); x++) {
+          const w = coverY * (Math.min(x + 1, x1) - Math.max(x, x0));
+          const p = (y * width + x) * 3;
+          sum += w * (0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2]);
+          weight += w;
+        }
+      }
+      gray[row * columns + column] = weight > 0 ? sum / weight : 0;
+    }
+  }
+
+  return gray;
+}
@@ -0,0 +1,196 @@
+// src/services/cover-preview.js
+import { decodeJPEGPreview } from "../utils/jpeg-preview.js";
+import { encodeBlurHash } from "../utils/blurhash.js";
+import { canonicalISBN, isValidISBN } from "../utils/isbn.js";
+import { CacheKeyFactory } from "./cache-key-factory.js";
+
+/**
+ * Cover previews: BlurHash and colors for rendering a cover before it loads
+ *
+ * Computed once, when a cover is first stored in BOOK_COVERS (image proxy and
+ * scheduled harvest), and kept in three places:
+ * - R2 custom metadata of the stored cover
+ * - The cover KV index: cover:{isbn} (harvest) or cover:url={url} (image proxy)
+ * - EditionDTO / WorkDTO coverBlurHash, coverDominantColor, coverAccentColor,
+ *   filled in from the KV index by attachCoverPreviews()
+ */
+
+const SATURATION_THRESHOLD = 0.25; // Grey-ish colors never make an accent
+const ACCENT_MIN_SHARE = 0.02; // Accent must cover at least 2% of the cover
+const ACCENT_MIN_DISTANCE = 64; // RGB distance from the dominant color
+const MAX_BULK_KEYS = 100; // KV get() of an array of keys reads up to 100 at once
+
+/**
+ * Compute the preview of a cover image
+ *
+ * @param {ArrayBuffer|Uint8Array} imageData - Original image (JPEG; other formats have no preview)
+ * @returns {{blurHash: string, dominantColor: string, accentColor: string}|null}
+ */
+export function computeCoverPreview(imageData) {
+  const preview = decodeJPEGPreview(imageData);
+  if (!preview) {
+    return null;
+  }
+
+  const { width, height, pixels } = preview;
+  // Covers are portrait: more vertical than horizontal detail
+  const [componentsX, componentsY] = width <= height ? [3, 4] : [4, 3];
+  const { dominant, accent } = coverColors(pixels);
+
+  return {
+    blurHash: encodeBlurHash(pixels, width, height, componentsX, componentsY),
+    dominantColor: toHex(dominant),
+    accentColor: toHex(accent),
+  };
+}
+
+/**
+ * Dominant and accent colors of an image
+ *
+ * Pixels are bucketed at 3 bits per channel. The dominant color is the
+ * average of the fullest bucket; the accent is the most saturated bucket
+ * (weighted by size) that is clearly different from it, falling back to the
+ * dominant color for monochrome covers.
+ *
+ * @param {Uint8ClampedArray} pixels - RGB pixels, 3 bytes each
+ * @returns {{dominant: number[], accent: number[]}} [r, g, b] colors
+ */
+export function coverColors(pixels) {
+  const buckets = new Map();
+  for (let i = 0; i < pixels.length; i += 3) {
+    const key = ((pixels[i] >> 5) << 6) | ((pixels[i + 1] >> 5) << 3) | (pixels[i + 2] >> 5);
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+    bucket.count++;
+    bucket.sum[0] += pixels[i];
+    bucket.sum[1] += pixels[i + 1];
+    bucket.sum[2] += pixels[i + 2];
+    buckets.set(key, bucket);
+  }
+
+  const colors = [...buckets.values()]
+    .map(({ count, sum }) => ({ count, rgb: sum.map((value) => Math.round(value / count)) }))
+    .sort((a, b) => b.count - a.count);
+
+  const total = pixels.length / 3;
+  const dominant = colors[0].rgb;
+  let accent = null;
+  let accentScore = 0;
+  for (const { count, rgb } of colors) {
+    const score = saturation(rgb) * count;
+    if (
+      count >= total * ACCENT_MIN_SHARE &&
+      saturation(rgb) >= SATURATION_THRESHOLD &&
+      distance(rgb, dominant) >= ACCENT_MIN_DISTANCE &&
+      score > accentScore
+    ) {
+      accent = rgb;
+      accentScore = score;
+    }
+  }
+
+  return { dominant, accent: accent || dominant };
+}
+
+/**
+ * Preview as R2 custom metadata (string values only)
+ *
+ * @param {Object|null} preview - From computeCoverPreview()
+ * @returns {Object} Metadata fields, empty if there is no preview
+ */
+export function previewMetadata(preview) {
+  return preview
+    ? { blurHash: preview.blurHash, dominantColor: preview.dominantColor, accentColor: preview.accentColor }
+    : {};
+}
+
+/**
+ * Fill in coverBlurHash / coverDominantColor / coverAccentColor from the cover
+ * KV index
+ *
+ * Editions are looked up by ISBN (harvested covers), then by cover URL
+ * (proxied covers); works by cover URL, or through an edition with the same
+ * cover. Every index of a page is read with one bulk KV get (per 100 keys),
+ * not one read per key. Best-effort: a failed lookup just leaves the fields out.
+ *
+ * @param {Array<Object>} works - WorkDTOs
+ * @param {Array<Object>} editions - EditionDTOs
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{works: Array<Object>, editions: Array<Object>}>} Copies with previews
+ */
+export async function attachCoverPreviews(works, editions, env) {
+  if (!env.KV_CACHE) {
+    return { works, editions };
+  }
+
+  const keys = new Set();
+  const keysOf = (dto, withISBN) => [
+    withISBN && dto.isbn && isValidISBN(dto.isbn) ? CacheKeyFactory.coverImage(canonicalISBN(dto.isbn)) : null,
+    dto.coverImageURL ? CacheKeyFactory.coverImageURL(dto.coverImageURL) : null,
+  ].filter(Boolean);
+
+  editions.forEach((edition) => keysOf(edition, true).forEach((key) => keys.add(key)));
+  works.forEach((work) => keysOf(work, false).forEach((key) => keys.add(key)));
+  if (keys.size === 0) {
+    return { works, editions };
+  }
+
+  const previews = new Map();
+  const keyList = [...keys];
+  await Promise.all(
+    Array.from({ length: Math.ceil(keyList.length / MAX_BULK_KEYS) }, async (_, i) => {
+      const batch = keyList.slice(i * MAX_BULK_KEYS, (i + 1) * MAX_BULK_KEYS);
+      try {
+        const indexes = await env.KV_CACHE.get(batch, "json");
+        for (const [key, index] of indexes || []) {
+          if (index?.blurHash) previews.set(key, index);
+        }
+      } catch (error) {
+        console.warn(`[Covers] Preview lookup failed for ${batch.length} covers:`, error.message);
+      }
+    }),
+  );
+
+  const previewOf = (dto, withISBN) =>
+    keysOf(dto, withISBN).map((key) => previews.get(key)).find(Boolean);
+
+  const previewedEditions = editions.map((edition) => withPreview(edition, previewOf(edition, true)));
+  const byURL = new Map(
+    previewedEditions
+      .filter((edition) => edition.coverImageURL && edition.coverBlurHash)
+      .map((edition) => [edition.coverImageURL, edition]),
+  );
+  const previewedWorks = works.map((work) => {
+    const edition = byURL.get(work.coverImageURL);
+    return withPreview(work, previewOf(work, false) || (edition && {
+      blurHash: edition.coverBlurHash,
+      dominantColor: edition.coverDominantColor,
+      accentColor: edition.coverAccentColor,
+    }));
+  });
+
+  return { works: previewedWorks, editions: previewedEditions };
+}
+
+function withPreview(dto, preview) {
+  return preview
+    ? {
+        ...dto,
+        coverBlurHash: preview.blurHash,
+        coverDominantColor: preview.dominantColor,
+        coverAccentColor: preview.accentColor,
+      }
+    : dto;
+}
+
+function saturation([r, g, b]) {
+  const max = Math.max(r, g, b);
+  return max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function toHex(rgb) {
+  return `#${rgb.map((value) => value.toString(16).padStart(2, "0")).join("")}`;
+}
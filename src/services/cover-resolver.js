@@ -0,0 +1,232 @@
+// src/services/cover-resolver.js
+import { imageInfo } from '../utils/image-info.js';
+import { getISBNdbBookByISBN, searchGoogleBooksByISBN } from './external-apis.ts';
+import { CacheKeyFactory } from './cache-key-factory.js';
+import { coverHash, isPlaceholderHash, placeholderHashes } from './cover-dedupe.js';
+
+/**
+ * Best-cover resolution for GET /v1/covers/:isbn
+ *
+ * Gathers one candidate image per source, downloads them, and scores each by
+ * resolution and how close it is to a book's 2:3 aspect ratio. Placeholders
+ * (OpenLibrary's 1x1 blanks, Google's "image not available", and anything
+ * matching the placeholder hash denylist of services/cover-dedupe.js) are
+ * rejected.
+ * The highest score wins; ties go to the earlier source in COVER_SOURCES.
+ *
+ * Sources:
+ * - r2: covers/{isbn13} in BOOK_COVERS, stored by the ISBNdb cover harvest
+ *   (or the object it shares with an identical cover, see getStoredCover)
+ * - isbndb: only asked when R2 has nothing, since the harvest stored its cover
+ * - google-books: volume cover at zoom=3 (see normalizers/google-books.ts)
+ * - openlibrary: covers.openlibrary.org by ISBN, large size
+ */
+
+export const COVER_SOURCES = ['r2', 'isbndb', 'google-books', 'openlibrary'];
+
+const TARGET_PIXELS = 600 * 900; // Full resolution score at detail-view size
+const BOOK_ASPECT = 2 / 3; // Width / height of a typical cover
+const MIN_DIMENSION = 50; // Smaller images are blanks or icons, not covers
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * R2 key of an ISBN's stored cover
+ * @param {string} isbn13 - ISBN-13
+ * @returns {string} covers/{isbn13}
+ */
+export function coverR2Key(isbn13) {
+  return `covers/${isbn13}`;
+}
+
+/**
+ * Stored cover of an ISBN
+ *
+ * The harvest doesn't store a cover twice: an ISBN whose cover is identical to
+ * one already in R2 only has a cover:{isbn} KV index pointing to that object.
+ *
+ * @param {string} isbn13 - ISBN-13
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Object|null>} R2 object, or null if none is stored
+ */
+export async function getStoredCover(isbn13, env) {
+  if (!env.BOOK_COVERS) {
+    return null;
+  }
+
+  const stored = await env.BOOK_COVERS.get(coverR2Key(isbn13));
+  if (stored) {
+    return stored;
+  }
+
+  const index = await env.KV_CACHE?.get(CacheKeyFactory.coverImage(isbn13), 'json');
+  return index?.r2Key && index.r2Key !== coverR2Key(isbn13)
+    ? env.BOOK_COVERS.get(index.r2Key)
+    : null;
+}
+
+/**
+ * Score a cover by resolution (70 points) and aspect ratio (30 points)
+ *
+ * @param {{width: number, height: number}} size - Image dimensions
+ * @returns {number} 0-100
+ */
+export function scoreCover({ width, height }) {
+  const resolution = Math.min(1, (width * height) / TARGET_PIXELS);
+  const aspectFit = Math.max(0, 1 - Math.abs(width / height - BOOK_ASPECT) / BOOK_ASPECT);
+  return Math.round(70 * resolution + 30 * aspectFit);
+}
+
+/**
+ * Why an image is a placeholder rather than a cover
+ *
+ * @param {string} source - Cover source
+ * @param {{format: string, width: number, height: number}} info - From imageInfo()
+ * @returns {string|null} Reason, or null if it looks like a real cover
+ */
+export function placeholderReason(source, info) {
+  if (info.width < MIN_DIMENSION || info.height < MIN_DIMENSION) {
+    return 'placeholder'; // OpenLibrary answers unknown covers with a 1x1 image
+  }
+  if (source === 'google-books' && info.format === 'png') {
+    return 'placeholder'; // Google's "image not available" is a PNG; its covers are JPEGs
+  }
+  return null;
+}
+
+/**
+ * Resolve the best cover for an ISBN
+ *
+ * @param {string} isbn13 - ISBN-13
+ * @param {Object} env - Worker environment bindings
+ * @param {string} imageURL - URL serving the R2 cover (GET /v1/covers/:isbn/image)
+ * @returns {Promise<{cover: Object|null, candidates: Array<Object>, failedSources: string[]}>} Winner
+ *   (null if every candidate was rejected), every candidate with its score or rejection
+ *   reason, and the sources that errored instead of answering (so "no cover" is not certain)
+ */
+export async function resolveCover(isbn13, env, imageURL) {
+  const [stored, denylist] = await Promise.all([
+    getStoredCover(isbn13, env),
+    placeholderHashes(env).catch(() => []),
+  ]);
+
+  const failedSources = [];
+  const lookup = (source, findURL) =>
+    findURL(isbn13, env).then(
+      (url) => url && { source, url },
+      (error) => {
+        console.error(`[Covers] ${source} lookup failed for ${isbn13}:`, error);
+        failedSources.push(source);
+        return null;
+      },
+    );
+
+  const lookups = await Promise.all([
+    stored ? { source: 'r2', url: imageURL, body: await stored.arrayBuffer() } : null,
+    stored ? null : lookup('isbndb', isbndbCoverURL),
+    lookup('google-books', googleBooksCoverURL),
+    { source: 'openlibrary', url: `https://covers.openlibrary.org/b/isbn/${isbn13}-L.jpg?default=false` },
+  ]);
+
+  const candidates = await Promise.all(
+    lookups.filter(Boolean).map((lookup) => scoreCandidate(lookup, denylist)),
+  );
+  for (const candidate of candidates) {
+    if (candidate.rejected === 'error') failedSources.push(candidate.source);
+  }
+
+  const winner = candidates
+    .filter((candidate) => !candidate.rejected)
+    .sort((a, b) => b.score - a.score || COVER_SOURCES.indexOf(a.source) - COVER_SOURCES.indexOf(b.source))[0];
+
+  const cover = winner
+    ? {
+        isbn: isbn13,
+        url: winner.url,
+        source: winner.source,
+        width: winner.width,
+        height: winner.height,
+        format: winner.format,
+        score: winner.score,
+        resolvedAt: new Date().toISOString(),
+      }
+    : null;
+
+  return { cover, candidates: candidates.map(({ format, ...candidate }) => candidate), failedSources };
+}
+
+/**
+ * Download (unless already read) and score one candidate
+ *
+ * @param {{source: string, url: string, body?: ArrayBuffer}} lookup - Candidate image
+ * @param {string[]} denylist - Placeholder hashes
+ * @returns {Promise<Object>} { source, url, format?, width?, height?, score, rejected? }
+ */
+async function scoreCandidate({ source, url, body }, denylist) {
+  try {
+    const bytes = body || (await downloadImage(url));
+    if (!bytes) {
+      return { source, url, score: 0, rejected: 'not-found' };
+    }
+
+    const info = imageInfo(bytes);
+    if (!info) {
+      return { source, url, score: 0, rejected: 'unreadable' };
+    }
+
+    const rejected = placeholderReason(source, info)
+      || (denylist.length > 0 && isPlaceholderHash(coverHash(bytes), denylist) ? 'placeholder' : null);
+    return {
+      source,
+      url,
+      format: info.format,
+      width: info.width,
+      height: info.height,
+      score: rejected ? 0 : scoreCover(info),
+      ...(rejected ? { rejected } : {}),
+    };
+  } catch (error) {
+    console.error(`[Covers] ${source} candidate failed (${url}):`, error);
+    return { source, url, score: 0, rejected: 'error' };
+  }
+}
+
+/**
+ * @param {string} url - Image URL
+ * @returns {Promise<ArrayBuffer|null>} Image bytes, or null if there is no image
+ * @throws {Error} When the source fails to answer (server errors, rate limits)
+ */
+async function downloadImage(url) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'BooksTrack/3.0 (book-cover-resolver)' },
+  });
+  if (response.status === 429 || response.status >= 500) {
+    throw new Error(`Image request failed: ${response.status}`);
+  }
+  if (!response.ok) {
+    return null;
+  }
+  if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+    throw new Error('Image too large');
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * @returns {Promise<string|null>} ISBNdb cover URL (original size when available)
+ * @throws {Error} When ISBNdb fails to answer
+ */
+async function isbndbCoverURL(isbn13, env) {
+  const result = await getISBNdbBookByISBN(isbn13, env);
+  return result?.book?.image_original || result?.book?.image || null;
+}
+
+/**
+ * @returns {Promise<string|null>} Google Books cover URL
+ * @throws {Error} When Google Books fails to answer
+ */
+async function googleBooksCoverURL(isbn13, env) {
+  const result = await searchGoogleBooksByISBN(isbn13, env);
+  return result?.editions?.find((edition) => edition.coverImageURL)?.coverImageURL
+    || result?.works?.find((work) => work.coverImageURL)?.coverImageURL
+    || null;
+}
@@ -0,0 +1,211 @@
+// src/services/cover-variants.js
+
+/**
+ * Pre-generated cover variants
+ *
+ * Each cover stored in BOOK_COVERS gets fixed size variants, generated once
+ * when it is first stored (or after its first request, for covers stored
+ * without them), in AVIF, WebP and JPEG:
+ *
+ *   {r2Key}/{variant}.{format}   e.g. covers/9780441013593/grid.avif
+ *
+ * Requests pick a format with the Accept header and get the stored object
+ * as is, so delivery doesn't need Cloudflare Image Resizing. Variants are
+ * generated with the Images binding (IMAGES); without it a cover has no
+ * variants and the original is served for every size.
+ *
+ * The original's customMetadata.variantFormats lists the formats every
+ * variant exists in. It is only written once variants exist, so covers stored
+ * without the Images binding (or whose transforms all failed) get them later.
+ */
+
+export const COVER_VARIANTS = {
+  thumbnail: { width: 128, height: 192 },
+  grid: { width: 256, height: 384 },
+  detail: { width: 512, height: 768 },
+  full: null, // Original dimensions
+};
+
+export const DEFAULT_VARIANT = "grid";
+
+// Preference order when the client accepts several
+export const VARIANT_FORMATS = ["avif", "webp", "jpeg"];
+
+const CONTENT_TYPES = { avif: "image/avif", webp: "image/webp", jpeg: "image/jpeg" };
+const QUALITY = { avif: 60, webp: 85, jpeg: 85 };
+
+// size= values of /images/proxy before variants existed
+const LEGACY_SIZES = { small: "thumbnail", medium: "grid", large: "detail" };
+
+const IMMUTABLE = "public, max-age=31536000, immutable"; // 1 year
+
+/**
+ * Variant for a size= query parameter
+ *
+ * @param {string|null} size - Variant name or legacy size (small, medium, large)
+ * @returns {string} Variant name (DEFAULT_VARIANT if unknown)
+ */
+export function variantName(size) {
+  if (size && size in COVER_VARIANTS) return size;
+  return LEGACY_SIZES[size] || DEFAULT_VARIANT;
+}
+
+/**
+ * R2 key of a cover variant
+ *
+ * @param {string} r2Key - Key of the original cover
+ * @param {string} variant - Variant name
+ * @param {string} format - avif, webp or jpeg
+ * @returns {string} {r2Key}/{variant}.{format}
+ */
+export function variantKey(r2Key, variant, format) {
+  return `${r2Key}/${variant}.${format}`;
+}
+
+/**
+ * Pick a format from an Accept header
+ *
+ * @param {string|null} accept - Accept header
+ * @param {string[]} formats - Available formats
+ * @returns {string|null} Most preferred available format the client accepts
+ *   (JPEG unless refused with q=0), or null if none is available
+ */
+export function negotiateFormat(accept, formats) {
+  const accepted = new Map();
+  for (const part of (accept || "").split(",")) {
+    const [type, ...params] = part.trim().toLowerCase().split(";");
+    const q = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+    accepted.set(type, q ? Number(q.slice(2)) : 1);
+  }
+
+  // AVIF and WebP only when named: */* doesn't mean the client decodes them
+  return VARIANT_FORMATS.find((format) => {
+    if (!formats.includes(format)) return false;
+    const q = accepted.get(CONTENT_TYPES[format]);
+    return format === "jpeg" ? q !== 0 : q > 0;
+  }) || null;
+}
+
+/**
+ * Generate and store every variant of a cover
+ *
+ * A format is only kept if every variant could be generated in it.
+ *
+ * @param {ArrayBuffer} imageData - Original image
+ * @param {string} r2Key - Key of the original cover
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<string[]>} Formats stored (empty without the IMAGES binding)
+ */
+export async function storeCoverVariants(imageData, r2Key, env) {
+  if (!env.IMAGES) {
+    return [];
+  }
+
+  const stored = await Promise.all(VARIANT_FORMATS.map(async (format) => {
+    try {
+      const variants = await Promise.all(
+        Object.entries(COVER_VARIANTS).map(async ([variant, size]) => [
+          variant,
+          await transformImage(imageData, size, format, env),
+        ]),
+      );
+      await Promise.all(variants.map(([variant, data]) =>
+        env.BOOK_COVERS.put(variantKey(r2Key, variant, format), data, {
+          httpMetadata: { contentType: CONTENT_TYPES[format], cacheControl: IMMUTABLE },
+        }),
+      ));
+      return format;
+    } catch (error) {
+      console.error(`[Covers] ${format} variants failed for ${r2Key}:`, error);
+      return null;
+    }
+  }));
+
+  const formats = stored.filter(Boolean);
+  console.log(`[Covers] Stored ${formats.length * Object.keys(COVER_VARIANTS).length} variants of ${r2Key}`);
+  return formats;
+}
+
+/**
+ * customMetadata recording the variant formats of a cover
+ *
+ * @param {string[]} formats - From storeCoverVariants()
+ * @returns {{variantFormats?: string}} Empty when there are no variants
+ */
+export function variantMetadata(formats) {
+  return formats.length > 0 ? { variantFormats: formats.join(",") } : {};
+}
+
+/**
+ * Serve a stored cover: the requested variant in the best accepted format
+ *
+ * Covers without variants are served as is; with the Images binding their
+ * variants are generated after the response (options.ctx), for the next
+ * request. Responses carry the stored object's strong ETag (304 on
+ * If-None-Match), Vary: Accept and an immutable Cache-Control (unless
+ * options.cacheControl says otherwise).
+ *
+ * @param {Object} original - R2 object of the original cover
+ * @param {string} r2Key - Its key
+ * @param {string|null} size - Variant (or legacy size) requested
+ * @param {Request|null} request - For Accept and If-None-Match
+ * @param {Object} env - Worker environment bindings
+ * @param {{cacheControl?: string, ctx?: ExecutionContext|null}} [options]
+ * @returns {Promise<Response>}
+ */
+export async function serveCover(original, r2Key, size, request, env, options = {}) {
+  let source = original;
+  const formats = original.customMetadata?.variantFormats;
+
+  if (formats === undefined && env.IMAGES) {
+    const imageData = await original.arrayBuffer();
+    source = { body: imageData, httpMetadata: original.httpMetadata, httpEtag: original.httpEtag };
+    const generate = addCoverVariants(original, imageData, r2Key, env);
+    if (options.ctx) options.ctx.waitUntil(generate);
+    else await generate;
+  }
+
+  const format = negotiateFormat(request?.headers.get("Accept"), formats ? formats.split(",") : []);
+  const variant = format && (await env.BOOK_COVERS.get(variantKey(r2Key, variantName(size), format)));
+
+  return imageResponse(variant || source, request, options.cacheControl || IMMUTABLE);
+}
+
+/**
+ * Generate the variants of a cover stored without them, and record them on the original
+ */
+async function addCoverVariants(original, imageData, r2Key, env) {
+  try {
+    const formats = await storeCoverVariants(imageData, r2Key, env);
+    if (formats.length === 0) return; // Try again on a later request
+    await env.BOOK_COVERS.put(r2Key, imageData, {
+      httpMetadata: original.httpMetadata,
+      customMetadata: { ...original.customMetadata, ...variantMetadata(formats) },
+    });
+  } catch (error) {
+    console.error(`[Covers] Variant generation failed for ${r2Key}:`, error);
+  }
+}
+
+function imageResponse(object, request, cacheControl) {
+  const headers = {
+    "Content-Type": object.httpMetadata?.contentType || "image/jpeg",
+    "Cache-Control": cacheControl,
+    Vary: "Accept",
+  };
+  if (object.httpEtag) {
+    headers.ETag = object.httpEtag;
+    const ifNoneMatch = request?.headers.get("If-None-Match");
+    if (ifNoneMatch && ifNoneMatch.split(",").some((etag) => etag.trim() === object.httpEtag)) {
+      return new Response(null, { status: 304, headers });
+    }
+  }
+  return new Response(object.body, { headers });
+}
+
+async function transformImage(imageData, size, format, env) {
+  const result = await env.IMAGES.input(new Blob([imageData]).stream())
+    .transform(size ? { width: size.width, height: size.height, fit: "scale-down" } : {})
+    .output({ format: CONTENT_TYPES[format], quality: QUALITY[format] });
+  return result.response().arrayBuffer();
+}
@@ -17,6 +17,7 @@ import {
   PROMPT_VERSION,
 } from "../prompts/csv-parser-prompt.js";
 import { generateCSVCacheKey } from "../utils/cache-keys.js";
+import { toISBN13 } from "../utils/isbn.js";
 import { parseCSVWithGemini } from "../providers/gemini-csv-provider.js";
 
 /**
@@ -98,7 +99,8 @@ export async function processCSVImport(csvText, progressReporter, env, jobId) {
       .map((book) => ({
         title: String(book.title).trim(),
         author: String(book.author).trim(),
-        isbn: book.isbn ? String(book.isbn).trim() : undefined,
+        // Canonical ISBN-13; malformed ISBNs are dropped so they never reach providers
+        isbn: (book.isbn && toISBN13(String(book.isbn))) || undefined,
       }));
 
     // ISSUE #133: Store full results in KV to avoid multi-MB WebSocket payloads
@@ -1,4 +1,6 @@
 // src/services/edge-cache.js
+import { tagsFor, cacheTagHeader } from './cache-tags.js';
+import { CACHE_SCHEMA_VERSION, upgradeCachedData } from './cache-schema.js';
 
 /**
  * Edge Cache Service using Cloudflare's caches.default API
@@ -9,6 +11,9 @@
  * Optimizations:
  * - Stale-While-Revalidate (SWR): Serve stale content while fetching fresh data
  * - Reduces latency during cache misses and upstream failures
+ *
+ * Entries are stamped with the cache schema version (X-Cache-Schema) and
+ * upgraded on read, or missed if they can't be (see cache-schema.js).
  */
 export class EdgeCacheService {
   /**
@@ -32,7 +37,12 @@ export class EdgeCacheService {
       const response = await cache.match(request);
       if (response) {
         const age = parseInt(response.headers.get('Age') || '0');
-        const data = await response.json();
+        const schemaVersion = parseInt(response.headers.get('X-Cache-Schema') || '0');
+        const upgraded = upgradeCachedData(await response.json(), schemaVersion);
+        if (!upgraded) {
+          return null; // Cached with an incompatible schema; KV repopulates the edge
+        }
+        const data = upgraded.data;
 
         // Fresh hit
         if (age < maxAge) {
@@ -83,7 +93,9 @@ export class EdgeCacheService {
           'Cache-Control': `public, max-age=${ttl}, s-maxage=${ttl}, stale-while-revalidate=${staleWhileRevalidate}`,
           'X-Cache-Source': 'edge',
           'X-Cache-TTL': ttl.toString(),
-          'X-Cache-SWR': staleWhileRevalidate.toString()
+          'X-Cache-SWR': staleWhileRevalidate.toString(),
+          'Cache-Tag': cacheTagHeader(tagsFor(cacheKey, data)),
+          'X-Cache-Schema': CACHE_SCHEMA_VERSION.toString()
         }
       });
 
@@ -2,8 +2,8 @@
  * Book enrichment service
  *
  * Provides DRY enrichment services for individual and multiple book lookups:
- * - enrichSingleBook() - Individual book enrichment with multi-provider fallback
- *   (Google Books → OpenLibrary)
+ * - enrichSingleBook() - Individual book enrichment, merging Google Books,
+ *   OpenLibrary, ISBNdb and Wikidata field by field (see merge-engine.ts)
  * - enrichMultipleBooks() - Multiple results for search queries
  *
  * Used by:
@@ -11,9 +11,17 @@
  * - /v1/search/* endpoints (title, ISBN, advanced search)
  */
 
-import * as externalApis from "./external-apis.ts";
-import type { WorkDTO, EditionDTO, AuthorDTO } from "../types/canonical.js";
-import type { DataProvider } from "../types/enums.js";
+import { getProvider, getProviders, type BookProvider } from "../providers/index.ts";
+import {
+  mergeBookRecords,
+  resolveMergeRules,
+  sameBook,
+  type ProviderRecord,
+} from "./merge-engine.ts";
+import { attachCoverPreviews } from "./cover-preview.js";
+import type { WorkDTO, EditionDTO, AuthorDTO, FieldConflictDTO } from "../types/canonical.js";
+import type { DataProvider, FieldSource } from "../types/enums.js";
+import type { ProviderFilters } from "../utils/search-filters.ts";
 
 // ========================================================================================
 // INTERFACES
@@ -33,6 +41,9 @@ interface WorkerEnv {
   ISBNDB_API_KEY: string;
   GEMINI_API_KEY: string;
 
+  // Vars
+  MERGE_PRECEDENCE?: string; // JSON MergeRules overrides (see merge-engine.ts)
+
   // R2 Buckets
   API_CACHE_COLD: R2Bucket;
   LIBRARY_DATA: R2Bucket;
@@ -43,6 +54,7 @@ interface WorkerEnv {
 
   // Durable Objects
   PROGRESS_WEBSOCKET_DO: DurableObjectNamespace;
+  CIRCUIT_BREAKER_DO?: DurableObjectNamespace; // Per-provider circuit breakers
 
   // Analytics Engine
   PERFORMANCE_ANALYTICS?: AnalyticsEngineDataset;
@@ -61,6 +73,9 @@ interface BookSearchQuery {
   title?: string;
   author?: string;
   isbn?: string;
+  googleBooksId?: string;
+  openLibraryId?: string;
+  goodreadsId?: string;
 }
 
 /**
@@ -68,6 +83,8 @@ interface BookSearchQuery {
  */
 interface SearchOptions {
   maxResults?: number;
+  offsets?: Partial<Record<DataProvider, number>>; // Resume a paginated search (from a decoded cursor)
+  filters?: ProviderFilters; // Pushed down to providers that support them
 }
 
 /**
@@ -85,6 +102,17 @@ interface ApiResponse {
   authors: AuthorDTO[];
 }
 
+/**
+ * Pagination state for a title/author search page
+ */
+export interface PageInfo {
+  provider: DataProvider; // Provider that served this page (later pages stay on it)
+  offset: number;
+  nextOffset: number;
+  totalResults?: number;
+  hasMore: boolean;
+}
+
 /**
  * Return type for enrichMultipleBooks
  */
@@ -92,16 +120,20 @@ interface EnrichmentResult {
   works: WorkDTO[];
   editions: EditionDTO[];
   authors: AuthorDTO[];
+  pagination?: PageInfo;
+  failedProviders?: FieldSource[]; // No results: providers that errored (so "not found" is not certain)
 }
 
 /**
  * Return type for enrichSingleBook
- * Contains work, edition (with cover URL), and authors for a single book
+ * Contains work, edition (with cover URL), and authors for a single book;
+ * work.provenance / edition.provenance say which provider each field came from
  */
 export interface SingleEnrichmentResult {
   work: WorkDTO;
   edition: EditionDTO | null;
   authors: AuthorDTO[];
+  conflicts?: FieldConflictDTO[]; // Fields the providers disagreed on
 }
 
 // ========================================================================================
@@ -115,7 +147,8 @@ export interface SingleEnrichmentResult {
  * @param query - Search parameters
  * @param env - Worker environment bindings
  * @param options - Search options
- * @returns EnrichmentResult with works, editions, and authors
+ * @returns EnrichmentResult with works, editions, and authors; when empty,
+ *   failedProviders lists the providers that errored instead of answering
  */
 export async function enrichMultipleBooks(
   query: BookSearchQuery,
@@ -123,75 +156,47 @@ export async function enrichMultipleBooks(
   options: SearchOptions = { maxResults: 20 },
 ): Promise<EnrichmentResult> {
   const { title, author, isbn } = query;
-  const { maxResults = 20 } = options;
+  const { maxResults = 20, filters = {} } = options;
+  const failedProviders: FieldSource[] = [];
 
-  // ISBN search returns single result (ISBNs are unique)
+  // ISBN search returns single result (ISBNs are unique): the first provider
+  // that knows the ISBN answers
   if (isbn) {
-    // Try Google Books ISBN search first (with isolated error handling)
-    try {
-      console.log(
-        `enrichMultipleBooks: Searching Google Books by ISBN "${isbn}"`,
-      );
-      const googleResult =
-        await externalApis.searchGoogleBooksByISBN(isbn, env);
-
-      if (googleResult && googleResult.works && googleResult.works.length > 0) {
-        // Add provenance fields to all works
-        return {
-          works: googleResult.works.map((work: WorkDTO) =>
-            addProvenanceFields(work, "google-books"),
-          ),
-          editions: googleResult.editions || [],
-          authors: googleResult.authors || [],
-        };
-      }
-      // No results from Google Books, proceed to fallback
-      console.log(
-        `enrichMultipleBooks: Google Books returned no results, trying OpenLibrary`,
-      );
-    } catch (error) {
-      // Google Books failed (network error, 500, etc.), proceed to fallback
-      console.error(
-        `enrichMultipleBooks: Google Books error for ISBN "${isbn}":`,
-        error,
-      );
-      console.log(`enrichMultipleBooks: Trying OpenLibrary fallback`);
-    }
+    for (const provider of getProviders(env, "isbn-lookup")) {
+      if (provider.supplementary) continue;
 
-    // Fallback to OpenLibrary ISBN search (with isolated error handling)
-    try {
-      const olResult = await externalApis.searchOpenLibrary(
-        isbn,
-        { maxResults: 1, isbn },
-        env,
-      );
-
-      if (olResult && olResult.works && olResult.works.length > 0) {
-        // Add provenance fields to all works
-        return {
-          works: olResult.works.map((work: WorkDTO) =>
-            addProvenanceFields(work, "openlibrary"),
-          ),
-          editions: olResult.editions || [],
-          authors: olResult.authors || [],
-        };
+      try {
+        console.log(
+          `enrichMultipleBooks: Searching ${provider.name} by ISBN "${isbn}"`,
+        );
+        const result = await provider.searchByISBN!(isbn, env);
+
+        if (result && result.works && result.works.length > 0) {
+          return withCoverPreviews({
+            works: result.works.map((work: WorkDTO) =>
+              addProvenanceFields(work, provider.id as DataProvider),
+            ),
+            editions: result.editions || [],
+            authors: result.authors || [],
+          }, env);
+        }
+        console.log(`enrichMultipleBooks: ${provider.name} returned no results`);
+      } catch (error) {
+        // Provider failed (network error, 500, open circuit breaker), try the next one
+        failedProviders.push(provider.id);
+        console.error(
+          `enrichMultipleBooks: ${provider.name} error for ISBN "${isbn}":`,
+          error,
+        );
       }
-      // No results from OpenLibrary either
-      console.log(`enrichMultipleBooks: OpenLibrary returned no results`);
-    } catch (error) {
-      // OpenLibrary failed too
-      console.error(
-        `enrichMultipleBooks: OpenLibrary error for ISBN "${isbn}":`,
-        error,
-      );
     }
 
     // No results from any provider
     console.log(`enrichMultipleBooks: No results for ISBN "${isbn}"`);
-    return { works: [], editions: [], authors: [] };
+    return { works: [], editions: [], authors: [], failedProviders };
   }
 
-  // Build search query for Google Books
+  // Build search query for logging (providers build their own)
   const searchQuery = [title, author].filter(Boolean).join(" ");
 
   if (!searchQuery) {
@@ -199,190 +204,110 @@ export async function enrichMultipleBooks(
     return { works: [], editions: [], authors: [] };
   }
 
-  try {
-    // Try Google Books first with maxResults
-    console.log(
-      `enrichMultipleBooks: Searching Google Books for "${searchQuery}" (maxResults: ${maxResults})`,
-    );
-    const googleResult = await externalApis.searchGoogleBooks(
-      searchQuery,
-      { maxResults },
-      env,
-    );
-
-    if (
-      googleResult &&
-      googleResult.works &&
-      googleResult.works.length > 0
-    ) {
-      // Add provenance fields to all works
-      return {
-        works: googleResult.works.map((work: WorkDTO) =>
-          addProvenanceFields(work, "google-books"),
-        ),
-        editions: googleResult.editions || [],
-        authors: googleResult.authors || [],
-      };
-    }
-
-    // Fallback to OpenLibrary
-    console.log(
-      `enrichMultipleBooks: Google Books returned no results, trying OpenLibrary`,
-    );
-    const olResult = await externalApis.searchOpenLibrary(
-      searchQuery,
-      { maxResults },
-      env,
-    );
+  // Continuation pages resume with the provider that served the first page,
+  // so results don't jump between providers mid-scroll
+  const offsets: Partial<Record<FieldSource, number>> = options.offsets || {};
+  const resumeProvider = Object.keys(offsets)[0];
 
-    if (olResult && olResult.works && olResult.works.length > 0) {
-      // Add provenance fields to all works
-      return {
-        works: olResult.works.map((work: WorkDTO) =>
-          addProvenanceFields(work, "openlibrary"),
-        ),
-        editions: olResult.editions || [],
-        authors: olResult.authors || [],
-      };
-    }
+  // Providers are tried in priority order; an error (or an open circuit
+  // breaker, see circuit-breaker.ts) moves on to the next provider
+  for (const provider of getProviders(env, "title-search")) {
+    if (provider.supplementary) continue;
+    if (resumeProvider && resumeProvider !== provider.id) continue;
 
-    // Fallback to ISBNdb (only if we have both title and author with meaningful values)
-    if (title?.trim() && author?.trim()) {
+    const offset = offsets[provider.id] || 0;
+    try {
       console.log(
-        `enrichMultipleBooks: OpenLibrary returned no results, trying ISBNdb`,
+        `enrichMultipleBooks: Searching ${provider.name} for "${searchQuery}" (maxResults: ${maxResults}, offset: ${offset})`,
       );
-      const isbndbResult = await externalApis.searchISBNdb(
-        title,
-        author,
+      const result = await provider.searchByTitle!(
+        { title, author },
+        { maxResults, offset, filters },
         env,
       );
 
-      if (
-        isbndbResult &&
-        isbndbResult.works &&
-        isbndbResult.works.length > 0
-      ) {
-        console.log(
-          `✅ ISBNdb SUCCESS: Found ${isbndbResult.works.length} works`,
+      if (result && result.works && result.works.length > 0) {
+        return withCoverPreviews(
+          toPagedResult(result, provider.id as DataProvider, offset, maxResults),
+          env,
         );
-        return {
-          works: isbndbResult.works.map((work: WorkDTO) =>
-            addProvenanceFields(work, "isbndb"),
-          ),
-          editions: isbndbResult.editions || [],
-          authors: isbndbResult.authors || [],
-        };
       }
+      console.log(`enrichMultipleBooks: ${provider.name} returned no results`);
+    } catch (error) {
+      failedProviders.push(provider.id);
+      console.error(
+        `enrichMultipleBooks: ${provider.name} error for "${searchQuery}":`,
+        error,
+      );
     }
-
-    // No results from any provider
-    console.log(`enrichMultipleBooks: No results for "${searchQuery}"`);
-    return { works: [], editions: [], authors: [] };
-  } catch (error) {
-    console.error("enrichMultipleBooks error:", error);
-    // Best-effort: API errors = empty results (don't propagate errors)
-    return { works: [], editions: [], authors: [] };
   }
+
+  // No results from any provider (best-effort: API errors = empty results)
+  console.log(`enrichMultipleBooks: No results for "${searchQuery}"`);
+  return { works: [], editions: [], authors: [], failedProviders };
 }
 
 /**
  * Enrich a single book with metadata from external providers
  * Used by enrichment pipeline that needs best match for a specific book
  *
+ * Every provider that knows the book contributes: records are merged field by
+ * field with per-field provenance (see merge-engine.ts), instead of taking the
+ * first provider that answers.
+ *
  * @param query - Search parameters
  * @param env - Worker environment bindings
- * @returns SingleEnrichmentResult with work, edition, and authors, or null if not found
+ * @returns SingleEnrichmentResult with work, edition, authors and conflicts, or null if not found
  */
 export async function enrichSingleBook(
   query: BookSearchQuery,
   env: WorkerEnv,
 ): Promise<SingleEnrichmentResult | null> {
-  const { title, author, isbn, openLibraryId, googleBooksId } = query;
+  const { title, author, isbn, openLibraryId, googleBooksId, goodreadsId } = query;
 
   // Require at least one search parameter
-  if (!title && !isbn && !author && !openLibraryId && !googleBooksId) {
+  if (!title && !isbn && !author && !openLibraryId && !googleBooksId && !goodreadsId) {
     console.warn("enrichSingleBook: No search parameters provided");
     return null;
   }
 
   try {
-    // Strategy 1: If ISBN provided, use ISBN search (most accurate)
+    let records: ProviderRecord[] = [];
+
+    // Strategy 1: If ISBN provided, ask every provider about that edition (most accurate)
     if (isbn) {
-      const result: SingleEnrichmentResult | null = await searchByISBN(
-        isbn,
-        env,
-      );
-      // If we have a result with a cover, we're done
-      if (
-        result &&
-        (result.work.coverImageURL || result.edition?.coverImageURL)
-      ) {
-        return result;
-      }
+      records = await lookupByISBN(isbn, env);
     }
 
     // Strategy 2: Use other specific identifiers if available
-    if (googleBooksId) {
-      const result: SingleEnrichmentResult | null = await searchGoogleBooksById(
-        googleBooksId,
-        env,
-      );
-      if (
-        result &&
-        (result.work.coverImageURL || result.edition?.coverImageURL)
-      )
-        return result;
-    }
-
-    if (openLibraryId) {
-      const result: SingleEnrichmentResult | null = await searchOpenLibraryById(
-        openLibraryId,
-        env,
-      );
-      if (
-        result &&
-        (result.work.coverImageURL || result.edition?.coverImageURL)
-      )
-        return result;
-    }
-
-    if (query.goodreadsId) {
-      const result: SingleEnrichmentResult | null =
-        await searchOpenLibraryByGoodreadsId(query.goodreadsId, env);
-      if (
-        result &&
-        (result.work.coverImageURL || result.edition?.coverImageURL)
-      )
-        return result;
+    if (records.length === 0 && (googleBooksId || openLibraryId || goodreadsId)) {
+      records = await lookupByWorkId({ googleBooksId, openLibraryId, goodreadsId }, env);
     }
 
-    // Strategy 3: Try Google Books with title+author
-    const googleResult: SingleEnrichmentResult | null = await searchGoogleBooks(
-      { title, author },
-      env,
-    );
-    if (
-      googleResult &&
-      (googleResult.work.coverImageURL || googleResult.edition?.coverImageURL)
-    ) {
-      return googleResult;
+    // Strategy 3: Title+author search on every provider that supports it
+    if (records.length === 0 && (title || author)) {
+      records = await lookupByTitle({ title, author }, env);
     }
 
-    // Strategy 4: Fallback to OpenLibrary with title+author
-    const openLibResult: SingleEnrichmentResult | null =
-      await searchOpenLibrary({ title, author }, env);
-    if (openLibResult) {
-      return openLibResult;
+    const merged = mergeBookRecords(records, resolveMergeRules(env));
+    if (!merged) {
+      // Book not found in any provider
+      console.log(`enrichSingleBook: No results for query:`, query);
+      return null;
     }
 
-    // If Google Books found a result but it had no cover, return that partial result
-    if (googleResult) {
-      return googleResult;
+    if (merged.conflicts.length > 0) {
+      console.log(
+        `enrichSingleBook: Providers disagree on ${merged.conflicts.map((conflict) => conflict.field).join(", ")}`,
+      );
     }
 
-    // Book not found in any provider
-    console.log(`enrichSingleBook: No results for query:`, query);
-    return null;
+    const { works, editions } = await attachCoverPreviews(
+      [merged.work],
+      merged.edition ? [merged.edition] : [],
+      env,
+    );
+    return { ...merged, work: works[0], edition: editions[0] || merged.edition };
   } catch (error) {
     console.error("enrichSingleBook error:", error);
     // Best-effort: API errors = not found (don't propagate errors)
@@ -391,114 +316,231 @@ export async function enrichSingleBook(
 }
 
 /**
- * Search Google Books API with query
- * Thin wrapper around external-apis.js - returns work, edition, and authors
+ * Await a provider lookup, treating errors as "not found"
+ * One provider failing must not lose the others' data.
  *
- * @param query - Search parameters
- * @param env - Worker environment bindings
- * @returns SingleEnrichmentResult with work, edition, and authors or null
+ * @param label - Lookup name for logging
+ * @param lookup - Provider lookup
+ * @returns Record, or null on error
  */
-async function searchGoogleBooks(
-  query: BookSearchQuery,
-  env: WorkerEnv,
-): Promise<SingleEnrichmentResult | null> {
-  const { title, author, isbn } = query;
-
-  // Build search query (title + author for better precision)
-  const searchQuery: string = isbn
-    ? isbn
-    : [title, author].filter(Boolean).join(" ");
-
-  const result = isbn
-    ? await externalApis.searchGoogleBooksByISBN(searchQuery, env)
-    : await externalApis.searchGoogleBooks(searchQuery, { maxResults: 1 }, env);
+async function settle(
+  label: string,
+  lookup: Promise<ProviderRecord | null>,
+): Promise<ProviderRecord | null> {
+  try {
+    return await lookup;
+  } catch (error) {
+    console.error(`enrichSingleBook: ${label} lookup failed:`, error);
+    return null;
+  }
+}
 
+/**
+ * First result of a normalized provider response as a merge record
+ *
+ * @param result - Normalized provider response
+ * @param provider - Provider name
+ * @returns ProviderRecord, or null if the response has no works
+ */
+function toRecord(
+  result: ApiResponse | null | undefined,
+  provider: FieldSource,
+): ProviderRecord | null {
   if (!result || !result.works || result.works.length === 0) {
     return null;
   }
 
-  // Return first work with provenance fields, plus edition and authors
-  const work: WorkDTO = addProvenanceFields(result.works[0], "google-books");
-  const edition: EditionDTO | null =
-    result.editions && result.editions.length > 0 ? result.editions[0] : null;
-  const authors: AuthorDTO[] = result.authors || [];
+  const work = result.works[0];
+  return {
+    source: provider,
+    work,
+    edition:
+      result.editions && result.editions.length > 0 ? result.editions[0] : null,
+    authors: result.authors || work.authors || [],
+  };
+}
 
-  return { work, edition, authors };
+/**
+ * A provider lookup as a merge record, treating errors as "not found"
+ *
+ * @param provider - Provider being asked
+ * @param label - Lookup name for logging
+ * @param lookup - Provider lookup
+ * @returns Record, or null if not found or on error
+ */
+function lookupRecord(
+  provider: BookProvider,
+  label: string,
+  lookup: Promise<ApiResponse | null>,
+): Promise<ProviderRecord | null> {
+  return settle(
+    `${provider.name} ${label}`,
+    lookup.then((result) => toRecord(result, provider.id)),
+  );
 }
 
 /**
- * Search OpenLibrary API with query
- * Thin wrapper around external-apis.js - returns work, edition, and authors
+ * Every provider's record for an ISBN, looked up in parallel
  *
- * @param query - Search parameters
+ * @param isbn - ISBN-10 or ISBN-13
  * @param env - Worker environment bindings
- * @returns SingleEnrichmentResult with work, edition, and authors or null
+ * @returns Records (supplementary records alone are discarded: they have no edition data)
  */
-async function searchOpenLibrary(
-  query: BookSearchQuery,
+async function lookupByISBN(
+  isbn: string,
   env: WorkerEnv,
-): Promise<SingleEnrichmentResult | null> {
-  const { title, author } = query;
-
-  const searchQuery: string = [title, author].filter(Boolean).join(" ");
-  const result = await externalApis.searchOpenLibrary(
-    searchQuery,
-    { maxResults: 1 },
-    env,
-  );
+): Promise<ProviderRecord[]> {
+  const records = (
+    await Promise.all(
+      getProviders(env, "isbn-lookup").map((provider) =>
+        lookupRecord(provider, "ISBN", provider.searchByISBN!(isbn, env)),
+      ),
+    )
+  ).filter((record): record is ProviderRecord => record !== null);
+
+  return records.some((record) => !getProvider(record.source)?.supplementary)
+    ? records
+    : [];
+}
 
-  if (!result || !result.works || result.works.length === 0) {
-    return null;
+/**
+ * Record for a Google Books / OpenLibrary / Goodreads ID, plus the other
+ * providers' records for its ISBN
+ *
+ * @param ids - External work identifiers
+ * @param env - Worker environment bindings
+ * @returns Records for the book (empty if no provider knows the IDs)
+ */
+async function lookupByWorkId(
+  ids: BookSearchQuery,
+  env: WorkerEnv,
+): Promise<ProviderRecord[]> {
+  for (const provider of getProviders(env, "work-lookup")) {
+    const record = await lookupRecord(provider, "ID", provider.getWork!(ids, env));
+    if (record) {
+      return withISBNRecords([record], env);
+    }
   }
+  return [];
+}
 
-  // Return first work with provenance fields, plus edition and authors
-  const work: WorkDTO = addProvenanceFields(result.works[0], "openlibrary");
-  const edition: EditionDTO | null =
-    result.editions && result.editions.length > 0 ? result.editions[0] : null;
-  const authors: AuthorDTO[] = result.authors || [];
+/**
+ * Records found by ID or title, plus every other provider's record for the
+ * first record's ISBN
+ *
+ * @param records - Records for the same book, best first
+ * @param env - Worker environment bindings
+ * @returns Records for the same book
+ */
+async function withISBNRecords(
+  records: ProviderRecord[],
+  env: WorkerEnv,
+): Promise<ProviderRecord[]> {
+  const edition = records[0]?.edition;
+  const isbn = edition?.isbn || edition?.isbns?.[0];
+  if (!isbn) {
+    return records;
+  }
 
-  return { work, edition, authors };
+  const sources = new Set(records.map((record) => record.source));
+  const extra = await Promise.all(
+    getProviders(env, "isbn-lookup")
+      .filter((provider) => !sources.has(provider.id))
+      .map((provider) => lookupRecord(provider, "ISBN", provider.searchByISBN!(isbn, env))),
+  );
+  return [...records, ...extra.filter((r): r is ProviderRecord => r !== null)];
 }
 
 /**
- * ISBN-specific search (tries Google Books, then OpenLibrary)
- * Thin wrapper around external-apis.js - returns work, edition, and authors
+ * Title+author search on every provider that supports it, in parallel
+ * The highest-priority primary match wins; other providers' results
+ * (including supplementary ones) are only merged in if they are the same book.
  *
- * @param isbn - ISBN-10 or ISBN-13
+ * @param query - Title and/or author
  * @param env - Worker environment bindings
- * @returns SingleEnrichmentResult with work, edition, and authors or null
+ * @returns Records for the best match (empty if no provider found one)
  */
-async function searchByISBN(
-  isbn: string,
+async function lookupByTitle(
+  query: BookSearchQuery,
   env: WorkerEnv,
-): Promise<SingleEnrichmentResult | null> {
-  // Try Google Books ISBN search first
-  const googleResult: SingleEnrichmentResult | null = await searchGoogleBooks(
-    { isbn },
-    env,
-  );
-  if (
-    googleResult &&
-    (googleResult.work.coverImageURL || googleResult.edition?.coverImageURL)
-  ) {
-    return googleResult;
+): Promise<ProviderRecord[]> {
+  const { title, author } = query;
+  const found = (
+    await Promise.all(
+      getProviders(env, "title-search").map((provider) =>
+        lookupRecord(
+          provider,
+          "title",
+          provider.searchByTitle!({ title, author }, { maxResults: 1 }, env),
+        ),
+      ),
+    )
+  ).filter((record): record is ProviderRecord => record !== null);
+
+  const best = found.find((record) => !getProvider(record.source)?.supplementary);
+  if (!best) {
+    return [];
   }
 
-  // Fallback to OpenLibrary ISBN search
-  const olResult: SingleEnrichmentResult | null = await searchOpenLibrary(
-    { isbn },
+  return withISBNRecords(
+    [best, ...found.filter((record) => record !== best && sameBook(best, record))],
     env,
   );
-  if (olResult) {
-    return olResult;
-  }
+}
 
-  // If Google Books found a result but it had no cover, return that partial result
-  if (googleResult) {
-    return googleResult;
-  }
+/**
+ * Build a search page result with provenance fields and pagination state
+ *
+ * hasMore uses the provider-reported total when available; otherwise a full
+ * page is taken to mean more results may follow.
+ *
+ * @param result - Normalized provider response
+ * @param provider - Provider that served the page
+ * @param offset - Offset this page started at
+ * @param pageSize - Requested page size
+ * @returns EnrichmentResult with pagination
+ */
+function toPagedResult(
+  result: ApiResponse & { totalResults?: number },
+  provider: DataProvider,
+  offset: number,
+  pageSize: number,
+): EnrichmentResult {
+  const nextOffset = offset + pageSize;
+  const hasMore =
+    result.totalResults !== undefined
+      ? nextOffset < result.totalResults
+      : result.works.length >= pageSize;
 
-  return null;
+  return {
+    works: result.works.map((work: WorkDTO) =>
+      addProvenanceFields(work, provider),
+    ),
+    editions: result.editions || [],
+    authors: result.authors || [],
+    pagination: {
+      provider,
+      offset,
+      nextOffset,
+      totalResults: result.totalResults,
+      hasMore,
+    },
+  };
+}
+
+/**
+ * Add cover previews (BlurHash, colors) of stored covers to a result
+ *
+ * @param result - Result with works and editions
+ * @param env - Worker environment bindings
+ * @returns Result with preview fields on works and editions whose cover has one
+ */
+async function withCoverPreviews<T extends { works: WorkDTO[]; editions: EditionDTO[] }>(
+  result: T,
+  env: WorkerEnv,
+): Promise<T> {
+  const { works, editions } = await attachCoverPreviews(result.works, result.editions, env);
+  return { ...result, works, editions };
 }
 
 /**
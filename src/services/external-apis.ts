@@ -1,5 +1,5 @@
 /**
- * External API integrations (Google Books, OpenLibrary, ISBNdb)
+ * External API integrations (Google Books, OpenLibrary, ISBNdb, Library of Congress)
  * Migrated from external-apis-worker
  *
  * This service provides functions for searching and enriching book data
@@ -27,9 +27,18 @@ import {
   normalizeISBNdbToAuthor,
 } from "./normalizers/isbndb.js";
 
+import {
+  normalizeMarcToWork,
+  normalizeMarcToEdition,
+  normalizeMarcToAuthors,
+} from "./normalizers/marc.js";
+
 import type { WorkDTO, EditionDTO, AuthorDTO } from "../types/canonical.js";
 import type { DataProvider } from "../types/enums.js";
 import { logExternalApiCall } from "../utils/analytics-logger.ts";
+import { providerFetch } from "./circuit-breaker.ts";
+import { toMarcLanguage } from "../utils/search-filters.ts";
+import { parseSruResponse, type MarcRecord } from "../utils/marcxml.ts";
 
 // ============================================================================
 // TYPE DEFINITIONS
@@ -44,6 +53,8 @@ export interface ExternalAPIEnv {
   GOOGLE_BOOKS_ANALYTICS?: AnalyticsEngineDataset;
   KV_CACHE?: KVNamespace;
   CACHE?: KVNamespace;
+  CIRCUIT_BREAKER_DO?: DurableObjectNamespace; // Per-provider circuit breakers (see circuit-breaker.ts)
+  LOC_SRU_BASE_URL?: string; // Library of Congress SRU endpoint (MARCXML)
 }
 
 /**
@@ -51,6 +62,9 @@ export interface ExternalAPIEnv {
  */
 export interface SearchParams {
   maxResults?: number;
+  offset?: number; // Zero-based result offset (pagination)
+  language?: string; // ISO 639-1 code (Google Books langRestrict, OpenLibrary language)
+  subject?: string; // Canonical genre (ISBNdb subject)
 }
 
 /**
@@ -68,6 +82,7 @@ export interface NormalizedResponse {
   works: WorkDTOWithAuthors[];
   editions: EditionDTO[];
   authors: AuthorDTO[];
+  totalResults?: number; // Provider-reported total matches (for pagination)
 }
 
 /**
@@ -109,6 +124,7 @@ export interface ISBNdbBookData {
  * Google Books raw API response structure
  */
 interface GoogleBooksAPIResponse {
+  totalItems?: number;
   items?: Array<{
     id?: string;
     volumeInfo: {
@@ -143,6 +159,7 @@ interface ISBNdbBook {
 interface ISBNdbSearchResponse {
   books?: ISBNdbBook[];
   total?: number;
+  data?: ISBNdbBook[]; // POST /books (bulk lookup)
 }
 
 // ============================================================================
@@ -171,12 +188,12 @@ export async function searchGoogleBooksById(
 
     const searchUrl = `https://www.googleapis.com/books/v1/volumes/${volumeId}?key=${apiKey}`;
 
-    const response = await fetch(searchUrl, {
+    const response = await providerFetch("google-books", searchUrl, {
       headers: {
         "User-Agent": GOOGLE_BOOKS_USER_AGENT,
         Accept: "application/json",
       },
-    });
+    }, env);
 
     if (!response.ok) {
       throw new Error(
@@ -224,15 +241,21 @@ export async function searchGoogleBooks(
       }
 
       const maxResults = params.maxResults || 20;
-      const searchUrl = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=${maxResults}&key=${apiKey}`;
+      let searchUrl = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=${maxResults}&key=${apiKey}`;
+      if (params.offset) {
+        searchUrl += `&startIndex=${params.offset}`;
+      }
+      if (params.language) {
+        searchUrl += `&langRestrict=${encodeURIComponent(params.language)}`;
+      }
 
-      const response = await fetch(searchUrl, {
+      const response = await providerFetch("google-books", searchUrl, {
         headers: {
           "User-Agent": GOOGLE_BOOKS_USER_AGENT,
           Accept: "application/json",
         },
         cache: 'no-cache', // Force revalidation with Google Books API
-      });
+      }, env);
 
       if (!response.ok) {
         throw new Error(
@@ -247,6 +270,7 @@ export async function searchGoogleBooks(
         return null;
       }
 
+      normalizedData.totalResults = data.totalItems;
       return normalizedData;
     },
     { query },
@@ -274,13 +298,13 @@ export async function searchGoogleBooksByISBN(
 
       const searchUrl = `https://www.googleapis.com/books/v1/volumes?q=isbn:${encodeURIComponent(isbn)}&key=${apiKey}`;
 
-      const response = await fetch(searchUrl, {
+      const response = await providerFetch("google-books", searchUrl, {
         headers: {
           "User-Agent": GOOGLE_BOOKS_USER_AGENT,
           Accept: "application/json",
         },
         cache: 'no-cache', // Force revalidation with Google Books API
-      });
+      }, env);
 
       if (!response.ok) {
         throw new Error(
@@ -378,9 +402,9 @@ export async function searchOpenLibraryByGoodreadsId(
 
     // OpenLibrary's Search API supports querying by Goodreads ID
     const searchUrl = `https://openlibrary.org/search.json?goodreads=${goodreadsId}&limit=1`;
-    const response = await fetch(searchUrl, {
+    const response = await providerFetch("openlibrary", searchUrl, {
       headers: { "User-Agent": OPENLIBRARY_USER_AGENT },
-    });
+    }, env);
 
     if (!response.ok) {
       throw new Error(`OpenLibrary search API failed: ${response.status}`);
@@ -418,9 +442,9 @@ export async function searchOpenLibraryById(
     console.log(`OpenLibrary ID search for "${workId}"`);
 
     const workUrl = `https://openlibrary.org/works/${workId}.json`;
-    const workResponse = await fetch(workUrl, {
+    const workResponse = await providerFetch("openlibrary", workUrl, {
       headers: { "User-Agent": OPENLIBRARY_USER_AGENT },
-    });
+    }, env);
 
     if (!workResponse.ok) {
       throw new Error(`OpenLibrary work API failed: ${workResponse.status}`);
@@ -453,10 +477,17 @@ export async function searchOpenLibrary(
 
       const maxResults = params.maxResults || 20;
 
-      const searchUrl = `https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=${maxResults}`;
-      const response = await fetch(searchUrl, {
+      let searchUrl = `https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=${maxResults}`;
+      if (params.offset) {
+        searchUrl += `&offset=${params.offset}`;
+      }
+      const marcLanguage = params.language && toMarcLanguage(params.language);
+      if (marcLanguage) {
+        searchUrl += `&language=${marcLanguage}`;
+      }
+      const response = await providerFetch("openlibrary", searchUrl, {
         headers: { "User-Agent": OPENLIBRARY_USER_AGENT },
-      });
+      }, env);
 
       if (!response.ok) {
         throw new Error(`OpenLibrary search API failed: ${response.status}`);
@@ -469,6 +500,7 @@ export async function searchOpenLibrary(
         return null;
       }
 
+      normalized.totalResults = data.numFound;
       return normalized;
     },
     { query },
@@ -483,13 +515,13 @@ export async function getOpenLibraryAuthorWorks(
   try {
     console.log(`OpenLibrary getAuthorWorks("${authorName}")`);
 
-    const authorKey = await findAuthorKeyByName(authorName);
+    const authorKey = await findAuthorKeyByName(authorName, env);
     if (!authorKey) {
       console.log("Author not found in OpenLibrary");
       return null;
     }
 
-    const works = await getWorksByAuthorKey(authorKey);
+    const works = await getWorksByAuthorKey(authorKey, env);
 
     return {
       author: {
@@ -555,17 +587,23 @@ function normalizeOpenLibrarySearchResults(
   };
 }
 
-async function findAuthorKeyByName(authorName: string): Promise<string | null> {
+async function findAuthorKeyByName(
+  authorName: string,
+  env: ExternalAPIEnv,
+): Promise<string | null> {
   const searchUrl = `https://openlibrary.org/search/authors.json?q=${encodeURIComponent(authorName)}&limit=1`;
-  const response = await fetch(searchUrl, {
+  const response = await providerFetch("openlibrary", searchUrl, {
     headers: { "User-Agent": OPENLIBRARY_USER_AGENT },
-  });
+  }, env);
   if (!response.ok) throw new Error("OpenLibrary author search API failed");
   const data = await response.json();
   return data.docs && data.docs.length > 0 ? data.docs[0].key : null;
 }
 
-async function getWorksByAuthorKey(authorKey: string): Promise<
+async function getWorksByAuthorKey(
+  authorKey: string,
+  env: ExternalAPIEnv,
+): Promise<
   Array<{
     title: string;
     openLibraryWorkKey: string;
@@ -574,9 +612,9 @@ async function getWorksByAuthorKey(authorKey: string): Promise<
   }>
 > {
   const worksUrl = `https://openlibrary.org/authors/${authorKey}/works.json?limit=1000`;
-  const response = await fetch(worksUrl, {
+  const response = await providerFetch("openlibrary", worksUrl, {
     headers: { "User-Agent": OPENLIBRARY_USER_AGENT },
-  });
+  }, env);
   if (!response.ok) throw new Error("OpenLibrary works fetch API failed");
   const data = await response.json();
 
@@ -602,11 +640,15 @@ const RATE_LIMIT_INTERVAL = 1000;
 /**
  * Search ISBNdb for books by title and author using combined search endpoint
  * This is optimized for enrichment - uses both author and text parameters
+ *
+ * ISBNdb paginates by page number; params.offset is converted to a page
+ * (offsets should be multiples of maxResults).
  */
 export async function searchISBNdb(
   title: string,
   authorName: string | null,
   env: ExternalAPIEnv,
+  params: SearchParams = {},
 ): Promise<NormalizedResponse | null> {
   return logExternalApiCall(
     "ISBNdb",
@@ -615,10 +657,15 @@ export async function searchISBNdb(
         `ISBNdb search for "${title}" by "${authorName || "any author"}"`,
       );
 
-      let searchUrl = `https://api2.isbndb.com/search/books?page=1&pageSize=20&text=${encodeURIComponent(title)}`;
+      const pageSize = params.maxResults || 20;
+      const page = Math.floor((params.offset || 0) / pageSize) + 1;
+      let searchUrl = `https://api2.isbndb.com/search/books?page=${page}&pageSize=${pageSize}&text=${encodeURIComponent(title)}`;
       if (authorName) {
         searchUrl += `&author=${encodeURIComponent(authorName)}`;
       }
+      if (params.subject) {
+        searchUrl += `&subject=${encodeURIComponent(params.subject)}`;
+      }
 
       await enforceRateLimit(env);
       const searchResponse = await fetchWithAuth(searchUrl, env);
@@ -659,6 +706,7 @@ export async function searchISBNdb(
         works,
         editions,
         authors,
+        totalResults: searchResponse.total,
       };
     },
     { query: title },
@@ -740,9 +788,59 @@ export async function getISBNdbBookByISBN(
   );
 }
 
+/**
+ * Bulk ISBN lookup via ISBNdb's POST /books endpoint (up to 100 ISBNs per call)
+ *
+ * @param isbns - Normalized ISBN-10s and/or ISBN-13s
+ * @returns Map keyed by both the ISBN-13 and ISBN-10 of every book found
+ */
+export async function getISBNdbBooksByISBNs(
+  isbns: string[],
+  env: ExternalAPIEnv,
+): Promise<Map<string, ISBNdbBookData>> {
+  return logExternalApiCall(
+    "ISBNdb",
+    async () => {
+      console.log(`ISBNdb bulk lookup for ${isbns.length} ISBNs`);
+      const books = new Map<string, ISBNdbBookData>();
+      if (isbns.length === 0) {
+        return books;
+      }
+
+      await enforceRateLimit(env);
+      const response = await fetchWithAuth("https://api2.isbndb.com/books", env, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: `isbns=${isbns.join(",")}`,
+      });
+
+      for (const book of response.data || []) {
+        const result: ISBNdbBookData = {
+          work: normalizeISBNdbToWork(book),
+          edition: normalizeISBNdbToEdition(book),
+          authors: (book.authors || []).map((name: string) =>
+            normalizeISBNdbToAuthor(name),
+          ),
+          book,
+        };
+        if (book.isbn13) books.set(book.isbn13, result);
+        if (book.isbn) books.set(book.isbn, result);
+      }
+
+      return books;
+    },
+    { query: `bulk:${isbns.length}` },
+    env,
+  );
+}
+
+// Book lookups and searches, where ISBNdb answers "no match" with a 404
+const ISBNDB_NOT_FOUND_MEANS_EMPTY = /^\/(book|books|search\/books)(\/|$)/;
+
 async function fetchWithAuth(
   url: string,
   env: ExternalAPIEnv,
+  init: RequestInit = {},
 ): Promise<ISBNdbSearchResponse> {
   // Handle both secrets store (has .get() method) and direct env var
   const apiKey = env.ISBNDB_API_KEY?.get
@@ -750,9 +848,18 @@ async function fetchWithAuth(
     : env.ISBNDB_API_KEY;
 
   if (!apiKey) throw new Error("ISBNDB_API_KEY secret not found");
-  const response = await fetch(url, {
-    headers: { Authorization: apiKey, Accept: "application/json" },
-  });
+  const response = await providerFetch("isbndb", url, {
+    ...init,
+    headers: {
+      Authorization: apiKey,
+      Accept: "application/json",
+      ...(init.headers as Record<string, string>),
+    },
+  }, env);
+  if (response.status === 404 && ISBNDB_NOT_FOUND_MEANS_EMPTY.test(new URL(url).pathname)) {
+    // ISBNdb answers unknown ISBNs and title searches without matches with a 404
+    return {};
+  }
   if (!response.ok) {
     const errorText = await response.text();
     throw new Error(`ISBNdb API error: ${response.status} - ${errorText}`);
@@ -781,6 +888,131 @@ async function enforceRateLimit(env: ExternalAPIEnv): Promise<void> {
   });
 }
 
+// ============================================================================
+// LIBRARY OF CONGRESS (SRU / MARCXML)
+// ============================================================================
+
+// Configured SRU endpoint, if it is HTTPS (catalog queries aren't sent in the clear)
+function libraryOfCongressBaseUrl(env: ExternalAPIEnv): string | null {
+  const baseUrl = env.LOC_SRU_BASE_URL?.trim();
+  return baseUrl?.startsWith("https://") ? baseUrl : null;
+}
+
+/**
+ * Search the Library of Congress catalog by title and (optionally) author
+ *
+ * Catalog records are authoritative for publisher, date, pagination and
+ * contributor roles, but carry no covers or descriptions.
+ */
+export async function searchLibraryOfCongress(
+  title: string,
+  authorName: string | null,
+  env: ExternalAPIEnv,
+  params: SearchParams = {},
+): Promise<NormalizedResponse | null> {
+  return logExternalApiCall(
+    "LibraryOfCongress",
+    async () => {
+      console.log(
+        `Library of Congress search for "${title}" by "${authorName || "any author"}"`,
+      );
+
+      let cql = `bath.title=${cqlTerm(title)}`;
+      if (authorName) {
+        cql += ` and bath.author=${cqlTerm(authorName)}`;
+      }
+      return searchLibraryOfCongressSru(cql, params, env);
+    },
+    { query: [title, authorName].filter(Boolean).join(" ") },
+    env,
+  );
+}
+
+export async function searchLibraryOfCongressByISBN(
+  isbn: string,
+  env: ExternalAPIEnv,
+): Promise<NormalizedResponse | null> {
+  return logExternalApiCall(
+    "LibraryOfCongress",
+    async () => {
+      console.log(`Library of Congress ISBN search for "${isbn}"`);
+      return searchLibraryOfCongressSru(`bath.isbn=${cqlTerm(isbn)}`, { maxResults: 1 }, env);
+    },
+    { isbn },
+    env,
+  );
+}
+
+async function searchLibraryOfCongressSru(
+  cql: string,
+  params: SearchParams,
+  env: ExternalAPIEnv,
+): Promise<NormalizedResponse | null> {
+  const baseUrl = libraryOfCongressBaseUrl(env);
+  if (!baseUrl) {
+    console.warn("[LibraryOfCongress] LOC_SRU_BASE_URL is unset or not HTTPS, skipping");
+    return null;
+  }
+  const maxResults = params.maxResults || 20;
+  const searchUrl =
+    `${baseUrl}?version=1.1&operation=searchRetrieve&recordSchema=marcxml` +
+    `&maximumRecords=${maxResults}&startRecord=${(params.offset || 0) + 1}` +
+    `&query=${encodeURIComponent(cql)}`;
+
+  const response = await providerFetch("library-of-congress", searchUrl, {
+    headers: { Accept: "application/xml" },
+  }, env);
+
+  if (!response.ok) {
+    throw new Error(`Library of Congress SRU API failed: ${response.status}`);
+  }
+
+  const { total, records } = parseSruResponse(await response.text());
+  const normalized = normalizeMarcRecords(records);
+
+  if (normalized.works.length === 0) {
+    return null;
+  }
+
+  normalized.totalResults = total;
+  return normalized;
+}
+
+/**
+ * Quote a CQL search term (quotes and backslashes can't be escaped reliably, so they are dropped)
+ */
+function cqlTerm(value: string): string {
+  return `"${value.replace(/["\\]/g, " ").trim()}"`;
+}
+
+/**
+ * Normalize MARC records to canonical DTOs, attaching authors to works like
+ * normalizeOpenLibrarySearchResults()
+ */
+function normalizeMarcRecords(records: MarcRecord[]): NormalizedResponse {
+  const works: WorkDTOWithAuthors[] = [];
+  const editions: EditionDTO[] = [];
+  const authorsMap = new Map<string, AuthorDTO>();
+
+  for (const record of records) {
+    const work: WorkDTOWithAuthors = normalizeMarcToWork(record);
+    if (work.title === "Unknown") continue;
+
+    const authors = normalizeMarcToAuthors(record);
+    work.authors = authors;
+    authors.forEach((author) => {
+      if (!authorsMap.has(author.name)) {
+        authorsMap.set(author.name, author);
+      }
+    });
+
+    works.push(work);
+    editions.push(normalizeMarcToEdition(record));
+  }
+
+  return { works, editions, authors: Array.from(authorsMap.values()) };
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -9,6 +9,8 @@ import { getCached, setCached } from '../utils/cache.js';
  * - ISBN: 30d (vs 7d) - ISBN metadata never changes
  * - Author: 7d (vs 12h) - Popular authors stable
  * - Enrichment: 90d - Metadata very stable
+ *
+ * Payloads above 4KB are stored gzipped (see utils/compression.js).
  */
 export class KVCacheService {
   constructor(env) {
@@ -29,6 +31,10 @@ export class KVCacheService {
 
   /**
    * Get cached data from KV
+   *
+   * Entries from an older cache schema are upgraded by getCached() and
+   * written back for the rest of their TTL, so the upgrade runs once.
+   *
    * @param {string} cacheKey - Cache key
    * @param {string} endpoint - Endpoint type ('title', 'isbn', 'author')
    * @returns {Promise<Object|null>} Cached data with metadata or null
@@ -37,6 +43,11 @@ export class KVCacheService {
     try {
       const result = await getCached(cacheKey, this.env);
       if (result) {
+        const { age, ttl, migrated } = result.cacheMetadata;
+        if (migrated && ttl - age >= 60) { // KV's minimum expirationTtl
+          await setCached(cacheKey, result.data, ttl - age, this.env);
+        }
+
         return {
           data: result.data,
           source: 'KV',
@@ -93,6 +104,8 @@ export class KVCacheService {
    * @param {Object} data - Data to cache
    * @param {string} endpoint - Endpoint type ('title', 'isbn', 'author')
    * @param {Object} options - Optional overrides
+   * @param {number} options.ttl - Base TTL in seconds (before quality adjustment)
+   * @param {string[]} options.tags - Extra cache tags (see cache-tags.js)
    * @returns {Promise<void>}
    */
   async set(cacheKey, data, endpoint, options = {}) {
@@ -103,7 +116,7 @@ export class KVCacheService {
       const quality = this.assessDataQuality(data);
       const adjustedTTL = this.adjustTTLByQuality(baseTTL, quality);
 
-      await setCached(cacheKey, data, adjustedTTL, this.env);
+      await setCached(cacheKey, data, adjustedTTL, this.env, options.tags);
     } catch (error) {
       console.error(`KV cache set failed for ${cacheKey}:`, error);
       // Don't throw - cache failures shouldn't break user requests
@@ -0,0 +1,347 @@
+/**
+ * Provider merge engine
+ *
+ * Combines Google Books, OpenLibrary, ISBNdb and Wikidata records for one book
+ * field by field. Each field is taken from the first source in its precedence
+ * list that has a value; the source is recorded in `provenance` and
+ * disagreements on fields where they matter (publication year, page count...)
+ * are reported as conflicts.
+ *
+ * Precedence defaults to DEFAULT_MERGE_RULES and can be overridden per field
+ * with the MERGE_PRECEDENCE environment variable (JSON), e.g.
+ *   {"edition.pageCount": ["google-books", "isbndb"]}
+ * Sources missing from a field's list are tried after it, in default order.
+ */
+
+import type { AuthorDTO, EditionDTO, FieldConflictDTO, WorkDTO, WorkSeriesDTO } from '../types/canonical.js';
+import type { DataProvider, FieldSource } from '../types/enums.js';
+import { canonicalISBN } from '../utils/isbn.js';
+import { normalizeTitle } from '../utils/normalization.js';
+
+/**
+ * One provider's view of a book
+ */
+export interface ProviderRecord {
+  source: FieldSource;
+  work?: Partial<WorkDTO> | null;
+  edition?: Partial<EditionDTO> | null;
+  authors?: AuthorDTO[];
+}
+
+/**
+ * Field path ("work.description", "edition.pageCount", "authors") -> sources, best first
+ * `default` applies to every field without its own rule.
+ */
+export type MergeRules = Record<string, FieldSource[]>;
+
+/**
+ * Merged book with per-field provenance
+ */
+export interface MergedBook {
+  work: WorkDTO & { authors?: AuthorDTO[] };
+  edition: EditionDTO | null;
+  authors: AuthorDTO[];
+  conflicts: FieldConflictDTO[];
+}
+
+export const DEFAULT_MERGE_RULES: MergeRules = {
+  default: ['google-books', 'openlibrary', 'isbndb', 'library-of-congress', 'wikidata', 'gemini'],
+
+  // Catalog records list every contributor with a relator role (author, translator, editor)
+  authors: ['library-of-congress', 'google-books', 'openlibrary', 'isbndb'],
+
+  // Google Books has the publisher blurb; OpenLibrary descriptions are often empty or wiki-style
+  'work.description': ['google-books', 'isbndb', 'openlibrary'],
+  // Google Books and ISBNdb report the edition's date; Wikidata and OpenLibrary know the first publication
+  'work.firstPublicationYear': ['wikidata', 'openlibrary', 'isbndb', 'google-books'],
+  'work.series': ['openlibrary', 'wikidata', 'isbndb', 'google-books'],
+  'work.originalLanguage': ['openlibrary', 'wikidata', 'google-books', 'isbndb'],
+
+  // ISBNdb is sourced from publisher feeds; the Library of Congress catalogs the deposit copy
+  'edition.pageCount': ['isbndb', 'library-of-congress', 'google-books', 'openlibrary'],
+  'edition.publisher': ['library-of-congress', 'isbndb', 'google-books', 'openlibrary'],
+  'edition.publicationDate': ['library-of-congress', 'isbndb', 'google-books', 'openlibrary'],
+  'edition.format': ['isbndb', 'google-books', 'openlibrary'],
+};
+
+/**
+ * Fields merged by precedence (everything else is unioned or provider-specific)
+ */
+const WORK_FIELDS = [
+  'title',
+  'originalLanguage',
+  'firstPublicationYear',
+  'description',
+  'coverImageURL',
+  'series',
+] as const;
+
+const EDITION_FIELDS = [
+  'isbn',
+  'title',
+  'publisher',
+  'publicationDate',
+  'pageCount',
+  'format',
+  'coverImageURL',
+  'editionTitle',
+  'editionDescription',
+  'language',
+] as const;
+
+/**
+ * ID and list fields: collected from every source, no precedence needed
+ */
+const WORK_ID_FIELDS = ['openLibraryID', 'openLibraryWorkID', 'isbndbID', 'googleBooksVolumeID', 'goodreadsID', 'lastISBNDBSync'] as const;
+const WORK_LIST_FIELDS = ['subjectTags', 'goodreadsWorkIDs', 'amazonASINs', 'librarythingIDs', 'googleBooksVolumeIDs'] as const;
+const EDITION_ID_FIELDS = ['openLibraryID', 'openLibraryEditionID', 'isbndbID', 'googleBooksVolumeID', 'goodreadsID', 'lastISBNDBSync'] as const;
+const EDITION_LIST_FIELDS = ['isbns', 'amazonASINs', 'googleBooksVolumeIDs', 'librarythingIDs'] as const;
+
+/**
+ * Fields where providers disagreeing is worth reporting, with the value compared
+ * (publication dates are compared by year: "2011" and "2011-06-02" agree)
+ */
+const CONFLICT_FIELDS: Record<string, (value: any) => unknown> = {
+  'work.firstPublicationYear': (year) => year,
+  'work.originalLanguage': (language) => String(language).toLowerCase(),
+  'work.series': (series: WorkSeriesDTO) => `${series.id}#${series.position ?? ''}`,
+  'edition.pageCount': (pages) => pages,
+  'edition.publicationDate': (date) => String(date).slice(0, 4),
+  'edition.format': (format) => format,
+};
+
+const DATA_PROVIDERS: DataProvider[] = ['google-books', 'openlibrary', 'isbndb', 'gemini'];
+
+function isDataProvider(source: FieldSource): source is DataProvider {
+  return (DATA_PROVIDERS as FieldSource[]).includes(source);
+}
+
+/**
+ * Position of a source in a precedence list (unlisted sources last)
+ */
+function rank(order: FieldSource[], source: FieldSource): number {
+  const index = order.indexOf(source);
+  return index === -1 ? order.length : index;
+}
+
+function hasValue(value: unknown): boolean {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0;
+  return true;
+}
+
+/**
+ * Sources for a field, best first
+ *
+ * @param field - Field path ("edition.pageCount")
+ * @param rules - Merge rules
+ * @returns Field rule followed by the remaining default sources
+ */
+export function precedenceFor(field: string, rules: MergeRules = DEFAULT_MERGE_RULES): FieldSource[] {
+  const defaults = rules.default || DEFAULT_MERGE_RULES.default;
+  const preferred = rules[field] || DEFAULT_MERGE_RULES[field] || [];
+  return Array.from(new Set([...preferred, ...defaults]));
+}
+
+/**
+ * Merge rules from the environment
+ *
+ * @param env - Worker environment bindings (MERGE_PRECEDENCE: JSON MergeRules)
+ * @returns Default rules with the configured overrides applied
+ */
+export function resolveMergeRules(env: any): MergeRules {
+  if (!env?.MERGE_PRECEDENCE) return DEFAULT_MERGE_RULES;
+
+  try {
+    const overrides =
+      typeof env.MERGE_PRECEDENCE === 'string' ? JSON.parse(env.MERGE_PRECEDENCE) : env.MERGE_PRECEDENCE;
+    const valid = Object.entries(overrides || {}).filter(
+      ([, sources]) => Array.isArray(sources) && sources.every((source) => typeof source === 'string')
+    );
+    return { ...DEFAULT_MERGE_RULES, ...Object.fromEntries(valid) };
+  } catch (error) {
+    console.warn('[Merge] Ignoring invalid MERGE_PRECEDENCE:', error);
+    return DEFAULT_MERGE_RULES;
+  }
+}
+
+/**
+ * Pick one field by precedence, recording provenance and conflicts
+ */
+function pickField(
+  field: string,
+  candidates: Array<{ source: FieldSource; value: unknown }>,
+  rules: MergeRules,
+  conflicts: FieldConflictDTO[]
+): { source: FieldSource; value: any } | undefined {
+  const order = precedenceFor(field, rules);
+  const present = candidates
+    .filter((candidate) => hasValue(candidate.value))
+    .sort((a, b) => rank(order, a.source) - rank(order, b.source));
+  if (present.length === 0) return undefined;
+
+  const compare = CONFLICT_FIELDS[field];
+  if (compare && new Set(present.map((candidate) => compare(candidate.value))).size > 1) {
+    conflicts.push({ field, values: present, resolvedFrom: present[0].source });
+  }
+
+  return present[0];
+}
+
+function mergeEntity<T extends Record<string, any>>(
+  prefix: 'work' | 'edition',
+  records: Array<{ source: FieldSource; entity: Partial<T> }>,
+  fields: readonly string[],
+  idFields: readonly string[],
+  listFields: readonly string[],
+  rules: MergeRules,
+  conflicts: FieldConflictDTO[]
+): { merged: Record<string, any>; provenance: Record<string, FieldSource> } {
+  const merged: Record<string, any> = {};
+  const provenance: Record<string, FieldSource> = {};
+
+  for (const field of fields) {
+    const candidates = records.map(({ source, entity }) => ({ source, value: entity[field] }));
+    const picked = pickField(`${prefix}.${field}`, candidates, rules, conflicts);
+    if (picked) {
+      merged[field] = picked.value;
+      provenance[field] = picked.source;
+    }
+  }
+
+  for (const field of idFields) {
+    const withValue = records.find(({ entity }) => hasValue(entity[field]));
+    if (withValue) merged[field] = withValue.entity[field];
+  }
+
+  for (const field of listFields) {
+    merged[field] = Array.from(new Set(records.flatMap(({ entity }) => entity[field] || [])));
+  }
+
+  merged.isbndbQuality = Math.max(0, ...records.map(({ entity }) => entity.isbndbQuality || 0));
+  return { merged, provenance };
+}
+
+/**
+ * Merge provider records for one book
+ *
+ * Every record must describe the same book; callers match them first (see
+ * sameBook()). Editions are only merged with editions sharing an ISBN with the
+ * primary edition, so a paperback's page count isn't mixed into a hardcover.
+ *
+ * @param records - Provider records (at least one with a work)
+ * @param rules - Merge rules (default: DEFAULT_MERGE_RULES)
+ * @returns Merged work (with provenance), edition, authors and conflicts, or null if no record has a work
+ */
+export function mergeBookRecords(records: ProviderRecord[], rules: MergeRules = DEFAULT_MERGE_RULES): MergedBook | null {
+  const defaultOrder = precedenceFor('', rules);
+  const ranked = records
+    .filter((record) => record.work)
+    .sort((a, b) => rank(defaultOrder, a.source) - rank(defaultOrder, b.source));
+  const primary = ranked.find((record) => isDataProvider(record.source)) || ranked[0];
+  if (!primary) return null;
+
+  const conflicts: FieldConflictDTO[] = [];
+  const contributors = Array.from(new Set(ranked.map((record) => record.source).filter(isDataProvider)));
+  const primaryProvider = isDataProvider(primary.source) ? primary.source : undefined;
+
+  // Work
+  const work = mergeEntity<WorkDTO>(
+    'work',
+    ranked.map((record) => ({ source: record.source, entity: record.work! })),
+    WORK_FIELDS,
+    WORK_ID_FIELDS,
+    WORK_LIST_FIELDS,
+    rules,
+    conflicts
+  );
+
+  // Series chosen from one source may lack the Wikidata ID another source has for it
+  if (work.merged.series && !work.merged.series.wikidataID) {
+    const wikidataID = ranked.find((record) => record.work?.series?.id === work.merged.series.id && record.work.series.wikidataID)
+      ?.work?.series?.wikidataID;
+    if (wikidataID) work.merged.series = { ...work.merged.series, wikidataID };
+  }
+
+  // Edition
+  let edition: EditionDTO | null = null;
+  const editions = ranked.filter((record) => record.edition);
+  if (editions.length > 0) {
+    const primaryISBNs = new Set((editions[0].edition!.isbns || []).map(canonicalISBN));
+    const sameEdition = editions.filter(
+      (record, i) =>
+        i === 0 || primaryISBNs.size === 0 || (record.edition!.isbns || []).some((isbn) => primaryISBNs.has(canonicalISBN(isbn)))
+    );
+    const merged = mergeEntity<EditionDTO>(
+      'edition',
+      sameEdition.map((record) => ({ source: record.source, entity: record.edition! })),
+      EDITION_FIELDS,
+      EDITION_ID_FIELDS,
+      EDITION_LIST_FIELDS,
+      rules,
+      conflicts
+    );
+    edition = {
+      ...(merged.merged as EditionDTO),
+      format: merged.merged.format || editions[0].edition!.format,
+      primaryProvider: isDataProvider(editions[0].source) ? editions[0].source : undefined,
+      contributors: Array.from(new Set(sameEdition.map((record) => record.source).filter(isDataProvider))),
+      provenance: merged.provenance,
+    };
+  }
+
+  // Authors are taken whole from one source: name spellings differ between providers
+  const authorOrder = precedenceFor('authors', rules);
+  const authorSource = records
+    .filter((record) => record.authors && record.authors.length > 0)
+    .sort((a, b) => rank(authorOrder, a.source) - rank(authorOrder, b.source))[0];
+  const authors = authorSource?.authors || [];
+  if (authorSource) work.provenance.authors = authorSource.source;
+
+  // Works without a cover of their own show the edition's
+  if (!work.merged.coverImageURL && edition?.coverImageURL) {
+    work.merged.coverImageURL = edition.coverImageURL;
+    work.provenance.coverImageURL = edition.provenance!.coverImageURL;
+  }
+
+  return {
+    work: {
+      ...(work.merged as WorkDTO),
+      reviewStatus: primary.work!.reviewStatus || 'verified',
+      synthetic: false,
+      primaryProvider,
+      contributors,
+      provenance: work.provenance,
+      ...(authorSource ? { authors } : {}),
+    },
+    edition,
+    authors,
+    conflicts,
+  };
+}
+
+/**
+ * Normalized main title: "Leviathan Wakes (The Expanse, #1)" and "Leviathan Wakes: A Novel" match
+ */
+function mainTitle(title?: string): string {
+  return normalizeTitle((title || '').replace(/\s*\([^()]*\)\s*$/, '').split(':')[0]);
+}
+
+/**
+ * Whether two provider records describe the same book
+ * A shared ISBN is conclusive; otherwise the main titles must match.
+ *
+ * @param a - Provider record
+ * @param b - Provider record
+ * @returns True if the records can be merged
+ */
+export function sameBook(a: ProviderRecord, b: ProviderRecord): boolean {
+  const isbnsA = new Set((a.edition?.isbns || []).map(canonicalISBN));
+  if ((b.edition?.isbns || []).some((isbn) => isbnsA.has(canonicalISBN(isbn)))) {
+    return true;
+  }
+
+  const titleA = mainTitle(a.work?.title);
+  return titleA.length > 0 && titleA === mainTitle(b.work?.title);
+}
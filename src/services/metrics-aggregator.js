@@ -56,17 +56,43 @@ query {
   let edgeHits = 0;
   let kvHits = 0;
   let r2Rehydrations = 0;
+  let r2SyncHits = 0;
   let apiMisses = 0;
+  let coalesced = 0;
+  let negativeHits = 0;
+  let compressedWrites = 0;
+  let bytesSaved = 0;
 
   const latencyData = {};
 
   for (const row of result.results || []) {
     const count = row.count || 0;
+
+    // Logged in addition to the request's api_miss, so not requests of their own
+    if (row.cache_source === 'coalesced' || row.cache_source === 'coalesced_remote') {
+      coalesced += count;
+      continue;
+    }
+    // Logged before the same request's cold_check
+    if (row.cache_source === 'r2_sync_fallback') {
+      continue;
+    }
+    if (row.cache_source === 'negative_hit') {
+      negativeHits += count;
+      continue;
+    }
+    // Cache writes, not reads (double2/double3: raw/stored bytes)
+    if (row.cache_source === 'kv_compressed' || row.cache_source === 'r2_compressed') {
+      compressedWrites += count;
+      bytesSaved += (row.raw_bytes || 0) - (row.stored_bytes || 0);
+      continue;
+    }
     totalRequests += count;
 
     if (row.cache_source === 'edge_hit') edgeHits = count;
     else if (row.cache_source === 'kv_hit') kvHits = count;
     else if (row.cache_source === 'r2_rehydrated') r2Rehydrations = count;
+    else if (row.cache_source === 'r2_sync_hit') r2SyncHits = count;
     else if (row.cache_source === 'api_miss') apiMisses = count;
 
     latencyData[row.cache_source] = {
@@ -88,8 +114,9 @@ query {
       edge: totalRequests > 0 ? (edgeHits / totalRequests) * 100 : 0,
       kv: totalRequests > 0 ? (kvHits / totalRequests) * 100 : 0,
       r2_cold: totalRequests > 0 ? (r2Rehydrations / totalRequests) * 100 : 0,
+      r2_sync: totalRequests > 0 ? (r2SyncHits / totalRequests) * 100 : 0,
       api: totalRequests > 0 ? (apiMisses / totalRequests) * 100 : 0,
-      combined: totalRequests > 0 ? ((edgeHits + kvHits) / totalRequests) * 100 : 0
+      combined: totalRequests > 0 ? ((edgeHits + kvHits + r2SyncHits) / totalRequests) * 100 : 0
     },
     latency: latencyData,
     volume: {
@@ -97,7 +124,14 @@ query {
       edge_hits: edgeHits,
       kv_hits: kvHits,
       r2_rehydrations: r2Rehydrations,
-      api_misses: apiMisses
+      r2_sync_hits: r2SyncHits, // Cold entries served inline from R2 (COLD_READ_MODE = "sync")
+      api_misses: apiMisses,
+      coalesced_requests: coalesced, // Requests that shared another request's provider fetch
+      negative_hits: negativeHits // Misses answered as not found from the negative cache
+    },
+    storage: {
+      compressed_writes: compressedWrites, // KV writes and R2 archives above the compression threshold
+      bytes_saved: bytesSaved
     }
   };
 }
@@ -0,0 +1,110 @@
+// src/services/negative-cache.js
+import { CacheKeyFactory } from './cache-key-factory.js';
+
+/**
+ * Negative cache for not-found lookups
+ *
+ * Without it, an ISBN (or title) no provider knows is re-queried upstream on
+ * every request, because only results go through setCached(). A NOT_FOUND
+ * outcome is remembered for a short TTL (NEGATIVE_CACHE_TTL) under
+ * negative:{cacheKey}:
+ *
+ * - Only record a lookup as not found when every provider answered. A provider
+ *   error (network failure, 5xx, open circuit breaker) is not a NOT_FOUND and
+ *   must not be cached, or an outage would hide books until the TTL expires.
+ * - Positive cache entries are checked first, so a book cached later (e.g. by
+ *   cache warming) wins over a stale negative entry.
+ * - When a book appears upstream before the TTL runs out, bust the entry with
+ *   DELETE /api/cache/negative (see handlers/cache-admin.js).
+ */
+
+const NEGATIVE_KEY_PREFIX = 'negative:';
+const DEFAULT_NEGATIVE_TTL = 60 * 60; // 1 hour
+const MIN_NEGATIVE_TTL = 60; // KV's minimum expirationTtl
+
+/**
+ * TTL for negative entries (NEGATIVE_CACHE_TTL var, in seconds)
+ * @param {Object} env - Worker environment bindings
+ * @returns {number} TTL in seconds (at least KV's 60s minimum)
+ */
+export function negativeCacheTTL(env) {
+  const ttl = parseInt(env.NEGATIVE_CACHE_TTL, 10);
+  if (Number.isNaN(ttl)) {
+    return DEFAULT_NEGATIVE_TTL;
+  }
+  return Math.max(ttl, MIN_NEGATIVE_TTL);
+}
+
+/**
+ * Whether a lookup was recently found to have no results
+ *
+ * @param {string} cacheKey - Cache key of the lookup (e.g. from CacheKeyFactory.bookISBN())
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<boolean>}
+ */
+export async function isNegativelyCached(cacheKey, env) {
+  try {
+    return Boolean(await env.CACHE.get(`${NEGATIVE_KEY_PREFIX}${cacheKey}`));
+  } catch (error) {
+    console.error('Negative cache read error:', error);
+    return false;
+  }
+}
+
+/**
+ * Remember that a lookup has no results
+ * Callers must only do this when no provider failed.
+ *
+ * @param {string} cacheKey - Cache key of the lookup
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<void>}
+ */
+export async function setNegativeCached(cacheKey, env) {
+  const ttl = negativeCacheTTL(env);
+  try {
+    await env.CACHE.put(
+      `${NEGATIVE_KEY_PREFIX}${cacheKey}`,
+      JSON.stringify({ cachedAt: Date.now(), ttl }),
+      { expirationTtl: ttl },
+    );
+    console.log(`Negative cache SET: ${cacheKey} (TTL: ${ttl}s)`);
+  } catch (error) {
+    console.error('Negative cache write error:', error);
+  }
+}
+
+/**
+ * Delete negative entries (a book appeared upstream before they expired)
+ *
+ * @param {string[]} cacheKeys - Cache keys of the lookups
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<void>}
+ */
+export async function bustNegativeCache(cacheKeys, env) {
+  await Promise.all(
+    cacheKeys.map((cacheKey) => env.CACHE.delete(`${NEGATIVE_KEY_PREFIX}${cacheKey}`)),
+  );
+  console.log(`Negative cache BUST: ${cacheKeys.join(', ')}`);
+}
+
+/**
+ * Cache keys of every negatively cached lookup for a book
+ *
+ * @param {Object} params - What to bust
+ * @param {string} params.isbn - ISBN-10 or ISBN-13 (/search/isbn, /v1/search/isbn)
+ * @param {string} params.title - Title (/search/title, /v1/search/title)
+ * @param {string} params.author - With title: author (/v1/editions/search)
+ * @returns {string[]} Cache keys
+ */
+export function negativeKeysFor({ isbn, title, author }) {
+  const keys = [];
+  if (isbn) {
+    keys.push(CacheKeyFactory.bookISBN(isbn), CacheKeyFactory.isbnLookup(isbn));
+  }
+  if (title && author) {
+    keys.push(CacheKeyFactory.editionsSearch({ title, author }));
+  } else if (title) {
+    keys.push(CacheKeyFactory.bookTitle(title), CacheKeyFactory.titleSearch(title));
+  }
+  return keys;
+}
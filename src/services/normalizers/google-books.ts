@@ -4,6 +4,8 @@
 
 import type { WorkDTO, EditionDTO } from '../../types/canonical.js';
 import { GenreNormalizer } from '../genre-normalizer.js';
+import { expandISBNs } from '../../utils/isbn.js';
+import { detectSeries } from '../../utils/series.js';
 
 // Create genre normalizer instance (reused across all normalizations)
 const genreNormalizer = new GenreNormalizer();
@@ -43,6 +45,13 @@ export function normalizeGoogleBooksToWork(item: any): WorkDTO {
     firstPublicationYear: extractYear(volumeInfo.publishedDate),
     description: volumeInfo.description,
     coverImageURL: getHighResCoverURL(volumeInfo.imageLinks),
+    // Google Books has seriesInfo but no series name - use title/subtitle patterns
+    series: detectSeries({
+      titles: [
+        volumeInfo.subtitle ? `${volumeInfo.title}: ${volumeInfo.subtitle}` : undefined,
+        volumeInfo.title,
+      ],
+    }),
     synthetic: false,
     primaryProvider: 'google-books',
     contributors: ['google-books'],
@@ -64,7 +73,7 @@ export function normalizeGoogleBooksToEdition(item: any): EditionDTO {
 
   const isbn13 = identifiers.find((id: any) => id.type === 'ISBN_13')?.identifier;
   const isbn10 = identifiers.find((id: any) => id.type === 'ISBN_10')?.identifier;
-  const isbns = [isbn13, isbn10].filter(Boolean) as string[];
+  const isbns = expandISBNs([isbn13, isbn10]); // Always both forms when convertible
 
   return {
     isbn: isbn13 || isbn10,
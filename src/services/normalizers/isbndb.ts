@@ -5,6 +5,8 @@
 import type { WorkDTO, EditionDTO, AuthorDTO } from '../../types/canonical.js';
 import type { EditionFormat } from '../../types/enums.js';
 import { GenreNormalizer } from '../genre-normalizer.js';
+import { expandISBNs } from '../../utils/isbn.js';
+import { detectSeries } from '../../utils/series.js';
 
 // Create genre normalizer instance (reused across all normalizations)
 const genreNormalizer = new GenreNormalizer();
@@ -55,6 +57,7 @@ export function normalizeISBNdbToWork(book: any): WorkDTO {
     originalLanguage: book.language || undefined,
     firstPublicationYear: extractYear(book.date_published),
     description: book.synopsis || undefined,
+    series: detectSeries({ titles: [book.title_long, book.title] }), // No series field - title_long often has "(Series, #n)"
     synthetic: false,
     primaryProvider: 'isbndb',
     contributors: ['isbndb'],
@@ -74,7 +77,7 @@ export function normalizeISBNdbToWork(book: any): WorkDTO {
 export function normalizeISBNdbToEdition(book: any): EditionDTO {
   const isbn13 = book.isbn13;
   const isbn10 = book.isbn;
-  const isbns = [isbn13, isbn10].filter(Boolean) as string[];
+  const isbns = expandISBNs([isbn13, isbn10]); // Always both forms when convertible
 
   return {
     isbn: isbn13 || isbn10,
@@ -0,0 +1,210 @@
+/**
+ * MARC21 (Library of Congress) → Canonical DTO Normalizers
+ *
+ * Fields used:
+ * - 020 $a $q: ISBN (qualifier gives the binding)
+ * - 100/700 $a $e $4: authors with relator roles
+ * - 245 $a $n $p: title
+ * - 260/264 $b $c: publisher and date
+ * - 300 $a: pagination
+ * - 490/830 $a $v: series
+ * - 650 $a: topical subjects
+ * - 008/35-37: language
+ *
+ * Values carry ISBD punctuation ("Dune /", "Ace Books,", "xii, 352 p. ;"),
+ * which is stripped.
+ */
+
+import type { WorkDTO, EditionDTO, AuthorDTO } from '../../types/canonical.js';
+import type { EditionFormat } from '../../types/enums.js';
+import { GenreNormalizer } from '../genre-normalizer.js';
+import { expandISBNs, isValidISBN } from '../../utils/isbn.js';
+import { detectSeries } from '../../utils/series.js';
+import { normalizeLanguageCode } from '../../utils/search-filters.js';
+import { marcFields, marcSubfield, marcSubfields, type MarcRecord } from '../../utils/marcxml.js';
+
+// Create genre normalizer instance (reused across all normalizations)
+const genreNormalizer = new GenreNormalizer();
+
+/**
+ * MARC relator codes ($4) → terms, for records without $e
+ * @see https://id.loc.gov/vocabulary/relators.html
+ */
+const RELATOR_TERMS: Record<string, string> = {
+  aut: 'author',
+  edt: 'editor',
+  trl: 'translator',
+  ill: 'illustrator',
+  aui: 'author of introduction',
+  com: 'compiler',
+  ctb: 'contributor',
+  nrt: 'narrator',
+};
+
+/**
+ * Strip trailing ISBD punctuation (" /", " :", " ;", ",", ".")
+ * A final period is kept after an initial ("Le Guin, Ursula K.")
+ */
+function clean(value?: string): string | undefined {
+  if (!value) return undefined;
+  let cleaned = value.replace(/[\s/:;,=]+$/, '').trim();
+  if (cleaned.endsWith('.') && !/\b[A-Z]\.$/.test(cleaned)) {
+    cleaned = cleaned.slice(0, -1).trim();
+  }
+  return cleaned || undefined;
+}
+
+/**
+ * "Le Guin, Ursula K." → "Ursula K. Le Guin"
+ */
+function invertName(name: string): string {
+  const [last, ...rest] = name.split(',');
+  const first = rest.join(',').trim();
+  return first ? `${first} ${last.trim()}` : last.trim();
+}
+
+/**
+ * Language from 008/35-37 (MARC code), as ISO 639-1 where known
+ */
+function language(record: MarcRecord): string | undefined {
+  const code = record.controlFields['008']?.slice(35, 38).trim();
+  return code && !/^[|#\s]+$/.test(code) ? normalizeLanguageCode(code) : undefined;
+}
+
+/**
+ * Year from a publication date ("2019.", "c1990.", "[1965]")
+ */
+function extractYear(date?: string): number | undefined {
+  const match = date?.match(/(?<!\d)(\d{4})(?!\d)/);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+function title(record: MarcRecord): string | undefined {
+  const field = marcFields(record, '245')[0];
+  const parts = [marcSubfield(field, 'a'), ...marcSubfields(field, 'n'), ...marcSubfields(field, 'p')]
+    .map(clean)
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join('. ') : undefined;
+}
+
+/**
+ * Publication statement: 264 with second indicator 1 (RDA), else 260 (AACR2)
+ */
+function publication(record: MarcRecord): { publisher?: string; date?: string } {
+  const field = marcFields(record, '264').find((f) => f.ind2 === '1') || marcFields(record, '260')[0];
+  const year = extractYear(marcSubfield(field, 'c'));
+  return {
+    publisher: clean(marcSubfield(field, 'b')?.replace(/^\[|\]$/g, '')),
+    date: year ? String(year) : undefined,
+  };
+}
+
+/**
+ * Page count from the physical description ("xii, 352 p. :", "1 online resource (285 pages)")
+ * Roman-numeral front matter is ignored.
+ */
+function pageCount(record: MarcRecord): number | undefined {
+  const extent = marcSubfield(marcFields(record, '300')[0], 'a');
+  const pages = [...(extent?.matchAll(/(\d+)\s*(?:p\b|pages)/gi) || [])].map((match) => parseInt(match[1], 10));
+  return pages.length > 0 ? Math.max(...pages) : undefined;
+}
+
+/**
+ * ISBNs from 020 $a ("9780441013593 (pbk.)" in older records) and the binding from its qualifier
+ */
+function isbns(record: MarcRecord): { isbns: string[]; qualifiers: string[] } {
+  const found: string[] = [];
+  const qualifiers: string[] = [];
+  for (const field of marcFields(record, '020')) {
+    const [isbn, ...qualifier] = (marcSubfield(field, 'a') || '').split(/\s+/);
+    if (isbn && isValidISBN(isbn)) found.push(isbn);
+    qualifiers.push(...marcSubfields(field, 'q'), qualifier.join(' '));
+  }
+  return { isbns: expandISBNs(found), qualifiers: qualifiers.filter(Boolean) };
+}
+
+/**
+ * Binding from ISBN qualifiers; the Library of Congress mostly catalogs hardcover deposit copies
+ */
+function format(qualifiers: string[]): EditionFormat {
+  const text = qualifiers.join(' ').toLowerCase();
+  if (/pbk|paper/.test(text)) return 'Paperback';
+  if (/ebook|e-book|electronic|online/.test(text)) return 'E-book';
+  if (/audio/.test(text)) return 'Audiobook';
+  return 'Hardcover';
+}
+
+/**
+ * Normalize a MARC21 record to WorkDTO
+ */
+export function normalizeMarcToWork(record: MarcRecord): WorkDTO {
+  const workTitle = title(record);
+  const series = [...marcFields(record, '490'), ...marcFields(record, '830')].map((field) =>
+    [marcSubfield(field, 'a'), marcSubfield(field, 'v')].filter(Boolean).join(' '),
+  );
+  const subjects = marcFields(record, '650')
+    .map((field) => clean(marcSubfield(field, 'a')))
+    .filter((subject): subject is string => Boolean(subject));
+
+  return {
+    title: workTitle || 'Unknown',
+    subjectTags: genreNormalizer.normalize(subjects, 'library-of-congress'),
+    originalLanguage: language(record),
+    series: detectSeries({ seriesStrings: series, titles: [workTitle] }),
+    synthetic: false,
+    goodreadsWorkIDs: [],
+    amazonASINs: [],
+    librarythingIDs: [],
+    googleBooksVolumeIDs: [],
+    isbndbQuality: 0,
+    reviewStatus: 'verified',
+  };
+}
+
+/**
+ * Normalize a MARC21 record to EditionDTO
+ */
+export function normalizeMarcToEdition(record: MarcRecord): EditionDTO {
+  const { isbns: editionISBNs, qualifiers } = isbns(record);
+  const { publisher, date } = publication(record);
+
+  return {
+    isbn: editionISBNs.find((isbn) => isbn.length === 13) || editionISBNs[0],
+    isbns: editionISBNs,
+    title: title(record),
+    publisher,
+    publicationDate: date,
+    pageCount: pageCount(record),
+    format: format(qualifiers),
+    language: language(record),
+    amazonASINs: [],
+    googleBooksVolumeIDs: [],
+    librarythingIDs: [],
+    isbndbQuality: 0,
+  };
+}
+
+/**
+ * Personal name entries (100 main entry, then 700 added entries) as AuthorDTOs
+ *
+ * Note: Returns base AuthorDTOs with Unknown gender.
+ * Cultural diversity enrichment (Wikidata) happens later in enrichment pipeline.
+ */
+export function normalizeMarcToAuthors(record: MarcRecord): AuthorDTO[] {
+  const authors: AuthorDTO[] = [];
+  for (const field of [...marcFields(record, '100'), ...marcFields(record, '700')]) {
+    const name = clean(marcSubfield(field, 'a'));
+    if (!name) continue;
+
+    const roles = marcSubfields(field, 'e').map(clean).filter(Boolean) as string[];
+    if (roles.length === 0) {
+      roles.push(...marcSubfields(field, '4').map((code) => RELATOR_TERMS[code] || code));
+    }
+
+    const author: AuthorDTO = { name: invertName(name), gender: 'Unknown' };
+    if (roles.length > 0) author.role = roles.join(', ');
+    else if (field.tag === '100') author.role = 'author';
+    authors.push(author);
+  }
+  return authors;
+}
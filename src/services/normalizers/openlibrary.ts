@@ -4,6 +4,8 @@
 
 import type { WorkDTO, EditionDTO, AuthorDTO } from '../../types/canonical.js';
 import { GenreNormalizer } from '../genre-normalizer.js';
+import { expandISBNs } from '../../utils/isbn.js';
+import { detectSeries } from '../../utils/series.js';
 
 // Create genre normalizer instance (reused across all normalizations)
 const genreNormalizer = new GenreNormalizer();
@@ -36,6 +38,10 @@ export function normalizeOpenLibraryToWork(doc: any): WorkDTO {
     coverImageURL: doc.cover_i
       ? `https://covers.openlibrary.org/b/id/${doc.cover_i}-L.jpg`
       : undefined,
+    series: detectSeries({
+      seriesStrings: Array.isArray(doc.series) ? doc.series : [doc.series],
+      titles: [doc.title],
+    }),
     synthetic: false,
     primaryProvider: 'openlibrary',
     contributors: ['openlibrary'],
@@ -56,7 +62,7 @@ export function normalizeOpenLibraryToWork(doc: any): WorkDTO {
 export function normalizeOpenLibraryToEdition(doc: any): EditionDTO {
   const isbn13 = doc.isbn?.find((isbn: string) => isbn.length === 13);
   const isbn10 = doc.isbn?.find((isbn: string) => isbn.length === 10);
-  const isbns = [isbn13, isbn10].filter(Boolean) as string[];
+  const isbns = expandISBNs([isbn13, isbn10]); // Always both forms when convertible
 
   return {
     isbn: isbn13 || isbn10,
@@ -0,0 +1,210 @@
+/**
+ * Series registry for /v1/series
+ *
+ * Works with series information in title, ISBN, advanced and series search
+ * results are recorded under their series in KV (series search also asks
+ * Wikidata when providers expose no series), so GET /v1/series/:id can list
+ * a series without knowing which searches found its books. Wikidata's
+ * "has part(s)" fills in books we haven't seen yet.
+ *
+ * Like the suggest index, records are updated read-modify-write without
+ * locking; a lost update is repaired the next time the work is seen.
+ */
+
+import type { AuthorDTO, EditionDTO, SeriesDTO, SeriesEntryDTO, WorkDTO, WorkSeriesDTO } from '../types/canonical.js';
+import type { WikidataSeriesPart } from './wikidata-enrichment.js';
+import { normalizeTitle } from '../utils/normalization.js';
+import { CacheKeyFactory } from './cache-key-factory.js';
+
+const SERIES_TTL = 90 * 24 * 60 * 60; // Refreshed on every write
+const MAX_SERIES_ENTRIES = 200;
+
+/**
+ * Work with series and authors attached (as returned by enrichMultipleBooks)
+ */
+export type SeriesWork = WorkDTO & { series: WorkSeriesDTO; authors?: AuthorDTO[] };
+
+/**
+ * Titles often carry the series suffix ("Leviathan Wakes (The Expanse, #1)");
+ * entries are matched on the bare title
+ */
+function entryKey(title: string): string {
+  return normalizeTitle(title.replace(/\s*\([^()]*\)\s*$/, '').split(':')[0]);
+}
+
+function mergeEntry(current: SeriesEntryDTO, update: SeriesEntryDTO): SeriesEntryDTO {
+  const merged: SeriesEntryDTO = { ...current };
+  for (const [field, value] of Object.entries(update)) {
+    if (field === 'authors') continue;
+    if ((merged as any)[field] === undefined && value !== undefined) {
+      (merged as any)[field] = value;
+    }
+  }
+  merged.authors = Array.from(new Set([...current.authors, ...update.authors]));
+  return merged;
+}
+
+/**
+ * Reading order: position, then unnumbered works by publication year, then title
+ */
+function compareEntries(a: SeriesEntryDTO, b: SeriesEntryDTO): number {
+  const position = (a.position ?? Infinity) - (b.position ?? Infinity);
+  if (position && Number.isFinite(position)) return position;
+  if (a.position !== b.position) return a.position === undefined ? 1 : -1;
+
+  const year = (a.firstPublicationYear ?? Infinity) - (b.firstPublicationYear ?? Infinity);
+  if (year && Number.isFinite(year)) return year;
+  if (a.firstPublicationYear !== b.firstPublicationYear) return a.firstPublicationYear === undefined ? 1 : -1;
+
+  return a.title.localeCompare(b.title);
+}
+
+/**
+ * Merge entries into a series, deduplicated by title, in reading order
+ *
+ * @param series - Series record
+ * @param entries - New or updated entries
+ * @returns Updated series (input is not modified)
+ */
+export function mergeSeriesEntries(series: SeriesDTO, entries: SeriesEntryDTO[]): SeriesDTO {
+  const byKey = new Map(series.works.map((entry) => [entryKey(entry.title), entry]));
+  for (const entry of entries) {
+    const key = entryKey(entry.title);
+    if (!key) continue;
+    const current = byKey.get(key);
+    byKey.set(key, current ? mergeEntry(current, entry) : entry);
+  }
+
+  const works = Array.from(byKey.values()).sort(compareEntries).slice(0, MAX_SERIES_ENTRIES);
+  const authors = Array.from(new Set([...series.authors, ...works.flatMap((entry) => entry.authors)]));
+  return { ...series, authors, works };
+}
+
+/**
+ * Series entries from Wikidata "has part(s)"
+ *
+ * @param parts - From fetchWikidataSeriesParts()
+ * @returns Entries (authors unknown)
+ */
+export function entriesFromWikidataParts(parts: WikidataSeriesPart[]): SeriesEntryDTO[] {
+  return parts.map((part) => ({
+    title: part.title,
+    position: part.position,
+    authors: [],
+    firstPublicationYear: part.publicationYear,
+    wikidataID: part.wikidataId,
+  }));
+}
+
+/**
+ * Series entry for a search result
+ *
+ * @param work - Work with series (and authors) attached
+ * @param edition - Matching edition, if any
+ * @returns Entry
+ */
+export function entryFromWork(work: SeriesWork, edition?: EditionDTO): SeriesEntryDTO {
+  return {
+    title: work.title,
+    position: work.series.position,
+    authors: (work.authors || []).map((author) => author.name),
+    firstPublicationYear: work.firstPublicationYear,
+    coverImageURL: work.coverImageURL || edition?.coverImageURL,
+    isbn: edition?.isbn,
+    openLibraryWorkID: work.openLibraryWorkID,
+    googleBooksVolumeID: work.googleBooksVolumeIDs?.[0],
+  };
+}
+
+/**
+ * Load a series record
+ *
+ * @param id - Series ID
+ * @param env - Worker environment bindings
+ * @returns Series, or null if never recorded
+ */
+export async function getSeries(id: string, env: any): Promise<SeriesDTO | null> {
+  try {
+    const stored = await env.CACHE.get(CacheKeyFactory.seriesRecord(id));
+    if (!stored) return null;
+    return typeof stored === 'string' ? JSON.parse(stored) : stored;
+  } catch (error) {
+    console.error(`[Series] Failed to read series "${id}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a series record
+ *
+ * @param series - Series to store
+ * @param env - Worker environment bindings
+ */
+export async function saveSeries(series: SeriesDTO, env: any): Promise<void> {
+  try {
+    await env.CACHE.put(CacheKeyFactory.seriesRecord(series.id), JSON.stringify(series), {
+      expirationTtl: SERIES_TTL,
+    });
+  } catch (error) {
+    console.error(`[Series] Failed to write series "${series.id}":`, error);
+  }
+}
+
+/**
+ * Record works under their series
+ *
+ * @param env - Worker environment bindings
+ * @param works - Works (only those with `series` are recorded)
+ * @param editions - Editions parallel to works (editions[i] is the edition of works[i])
+ * @returns Updated series records, keyed by series ID
+ */
+export async function recordSeries(
+  env: any,
+  works: Array<WorkDTO & { authors?: AuthorDTO[] }>,
+  editions: EditionDTO[] = []
+): Promise<Map<string, SeriesDTO>> {
+  const grouped = new Map<string, { series: WorkSeriesDTO; entries: SeriesEntryDTO[] }>();
+  works.forEach((work, i) => {
+    if (!work.series) return;
+    const group = grouped.get(work.series.id) || { series: work.series, entries: [] };
+    group.entries.push(entryFromWork(work as SeriesWork, editions[i]));
+    if (!group.series.wikidataID && work.series.wikidataID) group.series = work.series;
+    grouped.set(work.series.id, group);
+  });
+
+  const updated = new Map<string, SeriesDTO>();
+  for (const [id, { series, entries }] of grouped) {
+    const current = (await getSeries(id, env)) || { id, name: series.name, authors: [], works: [] };
+    if (!current.wikidataID && series.wikidataID) current.wikidataID = series.wikidataID;
+
+    const merged = mergeSeriesEntries(current, entries);
+    await saveSeries(merged, env);
+    updated.set(id, merged);
+  }
+
+  return updated;
+}
+
+/**
+ * Record the series of search results without delaying the response
+ *
+ * @param env - Worker environment bindings
+ * @param ctx - Execution context (without one, the write is awaited)
+ * @param works - Works (only those with `series` are recorded)
+ * @param editions - Editions parallel to works
+ */
+export async function recordSearchResultSeries(
+  env: any,
+  ctx: ExecutionContext | null,
+  works: Array<WorkDTO & { authors?: AuthorDTO[] }>,
+  editions: EditionDTO[] = []
+): Promise<void> {
+  if (!works.some((work) => work.series)) return;
+
+  const write = recordSeries(env, works, editions).then(
+    () => undefined,
+    (error) => console.error('[Series] Failed to record search result series:', error)
+  );
+  if (ctx) ctx.waitUntil(write);
+  else await write;
+}
@@ -0,0 +1,101 @@
+// src/services/single-flight.js
+
+/**
+ * Single-flight request coalescing
+ *
+ * When a popular book trends, many concurrent requests miss the cache for the
+ * same key. Instead of each calling the providers, the first caller fetches
+ * and everyone else waits for its result:
+ *
+ * - Within an isolate: callers share the first caller's promise
+ * - Across isolates (optional, FETCH_LOCK_DO binding): the first isolate takes a
+ *   per-key lock; the others wait on the lock and get the holder's result from
+ *   it, and fetch themselves if it never comes
+ *
+ * Used via UnifiedCacheService.coalesce().
+ */
+
+const LOCK_TTL_MS = 10000; // Lock expires if the holder never releases it (isolate killed mid-fetch)
+const MAX_WAIT_MS = 5000; // Followers give up and fetch themselves after this
+
+// Cache key -> promise of the fetch in progress in this isolate
+const inFlight = new Map();
+
+/**
+ * Run fn once per key at a time within this isolate
+ *
+ * @param {string} key - Coalescing key (cache key)
+ * @param {Function} fn - Async function to run if no call for key is in flight
+ * @returns {{promise: Promise<any>, coalesced: boolean}} Shared promise; coalesced if another caller started it
+ */
+export function singleFlight(key, fn) {
+  const existing = inFlight.get(key);
+  if (existing) {
+    return { promise: existing, coalesced: true };
+  }
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return { promise, coalesced: false };
+}
+
+/**
+ * Number of keys with a fetch in flight in this isolate (for tests and debugging)
+ * @returns {number}
+ */
+export function inFlightCount() {
+  return inFlight.size;
+}
+
+/**
+ * Fetch with a cross-isolate lock on key
+ *
+ * The lock holder runs fetcher() and releases the lock with its value;
+ * everyone else waits on the lock for up to MAX_WAIT_MS and gets that value.
+ * Followers fetch themselves if the holder released no value (it failed or
+ * found nothing) or didn't finish in time. Without a FETCH_LOCK_DO binding
+ * (or if the DO fails) this just calls fetcher().
+ *
+ * @param {Object} env - Worker environment bindings
+ * @param {string} key - Lock key (cache key)
+ * @param {Function} fetcher - Fetches the value
+ * @returns {Promise<{data: any, waited: boolean}>} Value; waited if it came from another isolate
+ */
+export async function withFetchLock(env, key, fetcher) {
+  const lock = env.FETCH_LOCK_DO?.get(env.FETCH_LOCK_DO.idFromName(key));
+  if (!lock) {
+    return { data: await fetcher(), waited: false };
+  }
+
+  const holder = crypto.randomUUID();
+  let acquired = true;
+  try {
+    acquired = await lock.acquire(holder, LOCK_TTL_MS);
+  } catch (error) {
+    // Fail open: a duplicate fetch is better than a failed request
+    console.error(`Fetch lock unavailable for ${key}:`, error);
+  }
+
+  if (acquired) {
+    let data = null;
+    try {
+      data = await fetcher();
+      return { data, waited: false };
+    } finally {
+      lock.release(holder, data).catch((error) => console.error(`Fetch lock release failed for ${key}:`, error));
+    }
+  }
+
+  try {
+    const { value } = await lock.wait(MAX_WAIT_MS);
+    if (value != null) {
+      return { data: value, waited: true };
+    }
+  } catch (error) {
+    console.error(`Fetch lock wait failed for ${key}:`, error);
+  }
+
+  return { data: await fetcher(), waited: false };
+}
@@ -0,0 +1,314 @@
+/**
+ * Search-as-you-type prefix index for GET /v1/suggest
+ *
+ * Titles and authors are stored in KV buckets keyed by the first two and
+ * the first three characters of every word they contain ("The Hobbit" is
+ * filed under "th", "the", "ho" and "hob"), so a keystroke costs a single
+ * bucket read - usually from the edge cache - and never touches a provider.
+ * Buckets keep their best-ranked entries only: a two-character query gets the
+ * top of a crowded bucket like "th", and longer queries read a three-character
+ * bucket, which has room for entries the crowded one dropped.
+ *
+ * The index is fed off the request path, in batches, so a bucket is written
+ * a few times a day rather than on every search (KV allows one write per key
+ * per second):
+ * - The daily refresh (scheduled-suggest.js): the last day's fresh
+ *   /v1/search/advanced results, and popularity from ISBN search counts in
+ *   Analytics Engine
+ * - Cache warming (author-warming-consumer.js), once per queue batch
+ *
+ * Buckets are updated read-modify-write without locking. Concurrent writers
+ * (warming batches running in parallel) can drop each other's updates; that
+ * only costs a few hits of ranking signal, and the entry is re-added the next
+ * time it's seen.
+ */
+
+import type { Suggestion } from '../types/responses.js';
+import { foldDiacritics } from '../utils/normalization.js';
+import { CacheKeyFactory } from './cache-key-factory.js';
+import { EdgeCacheService } from './edge-cache.js';
+
+/**
+ * Characters per bucket prefix - also the minimum query length
+ */
+export const SUGGEST_PREFIX_LENGTH = 2;
+
+/**
+ * Characters per bucket prefix for queries of this length or longer
+ */
+const LONG_PREFIX_LENGTH = 3;
+
+const MAX_BUCKET_ENTRIES = 200;
+const BUCKET_EDGE_TTL = 5 * 60; // New entries show up within 5 minutes
+const BUCKET_KV_TTL = 90 * 24 * 60 * 60; // Refreshed on every write; unused buckets expire
+const POPULARITY_MAX_AGE_MS = 8 * 24 * 60 * 60 * 1000; // Daily refresh of a 7-day window, plus slack
+
+/**
+ * Words not worth a bucket of their own (still matched as part of a longer prefix)
+ */
+const SKIP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'de', 'la', 'le', 'el']);
+
+/**
+ * A title or author to add to the index
+ */
+export interface SuggestInput {
+  type: Suggestion['type'];
+  text: string;
+  author?: string; // Primary author, for titles
+  popularity?: number; // Searches over the analytics window (scheduled refresh only)
+}
+
+/**
+ * Stored index entry
+ */
+export interface SuggestEntry extends Suggestion {
+  key: string; // normalizeSuggestText(text)
+  hits: number; // Times seen in fresh search results and warming
+  popularity?: number;
+  popularAt?: number; // When popularity was last refreshed (epoch ms)
+  updatedAt: number;
+}
+
+interface SuggestBucket {
+  entries: SuggestEntry[];
+}
+
+/**
+ * Normalize text for prefix matching
+ * Same folding as titles (case, diacritics), but punctuation is dropped and
+ * leading articles are kept so "the hob" still matches "The Hobbit".
+ *
+ * @param text - Title, author name or partial query
+ * @returns Normalized text
+ */
+export function normalizeSuggestText(text: string): string {
+  return foldDiacritics(text)
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Every word-start suffix of normalized text
+ * "harry potter and the" → ["harry potter and the", "potter and the"]
+ */
+function wordStarts(key: string): string[] {
+  const words = key.split(' ');
+  const starts: string[] = [];
+  words.forEach((word, i) => {
+    if (i === 0 || !SKIP_WORDS.has(word)) {
+      starts.push(words.slice(i).join(' '));
+    }
+  });
+  return starts;
+}
+
+/**
+ * Bucket prefix of a word start or query, if it is long enough for one
+ */
+function bucketPrefix(text: string, length: number): string | null {
+  const prefix = Array.from(text).slice(0, length).join('');
+  return Array.from(prefix).length === length && !prefix.includes(' ') ? prefix : null;
+}
+
+/**
+ * Bucket a query reads: its long prefix, or else its short one
+ */
+function queryBucketPrefix(normalized: string): string | null {
+  return bucketPrefix(normalized, LONG_PREFIX_LENGTH) || bucketPrefix(normalized, SUGGEST_PREFIX_LENGTH);
+}
+
+function entryId(entry: { type: string; key: string }): string {
+  return `${entry.type}:${entry.key}`;
+}
+
+function effectivePopularity(entry: SuggestEntry, now: number): number {
+  if (!entry.popularity || !entry.popularAt || now - entry.popularAt > POPULARITY_MAX_AGE_MS) {
+    return 0;
+  }
+  return entry.popularity;
+}
+
+/**
+ * Ranking: analytics popularity, then hits, then most recently seen
+ */
+function compareEntries(a: SuggestEntry, b: SuggestEntry, now: number): number {
+  return (
+    effectivePopularity(b, now) - effectivePopularity(a, now) ||
+    b.hits - a.hits ||
+    b.updatedAt - a.updatedAt
+  );
+}
+
+async function readBucketFromKV(prefix: string, env: any): Promise<SuggestBucket> {
+  try {
+    const stored = await env.CACHE.get(CacheKeyFactory.suggestBucket(prefix));
+    if (stored) {
+      const bucket = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      if (Array.isArray(bucket?.entries)) return bucket;
+    }
+  } catch (error) {
+    console.error(`[Suggest] Failed to read bucket "${prefix}":`, error);
+  }
+  return { entries: [] };
+}
+
+/**
+ * Titles and authors from search results
+ *
+ * @param works - Works with their authors attached (as returned by enrichMultipleBooks)
+ * @returns Index inputs, one per title and per author
+ */
+export function suggestionsFromWorks(
+  works: Array<{ title?: string; authors?: Array<{ name?: string }> }>
+): SuggestInput[] {
+  const inputs: SuggestInput[] = [];
+  for (const work of works) {
+    const authorNames = (work.authors || []).map((author) => author.name).filter((name): name is string => !!name);
+    if (work.title) {
+      inputs.push({ type: 'title', text: work.title, author: authorNames[0] });
+    }
+    authorNames.forEach((name) => inputs.push({ type: 'author', text: name }));
+  }
+  return inputs;
+}
+
+/**
+ * Add titles and authors to the index
+ *
+ * Entries already indexed gain `hits` (and take the latest popularity, if
+ * given); each bucket keeps its MAX_BUCKET_ENTRIES best-ranked entries.
+ *
+ * @param env - Worker environment bindings
+ * @param inputs - Titles and authors to index
+ * @param options.hits - Hits to add per occurrence (default: 1; 0 for popularity-only updates)
+ * @returns Number of buckets written
+ */
+export async function recordSuggestions(
+  env: any,
+  inputs: SuggestInput[],
+  options: { hits?: number } = {}
+): Promise<number> {
+  const hits = options.hits ?? 1;
+  const now = Date.now();
+
+  // Merge duplicates within this call, then group by bucket
+  const updates = new Map<string, SuggestEntry>();
+  for (const input of inputs) {
+    const text = input.text?.trim();
+    const key = text ? normalizeSuggestText(text) : '';
+    if (Array.from(key).length < SUGGEST_PREFIX_LENGTH) continue;
+
+    const id = entryId({ type: input.type, key });
+    const existing = updates.get(id);
+    if (existing) {
+      existing.hits += hits;
+      if (input.popularity !== undefined) {
+        existing.popularity = (existing.popularity || 0) + input.popularity;
+        existing.popularAt = now;
+      }
+      continue;
+    }
+
+    const entry: SuggestEntry = { text, type: input.type, key, hits, updatedAt: now };
+    if (input.author) entry.author = input.author;
+    if (input.popularity !== undefined) {
+      entry.popularity = input.popularity;
+      entry.popularAt = now;
+    }
+    updates.set(id, entry);
+  }
+
+  const buckets = new Map<string, SuggestEntry[]>();
+  for (const entry of updates.values()) {
+    for (const start of wordStarts(entry.key)) {
+      for (const length of [SUGGEST_PREFIX_LENGTH, LONG_PREFIX_LENGTH]) {
+        const prefix = bucketPrefix(start, length);
+        if (!prefix) continue;
+        const bucketEntries = buckets.get(prefix) || [];
+        if (!bucketEntries.includes(entry)) bucketEntries.push(entry);
+        buckets.set(prefix, bucketEntries);
+      }
+    }
+  }
+
+  for (const [prefix, newEntries] of buckets) {
+    const bucket = await readBucketFromKV(prefix, env);
+    const byId = new Map(bucket.entries.map((entry) => [entryId(entry), entry]));
+
+    for (const update of newEntries) {
+      const current = byId.get(entryId(update));
+      if (!current) {
+        byId.set(entryId(update), { ...update });
+        continue;
+      }
+      byId.set(entryId(update), {
+        ...current,
+        text: update.text,
+        author: update.author || current.author,
+        hits: current.hits + update.hits,
+        popularity: update.popularAt ? update.popularity : current.popularity,
+        popularAt: update.popularAt || current.popularAt,
+        updatedAt: now,
+      });
+    }
+
+    const entries = Array.from(byId.values())
+      .sort((a, b) => compareEntries(a, b, now))
+      .slice(0, MAX_BUCKET_ENTRIES);
+
+    try {
+      await env.CACHE.put(CacheKeyFactory.suggestBucket(prefix), JSON.stringify({ entries }), {
+        expirationTtl: BUCKET_KV_TTL,
+      });
+    } catch (error) {
+      console.error(`[Suggest] Failed to write bucket "${prefix}":`, error);
+    }
+  }
+
+  return buckets.size;
+}
+
+/**
+ * Look up suggestions for a partial query
+ *
+ * Matches entries where any word starts with the query ("rowl" → "J.K. Rowling").
+ *
+ * @param query - Partial title or author, as typed
+ * @param env - Worker environment bindings
+ * @param ctx - Execution context (edge cache writes)
+ * @param limit - Maximum suggestions
+ * @returns Suggestions, best-ranked first (empty if the query is too short)
+ */
+export async function lookupSuggestions(
+  query: string,
+  env: any,
+  ctx: ExecutionContext,
+  limit: number
+): Promise<Suggestion[]> {
+  const normalized = normalizeSuggestText(query);
+  const prefix = queryBucketPrefix(normalized);
+  if (!prefix) {
+    return [];
+  }
+
+  // Edge first: most keystrokes in a session land in the same bucket
+  const edgeCache = new EdgeCacheService();
+  const cacheKey = CacheKeyFactory.suggestBucket(prefix);
+  const edgeResult = await edgeCache.get(cacheKey, { maxAge: BUCKET_EDGE_TTL, staleWhileRevalidate: 1 });
+
+  let bucket: SuggestBucket;
+  if (edgeResult && !edgeResult.stale && Array.isArray(edgeResult.data?.entries)) {
+    bucket = edgeResult.data;
+  } else {
+    bucket = await readBucketFromKV(prefix, env);
+    ctx.waitUntil(edgeCache.set(cacheKey, bucket, BUCKET_EDGE_TTL, 0));
+  }
+
+  const now = Date.now();
+  return bucket.entries
+    .filter((entry) => wordStarts(entry.key).some((start) => start.startsWith(normalized)))
+    .sort((a, b) => compareEntries(a, b, now))
+    .slice(0, limit)
+    .map(({ text, type, author }) => (author ? { text, type, author } : { text, type }));
+}
@@ -1,6 +1,18 @@
 // src/services/unified-cache.js
 import { EdgeCacheService } from './edge-cache.js';
 import { KVCacheService } from './kv-cache.js';
+import { singleFlight, withFetchLock } from './single-flight.js';
+import { isNegativelyCached } from './negative-cache.js';
+import { upgradeCachedData } from './cache-schema.js';
+import { gunzip, decodeCachedData } from '../utils/compression.js';
+import { recordCacheAccess } from './access-stats.js';
+
+// Inline cold reads (COLD_READ_MODE = "sync"), see get()
+const COLD_SYNC_MAX_BYTES = 64 * 1024; // Larger archives are always rehydrated in the background
+const DEFAULT_COLD_SYNC_BUDGET_MS = 150;
+const BUDGET_EXCEEDED = Symbol('budget exceeded');
+
+const MAX_QUERY_BLOB_LENGTH = 256;
 
 /**
  * Unified Cache Service - Single entry point for all cache operations
@@ -8,6 +20,9 @@ import { KVCacheService } from './kv-cache.js';
  * Routes requests intelligently through cache tiers:
  * 1. Edge Cache (caches.default) - 5-10ms, 80% hit rate
  * 2. KV Cache (extended TTLs) - 30-50ms, 15% hit rate
+ * 2.5. Cold storage (R2) - archived entries, rehydrated to KV in the background;
+ *      with COLD_READ_MODE = "sync", small ones are also returned inline if the
+ *      read fits in COLD_SYNC_BUDGET_MS
  * 3. External APIs (fallback) - 300-500ms, 5% miss rate
  *
  * Target: 95% overall hit rate, <10ms P50 latency
@@ -25,11 +40,15 @@ export class UnifiedCacheService {
    * @param {string} cacheKey - Cache key
    * @param {string} endpoint - Endpoint type ('title', 'isbn', 'author')
    * @param {Object} options - Query options (query, maxResults, etc.)
+   * @param {string[]} options.legacyKeys - Previous key formats to check in KV before missing
    * @returns {Promise<Object>} Cached or fresh data with metadata
    */
   async get(cacheKey, endpoint, options = {}) {
     const startTime = Date.now();
 
+    // Sampled access counting for cold-storage archival (non-blocking)
+    this.ctx.waitUntil(recordCacheAccess(this.env, cacheKey));
+
     // Tier 1: Edge Cache (fastest, 80% hit rate) with SWR support
     const edgeResult = await this.edgeCache.get(cacheKey, {
       maxAge: 3600,          // 1 hour fresh
@@ -67,25 +86,96 @@ export class UnifiedCacheService {
       return kvResult;
     }
 
+    // Tier 2.25: Legacy keys (entries written before a key format change)
+    // Copied forward to the current key so the next lookup is a direct hit
+    for (const legacyKey of options.legacyKeys || []) {
+      const legacyResult = await this.kvCache.get(legacyKey, endpoint);
+      if (legacyResult) {
+        this.ctx.waitUntil(
+          this.kvCache.set(cacheKey, legacyResult.data, endpoint)
+        );
+
+        this.logMetrics('kv_hit_legacy', cacheKey, Date.now() - startTime);
+        return { ...legacyResult, migratedFrom: legacyKey };
+      }
+    }
+
     // NEW: Tier 2.5: Check Cold Storage Index
     const coldIndex = await this.env.CACHE.get(`cold-index:${cacheKey}`, 'json');
     if (coldIndex) {
+      // Sync mode: read small archives inline, within the latency budget
+      let pendingRead = null;
+      if (this.readsColdInline(coldIndex)) {
+        const syncStart = Date.now();
+        pendingRead = this.readArchived(cacheKey, coldIndex);
+        const data = await withinBudget(pendingRead, coldSyncBudgetMs(this.env)).catch(() => null);
+
+        if (data !== null && data !== BUDGET_EXCEEDED) {
+          this.ctx.waitUntil(this.restoreToWarmTiers(cacheKey, data, endpoint));
+          this.logMetrics('r2_sync_hit', cacheKey, Date.now() - startTime);
+          return { data, source: 'R2', latency: Date.now() - startTime };
+        }
+        this.logMetrics('r2_sync_fallback', cacheKey, Date.now() - syncStart);
+      }
+
       this.logMetrics('cold_check', cacheKey, Date.now() - startTime);
 
-      // Trigger background rehydration (non-blocking)
+      // Trigger background rehydration (non-blocking), reusing the inline read if one was started
       this.ctx.waitUntil(
-        this.rehydrateFromR2(cacheKey, coldIndex, endpoint)
+        this.rehydrateFromR2(cacheKey, coldIndex, endpoint, pendingRead)
       );
 
       // Return null immediately (user gets fresh API data)
       return { data: null, source: 'COLD', latency: Date.now() - startTime };
     }
 
-    // Tier 3: API Miss
-    this.logMetrics('api_miss', cacheKey, Date.now() - startTime);
+    // Tier 3: API Miss (with the query, for predictive warming)
+    this.logMetrics('api_miss', cacheKey, Date.now() - startTime, { endpoint, query: options.query });
     return { data: null, source: 'MISS', latency: Date.now() - startTime };
   }
 
+  /**
+   * Check the negative cache after a miss: whether cacheKey was recently
+   * found to have no results (see negative-cache.js)
+   *
+   * @param {string} cacheKey - Cache key that missed
+   * @returns {Promise<boolean>} True if the lookup should be answered as not found
+   */
+  async isKnownMissing(cacheKey) {
+    const startTime = Date.now();
+    const missing = await isNegativelyCached(cacheKey, this.env);
+    if (missing) {
+      this.logMetrics('negative_hit', cacheKey, Date.now() - startTime);
+    }
+    return missing;
+  }
+
+  /**
+   * Fetch a cache miss once for all concurrent requests
+   *
+   * Concurrent misses for the same key share one call to fetcher, within the
+   * isolate and (with FETCH_LOCK_DO) across isolates, see single-flight.js.
+   * Requests waiting in other isolates get the value fetcher returns through
+   * the lock, not from KV.
+   *
+   * @param {string} cacheKey - Cache key that missed
+   * @param {string} endpoint - Endpoint type ('title', 'isbn', 'advanced', ...)
+   * @param {Function} fetcher - Fetches from providers, caches and returns the value
+   * @returns {Promise<{data: any, coalesced: boolean}>} Value; coalesced if another request fetched it
+   */
+  async coalesce(cacheKey, endpoint, fetcher) {
+    const startTime = Date.now();
+    const { promise, coalesced } = singleFlight(cacheKey, () => withFetchLock(this.env, cacheKey, fetcher));
+
+    const { data, waited } = await promise;
+    if (coalesced) {
+      this.logMetrics('coalesced', cacheKey, Date.now() - startTime, { endpoint });
+    } else if (waited) {
+      this.logMetrics('coalesced_remote', cacheKey, Date.now() - startTime, { endpoint });
+    }
+    return { data, coalesced: coalesced || waited };
+  }
+
   /**
    * Background refresh for stale cache entries
    * Fetches fresh data from API and updates all cache tiers
@@ -126,60 +216,126 @@ export class UnifiedCacheService {
     }
   }
 
+  /**
+   * Whether a cold entry is read from R2 inline (COLD_READ_MODE = "sync")
+   *
+   * Only archives of up to COLD_SYNC_MAX_BYTES qualify. Cold indexes written
+   * before archival recorded sizes don't, their size is unknown.
+   *
+   * @param {Object} coldIndex - Cold storage index metadata
+   * @returns {boolean}
+   */
+  readsColdInline(coldIndex) {
+    return this.env.COLD_READ_MODE === 'sync'
+      && typeof coldIndex.bytes === 'number'
+      && coldIndex.bytes <= COLD_SYNC_MAX_BYTES;
+  }
+
   /**
    * Rehydrate archived data from R2 to KV and Edge
    *
    * @param {string} cacheKey - Original cache key
    * @param {Object} coldIndex - Cold storage index metadata
    * @param {string} endpoint - Endpoint type
+   * @param {Promise<any>|null} pendingRead - readArchived() already in flight (from an inline read that ran over budget)
    */
-  async rehydrateFromR2(cacheKey, coldIndex, endpoint) {
+  async rehydrateFromR2(cacheKey, coldIndex, endpoint, pendingRead = null) {
     try {
       console.log(`Rehydrating ${cacheKey} from R2...`);
 
-      // 1. Fetch from R2
-      const r2Object = await this.env.LIBRARY_DATA.get(coldIndex.r2Path);
-      if (!r2Object) {
-        console.error(`R2 object not found: ${coldIndex.r2Path}`);
+      const data = await (pendingRead || this.readArchived(cacheKey, coldIndex));
+      if (data === null) {
         return;
       }
 
-      const data = await r2Object.json();
+      await this.restoreToWarmTiers(cacheKey, data, endpoint);
+      console.log(`Successfully rehydrated ${cacheKey}`);
 
-      // 2. Restore to KV with extended TTL (7 days)
-      await this.kvCache.set(cacheKey, data, endpoint, {
-        ttl: 7 * 24 * 60 * 60
-      });
+    } catch (error) {
+      console.error(`Rehydration failed for ${cacheKey}:`, error);
+      // Log error but don't throw (background operation)
+    }
+  }
 
-      // 3. Populate Edge cache
-      await this.edgeCache.set(cacheKey, data, 6 * 60 * 60);
+  /**
+   * Read an archived payload from R2
+   *
+   * Archived payloads from an older cache schema are upgraded, or deleted
+   * from R2 if they can't be (the next lookup refetches from providers).
+   *
+   * @param {string} cacheKey - Original cache key
+   * @param {Object} coldIndex - Cold storage index metadata
+   * @returns {Promise<any|null>} Payload, or null if it's missing or was dropped
+   */
+  async readArchived(cacheKey, coldIndex) {
+    const r2Object = await this.env.LIBRARY_DATA.get(coldIndex.r2Path);
+    if (!r2Object) {
+      console.error(`R2 object not found: ${coldIndex.r2Path}`);
+      return null;
+    }
 
-      // 4. Remove from cold index (now warm)
+    // Archived objects hold the KV entry as written by setCached(), gzipped
+    // if large; upgrade payloads from older cache schemas, and drop ones
+    // that can't be upgraded
+    const archived = r2Object.customMetadata?.encoding === 'gzip'
+      ? JSON.parse(await gunzip(await r2Object.arrayBuffer()))
+      : await r2Object.json();
+    const enveloped = Boolean(archived?.data && archived.cachedAt);
+    const upgraded = upgradeCachedData(
+      enveloped ? await decodeCachedData(archived.data, archived.encoding) : archived,
+      enveloped ? archived.schemaVersion : undefined,
+    );
+    if (!upgraded) {
+      console.log(`Dropping ${cacheKey} from R2: schema version ${archived.schemaVersion ?? 0} can't be upgraded`);
+      await this.env.LIBRARY_DATA.delete(coldIndex.r2Path);
       await this.env.CACHE.delete(`cold-index:${cacheKey}`);
+      this.logMetrics('r2_schema_miss', cacheKey, 0);
+      return null;
+    }
+    return upgraded.data;
+  }
 
-      // 5. Log rehydration
-      this.logMetrics('r2_rehydrated', cacheKey, 0);
+  /**
+   * Move a payload read from R2 back to KV and Edge
+   *
+   * @param {string} cacheKey - Original cache key
+   * @param {any} data - Payload from readArchived()
+   * @param {string} endpoint - Endpoint type
+   */
+  async restoreToWarmTiers(cacheKey, data, endpoint) {
+    // 1. Restore to KV with extended TTL (7 days)
+    await this.kvCache.set(cacheKey, data, endpoint, {
+      ttl: 7 * 24 * 60 * 60
+    });
 
-      console.log(`Successfully rehydrated ${cacheKey}`);
+    // 2. Populate Edge cache
+    await this.edgeCache.set(cacheKey, data, 6 * 60 * 60);
 
-    } catch (error) {
-      console.error(`Rehydration failed for ${cacheKey}:`, error);
-      // Log error but don't throw (background operation)
-    }
+    // 3. Remove from cold index (now warm)
+    await this.env.CACHE.delete(`cold-index:${cacheKey}`);
+
+    // 4. Log rehydration
+    this.logMetrics('r2_rehydrated', cacheKey, 0);
   }
 
   /**
    * Log cache metrics to Analytics Engine
-   * @param {string} event - Event type (edge_hit, kv_hit, api_miss)
+   * @param {string} event - Event type (edge_hit, kv_hit, api_miss, coalesced, negative_hit, r2_sync_hit, r2_schema_miss)
    * @param {string} cacheKey - Cache key
    * @param {number} latency - Latency in milliseconds
+   * @param {Object} [search] - Search that was looked up, logged as blob3 (endpoint) and blob4 (query)
    */
-  logMetrics(event, cacheKey, latency) {
+  logMetrics(event, cacheKey, latency, search = null) {
     if (!this.env.CACHE_ANALYTICS) return;
 
+    const blobs = [event, cacheKey];
+    if (search) {
+      blobs.push(search.endpoint || '', String(search.query ?? '').slice(0, MAX_QUERY_BLOB_LENGTH));
+    }
+
     try {
       this.env.CACHE_ANALYTICS.writeDataPoint({
-        blobs: [event, cacheKey],
+        blobs,
         doubles: [latency],
         indexes: [event]
       });
@@ -188,3 +344,27 @@ export class UnifiedCacheService {
     }
   }
 }
+
+/**
+ * Latency budget for inline cold reads (COLD_SYNC_BUDGET_MS var)
+ * @param {Object} env - Worker environment bindings
+ * @returns {number} Milliseconds
+ */
+function coldSyncBudgetMs(env) {
+  const budget = parseInt(env.COLD_SYNC_BUDGET_MS, 10);
+  return Number.isNaN(budget) || budget < 0 ? DEFAULT_COLD_SYNC_BUDGET_MS : budget;
+}
+
+/**
+ * Wait for a promise for at most ms
+ * @param {Promise<any>} promise - Promise to wait for (keeps running after the budget)
+ * @param {number} ms - Budget in milliseconds
+ * @returns {Promise<any>} Its value, or BUDGET_EXCEEDED
+ */
+function withinBudget(promise, ms) {
+  let timer;
+  const budget = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(BUDGET_EXCEEDED), ms);
+  });
+  return Promise.race([promise, budget]).finally(() => clearTimeout(timer));
+}
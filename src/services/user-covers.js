@@ -0,0 +1,157 @@
+// src/services/user-covers.js
+import { imageInfo, exifOrientation } from "../utils/image-info.js";
+import { detectCoverBoundsWithGemini } from "../providers/gemini-provider.js";
+import { storeCoverVariants, variantMetadata } from "./cover-variants.js";
+
+/**
+ * Covers uploaded by users (POST /v1/covers/:isbn/upload)
+ *
+ * For rare editions and self-published books no source has a cover for.
+ * Uploads are stored in BOOK_COVERS under the uploader:
+ *
+ *   user-covers/{owner}/{isbn13}   owner = SHA-256 of the user ID, truncated
+ *
+ * with the usual size variants (services/cover-variants.js), and only that
+ * user gets them: GET /v1/covers/:isbn and /v1/covers/:isbn/image prefer the
+ * upload when the request is authenticated as the same user. The owner is
+ * always the user ID of a verified token (utils/user-token.ts), never one the
+ * client just names.
+ */
+
+export const MAX_UPLOAD_MB = 5;
+export const UPLOAD_FORMATS = ["jpeg", "png", "webp"];
+
+const MIN_CROP_SAVINGS = 0.05; // Bounds covering 95%+ of the photo aren't worth a crop
+
+/**
+ * R2 key of a user's cover for an ISBN
+ *
+ * @param {string} userId - Verified user ID
+ * @param {string} isbn13 - ISBN-13
+ * @returns {Promise<string>} user-covers/{owner}/{isbn13}
+ */
+export async function userCoverKey(userId, isbn13) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(userId));
+  const owner = Array.from(new Uint8Array(digest).slice(0, 16))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+  return `user-covers/${owner}/${isbn13}`;
+}
+
+/**
+ * A user's uploaded cover
+ *
+ * @param {string} userId - Verified user ID
+ * @param {string} isbn13 - ISBN-13
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{r2Key: string, object: Object}|null>} R2 object and its key, or null
+ */
+export async function getUserCover(userId, isbn13, env) {
+  if (!env.BOOK_COVERS) {
+    return null;
+  }
+  const r2Key = await userCoverKey(userId, isbn13);
+  const object = await env.BOOK_COVERS.get(r2Key);
+  return object ? { r2Key, object } : null;
+}
+
+/**
+ * Crop a cover photo to the book
+ *
+ * Gemini finds the cover's edges; the Images binding cuts the rest off.
+ * Photos with an EXIF orientation (phone cameras) are turned upright first,
+ * so the edges and the crop are in the same coordinates as the header size.
+ * Best-effort: without either, or if Gemini finds no cover, the photo is
+ * kept as is.
+ *
+ * @param {ArrayBuffer} imageData - Photo
+ * @param {{format: string, width: number, height: number}} info - From imageInfo()
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{imageData: ArrayBuffer, info: Object, cropped: boolean}>}
+ */
+export async function cropToBook(imageData, info, env) {
+  const uncropped = { imageData, info, cropped: false };
+  if (!env.IMAGES || !env.GEMINI_API_KEY) {
+    return uncropped;
+  }
+
+  try {
+    const orientation = exifOrientation(imageData);
+    const photo = orientation > 1 ? await uprightPhoto(imageData, info, orientation, env) : { imageData, info };
+    const bounds = await detectCoverBoundsWithGemini(photo.imageData, `image/${photo.info.format}`, env);
+    if (!bounds || (bounds.bottom - bounds.top) * (bounds.right - bounds.left) > 1 - MIN_CROP_SAVINGS) {
+      return uncropped;
+    }
+
+    const trim = {
+      top: Math.round(bounds.top * photo.info.height),
+      left: Math.round(bounds.left * photo.info.width),
+      width: Math.round((bounds.right - bounds.left) * photo.info.width),
+      height: Math.round((bounds.bottom - bounds.top) * photo.info.height),
+    };
+    const result = await env.IMAGES.input(new Blob([photo.imageData]).stream())
+      .transform({ trim })
+      .output({ format: "image/jpeg", quality: 90 });
+    const cropped = await result.response().arrayBuffer();
+
+    return {
+      imageData: cropped,
+      info: imageInfo(cropped) || { format: "jpeg", width: trim.width, height: trim.height },
+      cropped: true,
+    };
+  } catch (error) {
+    console.error("[Covers] Auto-crop failed, keeping the photo as is:", error);
+    return uncropped;
+  }
+}
+
+/**
+ * Re-encode a photo with its EXIF orientation applied (the Images binding
+ * rotates by it and drops it)
+ *
+ * @param {ArrayBuffer} imageData - Photo with an EXIF orientation
+ * @param {{format: string, width: number, height: number}} info - From imageInfo() (stored pixels)
+ * @param {number} orientation - From exifOrientation()
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<{imageData: ArrayBuffer, info: Object}>} Upright photo
+ */
+async function uprightPhoto(imageData, info, orientation, env) {
+  const result = await env.IMAGES.input(new Blob([imageData]).stream())
+    .transform({})
+    .output({ format: "image/jpeg", quality: 90 });
+  const upright = await result.response().arrayBuffer();
+  const rotated = orientation >= 5; // 5-8 turn by 90°
+  return {
+    imageData: upright,
+    info: imageInfo(upright) || { format: "jpeg", width: rotated ? info.height : info.width, height: rotated ? info.width : info.height },
+  };
+}
+
+/**
+ * Store a user's cover (replacing an earlier upload) with its variants
+ *
+ * @param {string} userId - Verified user ID
+ * @param {string} isbn13 - ISBN-13
+ * @param {ArrayBuffer} imageData - Image
+ * @param {{format: string, width: number, height: number}} info - From imageInfo()
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<string>} R2 key
+ */
+export async function storeUserCover(userId, isbn13, imageData, info, env) {
+  const r2Key = await userCoverKey(userId, isbn13);
+  const variantFormats = await storeCoverVariants(imageData, r2Key, env);
+
+  await env.BOOK_COVERS.put(r2Key, imageData, {
+    httpMetadata: { contentType: `image/${info.format}` },
+    customMetadata: {
+      isbn: isbn13,
+      source: "user-upload",
+      width: info.width.toString(),
+      height: info.height.toString(),
+      uploadedAt: new Date().toISOString(),
+      ...variantMetadata(variantFormats),
+    },
+  });
+
+  return r2Key;
+}
@@ -1,17 +1,26 @@
 /**
- * Wikidata Author Enrichment Service
+ * Wikidata Enrichment Service
  *
  * Enriches author metadata with cultural diversity data from Wikidata:
  * - Gender (male, female, non-binary, other, unknown)
  * - Nationality (country name)
  * - Birth year / Death year
  *
+ * And works with series data:
+ * - Series membership and position (P179 "part of the series", P1545 "series ordinal")
+ * - All works of a series in reading order (P527 "has part(s)")
+ *
+ * And books by ISBN (P212), for the provider merge engine:
+ * - First publication year of the work (P577 on the work, not the edition)
+ * - Series membership
+ *
  * API: https://www.wikidata.org/w/api.php
  * Search: https://www.wikidata.org/w/api.php?action=wbsearchentities
  * Data: https://www.wikidata.org/wiki/Special:EntityData/{entityId}.json
  */
 
 import type { AuthorGender, CulturalRegion } from '../types/enums.js';
+import { hyphenateISBN, toISBN13 } from '../utils/isbn.js';
 
 /**
  * Wikidata author enrichment result
@@ -226,6 +235,24 @@ function getPropertyValue(entity: any, propertyId: string): string | undefined {
   return undefined;
 }
 
+/**
+ * Get a qualifier value from a claim (e.g. P1545 series ordinal)
+ */
+function getQualifierValue(claim: any, propertyId: string): string | undefined {
+  const value = claim?.qualifiers?.[propertyId]?.[0]?.datavalue?.value;
+  if (value === undefined || value === null) return undefined;
+  return typeof value === 'object' ? value.id : String(value);
+}
+
+/**
+ * Parse a P1545 series ordinal ("3", "1.5"); non-numeric ordinals are ignored
+ */
+function parseOrdinal(ordinal?: string): number | undefined {
+  if (!ordinal) return undefined;
+  const position = parseFloat(ordinal);
+  return Number.isFinite(position) ? position : undefined;
+}
+
 /**
  * Get label for Wikidata entity ID
  * Used to resolve nationality name from country ID
@@ -304,3 +331,348 @@ export async function enrichAuthorWithWikidata(
 
   return result;
 }
+
+// ============================================================================
+// SERIES
+// ============================================================================
+
+/**
+ * Instance-of (P31) values that identify a series entity
+ * Q277759: book series, Q1667921: novel series, Q7725310: series of creative works
+ */
+const SERIES_TYPES = new Set(['Q277759', 'Q1667921', 'Q7725310']);
+
+/**
+ * Max entities per wbgetentities request (API limit)
+ */
+const WBGETENTITIES_BATCH_SIZE = 50;
+
+/**
+ * Series membership of a work
+ */
+export interface WikidataWorkSeries {
+  seriesWikidataId: string;
+  seriesName?: string;
+  position?: number;
+}
+
+/**
+ * Work of a series (from the series' "has part(s)")
+ */
+export interface WikidataSeriesPart {
+  wikidataId: string;
+  title: string;
+  position?: number;
+  publicationYear?: number;
+}
+
+/**
+ * Search Wikidata for up to `limit` entity IDs
+ */
+async function searchWikidataEntities(search: string, limit: number): Promise<string[]> {
+  const searchUrl = new URL('https://www.wikidata.org/w/api.php');
+  searchUrl.searchParams.set('action', 'wbsearchentities');
+  searchUrl.searchParams.set('search', search);
+  searchUrl.searchParams.set('language', 'en');
+  searchUrl.searchParams.set('type', 'item');
+  searchUrl.searchParams.set('limit', String(limit));
+  searchUrl.searchParams.set('format', 'json');
+
+  try {
+    const response = await fetch(searchUrl.toString(), {
+      headers: {
+        'User-Agent': 'BooksTrack/1.0 (https://api.oooefam.net; contact@oooefam.net)',
+      },
+    });
+
+    if (!response.ok) {
+      console.error(`[Wikidata] Search failed for "${search}": ${response.status}`);
+      return [];
+    }
+
+    const data = await response.json();
+    return (data.search || []).map((result: any) => result.id);
+  } catch (error: any) {
+    console.error(`[Wikidata] Search error for "${search}":`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch labels and claims for many entities (wbgetentities, batched)
+ */
+async function fetchWikidataEntities(entityIds: string[]): Promise<Record<string, any>> {
+  const entities: Record<string, any> = {};
+
+  for (let i = 0; i < entityIds.length; i += WBGETENTITIES_BATCH_SIZE) {
+    const url = new URL('https://www.wikidata.org/w/api.php');
+    url.searchParams.set('action', 'wbgetentities');
+    url.searchParams.set('ids', entityIds.slice(i, i + WBGETENTITIES_BATCH_SIZE).join('|'));
+    url.searchParams.set('props', 'labels|claims');
+    url.searchParams.set('languages', 'en');
+    url.searchParams.set('format', 'json');
+
+    try {
+      const response = await fetch(url.toString(), {
+        headers: {
+          'User-Agent': 'BooksTrack/1.0 (https://api.oooefam.net; contact@oooefam.net)',
+        },
+      });
+
+      if (!response.ok) {
+        console.error(`[Wikidata] wbgetentities failed: ${response.status}`);
+        continue;
+      }
+
+      const data = await response.json();
+      Object.assign(entities, data.entities || {});
+    } catch (error: any) {
+      console.error('[Wikidata] wbgetentities error:', error.message);
+    }
+  }
+
+  return entities;
+}
+
+function isSeriesEntity(entity: any): boolean {
+  return (entity?.claims?.P31 || []).some((claim: any) =>
+    SERIES_TYPES.has(claim?.mainsnak?.datavalue?.value?.id)
+  );
+}
+
+/**
+ * Resolve a work's P179 claim to its series (name and position)
+ */
+async function seriesFromClaim(seriesClaim: any): Promise<WikidataWorkSeries | null> {
+  const seriesWikidataId = seriesClaim?.mainsnak?.datavalue?.value?.id;
+  if (!seriesWikidataId) return null;
+
+  const seriesEntity = await fetchWikidataEntity(seriesWikidataId);
+  return {
+    seriesWikidataId,
+    seriesName: getEntityLabel(seriesEntity),
+    position: parseOrdinal(getQualifierValue(seriesClaim, 'P1545')),
+  };
+}
+
+/**
+ * Find the series a work belongs to ("part of the series", P179)
+ *
+ * @param title - Work title
+ * @param env - Worker environment (for KV caching)
+ * @returns Series membership, or null if the work isn't found or isn't part of a series
+ */
+export async function enrichWorkSeriesWithWikidata(
+  title: string,
+  env: any
+): Promise<WikidataWorkSeries | null> {
+  // 7-day TTL, same as author data (negative results cached as { seriesWikidataId: null })
+  const cacheKey = `wikidata:work-series:${title.toLowerCase()}`;
+  const cached = await env.KV_CACHE?.get(cacheKey, 'json');
+  if (cached) {
+    console.log(`[Wikidata] Series cache HIT for "${title}"`);
+    return cached.seriesWikidataId ? (cached as WikidataWorkSeries) : null;
+  }
+
+  let result: WikidataWorkSeries | null = null;
+
+  // First search hit that is part of a series (skips films, characters, etc.)
+  for (const entityId of await searchWikidataEntities(title, 3)) {
+    const entity = await fetchWikidataEntity(entityId);
+    const seriesClaim = entity?.claims?.P179?.[0];
+    const seriesWikidataId = seriesClaim?.mainsnak?.datavalue?.value?.id;
+    if (!seriesWikidataId) continue;
+
+    result = await seriesFromClaim(seriesClaim);
+    break;
+  }
+
+  console.log(`[Wikidata] Series for "${title}":`, result);
+
+  await env.KV_CACHE?.put(cacheKey, JSON.stringify(result || { seriesWikidataId: null }), {
+    expirationTtl: 604800, // 7 days
+  });
+
+  return result;
+}
+
+/**
+ * Find a series entity by name
+ *
+ * @param name - Series name ("The Expanse")
+ * @param env - Worker environment (for KV caching)
+ * @returns Wikidata entity ID of the series, or null
+ */
+export async function findWikidataSeries(name: string, env: any): Promise<string | null> {
+  const cacheKey = `wikidata:series:${name.toLowerCase()}`;
+  const cached = await env.KV_CACHE?.get(cacheKey, 'json');
+  if (cached) {
+    return cached.wikidataId || null;
+  }
+
+  // Search hits include the novels and adaptations of the same name - keep the series
+  const candidates = await searchWikidataEntities(name, 5);
+  const entities = await fetchWikidataEntities(candidates);
+  const wikidataId = candidates.find((id) => isSeriesEntity(entities[id])) || null;
+
+  await env.KV_CACHE?.put(cacheKey, JSON.stringify({ wikidataId }), {
+    expirationTtl: 604800, // 7 days
+  });
+
+  return wikidataId;
+}
+
+/**
+ * List the works of a series ("has part(s)", P527)
+ *
+ * Position comes from the P1545 qualifier on the series' claim, falling back
+ * to the work's own P179 claim.
+ *
+ * @param seriesWikidataId - Series entity ID
+ * @param env - Worker environment (for KV caching)
+ * @returns Works of the series (unordered), empty if none are listed
+ */
+export async function fetchWikidataSeriesParts(
+  seriesWikidataId: string,
+  env: any
+): Promise<WikidataSeriesPart[]> {
+  const cacheKey = `wikidata:series-parts:${seriesWikidataId}`;
+  const cached = await env.KV_CACHE?.get(cacheKey, 'json');
+  if (cached) {
+    return cached as WikidataSeriesPart[];
+  }
+
+  const seriesEntity = await fetchWikidataEntity(seriesWikidataId);
+  if (!seriesEntity) return [];
+
+  const partClaims: any[] = seriesEntity.claims?.P527 || [];
+  const partIds: string[] = partClaims
+    .map((claim) => claim?.mainsnak?.datavalue?.value?.id)
+    .filter(Boolean);
+  const partEntities = await fetchWikidataEntities(partIds);
+
+  const parts: WikidataSeriesPart[] = [];
+  partClaims.forEach((claim) => {
+    const wikidataId = claim?.mainsnak?.datavalue?.value?.id;
+    const entity = partEntities[wikidataId];
+    const title = getEntityLabel(entity);
+    if (!wikidataId || !title) return;
+
+    const ownSeriesClaim = (entity.claims?.P179 || []).find(
+      (c: any) => c?.mainsnak?.datavalue?.value?.id === seriesWikidataId
+    );
+    parts.push({
+      wikidataId,
+      title,
+      position: parseOrdinal(getQualifierValue(claim, 'P1545') || getQualifierValue(ownSeriesClaim, 'P1545')),
+      publicationYear: extractYearFromWikidataTime(getPropertyValue(entity, 'P577')),
+    });
+  });
+
+  console.log(`[Wikidata] Series ${seriesWikidataId}: ${parts.length} parts`);
+
+  await env.KV_CACHE?.put(cacheKey, JSON.stringify(parts), {
+    expirationTtl: 604800, // 7 days
+  });
+
+  return parts;
+}
+
+// ============================================================================
+// BOOKS
+// ============================================================================
+
+/**
+ * Work data for an ISBN
+ */
+export interface WikidataBookData {
+  wikidataId: string; // The work, not the edition
+  title?: string;
+  firstPublicationYear?: number;
+  series?: WikidataWorkSeries;
+}
+
+/**
+ * Find the item with an ISBN-13 (P212) statement
+ * Wikidata stores ISBNs hyphenated, so the lookup needs the hyphenated form.
+ */
+async function findWikidataItemByISBN(hyphenatedISBN: string): Promise<string | null> {
+  const url = new URL('https://www.wikidata.org/w/api.php');
+  url.searchParams.set('action', 'query');
+  url.searchParams.set('list', 'search');
+  url.searchParams.set('srsearch', `haswbstatement:P212=${hyphenatedISBN}`);
+  url.searchParams.set('srlimit', '1');
+  url.searchParams.set('format', 'json');
+
+  try {
+    const response = await fetch(url.toString(), {
+      headers: {
+        'User-Agent': 'BooksTrack/1.0 (https://api.oooefam.net; contact@oooefam.net)',
+      },
+    });
+
+    if (!response.ok) {
+      console.error(`[Wikidata] ISBN search failed for ${hyphenatedISBN}: ${response.status}`);
+      return null;
+    }
+
+    const data = await response.json();
+    return data.query?.search?.[0]?.title || null;
+  } catch (error: any) {
+    console.error(`[Wikidata] ISBN search error for ${hyphenatedISBN}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Look up the work an ISBN belongs to
+ *
+ * ISBNs are usually on edition items; the work is reached through P629
+ * ("edition or translation of"), so the publication year is the first
+ * publication, not the edition's.
+ *
+ * @param isbn - ISBN-10 or ISBN-13
+ * @param env - Worker environment (for KV caching)
+ * @returns Work data, or null if the ISBN isn't on Wikidata
+ */
+export async function enrichBookWithWikidata(isbn: string, env: any): Promise<WikidataBookData | null> {
+  const isbn13 = toISBN13(isbn);
+  const hyphenated = isbn13 && hyphenateISBN(isbn13);
+  if (!hyphenated) return null;
+
+  // 7-day TTL, same as author data (negative results cached as { wikidataId: null })
+  const cacheKey = `wikidata:book:${isbn13}`;
+  const cached = await env.KV_CACHE?.get(cacheKey, 'json');
+  if (cached) {
+    return cached.wikidataId ? (cached as WikidataBookData) : null;
+  }
+
+  let result: WikidataBookData | null = null;
+
+  const itemId = await findWikidataItemByISBN(hyphenated);
+  let entity = itemId ? await fetchWikidataEntity(itemId) : null;
+  let wikidataId = itemId;
+
+  const workId = entity?.claims?.P629?.[0]?.mainsnak?.datavalue?.value?.id;
+  if (workId) {
+    entity = (await fetchWikidataEntity(workId)) || entity;
+    wikidataId = workId;
+  }
+
+  if (entity && wikidataId) {
+    result = {
+      wikidataId,
+      title: getEntityLabel(entity),
+      firstPublicationYear: extractYearFromWikidataTime(getPropertyValue(entity, 'P577')),
+      series: (await seriesFromClaim(entity.claims?.P179?.[0])) || undefined,
+    };
+  }
+
+  console.log(`[Wikidata] Book for ISBN ${isbn13}:`, result);
+
+  await env.KV_CACHE?.put(cacheKey, JSON.stringify(result || { wikidataId: null }), {
+    expirationTtl: 604800, // 7 days
+  });
+
+  return result;
+}
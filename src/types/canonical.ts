@@ -4,6 +4,10 @@
  * Single source of truth for all API responses.
  * iOS Swift Codable structs mirror these interfaces exactly.
  *
+ * Cached responses keep the shape they were cached with. When a DTO changes
+ * shape, bump CACHE_SCHEMA_VERSION in services/cache-schema.js (and register
+ * an upgrade if old entries can be converted).
+ *
  * Design doc: docs/plans/2025-10-29-canonical-data-contracts-design.md
  */
 
@@ -13,6 +17,7 @@ import type {
   CulturalRegion,
   ReviewStatus,
   DataProvider,
+  FieldSource,
 } from './enums.js';
 
 // ============================================================================
@@ -33,11 +38,16 @@ export interface WorkDTO {
   firstPublicationYear?: number;
   description?: string;
   coverImageURL?: string; // Cover image URL (copied from EditionDTO for enrichment)
+  coverBlurHash?: string; // BlurHash of the cover, for a placeholder while it loads
+  coverDominantColor?: string; // "#rrggbb"
+  coverAccentColor?: string; // "#rrggbb"
+  series?: WorkSeriesDTO; // Series membership (detected from provider data or Wikidata)
 
   // Provenance
   synthetic?: boolean; // True if Work was inferred from Edition data
   primaryProvider?: DataProvider;
   contributors?: DataProvider[];
+  provenance?: Record<string, FieldSource>; // Field name -> source, for merged records
 
   // External IDs - Legacy (single values)
   openLibraryID?: string;
@@ -67,6 +77,16 @@ export interface WorkDTO {
   };
 }
 
+/**
+ * Series membership of a Work
+ */
+export interface WorkSeriesDTO {
+  id: string; // Stable series ID (GET /v1/series/:id)
+  name: string;
+  position?: number; // Reading order; fractional for novellas (1.5)
+  wikidataID?: string; // Wikidata series entity (e.g. "Q1127264")
+}
+
 /**
  * Edition - Physical/digital manifestation of a Work
  * Corresponds to SwiftData Edition model
@@ -83,6 +103,9 @@ export interface EditionDTO {
   pageCount?: number;
   format: EditionFormat;
   coverImageURL?: string;
+  coverBlurHash?: string; // BlurHash of the cover, for a placeholder while it loads
+  coverDominantColor?: string; // "#rrggbb"
+  coverAccentColor?: string; // "#rrggbb"
   editionTitle?: string;
   editionDescription?: string; // Note: Can't use 'description' in Swift (@Model macro reserves it)
   language?: string;
@@ -90,6 +113,7 @@ export interface EditionDTO {
   // Provenance
   primaryProvider?: DataProvider;
   contributors?: DataProvider[];
+  provenance?: Record<string, FieldSource>; // Field name -> source, for merged records
 
   // External IDs - Legacy
   openLibraryID?: string;
@@ -122,6 +146,7 @@ export interface AuthorDTO {
   nationality?: string;
   birthYear?: number;
   deathYear?: number;
+  role?: string; // Relator term from library catalog records ("author", "editor, translator")
 
   // External IDs
   openLibraryID?: string;
@@ -132,3 +157,70 @@ export interface AuthorDTO {
   // Statistics
   bookCount?: number;
 }
+
+/**
+ * Series - Works of a series in reading order
+ */
+export interface SeriesDTO {
+  id: string;
+  name: string;
+  authors: string[];
+  wikidataID?: string;
+  works: SeriesEntryDTO[]; // Reading order (unnumbered works last, by publication year)
+}
+
+/**
+ * Work entry in a series
+ * Lighter than WorkDTO: some entries are only known from Wikidata
+ */
+export interface SeriesEntryDTO {
+  title: string;
+  position?: number;
+  authors: string[];
+  firstPublicationYear?: number;
+  coverImageURL?: string;
+  isbn?: string;
+  openLibraryWorkID?: string;
+  googleBooksVolumeID?: string;
+  wikidataID?: string;
+}
+
+/**
+ * Providers disagreeing on a merged field
+ */
+export interface FieldConflictDTO {
+  field: string; // "work.firstPublicationYear", "edition.pageCount", ...
+  values: Array<{ source: FieldSource; value: unknown }>; // In precedence order
+  resolvedFrom: FieldSource; // Source of the value in the response
+}
+
+/**
+ * Where a cover image came from
+ */
+export type CoverSource = 'r2' | 'isbndb' | 'google-books' | 'openlibrary' | 'user';
+
+/**
+ * Best available cover of an edition
+ */
+export interface CoverDTO {
+  isbn: string; // ISBN-13
+  url: string;
+  source: CoverSource;
+  width: number;
+  height: number;
+  format: string; // "jpeg", "png", "gif", "webp"
+  score: number; // 0-100: resolution (70) + closeness to a 2:3 aspect ratio (30)
+  resolvedAt: string; // ISO 8601
+}
+
+/**
+ * Cover considered while resolving the best one
+ */
+export interface CoverCandidateDTO {
+  source: CoverSource;
+  url: string;
+  width?: number;
+  height?: number;
+  score: number; // 0 when rejected
+  rejected?: 'placeholder' | 'not-found' | 'unreadable' | 'error';
+}
@@ -46,6 +46,13 @@ export type DataProvider =
   | 'isbndb'
   | 'gemini';
 
+/**
+ * Source of a single merged field (see WorkDTO.provenance)
+ * Wikidata and the Library of Congress only ever fill individual fields,
+ * so they are not DataProviders.
+ */
+export type FieldSource = DataProvider | 'wikidata' | 'library-of-congress';
+
 /**
  * Error codes for structured error handling
  */
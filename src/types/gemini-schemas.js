@@ -136,3 +136,28 @@ export const CSV_BOOK_SCHEMA = {
     required: ["title", "author"]
   }
 };
+
+/**
+ * Cover Bounds Response Schema
+ *
+ * Used by: gemini-provider.js (detectCoverBoundsWithGemini)
+ * Model: Gemini 2.5 Flash
+ *
+ * Enforces:
+ * - found: whether a book cover is visible at all
+ * - top/left/bottom/right: cover edges, normalized (0.0-1.0) to the photo
+ */
+export const COVER_BOUNDS_SCHEMA = {
+  type: "object",
+  properties: {
+    found: {
+      type: "boolean",
+      description: "Whether the photo shows the front cover of a book"
+    },
+    top: { type: "number", description: "Top edge of the cover (0.0-1.0)", minimum: 0.0, maximum: 1.0, nullable: true },
+    left: { type: "number", description: "Left edge of the cover (0.0-1.0)", minimum: 0.0, maximum: 1.0, nullable: true },
+    bottom: { type: "number", description: "Bottom edge of the cover (0.0-1.0)", minimum: 0.0, maximum: 1.0, nullable: true },
+    right: { type: "number", description: "Right edge of the cover (0.0-1.0)", minimum: 0.0, maximum: 1.0, nullable: true }
+  },
+  required: ["found"]
+};
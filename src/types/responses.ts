@@ -48,7 +48,7 @@
  */
 
 import type { DataProvider, ApiErrorCode } from './enums.js';
-import type { WorkDTO, EditionDTO, AuthorDTO } from './canonical.js';
+import type { WorkDTO, EditionDTO, AuthorDTO, SeriesDTO, FieldConflictDTO, CoverDTO, CoverCandidateDTO } from './canonical.js';
 
 // ============================================================================
 // RESPONSE ENVELOPE
@@ -77,6 +77,21 @@ export interface ResponseMetadata {
   processingTime?: number; // Request processing duration in milliseconds
   provider?: DataProvider; // Data source that fulfilled the request
   cached?: boolean; // Whether the response was served from cache
+  coalesced?: boolean; // Fetched once for several concurrent requests (this one waited for another's result)
+  negativeCache?: boolean; // Not found, answered from the negative cache (no provider was queried)
+  hasMore?: boolean; // Paginated endpoints: more results are available
+  nextCursor?: string; // Paginated endpoints: opaque cursor for the next page (pass as ?cursor=)
+  facets?: SearchFacets; // /v1/search/advanced: language/format/genre counts for the page
+}
+
+/**
+ * Facet counts for /v1/search/advanced, keyed by facet value
+ * e.g. { genre: { "Fantasy": 12 }, language: { "en": 18 }, format: { "Hardcover": 4 } }
+ */
+export interface SearchFacets {
+  language: Record<string, number>;
+  format: Record<string, number>;
+  genre: Record<string, number>;
 }
 
 /**
@@ -177,7 +192,78 @@ export interface BookSearchResponse {
   works: WorkDTO[];
   editions: EditionDTO[];
   authors: AuthorDTO[];
-  totalResults?: number; // for pagination (future)
+  totalResults?: number; // Provider-reported total matches (paginated endpoints)
+}
+
+/**
+ * Per-ISBN result in a batch lookup
+ * Either the book (work, edition, authors) or an error for that ISBN
+ */
+export interface ISBNBatchItem {
+  work?: WorkDTO;
+  edition?: EditionDTO | null;
+  authors?: AuthorDTO[];
+  cached?: boolean; // Served from cache rather than a provider
+  error?: ApiError; // Set instead of work/edition/authors on failure
+}
+
+/**
+ * Batch ISBN lookup response
+ * Used by: POST /v1/search/isbn/batch
+ */
+export interface ISBNBatchResponse {
+  results: Record<string, ISBNBatchItem>; // Keyed by each ISBN exactly as sent
+  summary: {
+    requested: number; // ISBNs in the request
+    unique: number; // Distinct ISBNs after normalization
+    found: number; // Counted per distinct ISBN, as are cached and failed
+    cached: number;
+    failed: number; // Includes invalid entries
+  };
+}
+
+/**
+ * Search-as-you-type suggestion
+ */
+export interface Suggestion {
+  text: string; // Display text (original casing)
+  type: 'title' | 'author';
+  author?: string; // Primary author, for title suggestions
+}
+
+/**
+ * Suggestions response
+ * Used by: GET /v1/suggest
+ */
+export interface SuggestResponse {
+  query: string;
+  suggestions: Suggestion[]; // Most popular first
+}
+
+/**
+ * Series search response
+ * Used by: GET /v1/series/search
+ */
+export interface SeriesSearchResponse {
+  query: string;
+  series: SeriesDTO[]; // Best match first, works in reading order
+}
+
+/**
+ * Series response
+ * Used by: GET /v1/series/:id
+ */
+export interface SeriesResponse {
+  series: SeriesDTO; // Works in reading order
+}
+
+/**
+ * Cover response
+ * Used by: GET /v1/covers/:isbn
+ */
+export interface CoverResponse {
+  cover: CoverDTO;
+  candidates: CoverCandidateDTO[]; // Every source tried, in source order
 }
 
 /**
@@ -305,9 +391,10 @@ export interface EnrichedBookDTO {
 
   // Nested enrichment data (matches iOS EnrichedBookPayload)
   enriched?: {
-    work: WorkDTO;
+    work: WorkDTO; // work.provenance: which provider each field came from
     edition?: EditionDTO;
     authors: AuthorDTO[];
+    conflicts: FieldConflictDTO[]; // Fields the providers disagreed on
   };
 }
 
@@ -1,22 +1,158 @@
+import { accessCounts } from '../services/access-stats.js';
+
 /**
- * Query cache access frequency from Analytics Engine
- *
- * NOTE: Analytics Engine bindings in Workers are WRITE-ONLY.
- * The .query() method is not available in Worker environment bindings.
- * To query Analytics Engine, you must use the GraphQL API with authentication.
+ * Query cache access frequency for archival decisions
  *
- * For now, this function returns empty stats and logs a warning.
- * TODO: Implement KV-based access tracking or GraphQL API integration.
+ * Analytics Engine bindings are write-only in Workers, so access counts come
+ * from the sampled counters in AccessStatsDO (see services/access-stats.js).
+ * Without an ACCESS_STATS_DO binding this returns empty stats, and archival
+ * treats every entry as unread.
  *
- * @param {Object} env - Worker environment with CACHE_ANALYTICS binding
+ * @param {Object} env - Worker environment with ACCESS_STATS_DO binding
  * @param {number} days - Number of days to look back
+ * @param {Object} [options]
+ * @param {number} [options.minCount] - Leave out keys read fewer times (they count as unread)
  * @returns {Promise<Object>} Map of cacheKey → accessCount
  */
-export async function queryAccessFrequency(env, days) {
-  console.warn('[Analytics] Analytics Engine bindings are write-only in Workers. Query functionality requires GraphQL API integration.');
-  console.warn('[Analytics] Returning empty access stats. Consider implementing KV-based tracking for archival decisions.');
+export async function queryAccessFrequency(env, days, { minCount } = {}) {
+  if (!env.ACCESS_STATS_DO) {
+    console.warn('[Analytics] ACCESS_STATS_DO not bound - returning empty access stats');
+    return {};
+  }
+
+  // Errors propagate: archiving without stats would move hot entries to R2
+  return accessCounts(env, days, { minCount });
+}
+
+/**
+ * Query the most-searched ISBNs from Analytics Engine (SQL API)
+ *
+ * Counts the ISBN lookups written by writeCacheMetrics() (blob1 = ISBN,
+ * blob2 = 'isbn_search') to the books_api_cache_metrics dataset.
+ * Requires CF_ACCOUNT_ID and CF_API_TOKEN (same as the ISBNdb cover harvest).
+ *
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} [options]
+ * @param {number} [options.days=7] - Number of days to look back
+ * @param {number} [options.limit=500] - Maximum ISBNs to return
+ * @returns {Promise<Array<{isbn: string, searchCount: number}>>} Most searched first; empty if unavailable
+ */
+export async function queryPopularISBNs(env, { days = 7, limit = 500 } = {}) {
+  // SUM(_sample_interval) accounts for Analytics Engine sampling
+  const rows = await querySQL(env, 'Popular ISBN', `
+    SELECT blob1 AS isbn, SUM(_sample_interval) AS search_count
+    FROM books_api_cache_metrics
+    WHERE timestamp > NOW() - INTERVAL '${Math.floor(days)}' DAY
+      AND blob2 = 'isbn_search'
+    GROUP BY isbn
+    ORDER BY search_count DESC
+    LIMIT ${Math.floor(limit)}
+    FORMAT JSON
+  `);
+
+  return rows
+    .filter((row) => row.isbn)
+    .map((row) => ({ isbn: row.isbn, searchCount: Number(row.search_count) || 0 }));
+}
+
+/**
+ * Query the title and author searches that most often missed every cache tier
+ *
+ * Counts the api_miss events UnifiedCacheService logs (blob3 = endpoint,
+ * blob4 = query) for the 'title' and 'author' endpoints, the searches cache
+ * warming can replay. Same credentials as queryPopularISBNs().
+ *
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} [options]
+ * @param {number} [options.days=1] - Number of days to look back
+ * @param {number} [options.limit=200] - Maximum queries to return
+ * @returns {Promise<Array<{endpoint: string, query: string, missCount: number}>>} Most missed first; empty if unavailable
+ */
+export async function queryMissedSearches(env, { days = 1, limit = 200 } = {}) {
+  const rows = await querySQL(env, 'Missed search', `
+    SELECT blob3 AS endpoint, blob4 AS query, SUM(_sample_interval) AS miss_count
+    FROM books_api_cache_metrics
+    WHERE timestamp > NOW() - INTERVAL '${Math.floor(days)}' DAY
+      AND index1 = 'api_miss'
+      AND blob3 IN ('title', 'author')
+      AND blob4 != ''
+    GROUP BY endpoint, query
+    ORDER BY miss_count DESC
+    LIMIT ${Math.floor(limit)}
+    FORMAT JSON
+  `);
+
+  return rows
+    .filter((row) => row.endpoint && row.query)
+    .map((row) => ({ endpoint: row.endpoint, query: row.query, missCount: Number(row.miss_count) || 0 }));
+}
+
+/**
+ * Query the cache keys of one endpoint's searches that missed every cache tier
+ *
+ * Reads api_miss events (blob2 = cache key, blob3 = endpoint): the searches
+ * that went to the providers, whose fresh results are now cached under those
+ * keys. Same credentials as queryPopularISBNs().
+ *
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} options
+ * @param {string} options.endpoint - Endpoint type ('advanced', ...)
+ * @param {number} [options.days=1] - Number of days to look back
+ * @param {number} [options.limit=200] - Maximum keys to return
+ * @returns {Promise<string[]>} Cache keys, most missed first; empty if unavailable
+ */
+export async function queryMissedCacheKeys(env, { endpoint, days = 1, limit = 200 }) {
+  const rows = await querySQL(env, 'Missed cache key', `
+    SELECT blob2 AS cache_key, SUM(_sample_interval) AS miss_count
+    FROM books_api_cache_metrics
+    WHERE timestamp > NOW() - INTERVAL '${Math.floor(days)}' DAY
+      AND index1 = 'api_miss'
+      AND blob3 = '${endpoint.replace(/[^a-z0-9_-]/gi, '')}'
+    GROUP BY cache_key
+    ORDER BY miss_count DESC
+    LIMIT ${Math.floor(limit)}
+    FORMAT JSON
+  `);
+
+  return rows.map((row) => row.cache_key).filter(Boolean);
+}
+
+/**
+ * Run a query against the Analytics Engine SQL API
+ *
+ * @param {Object} env - Worker environment bindings (CF_ACCOUNT_ID, CF_API_TOKEN)
+ * @param {string} label - What is queried, for logs ("Popular ISBN")
+ * @param {string} query - SQL
+ * @returns {Promise<Array<Object>>} Result rows; empty if unconfigured or the query fails
+ */
+async function querySQL(env, label, query) {
+  if (!env.CF_ACCOUNT_ID || !env.CF_API_TOKEN) {
+    console.warn(`[Analytics] CF_ACCOUNT_ID or CF_API_TOKEN not configured - skipping ${label.toLowerCase()} query`);
+    return [];
+  }
+
+  try {
+    const response = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/analytics_engine/sql`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${env.CF_API_TOKEN}`,
+          'Content-Type': 'text/plain',
+        },
+        body: query,
+      },
+    );
+
+    if (!response.ok) {
+      console.error(`[Analytics] ${label} query failed (${response.status}):`, await response.text());
+      return [];
+    }
 
-  // Return empty stats - archival process will proceed without access frequency data
-  // This means all candidates will have equal priority (no frequency-based filtering)
-  return {};
+    const data = await response.json();
+    return data.data || [];
+  } catch (error) {
+    console.error(`[Analytics] ${label} query failed:`, error);
+    return [];
+  }
 }
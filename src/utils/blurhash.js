@@ -0,0 +1,96 @@
+/**
+ * BlurHash encoder (https://blurha.sh)
+ *
+ * Port of the reference TypeScript encoder (woltapp/blurhash), taking RGB
+ * pixels as produced by utils/jpeg-preview.js. Clients decode the string into
+ * a blurred placeholder with any BlurHash library.
+ */
+
+const BASE83 = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+
+/**
+ * @param {Uint8ClampedArray} pixels - RGB pixels, 3 bytes each
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} componentsX - Horizontal components (1-9)
+ * @param {number} componentsY - Vertical components (1-9)
+ * @returns {string} BlurHash (4 + 2 * componentsX * componentsY characters)
+ */
+export function encodeBlurHash(pixels, width, height, componentsX, componentsY) {
+  if (componentsX < 1 || componentsX > 9 || componentsY < 1 || componentsY > 9) {
+    throw new Error("BlurHash components must be between 1 and 9");
+  }
+
+  const linear = new Float32Array(width * height * 3);
+  for (let i = 0; i < linear.length; i++) {
+    linear[i] = sRGBToLinear(pixels[i]);
+  }
+
+  const factors = [];
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const normalisation = i === 0 && j === 0 ? 1 : 2;
+      const factor = [0, 0, 0];
+      for (let y = 0; y < height; y++) {
+        const basisY = Math.cos((Math.PI * j * y) / height);
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation * Math.cos((Math.PI * i * x) / width) * basisY;
+          const p = (y * width + x) * 3;
+          factor[0] += basis * linear[p];
+          factor[1] += basis * linear[p + 1];
+          factor[2] += basis * linear[p + 2];
+        }
+      }
+      const scale = 1 / (width * height);
+      factors.push(factor.map((value) => value * scale));
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83(componentsX - 1 + (componentsY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.floor(Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5))));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4);
+  for (const factor of ac) {
+    const [r, g, b] = factor.map((value) =>
+      Math.floor(Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5)))),
+    );
+    hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+  }
+
+  return hash;
+}
+
+function encode83(value, length) {
+  let result = "";
+  for (let i = 1; i <= length; i++) {
+    const digit = Math.floor(value / Math.pow(83, length - i)) % 83;
+    result += BASE83[digit];
+  }
+  return result;
+}
+
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
@@ -1,6 +1,6 @@
 // src/utils/cache-keys.js
 
-import { normalizeISBN } from './normalization.js';
+import { canonicalISBN } from './isbn.js';
 
 /**
  * Generate SHA-256 hash of string using Web Crypto API
@@ -35,15 +35,13 @@ export async function generateCSVCacheKey(csvText, promptVersion) {
 
 /**
  * Generate cache key for ISBN enrichment data.
- * Format: isbn:{normalizedISBN}
+ * Format: isbn:{isbn13}
  *
- * Uses shared normalizeISBN() for consistent caching across all services.
+ * Uses shared canonicalISBN() so ISBN-10 and ISBN-13 forms share one entry.
  *
  * @param {string} isbn - ISBN string (with or without hyphens/spaces)
- * @returns {string} Cache key in format isbn:{normalized}
+ * @returns {string} Cache key in format isbn:{canonical}
  */
 export function generateISBNCacheKey(isbn) {
-  // Use shared normalization utility for consistency
-  const normalized = normalizeISBN(isbn);
-  return `isbn:${normalized}`;
+  return `isbn:${canonicalISBN(isbn)}`;
 }
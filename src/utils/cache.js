@@ -3,8 +3,17 @@
  * Migrated from books-api-proxy caching logic
  */
 
+import { tagsFor, tagMetadata } from "../services/cache-tags.js";
+import { CACHE_SCHEMA_VERSION, upgradeCachedData } from "../services/cache-schema.js";
+import { encodeCachedData, decodeCachedData } from "./compression.js";
+
 /**
  * Get cached data from KV store with metadata
+ *
+ * Compressed entries are decompressed (see compression.js). Entries cached
+ * with an older schema version are upgraded (see cache-schema.js); entries
+ * that can't be upgraded are misses.
+ *
  * @param {string} key - Cache key
  * @param {Object} env - Worker environment bindings
  * @returns {Promise<Object|null>} Cached data with metadata or null if not found
@@ -13,30 +22,42 @@ export async function getCached(key, env) {
   try {
     const cached = await env.CACHE.get(key, "json");
     if (cached) {
+      // Handle both old format (direct data) and new format (with metadata)
+      const enveloped = Boolean(cached.data && cached.cachedAt);
+      const upgraded = upgradeCachedData(
+        enveloped ? await decodeCachedData(cached.data, cached.encoding) : cached,
+        enveloped ? cached.schemaVersion : undefined,
+      );
+      if (!upgraded) {
+        console.log(`Cache STALE SCHEMA: ${key} (version ${cached.schemaVersion ?? 0})`);
+        return null;
+      }
+
       console.log(`Cache HIT: ${key}`);
 
-      // Handle both old format (direct data) and new format (with metadata)
-      if (cached.data && cached.cachedAt) {
+      if (enveloped) {
         // New format with metadata
         const age = Math.floor((Date.now() - cached.cachedAt) / 1000); // Age in seconds
         const ttl = cached.ttl || 0;
 
         return {
-          data: cached.data,
+          data: upgraded.data,
           cacheMetadata: {
             hit: true,
             age: age,
             ttl: ttl,
+            migrated: upgraded.migrated,
           },
         };
       } else {
         // Old format (direct data) - backward compatibility
         return {
-          data: cached,
+          data: upgraded.data,
           cacheMetadata: {
             hit: true,
             age: 0,
             ttl: 0,
+            migrated: upgraded.migrated,
           },
         };
       }
@@ -55,25 +76,60 @@ export async function getCached(key, env) {
  * @param {Object} value - Data to cache
  * @param {number} ttl - Time to live in seconds
  * @param {Object} env - Worker environment bindings
+ * @param {string[]} extraTags - Tags beyond those derived from key and value (see cache-tags.js)
  * @returns {Promise<void>}
  */
-export async function setCached(key, value, ttl, env) {
+export async function setCached(key, value, ttl, env, extraTags = []) {
   try {
+    const tags = tagsFor(key, value, extraTags);
+    const { data, encoding, rawBytes, storedBytes } = await encodeCachedData(value);
     const cachedWithMeta = {
-      data: value,
+      data: data,
+      encoding: encoding, // "gzip" above the compression threshold, otherwise omitted
       cachedAt: Date.now(), // Timestamp for age calculation
       ttl: ttl, // Original TTL for headers
+      tags: tags, // For targeted purge
+      schemaVersion: CACHE_SCHEMA_VERSION, // For lazy migration on read
     };
 
     await env.CACHE.put(key, JSON.stringify(cachedWithMeta), {
       expirationTtl: ttl,
+      // Returned by list(): ages for archival, tag digests for purge by tag
+      metadata: { cachedAt: cachedWithMeta.cachedAt, ...tagMetadata(tags) },
     });
     console.log(`Cache SET: ${key} (TTL: ${ttl}s)`);
+
+    if (encoding) {
+      logCompression(env, "kv_compressed", key, rawBytes, storedBytes);
+    }
   } catch (error) {
     console.error("Cache write error:", error);
   }
 }
 
+/**
+ * Log bytes saved by compressing a cached payload to Analytics Engine
+ *
+ * @param {Object} env - Worker environment bindings
+ * @param {string} event - kv_compressed or r2_compressed
+ * @param {string} key - Cache key
+ * @param {number} rawBytes - Uncompressed size
+ * @param {number} storedBytes - Stored size
+ */
+export function logCompression(env, event, key, rawBytes, storedBytes) {
+  if (!env.CACHE_ANALYTICS) return;
+
+  try {
+    env.CACHE_ANALYTICS.writeDataPoint({
+      blobs: [event, key],
+      doubles: [0, rawBytes, storedBytes], // double1 is latency for every cache event
+      indexes: [event],
+    });
+  } catch (error) {
+    console.error("Failed to log compression metrics:", error);
+  }
+}
+
 /**
  *
  * @deprecated Use CacheKeyFactory from '../services/cache-key-factory.js' instead.
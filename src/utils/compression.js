@@ -0,0 +1,89 @@
+/**
+ * Gzip compression for cached payloads
+ *
+ * Large search results (20 works with editions and authors) are mostly
+ * repetitive JSON and shrink 5-10x under gzip. Payloads above
+ * COMPRESSION_THRESHOLD_BYTES are compressed before they are written to KV
+ * (setCached) or archived to R2 (archival worker); anything without an
+ * encoding flag is read as plain JSON, so entries written before compression
+ * keep working.
+ */
+
+export const COMPRESSION_THRESHOLD_BYTES = 4 * 1024;
+
+/**
+ * Gzip text
+ * @param {string} text - Text to compress
+ * @returns {Promise<Uint8Array>} Gzip bytes
+ */
+export async function gzip(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Gunzip bytes to text
+ * @param {ArrayBuffer|Uint8Array} bytes - Gzip bytes
+ * @returns {Promise<string>} Decompressed text
+ */
+export async function gunzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Response(stream).text();
+}
+
+/**
+ * Base64 of bytes (KV envelopes are JSON, so compressed payloads are stored as text)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Bytes of a base64 string
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Encode a payload for a KV envelope, gzipped if its JSON is above the threshold
+ *
+ * @param {any} value - Payload
+ * @returns {Promise<{data: any, encoding?: string, rawBytes: number, storedBytes: number}>}
+ *   data to store (the value itself, or base64 gzip), encoding flag and sizes
+ */
+export async function encodeCachedData(value) {
+  const json = JSON.stringify(value);
+  const rawBytes = new TextEncoder().encode(json).length;
+  if (rawBytes <= COMPRESSION_THRESHOLD_BYTES) {
+    return { data: value, rawBytes, storedBytes: rawBytes };
+  }
+
+  const data = toBase64(await gzip(json));
+  return { data, encoding: "gzip", rawBytes, storedBytes: data.length };
+}
+
+/**
+ * Decode the payload of a KV envelope written by encodeCachedData()
+ *
+ * @param {any} data - Stored data
+ * @param {string|undefined} encoding - Envelope encoding flag (undefined: plain JSON)
+ * @returns {Promise<any>} Payload
+ */
+export async function decodeCachedData(data, encoding) {
+  if (encoding === "gzip") {
+    return JSON.parse(await gunzip(fromBase64(data)));
+  }
+  if (encoding) {
+    throw new Error(`Unknown cache encoding: ${encoding}`);
+  }
+  return data;
+}
@@ -0,0 +1,147 @@
+/**
+ * Image format and dimensions from the file header
+ *
+ * Reads just enough of a JPEG, PNG, GIF or WebP file to find its size, so
+ * covers can be compared without Cloudflare Image Resizing (which only runs
+ * on zones with it enabled, not in tests or local dev).
+ */
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data - Image file
+ * @returns {{format: string, width: number, height: number}|null} Null if the format isn't recognized
+ */
+export function imageInfo(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return jpegInfo(bytes);
+  }
+  if (ascii(bytes, 1, 3) === 'PNG' && bytes.length >= 24) {
+    return { format: 'png', width: u32be(bytes, 16), height: u32be(bytes, 20) };
+  }
+  if (ascii(bytes, 0, 4) === 'GIF8' && bytes.length >= 10) {
+    return { format: 'gif', width: u16le(bytes, 6), height: u16le(bytes, 8) };
+  }
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    return webpInfo(bytes);
+  }
+  return null;
+}
+
+/**
+ * EXIF orientation of a JPEG (1-8, see the TIFF spec's Orientation tag)
+ *
+ * Header dimensions are those of the stored pixels; for orientations 5-8
+ * viewers show the image rotated by 90°, with width and height swapped.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Image file
+ * @returns {number} Orientation, 1 (as stored) if the file has none
+ */
+export function exifOrientation(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    return 1;
+  }
+
+  let offset = 2;
+  while (offset + 4 < bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xda || (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc)) {
+      return 1; // Image data starts: EXIF (APP1) comes before it
+    }
+    if (marker === 0xe1 && ascii(bytes, offset + 4, 6) === 'Exif\0\0') {
+      return tiffOrientation(bytes, offset + 10);
+    }
+    offset += 2 + u16be(bytes, offset + 2);
+  }
+  return 1;
+}
+
+/**
+ * Orientation tag (0x0112) of a TIFF header's first IFD
+ */
+function tiffOrientation(bytes, tiff) {
+  const littleEndian = ascii(bytes, tiff, 2) === 'II';
+  const u16 = (offset) => (littleEndian ? u16le(bytes, offset) : u16be(bytes, offset));
+  const u32 = (offset) => (littleEndian ? u32le(bytes, offset) : u32be(bytes, offset));
+
+  const ifd = tiff + u32(tiff + 4);
+  const entries = ifd + 2 <= bytes.length ? u16(ifd) : 0;
+  for (let i = 0; i < entries && ifd + 2 + (i + 1) * 12 <= bytes.length; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (u16(entry) === 0x0112) {
+      const orientation = u16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * JPEG: walk the marker segments to the first start-of-frame
+ */
+function jpegInfo(bytes) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      return null;
+    }
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { format: 'jpeg', width: u16be(bytes, offset + 7), height: u16be(bytes, offset + 5) };
+    }
+    offset += 2 + u16be(bytes, offset + 2);
+  }
+  return null;
+}
+
+/**
+ * WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+ */
+function webpInfo(bytes) {
+  const chunk = ascii(bytes, 12, 4);
+  if (chunk === 'VP8 ' && bytes.length >= 30) {
+    return { format: 'webp', width: u16le(bytes, 26) & 0x3fff, height: u16le(bytes, 28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && bytes.length >= 25) {
+    const [b0, b1, b2, b3] = bytes.subarray(21, 25);
+    return {
+      format: 'webp',
+      width: 1 + (((b1 & 0x3f) << 8) | b0),
+      height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)),
+    };
+  }
+  if (chunk === 'VP8X' && bytes.length >= 30) {
+    return { format: 'webp', width: 1 + u24le(bytes, 24), height: 1 + u24le(bytes, 27) };
+  }
+  return null;
+}
+
+function ascii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function u16be(bytes, offset) {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function u16le(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function u24le(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+}
+
+function u32le(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function u32be(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
@@ -0,0 +1,195 @@
+/**
+ * ISBN validation, conversion and hyphenation
+ *
+ * - Checksum validation for ISBN-10 (mod 11) and ISBN-13 (mod 10)
+ * - ISBN-10 ↔ ISBN-13 conversion (979-prefixed ISBN-13s have no ISBN-10)
+ * - Canonical form for cache keys and deduplication: ISBN-13
+ * - Hyphenation by registration group for the most common groups
+ */
+
+/**
+ * Registrant ranges per registration group (from the International ISBN
+ * Agency range table). Each entry is [upper bound of the first 7 digits after
+ * the group, registrant length]; entries are ascending.
+ *
+ * Only the groups most common in our catalog are included - ISBNs from other
+ * groups are returned unhyphenated by hyphenateISBN().
+ */
+const REGISTRANT_RANGES: Record<string, Array<[number, number]>> = {
+  // English language
+  '978-0': [[1999999, 2], [6999999, 3], [8499999, 4], [8999999, 5], [9499999, 6], [9999999, 7]],
+  '978-1': [[999999, 2], [3999999, 3], [5499999, 4], [8697999, 5], [9989999, 6], [9999999, 7]],
+  // French language
+  '978-2': [[1999999, 2], [3499999, 3], [3999999, 5], [6999999, 3], [8399999, 4], [8999999, 5], [9499999, 6], [9999999, 7]],
+  // German language
+  '978-3': [
+    [299999, 2], [339999, 3], [369999, 4], [399999, 5], [1999999, 2], [6999999, 3],
+    [8499999, 4], [8999999, 5], [9499999, 6], [9539999, 7], [9699999, 5], [9849999, 7], [9999999, 5],
+  ],
+  // Japan
+  '978-4': [[1999999, 2], [6999999, 3], [8499999, 4], [8999999, 5], [9499999, 6], [9999999, 7]],
+  // China
+  '978-7': [[999999, 2], [4999999, 3], [7999999, 4], [8999999, 5], [9999999, 6]],
+  // France (979 prefix)
+  '979-10': [[1999999, 2], [6999999, 3], [8999999, 4], [9759999, 5], [9999999, 6]],
+};
+
+/**
+ * Strip hyphens, spaces and other separators; uppercase the ISBN-10 check digit
+ *
+ * @param isbn - Raw ISBN ("0-8044-2957-x", "978 0 7432 7356 5")
+ * @returns Digits (and X) only
+ */
+export function cleanISBN(isbn: string): string {
+  return String(isbn || '').trim().replace(/[^0-9X]/gi, '').toUpperCase();
+}
+
+function isbn10CheckDigit(first9: string): string {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += parseInt(first9[i], 10) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+function isbn13CheckDigit(first12: string): string {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += parseInt(first12[i], 10) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * @param isbn - ISBN-10 (separators allowed)
+ * @returns True if the ISBN-10 has a valid checksum
+ */
+export function isValidISBN10(isbn: string): boolean {
+  const cleaned = cleanISBN(isbn);
+  return /^\d{9}[\dX]$/.test(cleaned) && isbn10CheckDigit(cleaned.slice(0, 9)) === cleaned[9];
+}
+
+/**
+ * @param isbn - ISBN-13 (separators allowed)
+ * @returns True if the ISBN-13 has a 978/979 prefix and a valid checksum
+ */
+export function isValidISBN13(isbn: string): boolean {
+  const cleaned = cleanISBN(isbn);
+  return /^97[89]\d{10}$/.test(cleaned) && isbn13CheckDigit(cleaned.slice(0, 12)) === cleaned[12];
+}
+
+/**
+ * @param isbn - ISBN-10 or ISBN-13 (separators allowed)
+ * @returns True if either form is valid
+ */
+export function isValidISBN(isbn: string): boolean {
+  return isValidISBN10(isbn) || isValidISBN13(isbn);
+}
+
+/**
+ * Convert ISBN-10 to ISBN-13 (978 prefix)
+ *
+ * @param isbn10 - ISBN-10 (separators allowed)
+ * @returns ISBN-13, or null if the ISBN-10 is invalid
+ */
+export function isbn10To13(isbn10: string): string | null {
+  if (!isValidISBN10(isbn10)) return null;
+  const base = '978' + cleanISBN(isbn10).slice(0, 9);
+  return base + isbn13CheckDigit(base);
+}
+
+/**
+ * Convert ISBN-13 to ISBN-10
+ *
+ * @param isbn13 - ISBN-13 (separators allowed)
+ * @returns ISBN-10, or null if invalid or 979-prefixed (no ISBN-10 exists)
+ */
+export function isbn13To10(isbn13: string): string | null {
+  if (!isValidISBN13(isbn13)) return null;
+  const cleaned = cleanISBN(isbn13);
+  if (!cleaned.startsWith('978')) return null;
+  const base = cleaned.slice(3, 12);
+  return base + isbn10CheckDigit(base);
+}
+
+/**
+ * Canonical ISBN-13 for cache keys and deduplication
+ *
+ * @param isbn - ISBN-10 or ISBN-13 (separators allowed)
+ * @returns ISBN-13, or null if invalid
+ */
+export function toISBN13(isbn: string): string | null {
+  if (isValidISBN13(isbn)) return cleanISBN(isbn);
+  return isbn10To13(isbn);
+}
+
+/**
+ * Cache-key form of an ISBN: ISBN-13 when valid, so the ISBN-10 and ISBN-13
+ * of the same book share one entry; otherwise the cleaned input
+ *
+ * @param isbn - ISBN in any form
+ * @returns Canonical ISBN for cache keys
+ */
+export function canonicalISBN(isbn: string): string {
+  return toISBN13(isbn) || cleanISBN(isbn);
+}
+
+/**
+ * All forms of the given ISBNs, deduplicated: ISBN-13 then ISBN-10 for each
+ * valid ISBN (no ISBN-10 for 979 prefixes). Invalid values are kept (cleaned)
+ * so provider data is never dropped.
+ *
+ * @param isbns - ISBNs in any form (undefined/empty entries are skipped)
+ * @returns Deduplicated ISBN list for EditionDTO.isbns
+ */
+export function expandISBNs(isbns: Array<string | null | undefined>): string[] {
+  const expanded = new Set<string>();
+  for (const isbn of isbns) {
+    if (!isbn) continue;
+    const isbn13 = toISBN13(isbn);
+    if (!isbn13) {
+      const cleaned = cleanISBN(isbn);
+      if (cleaned) expanded.add(cleaned);
+      continue;
+    }
+    expanded.add(isbn13);
+    const isbn10 = isbn13To10(isbn13);
+    if (isbn10) expanded.add(isbn10);
+  }
+  return Array.from(expanded);
+}
+
+/**
+ * Hyphenate an ISBN by registration group ("9780743273565" → "978-0-7432-7356-5")
+ *
+ * ISBN-10 input is hyphenated as ISBN-10 ("0743273569" → "0-7432-7356-9").
+ *
+ * @param isbn - ISBN-10 or ISBN-13 (separators allowed)
+ * @returns Hyphenated ISBN; the cleaned ISBN if its group isn't in REGISTRANT_RANGES; null if invalid
+ */
+export function hyphenateISBN(isbn: string): string | null {
+  const isbn13 = toISBN13(isbn);
+  if (!isbn13) return null;
+
+  const asISBN10 = isValidISBN10(isbn);
+  const fallback = asISBN10 ? cleanISBN(isbn) : isbn13;
+
+  const group = Object.keys(REGISTRANT_RANGES).find((prefix) =>
+    isbn13.startsWith(prefix.replace('-', ''))
+  );
+  if (!group) return fallback;
+
+  const [ean, groupId] = group.split('-');
+  const rest = isbn13.slice(ean.length + groupId.length, 12);
+  const rangeValue = parseInt(rest.slice(0, 7).padEnd(7, '0'), 10);
+  const range = REGISTRANT_RANGES[group].find(([upper]) => rangeValue <= upper);
+  if (!range || range[1] >= rest.length) return fallback;
+
+  const registrant = rest.slice(0, range[1]);
+  const publication = rest.slice(range[1]);
+  const parts = asISBN10
+    ? [groupId, registrant, publication, cleanISBN(isbn)[9]]
+    : [ean, groupId, registrant, publication, isbn13[12]];
+  return parts.join('-');
+}
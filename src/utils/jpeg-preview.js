@@ -0,0 +1,395 @@
+/**
+ * Low-resolution JPEG decoding
+ *
+ * Decodes only the DC coefficient of each 8x8 block, which is the block's
+ * average color, so the result is the image at 1/8 scale without an inverse
+ * DCT. That is all BlurHash and color extraction need, and it is cheap enough
+ * to run on every cover stored from a Worker (no Image Resizing, no WASM).
+ *
+ * Supported: baseline and progressive Huffman-coded JPEGs with one (grayscale)
+ * or three (YCbCr or RGB) components, 8-bit samples.
+ * Progressive images use their first DC scan only.
+ */
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data - JPEG file
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray}|null} RGB pixels
+ *   (3 bytes each) at 1/8 scale, or null if the file isn't a supported JPEG
+ */
+export function decodeJPEGPreview(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    return null;
+  }
+
+  try {
+    return decode(bytes);
+  } catch (error) {
+    console.warn("[JPEG] Preview decoding failed:", error.message);
+    return null;
+  }
+}
+
+function decode(bytes) {
+  const quantTables = []; // DC quantizer of each table
+  const huffmanTables = {}; // "dc0", "ac1", ...
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      return null;
+    }
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    if (marker === 0xd9) {
+      break; // End of image
+    }
+
+    const start = offset + 4;
+    const end = offset + 2 + u16(bytes, offset + 2);
+
+    if (marker === 0xdb) {
+      readQuantTables(bytes, start, end, quantTables);
+    } else if (marker === 0xc4) {
+      readHuffmanTables(bytes, start, end, huffmanTables);
+    } else if (marker === 0xdd) {
+      restartInterval = u16(bytes, start);
+    } else if (marker === 0xee && ascii(bytes, start, 5) === "Adobe") {
+      adobeTransform = bytes[start + 11];
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      frame = readFrame(bytes, start);
+      if (!frame) return null;
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return null; // Lossless, hierarchical or arithmetic-coded
+    } else if (marker === 0xda) {
+      if (!frame) return null;
+      const scan = readScan(bytes, start, frame, huffmanTables);
+      // Baseline scans and progressive first DC scans carry the DC values
+      offset = scan.spectralStart === 0 && scan.approxHigh === 0
+        ? decodeScan(bytes, end, frame, scan, quantTables, restartInterval)
+        : nextMarker(bytes, end);
+      continue;
+    }
+
+    offset = end;
+  }
+
+  return frame && frame.decodedScans > 0 ? toRGB(frame, adobeTransform) : null;
+}
+
+/**
+ * DQT: keep the DC quantizer (first value) of each table
+ */
+function readQuantTables(bytes, offset, end, quantTables) {
+  while (offset < end) {
+    const precision = bytes[offset] >> 4;
+    const id = bytes[offset] & 0x0f;
+    quantTables[id] = precision === 0 ? bytes[offset + 1] : u16(bytes, offset + 1);
+    offset += 1 + 64 * (precision === 0 ? 1 : 2);
+  }
+}
+
+/**
+ * DHT: canonical Huffman tables
+ */
+function readHuffmanTables(bytes, offset, end, huffmanTables) {
+  while (offset < end) {
+    const tableClass = bytes[offset] >> 4;
+    const id = bytes[offset] & 0x0f;
+    const counts = bytes.subarray(offset + 1, offset + 17);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const symbols = bytes.slice(offset + 17, offset + 17 + total);
+
+    const maxCode = new Int32Array(17).fill(-1);
+    const minCode = new Int32Array(17);
+    const valuePointer = new Int32Array(17);
+    let code = 0;
+    let k = 0;
+    for (let length = 1; length <= 16; length++) {
+      valuePointer[length] = k;
+      minCode[length] = code;
+      code += counts[length - 1];
+      k += counts[length - 1];
+      if (counts[length - 1] > 0) {
+        maxCode[length] = code - 1;
+      }
+      code <<= 1;
+    }
+
+    huffmanTables[`${tableClass === 0 ? "dc" : "ac"}${id}`] = { maxCode, minCode, valuePointer, symbols };
+    offset += 17 + total;
+  }
+}
+
+/**
+ * SOF: image size and component layout, with a DC sample plane per component
+ */
+function readFrame(bytes, offset) {
+  const precision = bytes[offset];
+  const height = u16(bytes, offset + 1);
+  const width = u16(bytes, offset + 3);
+  const count = bytes[offset + 5];
+  if (precision !== 8 || width === 0 || height === 0 || (count !== 1 && count !== 3)) {
+    return null;
+  }
+
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const base = offset + 6 + i * 3;
+    components.push({ id: bytes[base], h: bytes[base + 1] >> 4, v: bytes[base + 1] & 0x0f, quantTable: bytes[base + 2] });
+  }
+
+  const maxH = Math.max(...components.map((component) => component.h));
+  const maxV = Math.max(...components.map((component) => component.v));
+  const mcusPerLine = Math.ceil(width / (8 * maxH));
+  const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+  for (const component of components) {
+    component.blocksPerLine = mcusPerLine * component.h;
+    component.blocksPerColumn = mcusPerColumn * component.v;
+    // Blocks coded in a scan of this component alone (no MCU padding)
+    component.codedPerLine = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+    component.codedPerColumn = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+    component.samples = new Float32Array(component.blocksPerLine * component.blocksPerColumn).fill(128);
+  }
+
+  return { width, height, components, maxH, maxV, mcusPerLine, mcusPerColumn, decodedScans: 0 };
+}
+
+/**
+ * SOS header
+ */
+function readScan(bytes, offset, frame, huffmanTables) {
+  const count = bytes[offset];
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const id = bytes[offset + 1 + i * 2];
+    const tables = bytes[offset + 2 + i * 2];
+    const component = frame.components.find((candidate) => candidate.id === id);
+    if (!component) {
+      throw new Error(`Scan references unknown component ${id}`);
+    }
+    components.push({
+      component,
+      dcTable: huffmanTables[`dc${tables >> 4}`],
+      acTable: huffmanTables[`ac${tables & 0x0f}`],
+    });
+  }
+
+  const params = offset + 1 + count * 2;
+  return {
+    components,
+    spectralStart: bytes[params],
+    spectralEnd: bytes[params + 1],
+    approxHigh: bytes[params + 2] >> 4,
+    approxLow: bytes[params + 2] & 0x0f,
+  };
+}
+
+/**
+ * Decode the DC value of every block of a scan into the component sample planes
+ *
+ * @returns {number} Offset of the marker after the scan's entropy-coded data
+ */
+function decodeScan(bytes, offset, frame, scan, quantTables, restartInterval) {
+  const reader = new BitReader(bytes, offset);
+  const single = scan.components.length === 1;
+  const first = scan.components[0].component;
+  const total = single ? first.codedPerLine * first.codedPerColumn : frame.mcusPerLine * frame.mcusPerColumn;
+
+  for (const entry of scan.components) {
+    if (!entry.dcTable) throw new Error("Missing DC Huffman table");
+    if (scan.spectralEnd > 0 && !entry.acTable) throw new Error("Missing AC Huffman table");
+    entry.predictor = 0;
+    entry.quantizer = quantTables[entry.component.quantTable] || 1;
+  }
+
+  const decodeBlock = (entry, row, column) => {
+    const size = reader.decode(entry.dcTable);
+    entry.predictor += size === 0 ? 0 : reader.receiveExtend(size);
+    if (scan.spectralEnd > 0) {
+      reader.skipAC(entry.acTable, scan.spectralEnd);
+    }
+    // DC = 8 x (mean sample - 128) after dequantization
+    const dc = (entry.predictor << scan.approxLow) * entry.quantizer;
+    entry.component.samples[row * entry.component.blocksPerLine + column] = dc / 8 + 128;
+  };
+
+  for (let n = 0; n < total; n++) {
+    if (restartInterval > 0 && n > 0 && n % restartInterval === 0) {
+      reader.restart();
+      for (const entry of scan.components) entry.predictor = 0;
+    }
+
+    if (single) {
+      decodeBlock(scan.components[0], Math.floor(n / first.codedPerLine), n % first.codedPerLine);
+      continue;
+    }
+
+    const mcuRow = Math.floor(n / frame.mcusPerLine);
+    const mcuColumn = n % frame.mcusPerLine;
+    for (const entry of scan.components) {
+      for (let v = 0; v < entry.component.v; v++) {
+        for (let h = 0; h < entry.component.h; h++) {
+          decodeBlock(entry, mcuRow * entry.component.v + v, mcuColumn * entry.component.h + h);
+        }
+      }
+    }
+  }
+
+  frame.decodedScans++;
+  return nextMarker(bytes, reader.position);
+}
+
+/**
+ * Offset of the next marker, skipping entropy-coded data (stuffed 0xFF00 bytes
+ * and restart markers)
+ */
+function nextMarker(bytes, offset) {
+  for (let i = offset; i < bytes.length - 1; i++) {
+    const next = bytes[i + 1];
+    if (bytes[i] === 0xff && next !== 0x00 && next !== 0xff && (next < 0xd0 || next > 0xd7)) {
+      return i;
+    }
+  }
+  return bytes.length;
+}
+
+/**
+ * Sample every component at 1/8 scale and convert to RGB
+ */
+function toRGB(frame, adobeTransform) {
+  const width = Math.ceil(frame.width / 8);
+  const height = Math.ceil(frame.height / 8);
+  const pixels = new Uint8ClampedArray(width * height * 3);
+  // RGB if the Adobe marker says so or the components are named "R", "G", "B"
+  const isRGB = frame.components.length === 3
+    && (adobeTransform === 0 || frame.components.map((component) => String.fromCharCode(component.id)).join("") === "RGB");
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [c1, c2, c3] = frame.components.map((component) => {
+        const row = Math.floor((y * component.v) / frame.maxV);
+        const column = Math.floor((x * component.h) / frame.maxH);
+        return component.samples[row * component.blocksPerLine + column];
+      });
+
+      const i = (y * width + x) * 3;
+      if (frame.components.length === 1) {
+        pixels[i] = pixels[i + 1] = pixels[i + 2] = c1;
+      } else if (isRGB) {
+        pixels[i] = c1;
+        pixels[i + 1] = c2;
+        pixels[i + 2] = c3;
+      } else {
+        pixels[i] = c1 + 1.402 * (c3 - 128);
+        pixels[i + 1] = c1 - 0.344136 * (c2 - 128) - 0.714136 * (c3 - 128);
+        pixels[i + 2] = c1 + 1.772 * (c2 - 128);
+      }
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Reads the entropy-coded bits of a scan, unstuffing 0xFF00
+ */
+class BitReader {
+  constructor(bytes, offset) {
+    this.bytes = bytes;
+    this.position = offset;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  readBit() {
+    if (this.count === 0) {
+      const byte = this.bytes[this.position];
+      if (byte === undefined) {
+        throw new Error("Unexpected end of scan data");
+      }
+      if (byte === 0xff) {
+        const next = this.bytes[this.position + 1];
+        if (next !== 0x00) {
+          throw new Error(`Unexpected marker 0xFF${next?.toString(16)} in scan data`);
+        }
+        this.position += 2;
+      } else {
+        this.position++;
+      }
+      this.buffer = byte;
+      this.count = 8;
+    }
+    this.count--;
+    return (this.buffer >> this.count) & 1;
+  }
+
+  readBits(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      value = (value << 1) | this.readBit();
+    }
+    return value;
+  }
+
+  receiveExtend(length) {
+    const value = this.readBits(length);
+    return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+  }
+
+  decode(table) {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | this.readBit();
+      if (code <= table.maxCode[length]) {
+        return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+      }
+    }
+    throw new Error("Invalid Huffman code");
+  }
+
+  /**
+   * Skip a block's AC coefficients (1 to spectralEnd)
+   */
+  skipAC(table, spectralEnd) {
+    let k = 1;
+    while (k <= spectralEnd) {
+      const symbol = this.decode(table);
+      const run = symbol >> 4;
+      const size = symbol & 0x0f;
+      if (size === 0) {
+        if (run !== 15) break; // End of block
+        k += 16;
+        continue;
+      }
+      k += run;
+      this.readBits(size);
+      k++;
+    }
+  }
+
+  /**
+   * Byte-align and step over a restart marker
+   */
+  restart() {
+    this.count = 0;
+    if (this.bytes[this.position] === 0xff && this.bytes[this.position + 1] >= 0xd0 && this.bytes[this.position + 1] <= 0xd7) {
+      this.position += 2;
+    }
+  }
+}
+
+function ascii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function u16(bytes, offset) {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+}
@@ -0,0 +1,142 @@
+/**
+ * MARCXML / SRU response parsing
+ *
+ * Workers have no DOMParser, and MARCXML is regular enough (leader,
+ * controlfield, datafield/subfield, optionally namespace-prefixed) to read
+ * with a few patterns.
+ *
+ * @see https://www.loc.gov/standards/marcxml/
+ * @see https://www.loc.gov/standards/sru/
+ */
+
+export interface MarcSubfield {
+  code: string;
+  value: string;
+}
+
+export interface MarcDataField {
+  tag: string;
+  ind1: string;
+  ind2: string;
+  subfields: MarcSubfield[];
+}
+
+export interface MarcRecord {
+  leader?: string;
+  controlFields: Record<string, string>;
+  dataFields: MarcDataField[];
+}
+
+export interface SruResponse {
+  total: number;
+  records: MarcRecord[];
+}
+
+// Element names may carry a namespace prefix ("marc:record", "zs:recordData")
+const NS = '(?:[\\w-]+:)?';
+
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name: string) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name] ?? entity;
+  });
+}
+
+function attributes(tag: string): Record<string, string> {
+  const attrs: Record<string, string> = {};
+  for (const [, name, value] of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attrs[name] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+function parseRecord(body: string): MarcRecord {
+  const record: MarcRecord = { controlFields: {}, dataFields: [] };
+
+  const leader = body.match(new RegExp(`<${NS}leader>([^<]*)</${NS}leader>`));
+  if (leader) record.leader = leader[1];
+
+  for (const [, attrs, value] of body.matchAll(new RegExp(`<${NS}controlfield\\b([^>]*)>([^<]*)</${NS}controlfield>`, 'g'))) {
+    const { tag } = attributes(attrs);
+    if (tag) record.controlFields[tag] = decodeEntities(value);
+  }
+
+  for (const [, attrs, content] of body.matchAll(new RegExp(`<${NS}datafield\\b([^>]*)>([\\s\\S]*?)</${NS}datafield>`, 'g'))) {
+    const { tag, ind1 = ' ', ind2 = ' ' } = attributes(attrs);
+    if (!tag) continue;
+
+    const subfields: MarcSubfield[] = [];
+    for (const [, subAttrs, value] of content.matchAll(new RegExp(`<${NS}subfield\\b([^>]*)>([\\s\\S]*?)</${NS}subfield>`, 'g'))) {
+      const { code } = attributes(subAttrs);
+      if (code) subfields.push({ code, value: decodeEntities(value).trim() });
+    }
+    record.dataFields.push({ tag, ind1, ind2, subfields });
+  }
+
+  return record;
+}
+
+/**
+ * Parse MARCXML records (a <collection>, a single <record>, or records
+ * embedded in another document)
+ *
+ * @param xml - MARCXML
+ * @returns Records in document order
+ */
+export function parseMarcXml(xml: string): MarcRecord[] {
+  const records: MarcRecord[] = [];
+  for (const [, , body] of xml.matchAll(new RegExp(`<(${NS})record\\b[^>]*>([\\s\\S]*?)</\\1record>`, 'g'))) {
+    // SRU wraps each MARC record in its own <zs:record>; skip the wrapper
+    if (/<[\w-]*:?(?:datafield|controlfield|leader)\b/.test(body) && !/recordData>/.test(body)) {
+      records.push(parseRecord(body));
+    }
+  }
+  return records;
+}
+
+/**
+ * Parse an SRU searchRetrieve response with MARCXML records
+ *
+ * @param xml - SRU response
+ * @returns Total matches and the records on this page
+ * @throws Error if the server returned a diagnostic instead of results
+ */
+export function parseSruResponse(xml: string): SruResponse {
+  const recordData = [...xml.matchAll(new RegExp(`<${NS}recordData\\b[^>]*>([\\s\\S]*?)</${NS}recordData>`, 'g'))];
+  const records = recordData.flatMap(([, body]) => parseMarcXml(body));
+
+  const total = xml.match(new RegExp(`<${NS}numberOfRecords>\\s*(\\d+)\\s*</${NS}numberOfRecords>`));
+  const diagnostics = new RegExp(`<${NS}diagnostics\\b`).test(xml);
+  if (records.length === 0 && (diagnostics || !total)) {
+    const message = xml.match(new RegExp(`<${NS}message>([^<]*)</${NS}message>`));
+    throw new Error(`SRU error: ${message ? decodeEntities(message[1]) : 'unrecognized response'}`);
+  }
+
+  return { total: total ? parseInt(total[1], 10) : records.length, records };
+}
+
+/**
+ * Data fields with the given tag
+ */
+export function marcFields(record: MarcRecord, tag: string): MarcDataField[] {
+  return record.dataFields.filter((field) => field.tag === tag);
+}
+
+/**
+ * First value of a subfield
+ */
+export function marcSubfield(field: MarcDataField | undefined, code: string): string | undefined {
+  return field?.subfields.find((subfield) => subfield.code === code)?.value;
+}
+
+/**
+ * All values of a subfield
+ */
+export function marcSubfields(field: MarcDataField | undefined, code: string): string[] {
+  return (field?.subfields || []).filter((subfield) => subfield.code === code).map((subfield) => subfield.value);
+}
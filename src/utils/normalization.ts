@@ -1,11 +1,122 @@
+/**
+ * Leading articles stripped from titles, keyed by ISO 639-1 language code.
+ * Elided forms (l', un') are matched without a trailing space.
+ */
+const LEADING_ARTICLES: Record<string, string[]> = {
+  en: ['the', 'a', 'an'],
+  fr: ['le', 'la', 'les', 'un', 'une', 'des', "l'"],
+  de: ['der', 'die', 'das', 'ein', 'eine'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas'],
+  it: ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', "l'", "un'"],
+};
+
+/**
+ * Letters that NFKD does not decompose into base + combining mark
+ */
+const SPECIAL_FOLDS: Record<string, string> = {
+  'ß': 'ss',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ø': 'o',
+  'ł': 'l',
+  'đ': 'd',
+  'ð': 'd',
+  'þ': 'th',
+  'ı': 'i',
+};
+
+/**
+ * Scripts written without spaces between words. Runs of these characters are
+ * split into single-character tokens by tokenizeTitle().
+ */
+const CJK_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+export interface TitleNormalizationOptions {
+  language?: string; // ISO 639-1 code selecting the article list (default: 'en')
+}
+
+/**
+ * Folds text to a script-aware, accent-insensitive form
+ * - NFKD compatibility decomposition (full-width forms, ligatures, superscripts)
+ * - Removes diacritics from Latin and Greek letters only ("é" → "e", "ά" → "α")
+ * - Keeps marks that change meaning in other scripts (Japanese dakuten, Cyrillic "й")
+ * - Lowercases and recomposes to NFC
+ */
+export function foldDiacritics(text: string): string {
+  return text
+    .normalize('NFKD')
+    .replace(/([\p{Script=Latin}\p{Script=Greek}])\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[ßæœøłđðþı]/g, (ch) => SPECIAL_FOLDS[ch]);
+}
+
 /**
  * Normalizes book title for cache key generation and search matching
- * - Lowercase for case-insensitive matching
- * - Trim whitespace
- * - Remove leading articles (the, a, an) for better deduplication
- * - Remove punctuation for fuzzy matching
+ * - Folds case, compatibility forms and Latin/Greek diacritics
+ * - Removes one leading article for the given language (default English)
+ * - Removes punctuation, keeping letters and digits from every script
+ * - Collapses whitespace
+ *
+ * "The Hobbit" → "hobbit", "Les Misérables" (fr) → "miserables",
+ * "ノルウェイの森" → "ノルウェイの森"
  */
-export function normalizeTitle(title: string): string {
+export function normalizeTitle(title: string, options: TitleNormalizationOptions = {}): string {
+  const language = (options.language || 'en').toLowerCase().slice(0, 2);
+  const articles = LEADING_ARTICLES[language] || LEADING_ARTICLES.en;
+
+  let normalized = foldDiacritics(title)
+    .replace(/[‘’ʼ]/g, "'")  // Typographic apostrophes → '
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  for (const article of articles) {
+    const elided = article.endsWith("'");
+    if (elided ? normalized.startsWith(article) : normalized.startsWith(`${article} `)) {
+      normalized = normalized.slice(article.length);
+      break;
+    }
+  }
+
+  return normalized
+    .replace(/[^\p{L}\p{N}\s]/gu, '')  // Remove punctuation (any script)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Splits a title into match tokens
+ * - Whitespace-separated words for spaced scripts
+ * - One token per character for CJK runs (no dictionary segmentation)
+ *
+ * "Harry Potter" → ["harry", "potter"], "ノルウェイの森" → ["ノ", "ル", "ウ", "ェ", "イ", "の", "森"]
+ */
+export function tokenizeTitle(title: string, options: TitleNormalizationOptions = {}): string[] {
+  const tokens: string[] = [];
+  for (const word of normalizeTitle(title, options).split(' ')) {
+    if (!word) continue;
+    let buffer = '';
+    for (const ch of word) {
+      if (CJK_CHAR.test(ch)) {
+        if (buffer) tokens.push(buffer);
+        buffer = '';
+        tokens.push(ch);
+      } else {
+        buffer += ch;
+      }
+    }
+    if (buffer) tokens.push(buffer);
+  }
+  return tokens;
+}
+
+/**
+ * Pre-Unicode title normalization (ASCII-only)
+ *
+ * Kept so cache entries written before script-aware normalization can still
+ * be located. Do not use for new keys - see CacheKeyFactory.legacyKeys().
+ */
+export function legacyNormalizeTitle(title: string): string {
   return title
     .toLowerCase()
     .trim()
@@ -25,10 +136,18 @@ export function normalizeISBN(isbn: string): string {
 
 /**
  * Normalizes author name for cache matching
- * - Lowercase
- * - Trim whitespace
+ * - Folds case, compatibility forms and Latin/Greek diacritics
+ * - Collapses whitespace
+ * - Keeps punctuation ("J.R.R. Tolkien" → "j.r.r. tolkien")
  */
 export function normalizeAuthor(author: string): string {
+  return foldDiacritics(author).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Pre-Unicode author normalization, kept for legacy cache key lookups
+ */
+export function legacyNormalizeAuthor(author: string): string {
   return author.toLowerCase().trim();
 }
 
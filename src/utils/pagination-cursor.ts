@@ -0,0 +1,201 @@
+/**
+ * Pagination Cursors for /v1/search/* endpoints
+ *
+ * Cursors are opaque to clients: a base64url JSON payload plus an HMAC-SHA256
+ * signature. The payload records where the next page starts for each provider
+ * (Google Books startIndex, OpenLibrary offset, ISBNdb result offset) or, for
+ * endpoints that merge providers, a position in the merged list.
+ *
+ * Each cursor is bound to the query that produced it (fingerprint of the
+ * first-page cache key), so a cursor from one search cannot be replayed
+ * against another.
+ *
+ * Format: {base64url(payload)}.{base64url(signature)}
+ *
+ * Signing needs CURSOR_SIGNING_SECRET. Only local dev and tests
+ * (ENVIRONMENT = "development" or "test") fall back to a built-in key;
+ * anywhere else, without the secret no cursor is issued or accepted.
+ */
+
+import type { DataProvider } from '../types/enums.js';
+import { getSecret } from './secrets.js';
+import { toBase64Url, fromBase64Url } from './base64url.js';
+
+/**
+ * Decoded cursor state
+ */
+export interface CursorState {
+  v: 1;
+  q: string; // Query fingerprint
+  offsets: Partial<Record<DataProvider, number>>; // Next offset per provider
+  position?: number; // Offset into a merged result list (editions search)
+}
+
+/**
+ * Environment bindings used for cursor signing
+ */
+export interface CursorEnv {
+  CURSOR_SIGNING_SECRET?: any; // Can be string or SecretBinding
+  ENVIRONMENT?: string;
+}
+
+/**
+ * Used when CURSOR_SIGNING_SECRET is not configured in DEV_ENVIRONMENTS
+ */
+const DEV_SIGNING_KEY = 'bookstrack-dev-cursor-key';
+const DEV_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Truncated signature length (bytes) - keeps cursors short in query strings
+ */
+const SIGNATURE_BYTES = 16;
+
+async function signingSecret(env: CursorEnv): Promise<string | null> {
+  const secret = await getSecret(env.CURSOR_SIGNING_SECRET);
+  if (secret) {
+    return secret;
+  }
+  if (DEV_ENVIRONMENTS.includes(env.ENVIRONMENT || '')) {
+    console.warn('[Pagination] CURSOR_SIGNING_SECRET not configured, using development key');
+    return DEV_SIGNING_KEY;
+  }
+  console.error('[Pagination] CURSOR_SIGNING_SECRET not configured, pagination cursors disabled');
+  return null;
+}
+
+/**
+ * Truncated HMAC of a payload, or null without a signing secret
+ */
+async function sign(payload: string, env: CursorEnv): Promise<Uint8Array | null> {
+  const secret = await signingSecret(env);
+  if (!secret) {
+    return null;
+  }
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return new Uint8Array(signature).slice(0, SIGNATURE_BYTES);
+}
+
+/**
+ * Compare byte arrays in time independent of where they differ
+ */
+function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Fingerprint a query so cursors can be bound to it
+ *
+ * @param baseCacheKey - First-page cache key (e.g. CacheKeyFactory.advancedSearch())
+ * @returns 16 hex characters of SHA-256
+ */
+export async function queryFingerprint(baseCacheKey: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(baseCacheKey));
+  return Array.from(new Uint8Array(digest).slice(0, 8))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Encode and sign a cursor
+ *
+ * @param baseCacheKey - First-page cache key of the query being paginated
+ * @param next - Offsets (and optional merged-list position) of the next page
+ * @param env - Worker environment bindings
+ * @returns Opaque cursor string, or undefined if cursor signing isn't configured
+ */
+export async function encodeCursor(
+  baseCacheKey: string,
+  next: { offsets?: CursorState['offsets']; position?: number },
+  env: CursorEnv,
+): Promise<string | undefined> {
+  const state: CursorState = {
+    v: 1,
+    q: await queryFingerprint(baseCacheKey),
+    offsets: next.offsets || {},
+  };
+  if (next.position !== undefined) {
+    state.position = next.position;
+  }
+
+  const payload = toBase64Url(new TextEncoder().encode(JSON.stringify(state)));
+  const signature = await sign(payload, env);
+  return signature ? `${payload}.${toBase64Url(signature)}` : undefined;
+}
+
+/**
+ * Verify and decode a cursor
+ *
+ * @param cursor - Cursor string from the client
+ * @param baseCacheKey - First-page cache key of the current query
+ * @param env - Worker environment bindings
+ * @returns Cursor state, or null if malformed, tampered with, issued for another query,
+ *   or if cursor signing isn't configured
+ */
+export async function decodeCursor(
+  cursor: string,
+  baseCacheKey: string,
+  env: CursorEnv,
+): Promise<CursorState | null> {
+  try {
+    const [payload, signature] = cursor.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = await sign(payload, env);
+    if (!expected || !timingSafeEqual(fromBase64Url(signature), expected)) return null;
+
+    const state = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    if (state?.v !== 1 || typeof state.offsets !== 'object' || state.offsets === null) {
+      return null;
+    }
+    if (state.q !== (await queryFingerprint(baseCacheKey))) return null;
+
+    const offsets = Object.values(state.offsets);
+    if (!offsets.every((o) => Number.isInteger(o) && (o as number) >= 0)) return null;
+    if (state.position !== undefined && !(Number.isInteger(state.position) && state.position >= 0)) {
+      return null;
+    }
+
+    return state as CursorState;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build pagination fields for ResponseMetadata from a provider page
+ *
+ * @param baseCacheKey - First-page cache key of the query being paginated
+ * @param page - Provider page info (from enrichMultipleBooks), if any
+ * @param env - Worker environment bindings
+ * @returns { hasMore, nextCursor? } (no nextCursor if cursor signing isn't configured)
+ */
+export async function providerPageMetadata(
+  baseCacheKey: string,
+  page: { provider: DataProvider; nextOffset: number; hasMore: boolean } | undefined,
+  env: CursorEnv,
+): Promise<{ hasMore: boolean; nextCursor?: string }> {
+  if (!page?.hasMore) {
+    return { hasMore: false };
+  }
+
+  const nextCursor = await encodeCursor(
+    baseCacheKey,
+    { offsets: { [page.provider]: page.nextOffset } },
+    env,
+  );
+  return { hasMore: true, nextCursor };
+}
@@ -52,6 +52,7 @@ export const ErrorCodes = {
   INVALID_REQUEST: 'INVALID_REQUEST',
   INVALID_ISBN: 'INVALID_ISBN',
   INVALID_QUERY: 'INVALID_QUERY',
+  INVALID_CURSOR: 'INVALID_CURSOR',
   INVALID_FILE: 'INVALID_FILE',
   FILE_TOO_LARGE: 'FILE_TOO_LARGE',
   BATCH_TOO_LARGE: 'BATCH_TOO_LARGE',
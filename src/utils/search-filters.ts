@@ -0,0 +1,318 @@
+/**
+ * Faceted filtering for /v1/search/advanced
+ *
+ * Filters are parsed from query parameters, pushed down to providers where
+ * supported (see ProviderFilters), then applied to every result so providers
+ * without support still return filtered pages. When filters drop results, the
+ * handler fetches further provider pages until the page is full.
+ *
+ * Facet counts are computed over the provider results *before* filtering, so
+ * the client can show what other filter values would return ("Fantasy (12)").
+ * A provider that applied a filter itself only returns matching values.
+ */
+
+import type { WorkDTO, EditionDTO } from '../types/canonical.js';
+import type { EditionFormat } from '../types/enums.js';
+import type { SearchFacets } from '../types/responses.js';
+import { GenreNormalizer } from '../services/genre-normalizer.js';
+
+const genreNormalizer = new GenreNormalizer();
+
+/**
+ * Raw filter query parameters (all optional strings)
+ */
+export interface SearchFilterParams {
+  language?: string | null;
+  format?: string | null;
+  yearFrom?: string | null;
+  yearTo?: string | null;
+  minPages?: string | null;
+  maxPages?: string | null;
+  genre?: string | null;
+}
+
+/**
+ * Validated filters
+ */
+export interface SearchFilters {
+  language?: string; // ISO 639-1 code
+  format?: EditionFormat;
+  yearFrom?: number;
+  yearTo?: number;
+  minPages?: number;
+  maxPages?: number;
+  genre?: string[]; // Canonical subjectTags (GenreNormalizer); results match any
+}
+
+/**
+ * Filters that providers can apply server-side
+ * - Google Books: langRestrict (ISO 639-1)
+ * - OpenLibrary: language (MARC code)
+ * - ISBNdb: subject
+ */
+export interface ProviderFilters {
+  language?: string;
+  subject?: string;
+}
+
+const EDITION_FORMATS: Record<string, EditionFormat> = {
+  hardcover: 'Hardcover',
+  paperback: 'Paperback',
+  'e-book': 'E-book',
+  ebook: 'E-book',
+  audiobook: 'Audiobook',
+  'mass market': 'Mass Market',
+  'mass-market': 'Mass Market',
+};
+
+/**
+ * MARC language codes (OpenLibrary) → ISO 639-1 (Google Books, ISBNdb)
+ */
+const MARC_LANGUAGES: Record<string, string> = {
+  eng: 'en',
+  fre: 'fr',
+  fra: 'fr',
+  ger: 'de',
+  deu: 'de',
+  spa: 'es',
+  ita: 'it',
+  por: 'pt',
+  dut: 'nl',
+  nld: 'nl',
+  swe: 'sv',
+  nor: 'no',
+  dan: 'da',
+  fin: 'fi',
+  pol: 'pl',
+  cze: 'cs',
+  ces: 'cs',
+  rus: 'ru',
+  ukr: 'uk',
+  gre: 'el',
+  ell: 'el',
+  tur: 'tr',
+  ara: 'ar',
+  heb: 'he',
+  hin: 'hi',
+  jpn: 'ja',
+  chi: 'zh',
+  zho: 'zh',
+  kor: 'ko',
+};
+
+const MIN_YEAR = 0;
+const MAX_YEAR = 9999;
+
+/**
+ * Normalize a language code to ISO 639-1 where known
+ * Accepts "en", "EN", "en-US", "en_US", "eng"
+ *
+ * @param code - Language code from a provider or client
+ * @returns Lowercase ISO 639-1 code, or the lowercase input if unmapped
+ */
+export function normalizeLanguageCode(code: string): string {
+  const primary = code.trim().toLowerCase().split(/[-_]/)[0];
+  return MARC_LANGUAGES[primary] || primary;
+}
+
+/**
+ * Convert an ISO 639-1 code to the MARC code OpenLibrary indexes
+ *
+ * @param code - ISO 639-1 code
+ * @returns MARC code, or undefined if unmapped
+ */
+export function toMarcLanguage(code: string): string | undefined {
+  return Object.keys(MARC_LANGUAGES).find((marc) => MARC_LANGUAGES[marc] === code);
+}
+
+function parseInteger(value: string | null | undefined, name: string, min: number, max: number): number | undefined {
+  if (value === null || value === undefined || value.trim() === '') {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`${name} must be a whole number`);
+  }
+  const parsed = parseInt(value, 10);
+  if (parsed < min || parsed > max) {
+    throw new Error(`${name} must be between ${min} and ${max}`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate and normalize filter query parameters
+ *
+ * @param params - Raw query parameters
+ * @returns Validated filters (empty object if none set)
+ * @throws Error with a client-facing message if a value is invalid
+ */
+export function parseSearchFilters(params: SearchFilterParams = {}): SearchFilters {
+  const filters: SearchFilters = {};
+
+  if (params.language?.trim()) {
+    const language = normalizeLanguageCode(params.language);
+    if (!/^[a-z]{2,3}$/.test(language)) {
+      throw new Error('language must be an ISO 639-1 code (e.g. "en")');
+    }
+    filters.language = language;
+  }
+
+  if (params.format?.trim()) {
+    const format = EDITION_FORMATS[params.format.trim().toLowerCase()];
+    if (!format) {
+      throw new Error(
+        'format must be one of: Hardcover, Paperback, E-book, Audiobook, Mass Market',
+      );
+    }
+    filters.format = format;
+  }
+
+  if (params.genre?.trim()) {
+    // Map user input ("sci-fi", "YA") to canonical subjectTags (some map to several)
+    filters.genre = genreNormalizer.normalize([params.genre], 'user');
+  }
+
+  const yearFrom = parseInteger(params.yearFrom, 'yearFrom', MIN_YEAR, MAX_YEAR);
+  const yearTo = parseInteger(params.yearTo, 'yearTo', MIN_YEAR, MAX_YEAR);
+  if (yearFrom !== undefined && yearTo !== undefined && yearFrom > yearTo) {
+    throw new Error('yearFrom must not be after yearTo');
+  }
+  if (yearFrom !== undefined) filters.yearFrom = yearFrom;
+  if (yearTo !== undefined) filters.yearTo = yearTo;
+
+  const minPages = parseInteger(params.minPages, 'minPages', 0, Number.MAX_SAFE_INTEGER);
+  const maxPages = parseInteger(params.maxPages, 'maxPages', 0, Number.MAX_SAFE_INTEGER);
+  if (minPages !== undefined && maxPages !== undefined && minPages > maxPages) {
+    throw new Error('minPages must not be greater than maxPages');
+  }
+  if (minPages !== undefined) filters.minPages = minPages;
+  if (maxPages !== undefined) filters.maxPages = maxPages;
+
+  return filters;
+}
+
+/**
+ * @param filters - Validated filters
+ * @returns True if at least one filter is set
+ */
+export function hasSearchFilters(filters: SearchFilters): boolean {
+  return Object.keys(filters).length > 0;
+}
+
+/**
+ * Select the filters providers can apply server-side
+ *
+ * @param filters - Validated filters
+ * @returns Provider pushdown filters
+ */
+export function toProviderFilters(filters: SearchFilters): ProviderFilters {
+  const providerFilters: ProviderFilters = {};
+  if (filters.language) providerFilters.language = filters.language;
+  // ISBNdb takes one subject: with several tags, matching any is left to post-filtering
+  if (filters.genre?.length === 1) providerFilters.subject = filters.genre[0];
+  return providerFilters;
+}
+
+function publicationYear(work: WorkDTO, edition?: EditionDTO): number | undefined {
+  if (work.firstPublicationYear) return work.firstPublicationYear;
+  const match = edition?.publicationDate?.match(/\b(\d{4})\b/);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+function resultLanguage(work: WorkDTO, edition?: EditionDTO): string | undefined {
+  const language = edition?.language || work.originalLanguage;
+  return language ? normalizeLanguageCode(language) : undefined;
+}
+
+function matchesFilters(work: WorkDTO, edition: EditionDTO | undefined, filters: SearchFilters): boolean {
+  if (filters.language && resultLanguage(work, edition) !== filters.language) {
+    return false;
+  }
+
+  if (filters.format && edition?.format !== filters.format) {
+    return false;
+  }
+
+  if (filters.genre && !filters.genre.some((tag) => work.subjectTags?.includes(tag))) {
+    return false;
+  }
+
+  if (filters.yearFrom !== undefined || filters.yearTo !== undefined) {
+    const year = publicationYear(work, edition);
+    if (year === undefined) return false;
+    if (filters.yearFrom !== undefined && year < filters.yearFrom) return false;
+    if (filters.yearTo !== undefined && year > filters.yearTo) return false;
+  }
+
+  if (filters.minPages !== undefined || filters.maxPages !== undefined) {
+    const pages = edition?.pageCount;
+    if (!pages) return false;
+    if (filters.minPages !== undefined && pages < filters.minPages) return false;
+    if (filters.maxPages !== undefined && pages > filters.maxPages) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Apply filters to provider results
+ *
+ * Providers return works and editions as parallel arrays (editions[i] is the
+ * edition of works[i]); pairs are kept or dropped together. Results missing
+ * a filtered field (e.g. no pageCount) do not match.
+ *
+ * @param works - Works from enrichMultipleBooks
+ * @param editions - Editions from enrichMultipleBooks
+ * @param filters - Validated filters
+ * @returns Filtered works and editions
+ */
+export function applySearchFilters<W extends WorkDTO>(
+  works: W[],
+  editions: EditionDTO[],
+  filters: SearchFilters,
+): { works: W[]; editions: EditionDTO[] } {
+  if (!hasSearchFilters(filters)) {
+    return { works, editions };
+  }
+
+  const filteredWorks: W[] = [];
+  const filteredEditions: EditionDTO[] = [];
+  works.forEach((work, i) => {
+    if (matchesFilters(work, editions[i], filters)) {
+      filteredWorks.push(work);
+      if (editions[i]) filteredEditions.push(editions[i]);
+    }
+  });
+
+  return { works: filteredWorks, editions: filteredEditions };
+}
+
+/**
+ * Count facet values across provider results (before filtering)
+ *
+ * @param works - Works from enrichMultipleBooks
+ * @param editions - Editions from enrichMultipleBooks (parallel to works)
+ * @param facets - Counts to add to (for results fetched over several provider pages)
+ * @returns Counts per language, format and genre
+ */
+export function computeFacets(
+  works: WorkDTO[],
+  editions: EditionDTO[],
+  facets: SearchFacets = { language: {}, format: {}, genre: {} },
+): SearchFacets {
+  const increment = (counts: Record<string, number>, key: string) => {
+    counts[key] = (counts[key] || 0) + 1;
+  };
+
+  works.forEach((work, i) => {
+    const edition = editions[i];
+    const language = resultLanguage(work, edition);
+    if (language) increment(facets.language, language);
+    if (edition?.format) increment(facets.format, edition.format);
+    for (const tag of new Set(work.subjectTags || [])) {
+      increment(facets.genre, tag);
+    }
+  });
+
+  return facets;
+}
@@ -0,0 +1,158 @@
+/**
+ * Series detection from provider data
+ *
+ * Providers rarely expose series as structured data, so it is recovered from:
+ * - OpenLibrary `series` strings ("The Expanse ; 3", "Discworld, #12")
+ * - Goodreads-style title suffixes ("Leviathan Wakes (The Expanse, #1)")
+ * - Subtitles ("Caliban's War: Book 2 of the Expanse")
+ *
+ * Series IDs are slugs of the normalized series name, so every provider (and
+ * Wikidata) maps the same series to the same GET /v1/series/:id.
+ */
+
+import type { WorkSeriesDTO } from '../types/canonical.js';
+import { normalizeTitle } from './normalization.js';
+
+const NUMBER_WORDS: Record<string, number> = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+};
+
+const NUMBER = '(\\d+(?:\\.\\d+)?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+const MARKER = '(?:#|book|bk\\.?|vol\\.?|volume|no\\.?|part|tome)';
+
+/**
+ * "Name ; 3", "Name, #3", "Name -- 3", "Name Book 3", "Name, Vol. 3"
+ */
+const SERIES_STRING_WITH_POSITION = new RegExp(
+  `^(.+?)(?:\\s*(?:;|,|--)\\s*${MARKER}?|\\s+${MARKER})\\s*${NUMBER}\\s*$`,
+  'i',
+);
+
+/**
+ * "Title (Name, #3)", "Title (Name Book 3)"
+ */
+const TITLE_SUFFIX = new RegExp(`\\(([^()]+?),?\\s*${MARKER}\\s*${NUMBER}\\)\\s*$`, 'i');
+
+/**
+ * "Title (Book 3 of Name)", "Title: Book 3 of the Name series"
+ */
+const TITLE_BOOK_OF = new RegExp(
+  `(?:\\(|:\\s*)${MARKER}\\s*${NUMBER}\\s+(?:of|in)\\s+(?:the\\s+)?([^()]+?)(?:\\s+series)?\\)?\\s*$`,
+  'i',
+);
+
+/**
+ * "Title: Name, Book 3"
+ */
+const SUBTITLE_SUFFIX = new RegExp(`:\\s*([^:()]+?),?\\s+${MARKER}\\s*${NUMBER}\\s*$`, 'i');
+
+function parsePosition(value: string): number | undefined {
+  const lower = value.toLowerCase();
+  const position = NUMBER_WORDS[lower] ?? parseFloat(lower);
+  return Number.isFinite(position) && position >= 0 ? position : undefined;
+}
+
+function cleanSeriesName(name: string): string {
+  return name
+    .replace(/\s+series$/i, '')
+    .replace(/^[\s,;:-]+|[\s,;:-]+$/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Stable series ID
+ *
+ * @param name - Series name ("The Expanse", "Expanse series")
+ * @returns Slug of the normalized name ("expanse"), or undefined if nothing is left
+ */
+export function seriesId(name: string): string | undefined {
+  const slug = normalizeTitle(cleanSeriesName(name)).replace(/\s+/g, '-');
+  return slug || undefined;
+}
+
+function toSeries(name: string, position?: string): WorkSeriesDTO | undefined {
+  const cleaned = cleanSeriesName(name);
+  const id = seriesId(cleaned);
+  if (!id) return undefined;
+
+  const series: WorkSeriesDTO = { id, name: cleaned };
+  const parsedPosition = position !== undefined ? parsePosition(position) : undefined;
+  if (parsedPosition !== undefined) series.position = parsedPosition;
+  return series;
+}
+
+/**
+ * Parse a provider series string
+ *
+ * @param value - e.g. "The Expanse ; 3", "Discworld, #12", "Discworld"
+ * @returns Series (position only if present), or undefined if empty
+ */
+export function parseSeriesString(value: string): WorkSeriesDTO | undefined {
+  const trimmed = value?.trim();
+  if (!trimmed) return undefined;
+
+  const match = trimmed.match(SERIES_STRING_WITH_POSITION);
+  return match ? toSeries(match[1], match[2]) : toSeries(trimmed);
+}
+
+/**
+ * Detect series from a title or "title: subtitle"
+ *
+ * @param title - Full title
+ * @returns Series with position, or undefined if the title has no series pattern
+ */
+export function parseSeriesFromTitle(title: string): WorkSeriesDTO | undefined {
+  if (!title) return undefined;
+
+  const suffix = title.match(TITLE_SUFFIX);
+  if (suffix) return toSeries(suffix[1], suffix[2]);
+
+  const bookOf = title.match(TITLE_BOOK_OF);
+  if (bookOf) return toSeries(bookOf[2], bookOf[1]);
+
+  const subtitle = title.match(SUBTITLE_SUFFIX);
+  if (subtitle) return toSeries(subtitle[1], subtitle[2]);
+
+  return undefined;
+}
+
+/**
+ * Best series information from the available provider data
+ * Structured series strings win over title patterns; a position found only in
+ * the title fills in a series string that has none.
+ *
+ * @param sources.seriesStrings - Provider series fields (OpenLibrary `series`)
+ * @param sources.titles - Titles to scan, most specific first (title_long, title: subtitle, title)
+ * @returns Detected series, or undefined
+ */
+export function detectSeries(sources: {
+  seriesStrings?: Array<string | null | undefined>;
+  titles?: Array<string | null | undefined>;
+}): WorkSeriesDTO | undefined {
+  const fromString = (sources.seriesStrings || [])
+    .map((value) => (value ? parseSeriesString(value) : undefined))
+    .find(Boolean);
+
+  const fromTitle = (sources.titles || [])
+    .map((title) => (title ? parseSeriesFromTitle(title) : undefined))
+    .find(Boolean);
+
+  if (fromString) {
+    if (fromString.position === undefined && fromTitle?.id === fromString.id && fromTitle.position !== undefined) {
+      return { ...fromString, position: fromTitle.position };
+    }
+    return fromString;
+  }
+  return fromTitle;
+}
@@ -0,0 +1,108 @@
+/**
+ * User Tokens
+ *
+ * Identify the user behind a request (Authorization: Bearer {token}) for
+ * per-user data such as uploaded covers. Tokens are issued by the app's
+ * backend, which shares USER_TOKEN_SECRET with this worker:
+ *
+ *   {base64url(payload)}.{base64url(HMAC-SHA256(payload))}
+ *   payload = { "sub": user ID, "exp": expiry, seconds since the epoch }
+ *
+ * Without USER_TOKEN_SECRET no token verifies, so per-user features are off.
+ */
+
+import { getSecret } from './secrets.js';
+import { toBase64Url, fromBase64Url } from './base64url.js';
+
+/**
+ * Environment bindings used for user tokens
+ */
+export interface UserTokenEnv {
+  USER_TOKEN_SECRET?: any; // Can be string or SecretBinding
+}
+
+/**
+ * User IDs are the app's opaque user record IDs
+ */
+const USER_ID_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/;
+
+async function signingKey(env: UserTokenEnv, usage: 'sign' | 'verify'): Promise<CryptoKey | null> {
+  const secret = await getSecret(env.USER_TOKEN_SECRET);
+  if (!secret) {
+    return null;
+  }
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    [usage],
+  );
+}
+
+/**
+ * Issue a token for a user (the app's backend does the same)
+ *
+ * @param userId - User record ID
+ * @param ttlSeconds - Lifetime
+ * @param env - Worker environment bindings
+ * @returns Token
+ * @throws Error if USER_TOKEN_SECRET is not configured
+ */
+export async function signUserToken(userId: string, ttlSeconds: number, env: UserTokenEnv): Promise<string> {
+  const key = await signingKey(env, 'sign');
+  if (!key) {
+    throw new Error('USER_TOKEN_SECRET not configured');
+  }
+
+  const claims = { sub: userId, exp: Math.floor(Date.now() / 1000) + ttlSeconds };
+  const payload = toBase64Url(new TextEncoder().encode(JSON.stringify(claims)));
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify a token
+ *
+ * @param token - Token from the client
+ * @param env - Worker environment bindings
+ * @returns User ID, or null if malformed, forged, expired, or no secret is configured
+ */
+export async function verifyUserToken(token: string, env: UserTokenEnv): Promise<string | null> {
+  try {
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const key = await signingKey(env, 'verify');
+    if (!key) return null;
+
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(signature),
+      new TextEncoder().encode(payload),
+    );
+    if (!valid) return null;
+
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    if (typeof claims?.sub !== 'string' || !USER_ID_PATTERN.test(claims.sub)) return null;
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) return null;
+
+    return claims.sub;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * User behind a request
+ *
+ * @param request - Request with Authorization: Bearer {token}
+ * @param env - Worker environment bindings
+ * @returns Verified user ID, or null
+ */
+export async function authenticatedUser(request: Request | null, env: UserTokenEnv): Promise<string | null> {
+  const authorization = request?.headers.get('Authorization');
+  const match = authorization?.match(/^Bearer\s+(\S+)$/i);
+  return match ? verifyUserToken(match[1], env) : null;
+}
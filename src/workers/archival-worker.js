@@ -1,94 +1,253 @@
 import { generateR2Path } from '../utils/r2-paths.js';
+import { TAG_INDEX_PREFIX, tagMetadata } from '../services/cache-tags.js';
+import { COMPRESSION_THRESHOLD_BYTES, gzip } from '../utils/compression.js';
+import { logCompression } from '../utils/cache.js';
 
 /**
- * Select cache entries that qualify for R2 archival
+ * Cold-storage archival of KV cache entries to R2
  *
- * Criteria: age > 30 days AND accessCount < 10/month
+ * A run walks the whole KV namespace one list page (up to 1000 keys) at a
+ * time. The list cursor (and, when an invocation's operation budget runs out
+ * mid-page, the last key it archived) and running totals are checkpointed in
+ * KV, so a run spans as many cron invocations as it needs and resumes where
+ * the last one stopped (see handlers/scheduled-archival.js). Ages come from
+ * the KV metadata setCached() writes, which list() returns with each key, so
+ * scanning costs no per-key reads.
+ */
+
+export const ARCHIVAL_RUN_KEY = 'config:archival:run';
+export const ARCHIVAL_REPORT_KEY = 'config:archival:last-report';
+
+const ARCHIVE_AGE_MS = 30 * 24 * 60 * 60 * 1000; // Older than 30 days...
+export const ARCHIVE_MAX_ACCESS = 10; // ...and read fewer than 10 times in 30 days
+export const OPERATIONS_PER_ARCHIVE = 4; // KV get, cold-index put and delete, R2 put
+const ARCHIVE_BATCH_SIZE = 10; // Concurrent R2 writes
+const MAX_ERROR_SAMPLES = 10;
+
+// Internal keys that are never archived
+const INTERNAL_PREFIXES = ['cold-index:', 'warming:', 'config:', TAG_INDEX_PREFIX, 'negative:'];
+
+/**
+ * Select cache entries on one KV list page that qualify for R2 archival
+ *
+ * Criteria: age > 30 days AND accessCount < 10/month. Entries without a
+ * cachedAt in their KV metadata (written before setCached() recorded it, or
+ * not cache entries at all) are skipped.
  *
  * @param {Object} env - Worker environment
  * @param {Object} accessStats - Map of cacheKey → accessCount
- * @returns {Promise<Array>} Archival candidates
+ * @param {string|null} cursor - List cursor from the previous page (null for the first page)
+ * @param {Object} [options]
+ * @param {string|null} [options.after] - Resume the page after this key (keys are listed in order)
+ * @param {number} [options.limit] - Most candidates to select; the page is left unfinished past them
+ * @returns {Promise<{candidates: Array, scanned: number, skipped: number, cursor: string|null, after: string|null}>}
+ *   Archival candidates, entries looked at and passed over, and where to continue: the next page's
+ *   cursor (null after the last page), or this page's cursor and the last key scanned if the limit was reached
  */
-export async function selectArchivalCandidates(env, accessStats) {
+export async function selectArchivalCandidates(env, accessStats, cursor = null, { after = null, limit = Infinity } = {}) {
+  const page = await env.CACHE.list(cursor ? { cursor } : {});
   const candidates = [];
+  let scanned = 0;
+  let lastScanned = after;
 
-  // List all KV keys (excluding cold-index and warming metadata)
-  const kvKeys = await env.CACHE.list();
-
-  for (const key of kvKeys.keys) {
-    // Skip internal keys
-    if (key.name.startsWith('cold-index:') ||
-        key.name.startsWith('warming:') ||
-        key.name.startsWith('config:')) {
+  for (const key of page.keys) {
+    if (INTERNAL_PREFIXES.some((prefix) => key.name.startsWith(prefix))) {
       continue;
     }
-
-    // Get metadata
-    const entry = await env.CACHE.getWithMetadata(key.name);
-    if (!entry || !entry.metadata || !entry.metadata.cachedAt) {
-      continue;
+    if (after !== null && key.name <= after) {
+      continue; // Done by an earlier invocation
     }
 
-    const age = Date.now() - entry.metadata.cachedAt;
+    const cachedAt = key.metadata?.cachedAt;
+    const age = cachedAt ? Date.now() - cachedAt : 0;
     const accessCount = accessStats[key.name] || 0;
 
-    // Hybrid archival criteria
-    const thirtyDaysMs = 30 * 24 * 60 * 60 * 1000;
-    if (age > thirtyDaysMs && accessCount < 10) {
+    // Hybrid archival criteria (entries without a cachedAt never qualify)
+    const qualifies = cachedAt && age > ARCHIVE_AGE_MS && accessCount < ARCHIVE_MAX_ACCESS;
+    if (qualifies && candidates.length === limit) {
+      // Leave the rest of the page for the next invocation
+      return {
+        candidates,
+        scanned,
+        skipped: scanned - candidates.length,
+        cursor,
+        after: lastScanned
+      };
+    }
+
+    scanned++;
+    lastScanned = key.name;
+    if (qualifies) {
       candidates.push({
         key: key.name,
-        data: entry.value,
         age: age,
         accessCount: accessCount
       });
     }
   }
 
-  return candidates;
+  return {
+    candidates,
+    scanned,
+    skipped: scanned - candidates.length,
+    cursor: page.list_complete ? null : page.cursor,
+    after: null
+  };
+}
+
+/**
+ * Archive one entry to R2 and replace it with a cold index
+ *
+ * @param {Object} candidate - Archival candidate
+ * @param {Object} env - Worker environment
+ * @returns {Promise<number|null>} Bytes written to R2, or null if the entry is gone
+ */
+async function archiveCandidate(candidate, env) {
+  const value = await env.CACHE.get(candidate.key);
+  if (value === null || value === undefined) {
+    return null; // Expired or purged since it was listed
+  }
+
+  const r2Path = generateR2Path(candidate.key);
+  const entry = parseEntry(value);
+  const tags = Array.isArray(entry?.tags) ? entry.tags : [];
+
+  // Gzip large entries, unless setCached() already compressed their payload
+  const rawBytes = new TextEncoder().encode(value).length;
+  const compress = rawBytes > COMPRESSION_THRESHOLD_BYTES && !entry?.encoding;
+  const body = compress ? await gzip(value) : value;
+  const storedBytes = compress ? body.length : rawBytes;
+
+  // 1. Write to R2
+  await env.LIBRARY_DATA.put(r2Path, body, {
+    customMetadata: {
+      originalKey: candidate.key,
+      archivedAt: Date.now().toString(),
+      originalTTL: '86400',
+      accessCount: candidate.accessCount.toString(),
+      tags: JSON.stringify(tags),
+      ...(compress ? { encoding: 'gzip' } : {})
+    }
+  });
+  if (compress) {
+    logCompression(env, 'r2_compressed', candidate.key, rawBytes, body.length);
+  }
+
+  // 2. Create cold storage index in KV
+  await env.CACHE.put(`cold-index:${candidate.key}`, JSON.stringify({
+    r2Path: r2Path,
+    archivedAt: Date.now(),
+    originalTTL: 86400,
+    archiveReason: `age=${Math.floor(candidate.age / (24 * 60 * 60 * 1000))}d, access=${candidate.accessCount}/month`,
+    tags: tags,
+    bytes: storedBytes // Lets reads decide whether the object is small enough to fetch inline
+  }), {
+    metadata: tagMetadata(tags) // Keeps the archived entry purgeable by tag
+  });
+
+  // 3. Delete from KV
+  await env.CACHE.delete(candidate.key);
+
+  return storedBytes;
 }
 
 /**
  * Archive candidates to R2 and create cold index
  *
+ * Writes ARCHIVE_BATCH_SIZE entries at a time. A failed entry is counted
+ * and left in KV for the next run; it doesn't fail the batch.
+ *
  * @param {Array} candidates - Archival candidates
  * @param {Object} env - Worker environment
- * @returns {Promise<number>} Count of archived entries
+ * @returns {Promise<{archived: number, skipped: number, errors: number, bytesMoved: number, errorSamples: Array}>}
  */
 export async function archiveCandidates(candidates, env) {
-  let archivedCount = 0;
-
-  for (const candidate of candidates) {
-    try {
-      const r2Path = generateR2Path(candidate.key);
-
-      // 1. Write to R2
-      await env.LIBRARY_DATA.put(r2Path, candidate.data, {
-        customMetadata: {
-          originalKey: candidate.key,
-          archivedAt: Date.now().toString(),
-          originalTTL: '86400',
-          accessCount: candidate.accessCount.toString()
+  const result = { archived: 0, skipped: 0, errors: 0, bytesMoved: 0, errorSamples: [] };
+
+  for (let i = 0; i < candidates.length; i += ARCHIVE_BATCH_SIZE) {
+    const batch = candidates.slice(i, i + ARCHIVE_BATCH_SIZE);
+    const outcomes = await Promise.allSettled(batch.map((candidate) => archiveCandidate(candidate, env)));
+
+    outcomes.forEach((outcome, j) => {
+      if (outcome.status === 'rejected') {
+        console.error(`Failed to archive ${batch[j].key}:`, outcome.reason);
+        result.errors++;
+        if (result.errorSamples.length < MAX_ERROR_SAMPLES) {
+          result.errorSamples.push({ key: batch[j].key, error: outcome.reason?.message || String(outcome.reason) });
         }
-      });
+      } else if (outcome.value === null) {
+        result.skipped++;
+      } else {
+        result.archived++;
+        result.bytesMoved += outcome.value;
+      }
+    });
+  }
 
-      // 2. Create cold storage index in KV
-      await env.CACHE.put(`cold-index:${candidate.key}`, JSON.stringify({
-        r2Path: r2Path,
-        archivedAt: Date.now(),
-        originalTTL: 86400,
-        archiveReason: `age=${Math.floor(candidate.age / (24 * 60 * 60 * 1000))}d, access=${candidate.accessCount}/month`
-      }));
+  return result;
+}
 
-      // 3. Delete from KV
-      await env.CACHE.delete(candidate.key);
+/**
+ * Start a new archival run report
+ * @returns {Object} Run report with no progress
+ */
+export function newArchivalRun() {
+  return {
+    startedAt: Date.now(),
+    finishedAt: null,
+    invocations: 0,
+    cursor: null,
+    after: null,
+    scanned: 0,
+    archived: 0,
+    skipped: 0,
+    errors: 0,
+    bytesMoved: 0,
+    errorSamples: []
+  };
+}
 
-      archivedCount++;
+/**
+ * Add one page's results to a run report
+ *
+ * @param {Object} run - Run report (mutated)
+ * @param {Object} page - From selectArchivalCandidates()
+ * @param {Object} archived - From archiveCandidates()
+ */
+export function addToArchivalRun(run, page, archived) {
+  run.cursor = page.cursor;
+  run.after = page.after;
+  run.scanned += page.scanned;
+  run.skipped += page.skipped + archived.skipped;
+  run.archived += archived.archived;
+  run.errors += archived.errors;
+  run.bytesMoved += archived.bytesMoved;
+  run.errorSamples = [...run.errorSamples, ...archived.errorSamples].slice(0, MAX_ERROR_SAMPLES);
+}
 
-    } catch (error) {
-      console.error(`Failed to archive ${candidate.key}:`, error);
-      // Continue with next candidate (don't fail entire batch)
-    }
-  }
+/**
+ * In-progress run (checkpoint) and last completed run report
+ *
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{inProgress: Object|null, lastRun: Object|null}>}
+ */
+export async function getArchivalReports(env) {
+  const [inProgress, lastRun] = await Promise.all([
+    env.CACHE.get(ARCHIVAL_RUN_KEY, 'json'),
+    env.CACHE.get(ARCHIVAL_REPORT_KEY, 'json')
+  ]);
+  return { inProgress: inProgress || null, lastRun: lastRun || null };
+}
 
-  return archivedCount;
+/**
+ * Parse a KV entry written by setCached()
+ * @param {string} value - Raw KV value
+ * @returns {Object|null} Envelope, or null if the value isn't JSON
+ */
+function parseEntry(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
 }
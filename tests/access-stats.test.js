@@ -0,0 +1,209 @@
+/**
+ * Access Stats Tests
+ *
+ * Tests sampled cache read counting (src/services/access-stats.js) and
+ * GET /admin/cache/access (src/handlers/cache-admin.js)
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+
+vi.mock("cloudflare:workers", () => ({
+  DurableObject: class {
+    constructor(state, env) {
+      this.state = state;
+      this.env = env;
+    }
+  },
+}));
+
+const { accessSampleRate, accessDay, accessShard, recordCacheAccess, flushCacheAccess, accessCounts, resetCacheAccess } =
+  await import("../src/services/access-stats.js");
+const { handleCacheAccessStats } = await import("../src/handlers/cache-admin.js");
+const { UnifiedCacheService } = await import("../src/services/unified-cache.js");
+const { AccessStatsDO } = await import("../src/durable-objects/access-stats.js");
+const { createMockKV } = await import("./setup.js");
+
+/**
+ * In-memory Durable Object storage
+ */
+function createStorage() {
+  const entries = new Map();
+  let alarm = null;
+  return {
+    get: async (names) => new Map(names.filter((name) => entries.has(name)).map((name) => [name, entries.get(name)])),
+    put: async (updated) => {
+      for (const [name, value] of Object.entries(updated)) entries.set(name, structuredClone(value));
+    },
+    list: async ({ prefix }) => new Map([...entries].filter(([name]) => name.startsWith(prefix))),
+    getAlarm: async () => alarm,
+    setAlarm: async (time) => {
+      alarm = time;
+    },
+  };
+}
+
+/**
+ * ACCESS_STATS_DO binding with one AccessStatsDO instance per name
+ */
+function createAccessStatsDO() {
+  const instances = new Map();
+  return {
+    instances,
+    idFromName: vi.fn((name) => name),
+    get: vi.fn((name) => {
+      if (!instances.has(name)) instances.set(name, new AccessStatsDO({ storage: createStorage() }, {}));
+      return instances.get(name);
+    }),
+  };
+}
+
+describe("access stats", () => {
+  beforeEach(() => {
+    resetCacheAccess();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test("should read the sample rate from ACCESS_SAMPLE_RATE", () => {
+    expect(accessSampleRate({})).toBe(0.1);
+    expect(accessSampleRate({ ACCESS_SAMPLE_RATE: "0.5" })).toBe(0.5);
+    expect(accessSampleRate({ ACCESS_SAMPLE_RATE: "2" })).toBe(1);
+    expect(accessSampleRate({ ACCESS_SAMPLE_RATE: "0" })).toBe(0);
+  });
+
+  test("should name each day by its UTC date", () => {
+    expect(accessDay(Date.UTC(2026, 9, 19, 23, 59))).toBe("2026-10-19");
+  });
+
+  test("should spread cache keys over the shards", () => {
+    const shards = new Set(Array.from({ length: 200 }, (_, i) => accessShard(`v1:isbn:isbn=${9780000000000 + i}`)));
+
+    expect(accessShard("v1:title:title=dune")).toBe(accessShard("v1:title:title=dune"));
+    expect(shards.size).toBe(16);
+  });
+
+  test("should count sampled reads weighted by the sample rate", async () => {
+    const env = { ACCESS_STATS_DO: createAccessStatsDO(), ACCESS_SAMPLE_RATE: "0.25" };
+    vi.spyOn(Math, "random").mockReturnValueOnce(0.1).mockReturnValueOnce(0.9);
+
+    await recordCacheAccess(env, "v1:title:title=dune"); // Sampled
+    await recordCacheAccess(env, "v1:title:title=dune"); // Not sampled
+    await flushCacheAccess(env);
+
+    expect(await accessCounts(env, 1)).toEqual({ "v1:title:title=dune": 4 });
+  });
+
+  test("should batch samples and send each shard one call per flush", async () => {
+    const env = { ACCESS_STATS_DO: createAccessStatsDO(), ACCESS_SAMPLE_RATE: "1" };
+    const keys = Array.from({ length: 99 }, (_, i) => `v1:title:title=book-${i % 33}`);
+
+    for (const key of keys) await recordCacheAccess(env, key);
+    expect(env.ACCESS_STATS_DO.get).not.toHaveBeenCalled();
+
+    await recordCacheAccess(env, "v1:title:title=book-0"); // 100th sample flushes
+    const shards = new Set(keys.map(accessShard));
+
+    expect(env.ACCESS_STATS_DO.get).toHaveBeenCalledTimes(shards.size);
+    expect((await accessCounts(env, 1))["v1:title:title=book-0"]).toBe(4);
+  });
+
+  test("should not fail reads when counting fails", async () => {
+    const env = {
+      ACCESS_SAMPLE_RATE: "1",
+      ACCESS_STATS_DO: {
+        idFromName: vi.fn(),
+        get: vi.fn(() => ({ record: vi.fn().mockRejectedValue(new Error("DO unavailable")) })),
+      },
+    };
+
+    await recordCacheAccess(env, "v1:title:title=dune");
+    await expect(flushCacheAccess(env)).resolves.toBeUndefined();
+    await expect(recordCacheAccess({}, "v1:title:title=dune")).resolves.toBeUndefined();
+  });
+
+  test("should count UnifiedCacheService lookups", async () => {
+    const env = { CACHE: createMockKV(), ACCESS_STATS_DO: createAccessStatsDO(), ACCESS_SAMPLE_RATE: "1" };
+    const ctx = { waitUntil: vi.fn() };
+
+    await new UnifiedCacheService(env, ctx).get("v1:title:title=dune", "title");
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+    await flushCacheAccess(env);
+
+    expect(await accessCounts(env, 1)).toEqual({ "v1:title:title=dune": 1 });
+  });
+
+  test("should ask only the shards of the keys asked for", async () => {
+    const env = { ACCESS_STATS_DO: createAccessStatsDO() };
+    await env.ACCESS_STATS_DO.get(`shard-${accessShard("v1:title:title=dune")}`).record(
+      { "v1:title:title=dune": 10 },
+      accessDay(Date.now()),
+    );
+    env.ACCESS_STATS_DO.get.mockClear();
+
+    expect(await accessCounts(env, 7, { keys: ["v1:title:title=dune", "v1:title:title=emma"] })).toEqual({
+      "v1:title:title=dune": 10,
+    });
+    expect(env.ACCESS_STATS_DO.get.mock.calls.length).toBeLessThanOrEqual(2);
+  });
+});
+
+describe("GET /admin/cache/access", () => {
+  let env;
+
+  beforeEach(async () => {
+    env = { CACHE: createMockKV(), HARVEST_SECRET: "s3cret", ACCESS_STATS_DO: createAccessStatsDO() };
+    const today = accessDay(Date.now());
+    for (const [key, count] of Object.entries({
+      "v1:isbn:isbn=9780441013593": 50,
+      "v1:title:title=dune": 10,
+      "v1:title:title=gone": 30,
+    })) {
+      await env.ACCESS_STATS_DO.get(`shard-${accessShard(key)}`).record({ [key]: count }, today);
+    }
+    for (const key of ["v1:isbn:isbn=9780441013593", "v1:title:title=dune", "v1:title:title=emma"]) {
+      await env.CACHE.put(key, "{}");
+    }
+    await env.CACHE.put("cache-tag:endpoint:v1%3Atitle:v1:title:title=emma", "");
+  });
+
+  function accessRequest(query = "", secret = "s3cret") {
+    return new Request(`https://api.example.com/admin/cache/access?${query}`, {
+      headers: secret ? { "X-Harvest-Secret": secret } : {},
+    });
+  }
+
+  test("should require the admin secret", async () => {
+    expect((await handleCacheAccessStats(accessRequest("", null), env)).status).toBe(401);
+  });
+
+  test("should list the hottest and coldest keys", async () => {
+    const response = await handleCacheAccessStats(accessRequest("limit=2"), env);
+    const { data } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.days).toBe(7);
+    expect(data.hottest).toEqual([
+      { key: "v1:isbn:isbn=9780441013593", count: 50 },
+      { key: "v1:title:title=gone", count: 30 },
+    ]);
+    expect(data.coldest).toEqual([
+      { key: "v1:title:title=emma", count: 0 }, // Cached but never read
+      { key: "v1:title:title=dune", count: 10 },
+    ]);
+  });
+
+  test("should scope both lists to a prefix", async () => {
+    const { data } = await (await handleCacheAccessStats(accessRequest("prefix=v1:isbn:"), env)).json();
+
+    expect(data.hottest.map(({ key }) => key)).toEqual(["v1:isbn:isbn=9780441013593"]);
+    expect(data.coldest.map(({ key }) => key)).toEqual(["v1:isbn:isbn=9780441013593"]);
+  });
+
+  test("should report when access stats are not configured", async () => {
+    delete env.ACCESS_STATS_DO;
+
+    expect((await handleCacheAccessStats(accessRequest(), env)).status).toBe(503);
+  });
+});
@@ -1,8 +1,9 @@
-import { describe, it, expect, vi } from 'vitest';
-import { queryAccessFrequency } from '../src/utils/analytics-queries.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { queryAccessFrequency, queryMissedSearches } from '../src/utils/analytics-queries.js';
+import { createMockFetchResponse } from './mocks/providers.js';
 
 describe('queryAccessFrequency', () => {
-  it('should return empty stats (Analytics Engine is write-only in Workers)', async () => {
+  it('should return empty stats without an ACCESS_STATS_DO binding', async () => {
     const mockEnv = {
       CACHE_ANALYTICS: {
         // Analytics Engine bindings are write-only in Workers
@@ -13,9 +14,57 @@ describe('queryAccessFrequency', () => {
 
     const stats = await queryAccessFrequency(mockEnv, 30);
 
-    // Function returns empty object because Analytics Engine is write-only
-    // TODO: Implement KV-based tracking or GraphQL API integration for queries
     expect(stats).toEqual({});
     expect(Object.keys(stats).length).toBe(0);
   });
+
+  it('should merge the counts of every shard', async () => {
+    const counts = vi.fn()
+      .mockResolvedValueOnce({ 'v1:isbn:isbn=9780441013593': 40 })
+      .mockResolvedValueOnce({ 'v1:title:title=dune': 10 })
+      .mockResolvedValue({});
+    const mockEnv = {
+      ACCESS_STATS_DO: {
+        idFromName: vi.fn((name) => name),
+        get: vi.fn(() => ({ counts }))
+      }
+    };
+
+    const stats = await queryAccessFrequency(mockEnv, 30, { minCount: 10 });
+
+    expect(stats).toEqual({ 'v1:isbn:isbn=9780441013593': 40, 'v1:title:title=dune': 10 });
+    expect(mockEnv.ACCESS_STATS_DO.idFromName).toHaveBeenCalledTimes(16);
+    expect(counts).toHaveBeenCalledWith(expect.objectContaining({ days: 30, minCount: 10 }));
+  });
+});
+
+describe('queryMissedSearches', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should count api_miss events by endpoint and query', async () => {
+    global.fetch = vi.fn().mockResolvedValue(createMockFetchResponse({
+      data: [
+        { endpoint: 'title', query: 'piranesi', miss_count: '9' },
+        { endpoint: 'author', query: '', miss_count: '3' }
+      ]
+    }));
+
+    const missed = await queryMissedSearches({ CF_ACCOUNT_ID: 'acct', CF_API_TOKEN: 'token' }, { days: 1, limit: 10 });
+
+    expect(missed).toEqual([{ endpoint: 'title', query: 'piranesi', missCount: 9 }]);
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toContain('/accounts/acct/analytics_engine/sql');
+    expect(init.body).toContain("index1 = 'api_miss'");
+    expect(init.body).toContain('LIMIT 10');
+  });
+
+  it('should return nothing when the query fails', async () => {
+    global.fetch = vi.fn().mockResolvedValue(createMockFetchResponse({}, 500));
+
+    expect(await queryMissedSearches({ CF_ACCOUNT_ID: 'acct', CF_API_TOKEN: 'token' })).toEqual([]);
+  });
 });
@@ -1,5 +1,11 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { selectArchivalCandidates, archiveCandidates } from '../src/workers/archival-worker.js';
+import { handleScheduledArchival } from '../src/handlers/scheduled-archival.js';
+import { handleArchivalReport } from '../src/handlers/cache-admin.js';
+import { tagDigest } from '../src/services/cache-tags.js';
+import { createMockKV, createMockR2Bucket } from './setup.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 describe('selectArchivalCandidates', () => {
   let env;
@@ -9,11 +15,12 @@ describe('selectArchivalCandidates', () => {
       CACHE: {
         list: vi.fn().mockResolvedValue({
           keys: [
-            { name: 'search:title:q=old-book' },
-            { name: 'search:title:q=popular-book' }
-          ]
-        }),
-        getWithMetadata: vi.fn()
+            { name: 'search:title:q=old-book', metadata: { cachedAt: Date.now() - 31 * DAY_MS } },
+            { name: 'search:title:q=popular-book', metadata: { cachedAt: Date.now() - 31 * DAY_MS } },
+            { name: 'search:title:q=new-book', metadata: { cachedAt: Date.now() } }
+          ],
+          list_complete: true
+        })
       }
     };
   });
@@ -24,54 +31,58 @@ describe('selectArchivalCandidates', () => {
       'search:title:q=popular-book': 100
     };
 
-    const now = Date.now();
-    const thirtyOneDaysAgo = now - (31 * 24 * 60 * 60 * 1000);
-
-    env.CACHE.getWithMetadata.mockImplementation(async (key) => {
-      if (key === 'search:title:q=old-book') {
-        return {
-          value: JSON.stringify({ items: [] }),
-          metadata: { cachedAt: thirtyOneDaysAgo }
-        };
-      } else {
-        return {
-          value: JSON.stringify({ items: [] }),
-          metadata: { cachedAt: now }
-        };
-      }
-    });
-
-    const candidates = await selectArchivalCandidates(env, accessStats);
+    const { candidates, scanned, skipped } = await selectArchivalCandidates(env, accessStats);
 
     expect(candidates).toHaveLength(1);
     expect(candidates[0].key).toBe('search:title:q=old-book');
+    expect(scanned).toBe(3);
+    expect(skipped).toBe(2);
   });
 
-  it('should NOT archive entries that are frequently accessed', async () => {
-    const accessStats = {
-      'search:title:q=popular-book': 100
-    };
+  it('should use list metadata instead of reading every key', async () => {
+    env.CACHE.get = vi.fn();
+    env.CACHE.getWithMetadata = vi.fn();
+
+    await selectArchivalCandidates(env, {});
 
-    // Mock: Only return the popular book in the list
+    expect(env.CACHE.get).not.toHaveBeenCalled();
+    expect(env.CACHE.getWithMetadata).not.toHaveBeenCalled();
+  });
+
+  it('should skip internal keys and entries without a cachedAt', async () => {
     env.CACHE.list.mockResolvedValue({
       keys: [
-        { name: 'search:title:q=popular-book' }
-      ]
+        { name: 'cold-index:search:title:q=old-book', metadata: { cachedAt: 0 } },
+        { name: 'cache-tag:isbn:9780441013593:v1:isbn:isbn=9780441013593' },
+        { name: 'config:archival:run' },
+        { name: 'search:title:q=legacy-entry' }
+      ],
+      list_complete: true
     });
 
-    env.CACHE.getWithMetadata.mockResolvedValue({
-      value: JSON.stringify({ items: [] }),
-      metadata: { cachedAt: Date.now() - (40 * 24 * 60 * 60 * 1000) } // 40 days old
-    });
+    const { candidates, scanned } = await selectArchivalCandidates(env, {});
+
+    expect(candidates).toHaveLength(0);
+    expect(scanned).toBe(1);
+  });
+
+  it('should walk KV one page at a time with the list cursor', async () => {
+    env.CACHE.list.mockResolvedValue({ keys: [], list_complete: false, cursor: 'page-2' });
 
-    const candidates = await selectArchivalCandidates(env, accessStats);
+    const first = await selectArchivalCandidates(env, {});
+    expect(env.CACHE.list).toHaveBeenLastCalledWith({});
+    expect(first.cursor).toBe('page-2');
 
-    expect(candidates).toHaveLength(0); // Excluded because accessCount > 10
+    env.CACHE.list.mockResolvedValue({ keys: [], list_complete: true });
+    const last = await selectArchivalCandidates(env, {}, 'page-2');
+    expect(env.CACHE.list).toHaveBeenLastCalledWith({ cursor: 'page-2' });
+    expect(last.cursor).toBeNull();
   });
 });
 
 describe('archiveCandidates', () => {
   let env;
+  const value = JSON.stringify({ data: { items: [] }, cachedAt: 0, ttl: 600 });
 
   beforeEach(() => {
     env = {
@@ -79,27 +90,23 @@ describe('archiveCandidates', () => {
         put: vi.fn().mockResolvedValue(undefined)
       },
       CACHE: {
+        get: vi.fn().mockResolvedValue(value),
         put: vi.fn().mockResolvedValue(undefined),
         delete: vi.fn().mockResolvedValue(undefined)
       }
     };
   });
 
-  it('should archive candidates to R2 and create index', async () => {
-    const candidates = [
-      {
-        key: 'search:title:q=old-book',
-        data: JSON.stringify({ items: [] }),
-        age: 40 * 24 * 60 * 60 * 1000,
-        accessCount: 3
-      }
-    ];
+  function candidate(key) {
+    return { key, age: 40 * DAY_MS, accessCount: 3 };
+  }
 
-    await archiveCandidates(candidates, env);
+  it('should archive candidates to R2 and create index', async () => {
+    const result = await archiveCandidates([candidate('search:title:q=old-book')], env);
 
     expect(env.LIBRARY_DATA.put).toHaveBeenCalledWith(
       expect.stringContaining('cold-cache/'),
-      expect.any(String),
+      value,
       expect.objectContaining({
         customMetadata: expect.objectContaining({
           originalKey: 'search:title:q=old-book'
@@ -109,9 +116,148 @@ describe('archiveCandidates', () => {
 
     expect(env.CACHE.put).toHaveBeenCalledWith(
       'cold-index:search:title:q=old-book',
-      expect.any(String)
+      expect.any(String),
+      expect.any(Object)
     );
 
     expect(env.CACHE.delete).toHaveBeenCalledWith('search:title:q=old-book');
+    const coldIndex = JSON.parse(env.CACHE.put.mock.calls.find(([key]) => key.startsWith('cold-index:'))[1]);
+    expect(coldIndex.bytes).toBe(value.length);
+    expect(result).toEqual({ archived: 1, skipped: 0, errors: 0, bytesMoved: value.length, errorSamples: [] });
+  });
+
+  it('should count failures and entries that disappeared without failing the batch', async () => {
+    env.CACHE.get.mockImplementation(async (key) => (key === 'search:title:q=expired' ? null : value));
+    env.LIBRARY_DATA.put.mockImplementation(async (path) => {
+      if (path.includes('broken')) throw new Error('R2 unavailable');
+    });
+
+    const result = await archiveCandidates(
+      [candidate('search:title:q=ok'), candidate('search:title:q=expired'), candidate('search:title:q=broken')],
+      env
+    );
+
+    expect(result.archived).toBe(1);
+    expect(result.skipped).toBe(1);
+    expect(result.errors).toBe(1);
+    expect(result.errorSamples).toEqual([{ key: 'search:title:q=broken', error: 'R2 unavailable' }]);
+    expect(env.CACHE.delete).not.toHaveBeenCalledWith('search:title:q=broken');
+  });
+
+  it('should keep cache tags with archived entries so they stay purgeable', async () => {
+    env.CACHE.get.mockResolvedValue(
+      JSON.stringify({ data: {}, cachedAt: 0, ttl: 600, tags: ['isbn:9780441013593'] })
+    );
+
+    await archiveCandidates([candidate('v1:isbn:isbn=9780441013593')], env);
+
+    const coldIndex = JSON.parse(env.CACHE.put.mock.calls.find(([key]) => key.startsWith('cold-index:'))[1]);
+    expect(coldIndex.tags).toEqual(['isbn:9780441013593']);
+    expect(env.CACHE.put).toHaveBeenCalledWith(
+      'cold-index:v1:isbn:isbn=9780441013593',
+      expect.any(String),
+      { metadata: { tags: tagDigest('isbn:9780441013593') } }
+    );
+  });
+});
+
+describe('handleScheduledArchival', () => {
+  let env;
+  const old = { cachedAt: Date.now() - 40 * DAY_MS };
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV(), LIBRARY_DATA: createMockR2Bucket() };
+  });
+
+  /**
+   * Serve the KV keys in pages of two, like KV list() does with 1000
+   */
+  function pageKeys(names, pageSize = 2) {
+    env.CACHE.list.mockImplementation(async ({ cursor } = {}) => {
+      const start = cursor ? Number(cursor) : 0;
+      const end = Math.min(start + pageSize, names.length);
+      return {
+        keys: names.slice(start, end).map((name) => ({ name, metadata: old })),
+        list_complete: end === names.length,
+        cursor: end === names.length ? undefined : String(end)
+      };
+    });
+  }
+
+  async function seed(names, pageSize) {
+    for (const name of names) {
+      await env.CACHE.put(name, JSON.stringify({ data: { name }, cachedAt: old.cachedAt, ttl: 600 }));
+    }
+    pageKeys(names, pageSize);
+  }
+
+  it('should walk every page and save a run report', async () => {
+    await seed(['v1:title:title=a', 'v1:title:title=b', 'v1:title:title=c']);
+
+    await handleScheduledArchival(env, {});
+
+    const { data } = await (await handleArchivalReport(
+      new Request('https://api.example.com/admin/cache/archival', { headers: { 'X-Harvest-Secret': 's3cret' } }),
+      { ...env, HARVEST_SECRET: 's3cret' }
+    )).json();
+    expect(data.inProgress).toBeNull();
+    expect(data.lastRun).toMatchObject({ scanned: 3, archived: 3, skipped: 0, errors: 0, invocations: 1 });
+    expect(data.lastRun.bytesMoved).toBeGreaterThan(0);
+    expect(await env.CACHE.get('cold-index:v1:title:title=c')).toBeDefined();
+  });
+
+  it('should checkpoint mid-page when the operation budget runs out and resume there', async () => {
+    const names = Array.from({ length: 300 }, (_, i) => `v1:title:title=book-${String(i).padStart(3, '0')}`);
+    await seed(names, 1000);
+
+    await handleScheduledArchival(env, {});
+
+    const checkpoint = JSON.parse(await env.CACHE.get('config:archival:run'));
+    expect(checkpoint.archived).toBeGreaterThan(200);
+    expect(checkpoint.archived).toBeLessThanOrEqual(250);
+    expect(checkpoint).toMatchObject({ cursor: null, after: names[checkpoint.archived - 1], errors: 0 });
+    expect(checkpoint.scanned).toBe(checkpoint.archived);
+
+    await handleScheduledArchival(env, {});
+
+    expect(await env.CACHE.get('config:archival:run')).toBeUndefined();
+    expect(JSON.parse(await env.CACHE.get('config:archival:last-report'))).toMatchObject({
+      scanned: 300,
+      archived: 300,
+      skipped: 0,
+      invocations: 2
+    });
+  });
+
+  it('should walk several pages in one invocation', async () => {
+    const names = Array.from({ length: 25 }, (_, i) => `v1:title:title=book-${String(i).padStart(2, '0')}`);
+    await seed(names);
+
+    await handleScheduledArchival(env, {}); // 13 pages of 2 keys
+
+    expect(JSON.parse(await env.CACHE.get('config:archival:last-report'))).toMatchObject({
+      scanned: 25,
+      archived: 25,
+      invocations: 1
+    });
+  });
+
+  it('should run once per day', async () => {
+    await seed(['v1:title:title=a']);
+    await handleScheduledArchival(env, {});
+    env.CACHE.list.mockClear();
+
+    await handleScheduledArchival(env, {});
+
+    expect(env.CACHE.list).not.toHaveBeenCalled();
+  });
+
+  it('should require the admin secret for the report', async () => {
+    const response = await handleArchivalReport(
+      new Request('https://api.example.com/admin/cache/archival'),
+      { ...env, HARVEST_SECRET: 's3cret' }
+    );
+
+    expect(response.status).toBe(401);
   });
 });
@@ -229,6 +229,35 @@ describe("processAuthorBatch", () => {
 
     expect(batch.messages[0].ack).toHaveBeenCalled();
   });
+
+  it("should cap titles warmed and re-warm processed authors when asked", async () => {
+    const { searchByTitle } = await import("../src/handlers/book-search.js");
+    env.CACHE.get.mockResolvedValue(
+      JSON.stringify({ lastWarmed: Date.now() - 30 * 24 * 60 * 60 * 1000, depth: 0 }),
+    );
+    batch.messages[0].body = { ...batch.messages[0].body, maxTitles: 1, refresh: true };
+
+    await processAuthorBatch(batch, env, ctx);
+
+    expect(searchByTitle).toHaveBeenCalledTimes(1);
+    expect(searchByTitle).toHaveBeenCalledWith("American Gods", { maxResults: 20 }, env, ctx);
+    expect(batch.messages[0].ack).toHaveBeenCalled();
+  });
+
+  it("should warm a single title search for title messages", async () => {
+    const { searchByAuthor } = await import("../src/handlers/author-search.js");
+    const { searchByTitle } = await import("../src/handlers/book-search.js");
+    batch.messages[0].body = { title: "Piranesi", depth: 0, source: "missed-search", jobId: "job-2" };
+
+    await processAuthorBatch(batch, env, ctx);
+
+    expect(searchByAuthor).not.toHaveBeenCalled();
+    expect(searchByTitle).toHaveBeenCalledWith("Piranesi", { maxResults: 20 }, env, ctx);
+    expect(env.CACHE_ANALYTICS.writeDataPoint).toHaveBeenCalledWith(
+      expect.objectContaining({ blobs: ["warming", "Piranesi", "missed-search"] }),
+    );
+    expect(batch.messages[0].ack).toHaveBeenCalled();
+  });
 });
 
 // Note: This implementation now uses searchByAuthor and searchByTitle handlers
@@ -53,6 +53,17 @@ describe("CacheKeyFactory", () => {
       expect(key).toContain(expectedParams);
     });
 
+    test("should accept non-Latin1 author names", () => {
+      const key = CacheKeyFactory.authorSearch({ query: "村上春樹" });
+      expect(key).toMatch(/^auto-search:[A-Za-z0-9_-]+:/);
+    });
+
+    test("should produce the same key for accented and unaccented names", () => {
+      const key1 = CacheKeyFactory.authorSearch({ query: "José Saramago" });
+      const key2 = CacheKeyFactory.authorSearch({ query: "jose saramago" });
+      expect(key1).toBe(key2);
+    });
+
     test("should include showAllEditions parameter", () => {
       const key = CacheKeyFactory.authorSearch({
         query: "tolkien",
@@ -94,6 +105,21 @@ describe("CacheKeyFactory", () => {
     });
   });
 
+  describe("isbnLookup()", () => {
+    test("should use v1:isbn prefix with normalized ISBN", () => {
+      expect(CacheKeyFactory.isbnLookup("978-0-7432-7356-5")).toBe("v1:isbn:isbn=9780743273565");
+    });
+
+    test("should share one key between ISBN-10 and ISBN-13 forms", () => {
+      expect(CacheKeyFactory.isbnLookup("0-8044-2957-x")).toBe("v1:isbn:isbn=9780804429573");
+      expect(CacheKeyFactory.isbnLookup("978-0-8044-2957-3")).toBe("v1:isbn:isbn=9780804429573");
+    });
+
+    test("should keep invalid ISBNs cleaned but unconverted", () => {
+      expect(CacheKeyFactory.isbnLookup("123-456-789-0")).toBe("v1:isbn:isbn=1234567890");
+    });
+  });
+
   describe("bookISBN()", () => {
     test("should generate cache key for ISBN-13", () => {
       const key = CacheKeyFactory.bookISBN("978-0-7432-7356-5");
@@ -152,6 +178,99 @@ describe("CacheKeyFactory", () => {
     });
   });
 
+  describe("advancedSearch()", () => {
+    test("should normalize title and author", () => {
+      const key = CacheKeyFactory.advancedSearch({
+        title: "The Hobbit",
+        author: "J.R.R. Tolkien",
+      });
+      expect(key).toBe("v1:advanced:author=j.r.r. tolkien&title=hobbit");
+    });
+
+    test("should keep distinct keys for different non-Latin titles", () => {
+      const key1 = CacheKeyFactory.advancedSearch({ title: "ノルウェイの森" });
+      const key2 = CacheKeyFactory.advancedSearch({ title: "海辺のカフカ" });
+      const key3 = CacheKeyFactory.advancedSearch({ title: "Война и мир" });
+
+      expect(key1).not.toBe(key2);
+      expect(key1).not.toBe(key3);
+      expect(key1).not.toBe("v1:advanced:author=&title=");
+    });
+
+    test("should fold diacritics so accented and plain queries share a key", () => {
+      const key1 = CacheKeyFactory.advancedSearch({ title: "Cien años de soledad", author: "Gabriel García Márquez" });
+      const key2 = CacheKeyFactory.advancedSearch({ title: "cien anos de soledad", author: "gabriel garcia marquez" });
+
+      expect(key1).toBe(key2);
+    });
+
+    test("should include filters in the key", () => {
+      const key = CacheKeyFactory.advancedSearch({
+        title: "Dune",
+        filters: { language: "en", genre: "Science Fiction", yearFrom: 1960 },
+      });
+      expect(key).toBe(
+        "v1:advanced:author=&filter.genre=science%20fiction&filter.language=en&filter.yearFrom=1960&title=dune",
+      );
+    });
+
+    test("should strip the leading article of the language filter", () => {
+      const key = CacheKeyFactory.advancedSearch({ title: "Les Misérables", filters: { language: "fr" } });
+
+      expect(key).toBe("v1:advanced:author=&filter.language=fr&title=miserables");
+    });
+
+    test("should keep the unfiltered key unchanged when no filters are set", () => {
+      const key1 = CacheKeyFactory.advancedSearch({ title: "Dune" });
+      const key2 = CacheKeyFactory.advancedSearch({ title: "Dune", filters: {} });
+
+      expect(key1).toBe("v1:advanced:author=&title=dune");
+      expect(key2).toBe(key1);
+    });
+  });
+
+  describe("editionsSearch()", () => {
+    test("should use v1:editions prefix with normalized params", () => {
+      const key = CacheKeyFactory.editionsSearch({ title: "The Martian", author: "Andy Weir" });
+      expect(key).toBe("v1:editions:author=andy weir&title=martian");
+    });
+  });
+
+  describe("searchPage()", () => {
+    const baseKey = "v1:advanced:author=&title=dune";
+
+    test("should keep the base key for the first page", () => {
+      expect(CacheKeyFactory.searchPage(baseKey, null)).toBe(baseKey);
+    });
+
+    test("should include provider offsets for later pages", () => {
+      const key = CacheKeyFactory.searchPage(baseKey, { offsets: { "google-books": 20 } });
+      expect(key).toBe(`${baseKey}:page:offset.google-books=20`);
+    });
+
+    test("should include position and page size when given", () => {
+      const key = CacheKeyFactory.searchPage(baseKey, { offsets: {}, position: 40 }, 20);
+      expect(key).toBe(`${baseKey}:page:limit=20&position=40`);
+    });
+  });
+
+  describe("legacyKeys()", () => {
+    test("should return pre-Unicode key for accented Latin titles", () => {
+      const keys = CacheKeyFactory.legacyKeys("v1:advanced", { title: "Les Misérables", author: "Victor Hugo" });
+      expect(keys).toEqual(["v1:advanced:author=victor hugo&title=les misrables"]);
+    });
+
+    test("should return no legacy key when format is unchanged", () => {
+      const keys = CacheKeyFactory.legacyKeys("v1:advanced", { title: "The Hobbit", author: "Tolkien" });
+      expect(keys).toEqual([]);
+    });
+
+    test("should not migrate non-Latin titles that collapsed under the old normalizer", () => {
+      expect(CacheKeyFactory.legacyKeys("v1:advanced", { title: "ノルウェイの森" })).toEqual([]);
+      expect(CacheKeyFactory.legacyKeys("v1:editions", { title: "Война и мир", author: "Толстой" })).toEqual([]);
+    });
+  });
+
   describe("coverImage()", () => {
     test("should generate cache key for cover image", () => {
       const key = CacheKeyFactory.coverImage("978-0-7432-7356-5");
@@ -166,6 +285,16 @@ describe("CacheKeyFactory", () => {
     });
   });
 
+  describe("suggestBucket()", () => {
+    test("should use suggest prefix", () => {
+      expect(CacheKeyFactory.suggestBucket("ho")).toBe("suggest:prefix=ho");
+    });
+
+    test("should encode non-ASCII prefixes", () => {
+      expect(CacheKeyFactory.suggestBucket("ノル")).toBe(`suggest:prefix=${encodeURIComponent("ノル")}`);
+    });
+  });
+
   describe("generic()", () => {
     test("should generate cache key with sorted parameters", () => {
       const key = CacheKeyFactory.generic("custom:prefix", {
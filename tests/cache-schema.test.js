@@ -0,0 +1,155 @@
+/**
+ * Cache Schema Tests
+ *
+ * Tests schema version stamping and lazy migration of cached payloads
+ * (src/services/cache-schema.js) in KV, the edge cache and R2 rehydration
+ */
+
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import {
+  CACHE_SCHEMA_VERSION,
+  registerCacheUpgrade,
+  upgradeCachedData,
+} from "../src/services/cache-schema.js";
+import { getCached, setCached } from "../src/utils/cache.js";
+import { KVCacheService } from "../src/services/kv-cache.js";
+import { EdgeCacheService } from "../src/services/edge-cache.js";
+import { UnifiedCacheService } from "../src/services/unified-cache.js";
+import { createMockKV } from "./setup.js";
+
+// Versions far above CACHE_SCHEMA_VERSION so they never collide with real upgrades
+registerCacheUpgrade(100, (data) => ({ ...data, isbns: [data.isbn] }));
+registerCacheUpgrade(101, (data) => ({ ...data, upgradedTwice: true }));
+
+describe("upgradeCachedData", () => {
+  test("should return current payloads unchanged", () => {
+    expect(upgradeCachedData({ a: 1 }, CACHE_SCHEMA_VERSION)).toEqual({ data: { a: 1 }, migrated: false });
+  });
+
+  test("should treat unversioned payloads as version 0", () => {
+    expect(upgradeCachedData({ a: 1 })).toEqual({ data: { a: 1 }, migrated: true });
+  });
+
+  test("should run registered upgrades in order", () => {
+    expect(upgradeCachedData({ isbn: "1" }, 100, 102)).toEqual({
+      data: { isbn: "1", isbns: ["1"], upgradedTwice: true },
+      migrated: true,
+    });
+  });
+
+  test("should miss when an upgrade is missing, fails, or the version is newer", () => {
+    registerCacheUpgrade(200, () => {
+      throw new Error("bad data");
+    });
+
+    expect(upgradeCachedData({}, 101, 103)).toBeNull();
+    expect(upgradeCachedData({}, 200, 201)).toBeNull();
+    expect(upgradeCachedData({}, CACHE_SCHEMA_VERSION + 1)).toBeNull();
+  });
+});
+
+describe("versioned KV entries", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV() };
+  });
+
+  test("should stamp entries with the current schema version", async () => {
+    await setCached("v1:isbn:isbn=9780441013593", { title: "Dune" }, 600, env);
+
+    expect(JSON.parse(await env.CACHE.get("v1:isbn:isbn=9780441013593")).schemaVersion).toBe(CACHE_SCHEMA_VERSION);
+  });
+
+  test("should miss entries from a schema that can't be upgraded", async () => {
+    await env.CACHE.put(
+      "v1:isbn:isbn=9780441013593",
+      JSON.stringify({ data: { title: "Dune" }, cachedAt: Date.now(), ttl: 600, schemaVersion: CACHE_SCHEMA_VERSION + 1 }),
+    );
+
+    expect(await getCached("v1:isbn:isbn=9780441013593", env)).toBeNull();
+  });
+
+  test("should write upgraded entries back for the rest of their TTL", async () => {
+    const cachedAt = Date.now() - 100 * 1000;
+    await env.CACHE.put(
+      "v1:isbn:isbn=9780441013593",
+      JSON.stringify({ data: { title: "Dune" }, cachedAt, ttl: 600 }), // Before versioning
+    );
+
+    const result = await new KVCacheService(env).get("v1:isbn:isbn=9780441013593", "isbn");
+
+    expect(result.data).toEqual({ title: "Dune" });
+    const rewritten = JSON.parse(await env.CACHE.get("v1:isbn:isbn=9780441013593"));
+    expect(rewritten.schemaVersion).toBe(CACHE_SCHEMA_VERSION);
+    expect(rewritten.ttl).toBeGreaterThanOrEqual(499);
+    expect(rewritten.ttl).toBeLessThanOrEqual(500);
+  });
+
+  test("should not rewrite current entries", async () => {
+    await setCached("v1:isbn:isbn=9780441013593", { title: "Dune" }, 600, env);
+    env.CACHE.put.mockClear();
+
+    await new KVCacheService(env).get("v1:isbn:isbn=9780441013593", "isbn");
+
+    expect(env.CACHE.put).not.toHaveBeenCalled();
+  });
+});
+
+describe("versioned edge entries", () => {
+  test("should stamp edge entries and miss incompatible ones", async () => {
+    const edgeCache = new EdgeCacheService();
+    const cacheKey = "v1:isbn:isbn=schema-edge-test";
+    await edgeCache.set(cacheKey, { title: "Dune" }, 60);
+
+    const request = new Request(`https://cache.internal/${cacheKey}`);
+    expect((await caches.default.match(request)).headers.get("X-Cache-Schema")).toBe(String(CACHE_SCHEMA_VERSION));
+
+    await caches.default.put(
+      request,
+      new Response(JSON.stringify({ title: "Dune" }), {
+        headers: { "X-Cache-Schema": String(CACHE_SCHEMA_VERSION + 1) },
+      }),
+    );
+    expect(await edgeCache.get(cacheKey)).toBeNull();
+  });
+});
+
+describe("versioned R2 rehydration", () => {
+  let env, cache;
+  const coldIndex = { r2Path: "cold-cache/2026/01/v1:isbn:isbn=9780441013593.json" };
+
+  beforeEach(() => {
+    env = {
+      CACHE: { delete: vi.fn() },
+      LIBRARY_DATA: { get: vi.fn(), delete: vi.fn() },
+    };
+    cache = new UnifiedCacheService(env, { waitUntil: vi.fn() });
+    cache.kvCache.set = vi.fn();
+    cache.edgeCache.set = vi.fn();
+  });
+
+  function archive(entry) {
+    env.LIBRARY_DATA.get.mockResolvedValue({ json: async () => entry });
+  }
+
+  test("should restore the payload, not the archived KV envelope", async () => {
+    archive({ data: { title: "Dune" }, cachedAt: 1, ttl: 600, schemaVersion: CACHE_SCHEMA_VERSION });
+
+    await cache.rehydrateFromR2("v1:isbn:isbn=9780441013593", coldIndex, "isbn");
+
+    expect(cache.kvCache.set).toHaveBeenCalledWith("v1:isbn:isbn=9780441013593", { title: "Dune" }, "isbn", {
+      ttl: 7 * 24 * 60 * 60,
+    });
+  });
+
+  test("should drop archived entries that can't be upgraded", async () => {
+    archive({ data: { title: "Dune" }, cachedAt: 1, ttl: 600, schemaVersion: CACHE_SCHEMA_VERSION + 1 });
+
+    await cache.rehydrateFromR2("v1:isbn:isbn=9780441013593", coldIndex, "isbn");
+
+    expect(cache.kvCache.set).not.toHaveBeenCalled();
+    expect(env.LIBRARY_DATA.delete).toHaveBeenCalledWith(coldIndex.r2Path);
+    expect(env.CACHE.delete).toHaveBeenCalledWith("cold-index:v1:isbn:isbn=9780441013593");
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Cache Tag Tests
+ *
+ * Tests tagging of cache entries (src/services/cache-tags.js) and targeted
+ * purge via POST /admin/cache/purge (src/handlers/cache-admin.js)
+ */
+
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import {
+  cacheTag,
+  parseCacheTag,
+  endpointOf,
+  tagsFor,
+  keysForTags,
+  tagDigest,
+  tagMetadata,
+  keysForPrefix,
+  purgeCacheKeys,
+} from "../src/services/cache-tags.js";
+import { handleCachePurge } from "../src/handlers/cache-admin.js";
+import { setCached } from "../src/utils/cache.js";
+import { EdgeCacheService } from "../src/services/edge-cache.js";
+import { CacheKeyFactory } from "../src/services/cache-key-factory.js";
+import { createMockKV, createMockR2Bucket } from "./setup.js";
+
+const ISBN_KEY = CacheKeyFactory.isbnLookup("9780441013593");
+const DUNE = {
+  work: { title: "Dune", openLibraryWorkID: "OL893415W" },
+  edition: { isbn: "9780441013593", isbns: ["9780441013593", "0441013597"] },
+  authors: [{ name: "Frank Herbert" }],
+};
+
+describe("cache tags", () => {
+  test("should normalize tag values", () => {
+    expect(cacheTag("isbn", "0-441-01359-7")).toBe("isbn:9780441013593");
+    expect(cacheTag("author", "  Frank   HERBERT ")).toBe("author:frank herbert");
+    expect(cacheTag("publisher", "Ace")).toBeNull();
+    expect(cacheTag("isbn", "")).toBeNull();
+  });
+
+  test("should parse admin tags", () => {
+    expect(parseCacheTag("isbn:0441013597")).toBe("isbn:9780441013593");
+    expect(parseCacheTag("endpoint:v1:editions")).toBe("endpoint:v1:editions");
+    expect(parseCacheTag("9780441013593")).toBeNull();
+  });
+
+  test("should derive the endpoint from a cache key", () => {
+    expect(endpointOf(ISBN_KEY)).toBe("v1:isbn");
+    expect(endpointOf("v1:editions:author=x&title=y:page:position=20")).toBe("v1:editions");
+    expect(endpointOf("search:title:maxresults=20&title=dune")).toBe("search:title");
+    expect(endpointOf("cover:9780441013593")).toBe("cover");
+  });
+
+  test("should tag single books", () => {
+    expect(tagsFor(ISBN_KEY, DUNE)).toEqual([
+      "endpoint:v1:isbn",
+      "isbn:9780441013593",
+      "author:frank herbert",
+      "work:OL893415W",
+    ]);
+  });
+
+  test("should tag canonical responses inside the legacy envelope", () => {
+    const tags = tagsFor("v1:editions:author=frank herbert&title=dune", {
+      success: true,
+      data: { works: [], editions: [{ isbns: ["9780441013593"] }, { isbns: ["9780593099322"] }], authors: [] },
+    });
+
+    expect(tags).toEqual(["endpoint:v1:editions", "isbn:9780441013593", "isbn:9780593099322"]);
+  });
+
+  test("should tag Google Books style results", () => {
+    const tags = tagsFor(CacheKeyFactory.bookTitle("Dune"), {
+      items: [
+        {
+          volumeInfo: {
+            industryIdentifiers: [
+              { type: "ISBN_10", identifier: "0441013597" },
+              { type: "OTHER", identifier: "UOM:39015" },
+            ],
+            authors: ["Frank Herbert"],
+          },
+        },
+      ],
+    });
+
+    expect(tags).toEqual(["endpoint:search:title", "isbn:9780441013593", "author:frank herbert"]);
+  });
+
+  test("should add caller tags", () => {
+    expect(tagsFor("v1:x:a=b", {}, ["work:OL1W"])).toEqual(["endpoint:v1:x", "work:OL1W"]);
+  });
+
+  test("should keep ISBN and author tags ahead of works when metadata runs out of room", () => {
+    const works = Array.from({ length: 60 }, (_, i) => ({ openLibraryWorkID: `OL${i}W` }));
+    const tags = tagsFor("v1:search:q=dune", { works, editions: [{ isbn: "9780441013593" }], authors: ["Frank Herbert"] });
+
+    expect(tags).toHaveLength(63);
+    expect(tags.slice(0, 3)).toEqual(["endpoint:v1:search", "isbn:9780441013593", "author:frank herbert"]);
+    expect(tagMetadata(tags)).toEqual({ tags: tags.slice(0, 50).map(tagDigest).join(","), tagsTruncated: true });
+    expect(tagMetadata(tags.slice(0, 3))).toEqual({ tags: tags.slice(0, 3).map(tagDigest).join(",") });
+  });
+});
+
+describe("tagged cache writes", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV() };
+  });
+
+  test("should store tag digests in the entry's metadata with a single write", async () => {
+    await setCached(ISBN_KEY, DUNE, 600, env);
+
+    expect(JSON.parse(await env.CACHE.get(ISBN_KEY)).tags).toContain("isbn:9780441013593");
+    expect(env.CACHE.put).toHaveBeenCalledTimes(1);
+    expect(env.CACHE.put.mock.calls[0][2].metadata.tags.split(",")).toContain(tagDigest("author:frank herbert"));
+    expect(await keysForTags(["isbn:9780441013593"], env)).toEqual({ keys: [ISBN_KEY], cursor: null, truncated: 0 });
+    expect((await keysForTags(["isbn:9780593099322"], env)).keys).toEqual([]);
+  });
+
+  test("should find archived entries and entries indexed by earlier versions", async () => {
+    await env.CACHE.put(`cold-index:${ISBN_KEY}`, "{}", { metadata: { tags: tagDigest("work:OL893415W") } });
+    await env.CACHE.put("cache-tag:work:OL893415W:v1:title:title=dune", "");
+
+    expect((await keysForTags(["work:OL893415W"], env)).keys.sort()).toEqual([ISBN_KEY, "v1:title:title=dune"].sort());
+  });
+
+  test("should walk the namespace from a cursor", async () => {
+    const pages = {
+      start: { keys: [{ name: "a", metadata: { tags: tagDigest("work:OL1W") } }], list_complete: false, cursor: "page-2" },
+      "page-2": { keys: [{ name: "b", metadata: { tags: tagDigest("work:OL1W") } }], list_complete: true },
+    };
+    env.CACHE = { list: async ({ prefix, cursor }) => (prefix ? { keys: [], list_complete: true } : pages[cursor || "start"]) };
+
+    expect(await keysForTags(["work:OL1W"], env)).toEqual({ keys: ["a", "b"], cursor: null, truncated: 0 });
+    expect(await keysForTags(["work:OL1W"], env, "page-2")).toEqual({ keys: ["b"], cursor: null, truncated: 0 });
+  });
+
+  test("should match entries with truncated tags against their full tag list", async () => {
+    const works = Array.from({ length: 60 }, (_, i) => ({ openLibraryWorkID: `OL${i}W` }));
+    await setCached("v1:search:q=dune", { works }, 600, env);
+
+    expect((await keysForTags(["work:OL59W"], env)).keys).toEqual(["v1:search:q=dune"]);
+    expect((await keysForTags(["work:OL60W"], env)).keys).toEqual([]);
+  });
+
+  test("should count entries with truncated tags it had no reads left for", async () => {
+    const keys = Array.from({ length: 101 }, (_, i) => ({ name: `v1:search:q=${i}`, metadata: { tags: "", tagsTruncated: true } }));
+    env.CACHE = {
+      list: async ({ prefix }) => (prefix ? { keys: [], list_complete: true } : { keys, list_complete: true }),
+      get: vi.fn(async () => ({ tags: ["work:OL1W"] })),
+    };
+
+    expect(await keysForTags(["work:OL1W"], env)).toMatchObject({ cursor: null, truncated: 1 });
+    expect(env.CACHE.get).toHaveBeenCalledTimes(100);
+  });
+
+  test("should send tags to the edge cache", async () => {
+    const cacheKey = "v1:isbn:isbn=tagged-edge-test";
+    await new EdgeCacheService().set(cacheKey, DUNE, 60);
+
+    const response = await caches.default.match(new Request(`https://cache.internal/${cacheKey}`));
+    expect(response.headers.get("Cache-Tag")).toContain("author%3Afrank%20herbert");
+  });
+
+  test("should find warm and archived entries by prefix", async () => {
+    await setCached("v1:editions:author=frank herbert&title=dune", {}, 600, env);
+    await env.CACHE.put("cold-index:v1:editions:author=frank herbert&title=dune messiah", "{}");
+    await setCached("v1:title:title=dune", {}, 600, env);
+
+    expect(await keysForPrefix("v1:editions:author=frank herbert", env)).toEqual([
+      "v1:editions:author=frank herbert&title=dune",
+      "v1:editions:author=frank herbert&title=dune messiah",
+    ]);
+  });
+});
+
+describe("purgeCacheKeys", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV(), LIBRARY_DATA: createMockR2Bucket() };
+  });
+
+  test("should remove an entry from edge, KV, the negative cache and the cold tier", async () => {
+    const r2Path = "cold-cache/2026/01/v1:isbn:isbn=9780441013593.json";
+    await new EdgeCacheService().set(ISBN_KEY, DUNE, 60);
+    await setCached(ISBN_KEY, DUNE, 600, env);
+    await env.CACHE.put(`negative:${ISBN_KEY}`, "{}");
+    await env.CACHE.put(`cold-index:${ISBN_KEY}`, JSON.stringify({ r2Path, tags: ["work:OL893415W"] }));
+    await env.LIBRARY_DATA.put(r2Path, "{}");
+
+    const tiers = await purgeCacheKeys([ISBN_KEY], env);
+
+    expect(tiers).toEqual({ edge: 1, kv: 1, r2: 1 });
+    expect(await caches.default.match(new Request(`https://cache.internal/${ISBN_KEY}`))).toBeNull();
+    expect(await env.CACHE.get(ISBN_KEY)).toBeUndefined();
+    expect(await env.CACHE.get(`negative:${ISBN_KEY}`)).toBeUndefined();
+    expect(await env.CACHE.get(`cold-index:${ISBN_KEY}`)).toBeUndefined();
+    expect(await env.LIBRARY_DATA.get(r2Path)).toBeNull();
+    expect((await keysForTags(["work:OL893415W"], env)).keys).toEqual([]);
+  });
+});
+
+describe("POST /admin/cache/purge", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV(), LIBRARY_DATA: createMockR2Bucket(), HARVEST_SECRET: "s3cret" };
+  });
+
+  function purgeRequest(body, secret = "s3cret") {
+    return new Request("https://api.example.com/admin/cache/purge", {
+      method: "POST",
+      headers: secret ? { "X-Harvest-Secret": secret } : {},
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+  }
+
+  test("should require the admin secret", async () => {
+    expect((await handleCachePurge(purgeRequest({ keys: [ISBN_KEY] }, null), env)).status).toBe(401);
+    expect((await handleCachePurge(purgeRequest({ keys: [ISBN_KEY] }, "undefined"), { CACHE: env.CACHE })).status).toBe(
+      401,
+    );
+  });
+
+  test("should purge every entry with a tag", async () => {
+    const editionsKey = CacheKeyFactory.editionsSearch({ title: "Dune", author: "Frank Herbert" });
+    await setCached(ISBN_KEY, DUNE, 600, env);
+    await setCached(editionsKey, { success: true, data: { editions: [DUNE.edition] } }, 600, env);
+    await setCached(CacheKeyFactory.isbnLookup("9780593099322"), { edition: { isbn: "9780593099322" } }, 600, env);
+
+    const response = await handleCachePurge(purgeRequest({ tags: ["isbn:0441013597"] }), env);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data.purged.sort()).toEqual([editionsKey, ISBN_KEY].sort());
+    expect(body.data.tiers.kv).toBe(2);
+    expect(body.data.remaining).toBe(0);
+    expect(body.data.cursor).toBeNull();
+    expect(body.data.truncated).toBe(0);
+    expect(await env.CACHE.get(CacheKeyFactory.isbnLookup("9780593099322"))).toBeDefined();
+  });
+
+  test("should purge by prefix and exact key", async () => {
+    await setCached("v1:editions:author=frank herbert&title=dune", {}, 600, env);
+    await setCached("v1:title:title=dune", {}, 600, env);
+
+    const response = await handleCachePurge(
+      purgeRequest({ prefixes: ["v1:editions:author=frank herbert"], keys: ["v1:title:title=dune"] }),
+      env,
+    );
+
+    expect((await response.json()).data.purged).toEqual([
+      "v1:editions:author=frank herbert&title=dune",
+      "v1:title:title=dune",
+    ]);
+    expect(await env.CACHE.get("v1:title:title=dune")).toBeUndefined();
+  });
+
+  test("should reject invalid requests", async () => {
+    const status = async (body) => (await handleCachePurge(purgeRequest(body), env)).status;
+
+    expect(await status("not json")).toBe(400);
+    expect(await status({})).toBe(400);
+    expect(await status({ tags: "isbn:0441013597" })).toBe(400);
+    expect(await status({ tags: ["publisher:Ace"] })).toBe(400);
+    expect(await status({ prefixes: ["v"] })).toBe(400);
+    expect(await status({ prefixes: ["cache-tag:isbn:"] })).toBe(400);
+  });
+});
@@ -77,7 +77,7 @@ describe('Cache Warming Integration - DTO Normalization Compatibility', () => {
       const testCases = [
         { input: "The Great Gatsby", expected: "great gatsby" },
         { input: "A Tale of Two Cities", expected: "tale of two cities" },
-        { input: "Harry Potter & The Philosopher's Stone", expected: "harry potter  the philosophers stone" }
+        { input: "Harry Potter & The Philosopher's Stone", expected: "harry potter the philosophers stone" }
       ];
 
       testCases.forEach(({ input, expected }) => {
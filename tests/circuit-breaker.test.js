@@ -0,0 +1,176 @@
+/**
+ * Unit tests for provider circuit breakers (worker side)
+ *
+ * The DO state machine is covered in tests/unit/circuit-breaker-do.test.js;
+ * these tests cover providerFetch()'s use of it.
+ */
+
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import {
+  providerFetch,
+  getCircuitBreakerStatus,
+  resetCircuitBreakerCache,
+} from "../src/services/circuit-breaker.ts";
+
+const closed = { state: "closed", allowed: true, failures: 0, openedAt: null, retryAt: null, lastFailure: null };
+
+function createBreakerNamespace(stub) {
+  return {
+    idFromName: vi.fn((name) => name),
+    get: vi.fn(() => stub),
+  };
+}
+
+// fetch() that only settles when its signal aborts
+function untilAborted(url, { signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) reject(signal.reason);
+    signal.addEventListener("abort", () => reject(signal.reason));
+  });
+}
+
+describe("providerFetch", () => {
+  let stub;
+  let env;
+
+  beforeEach(() => {
+    resetCircuitBreakerCache();
+    stub = {
+      check: vi.fn(async () => closed),
+      recordSuccess: vi.fn(async () => closed),
+      recordFailure: vi.fn(async () => ({ ...closed, failures: 1 })),
+      getStatus: vi.fn(async () => closed),
+    };
+    env = { CIRCUIT_BREAKER_DO: createBreakerNamespace(stub) };
+    global.fetch = vi.fn(async () => new Response("{}", { status: 200 }));
+  });
+
+  test("should call fetch directly without a circuit breaker binding", async () => {
+    const response = await providerFetch("google-books", "https://example.com", {}, {});
+
+    expect(response.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledWith("https://example.com", { signal: expect.any(AbortSignal) });
+  });
+
+  test("should check the provider's breaker and cache a closed state", async () => {
+    await providerFetch("google-books", "https://example.com", {}, env);
+    await providerFetch("google-books", "https://example.com", {}, env);
+
+    expect(env.CIRCUIT_BREAKER_DO.idFromName).toHaveBeenCalledWith("google-books");
+    expect(stub.check).toHaveBeenCalledTimes(1);
+    expect(stub.recordSuccess).not.toHaveBeenCalled();
+  });
+
+  test("should reject requests while the circuit is open", async () => {
+    stub.check.mockResolvedValue({
+      ...closed,
+      state: "open",
+      allowed: false,
+      failures: 5,
+      retryAt: Date.now() + 30000,
+    });
+
+    await expect(providerFetch("openlibrary", "https://example.com", {}, env)).rejects.toThrow(
+      "openlibrary circuit open",
+    );
+    await expect(providerFetch("openlibrary", "https://example.com", {}, env)).rejects.toThrow();
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(stub.check).toHaveBeenCalledTimes(1);
+  });
+
+  test("should record 5xx, 429 and network errors as failures", async () => {
+    global.fetch
+      .mockResolvedValueOnce(new Response("", { status: 503 }))
+      .mockResolvedValueOnce(new Response("", { status: 429 }))
+      .mockRejectedValueOnce(new Error("Network timeout"));
+
+    await providerFetch("isbndb", "https://example.com", {}, env);
+    await providerFetch("isbndb", "https://example.com", {}, env);
+    await expect(providerFetch("isbndb", "https://example.com", {}, env)).rejects.toThrow("Network timeout");
+
+    expect(stub.recordFailure.mock.calls).toEqual([["HTTP 503"], ["HTTP 429"], ["Network timeout"]]);
+  });
+
+  test("should abort calls after the provider's timeout and record a failure", async () => {
+    // The timeout fires on the next tick instead of after 5s
+    const timeout = vi.spyOn(AbortSignal, "timeout").mockImplementation(() => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new DOMException("The operation was aborted due to timeout", "TimeoutError")));
+      return controller.signal;
+    });
+    global.fetch.mockImplementation(untilAborted);
+
+    try {
+      await expect(providerFetch("library-of-congress", "https://example.com", {}, env)).rejects.toMatchObject({
+        name: "TimeoutError",
+      });
+      expect(timeout).toHaveBeenCalledWith(3000);
+      expect(stub.recordFailure).toHaveBeenCalledWith("Timed out after 3000ms");
+    } finally {
+      timeout.mockRestore();
+    }
+  });
+
+  test("should keep the caller's abort signal", async () => {
+    const controller = new AbortController();
+    global.fetch.mockImplementation(untilAborted);
+
+    const pending = providerFetch("google-books", "https://example.com", { signal: controller.signal }, env);
+    controller.abort(new Error("Client went away"));
+
+    await expect(pending).rejects.toThrow("Client went away");
+  });
+
+  test("should not count other 4xx responses as failures", async () => {
+    global.fetch.mockResolvedValue(new Response("", { status: 404 }));
+
+    const response = await providerFetch("isbndb", "https://example.com", {}, env);
+
+    expect(response.status).toBe(404);
+    expect(stub.recordFailure).not.toHaveBeenCalled();
+  });
+
+  test("should close a half-open circuit when the probe succeeds", async () => {
+    stub.check.mockResolvedValue({ ...closed, state: "half-open", failures: 5 });
+
+    await providerFetch("google-books", "https://example.com", {}, env);
+
+    expect(stub.recordSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  test("should allow requests when the breaker is unavailable", async () => {
+    stub.check.mockRejectedValue(new Error("DO unavailable"));
+
+    const response = await providerFetch("google-books", "https://example.com", {}, env);
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe("getCircuitBreakerStatus", () => {
+  beforeEach(() => {
+    resetCircuitBreakerCache();
+  });
+
+  test("should return null without a circuit breaker binding", async () => {
+    expect(await getCircuitBreakerStatus({})).toBeNull();
+  });
+
+  test("should report every provider, marking unreadable ones unknown", async () => {
+    const namespace = {
+      idFromName: vi.fn((name) => name),
+      get: vi.fn((provider) => ({
+        getStatus: vi.fn(async () => {
+          if (provider === "isbndb") throw new Error("DO unavailable");
+          return provider === "openlibrary" ? { ...closed, state: "open", allowed: false } : closed;
+        }),
+      })),
+    };
+
+    const status = await getCircuitBreakerStatus({ CIRCUIT_BREAKER_DO: namespace });
+
+    expect(status["google-books"].state).toBe("closed");
+    expect(status.openlibrary.state).toBe("open");
+    expect(status.isbndb).toEqual({ state: "unknown" });
+  });
+});
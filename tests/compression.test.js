@@ -0,0 +1,156 @@
+/**
+ * Compression Tests
+ *
+ * Tests gzip compression of large cached payloads (src/utils/compression.js)
+ * in KV (setCached/getCached), R2 archival and R2 rehydration
+ */
+
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import {
+  COMPRESSION_THRESHOLD_BYTES,
+  gzip,
+  gunzip,
+  encodeCachedData,
+  decodeCachedData,
+} from "../src/utils/compression.js";
+import { getCached, setCached } from "../src/utils/cache.js";
+import { archiveCandidates } from "../src/workers/archival-worker.js";
+import { UnifiedCacheService } from "../src/services/unified-cache.js";
+import { createMockKV } from "./setup.js";
+
+// A full page of works with editions and authors, well above the threshold
+const LARGE_RESULT = {
+  works: Array.from({ length: 40 }, (_, i) => ({
+    title: `Dune Chronicles ${i}`,
+    subjectTags: ["Science Fiction", "Space Opera"],
+    editions: [{ isbns: ["9780441013593"], publisher: "Ace Books", format: "Paperback" }],
+  })),
+  authors: [{ name: "Frank Herbert", culturalRegion: "northAmerica" }],
+};
+
+describe("compression", () => {
+  test("should round-trip text through gzip", async () => {
+    const text = "村上春樹 ".repeat(1000);
+
+    const compressed = await gzip(text);
+
+    expect(compressed.length).toBeLessThan(text.length);
+    expect(await gunzip(compressed)).toBe(text);
+  });
+
+  test("should leave payloads under the threshold as they are", async () => {
+    const encoded = await encodeCachedData({ title: "Dune" });
+
+    expect(encoded).toEqual({ data: { title: "Dune" }, rawBytes: 16, storedBytes: 16 });
+  });
+
+  test("should gzip payloads over the threshold", async () => {
+    const encoded = await encodeCachedData(LARGE_RESULT);
+
+    expect(encoded.rawBytes).toBeGreaterThan(COMPRESSION_THRESHOLD_BYTES);
+    expect(encoded.encoding).toBe("gzip");
+    expect(encoded.storedBytes).toBeLessThan(encoded.rawBytes / 4);
+    expect(await decodeCachedData(encoded.data, encoded.encoding)).toEqual(LARGE_RESULT);
+  });
+
+  test("should reject unknown encodings", async () => {
+    await expect(decodeCachedData("abc", "br")).rejects.toThrow("Unknown cache encoding: br");
+  });
+});
+
+describe("compressed KV entries", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV(), CACHE_ANALYTICS: { writeDataPoint: vi.fn() } };
+  });
+
+  test("should compress large payloads transparently", async () => {
+    await setCached("v1:title:title=dune", LARGE_RESULT, 600, env);
+
+    const stored = JSON.parse(await env.CACHE.get("v1:title:title=dune"));
+    expect(stored.encoding).toBe("gzip");
+    expect(typeof stored.data).toBe("string");
+    expect((await getCached("v1:title:title=dune", env)).data).toEqual(LARGE_RESULT);
+  });
+
+  test("should log bytes saved", async () => {
+    await setCached("v1:title:title=dune", LARGE_RESULT, 600, env);
+
+    const [point] = env.CACHE_ANALYTICS.writeDataPoint.mock.calls[0];
+    expect(point.indexes).toEqual(["kv_compressed"]);
+    expect(point.doubles[1]).toBe(JSON.stringify(LARGE_RESULT).length);
+    expect(point.doubles[2]).toBeLessThan(point.doubles[1]);
+  });
+
+  test("should read uncompressed entries written before compression", async () => {
+    await env.CACHE.put(
+      "v1:title:title=dune",
+      JSON.stringify({ data: LARGE_RESULT, cachedAt: Date.now(), ttl: 600, schemaVersion: 1 }),
+    );
+
+    expect((await getCached("v1:title:title=dune", env)).data).toEqual(LARGE_RESULT);
+    expect(env.CACHE_ANALYTICS.writeDataPoint).not.toHaveBeenCalled();
+  });
+});
+
+describe("compressed R2 archives", () => {
+  let env;
+
+  beforeEach(() => {
+    env = {
+      CACHE: { get: vi.fn(), put: vi.fn(), delete: vi.fn() },
+      LIBRARY_DATA: { put: vi.fn() },
+      CACHE_ANALYTICS: { writeDataPoint: vi.fn() },
+    };
+  });
+
+  function candidate(value) {
+    env.CACHE.get.mockResolvedValue(value);
+    return { key: "v1:title:title=dune", age: 40 * 24 * 60 * 60 * 1000, accessCount: 0 };
+  }
+
+  test("should gzip large uncompressed entries", async () => {
+    const entry = JSON.stringify({ data: LARGE_RESULT, cachedAt: 1, ttl: 600 });
+
+    await archiveCandidates([candidate(entry)], env);
+
+    const [, body, options] = env.LIBRARY_DATA.put.mock.calls[0];
+    expect(options.customMetadata.encoding).toBe("gzip");
+    expect(await gunzip(body)).toBe(entry);
+    expect(env.CACHE_ANALYTICS.writeDataPoint.mock.calls[0][0].indexes).toEqual(["r2_compressed"]);
+  });
+
+  test("should not gzip entries setCached() already compressed", async () => {
+    const { data, encoding } = await encodeCachedData(LARGE_RESULT);
+    const entry = JSON.stringify({ data, encoding, cachedAt: 1, ttl: 600 });
+
+    await archiveCandidates([candidate(entry)], env);
+
+    const [, body, options] = env.LIBRARY_DATA.put.mock.calls[0];
+    expect(body).toBe(entry);
+    expect(options.customMetadata.encoding).toBeUndefined();
+  });
+
+  test("should rehydrate gzipped archives", async () => {
+    const body = await gzip(JSON.stringify({ data: LARGE_RESULT, cachedAt: 1, ttl: 600, schemaVersion: 1 }));
+    const cache = new UnifiedCacheService(
+      {
+        CACHE: { delete: vi.fn() },
+        LIBRARY_DATA: {
+          get: vi.fn().mockResolvedValue({
+            customMetadata: { encoding: "gzip" },
+            arrayBuffer: async () => body.buffer,
+          }),
+        },
+      },
+      { waitUntil: vi.fn() },
+    );
+    cache.kvCache.set = vi.fn();
+    cache.edgeCache.set = vi.fn();
+
+    await cache.rehydrateFromR2("v1:title:title=dune", { r2Path: "cold-cache/2026/01/x.json" }, "title");
+
+    expect(cache.kvCache.set).toHaveBeenCalledWith("v1:title:title=dune", LARGE_RESULT, "title", expect.any(Object));
+  });
+});
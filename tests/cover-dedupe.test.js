@@ -0,0 +1,229 @@
+/**
+ * Cover Dedupe Tests
+ *
+ * Tests perceptual hashing of covers, the placeholder denylist and how the
+ * image proxy and admin endpoints use them
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { readFileSync } from "fs";
+import {
+  coverHash,
+  differenceHash,
+  hammingDistance,
+  isPlaceholderHash,
+  placeholderHashes,
+  addPlaceholderHash,
+  checkCover,
+  recordCoverHash,
+} from "../src/services/cover-dedupe.js";
+import { handleImageProxy } from "../src/handlers/image-proxy.ts";
+import { handleListCoverPlaceholders, handleAddCoverPlaceholder } from "../src/handlers/cache-admin.js";
+import { CacheKeyFactory } from "../src/services/cache-key-factory.js";
+import { createMockKV } from "./setup.js";
+
+// 48x72 navy cover with a red band, and a 128x192 grey "no cover" image
+const COVER = readFileSync(new URL("./assets/cover-preview.jpg", import.meta.url));
+const PLACEHOLDER = readFileSync(new URL("./assets/cover-placeholder.jpg", import.meta.url));
+
+function gradient(width, height) {
+  const pixels = new Uint8ClampedArray(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) pixels.fill(255 - x * 10, (y * width + x) * 3, (y * width + x) * 3 + 3);
+  }
+  return pixels;
+}
+
+describe("coverHash", () => {
+  it("should hash JPEG covers to 16 hex digits", () => {
+    expect(coverHash(COVER)).toMatch(/^[0-9a-f]{16}$/);
+    expect(coverHash(PLACEHOLDER)).not.toBe(coverHash(COVER));
+  });
+
+  it("should return null for images it can't decode", () => {
+    expect(coverHash(new TextEncoder().encode("GIF89a"))).toBeNull();
+  });
+
+  it("should set a bit for each pixel brighter than its right neighbor", () => {
+    expect(differenceHash(gradient(18, 16), 18, 16)).toBe("ffffffffffffffff");
+    expect(differenceHash(new Uint8ClampedArray(2 * 2 * 3), 2, 2)).toBe("0000000000000000");
+  });
+});
+
+describe("placeholder denylist", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { KV_CACHE: createMockKV(), COVER_PLACEHOLDER_HASHES: " 00000000000000ff, not-a-hash" };
+  });
+
+  it("should count differing bits", () => {
+    expect(hammingDistance("00000000000000ff", "0000000000000000")).toBe(8);
+    expect(hammingDistance("ffffffffffffffff", "ffffffffffffffff")).toBe(0);
+  });
+
+  it("should match hashes within a few bits of a placeholder", () => {
+    expect(isPlaceholderHash("00000000000000fe", ["00000000000000ff"])).toBe(true);
+    expect(isPlaceholderHash("0000000000000000", ["00000000000000ff"])).toBe(false);
+    expect(isPlaceholderHash(null, ["00000000000000ff"])).toBe(false);
+  });
+
+  it("should combine configured and added hashes", async () => {
+    await addPlaceholderHash("ff00000000000000", env);
+    await addPlaceholderHash("ff00000000000000", env);
+
+    expect(await placeholderHashes(env)).toEqual(["00000000000000ff", "ff00000000000000"]);
+    await expect(addPlaceholderHash("xyz", env)).rejects.toThrow("Invalid cover hash");
+  });
+});
+
+describe("checkCover", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { KV_CACHE: createMockKV() };
+  });
+
+  it("should flag placeholders and covers already stored", async () => {
+    env.COVER_PLACEHOLDER_HASHES = coverHash(PLACEHOLDER);
+    await recordCoverHash(coverHash(COVER), "covers/9780441013593", env);
+
+    expect(await checkCover(PLACEHOLDER, env)).toMatchObject({ placeholder: true, duplicateOf: null });
+    expect(await checkCover(COVER, env)).toEqual({
+      hash: coverHash(COVER),
+      placeholder: false,
+      duplicateOf: "covers/9780441013593",
+    });
+  });
+
+  it("should pass covers it can't hash", async () => {
+    expect(await checkCover(new TextEncoder().encode("GIF89a"), env)).toEqual({
+      hash: null,
+      placeholder: false,
+      duplicateOf: null,
+    });
+  });
+});
+
+describe("image proxy", () => {
+  const imageUrl = "https://covers.openlibrary.org/b/id/2-L.jpg";
+  let env;
+  let originalFetch;
+
+  beforeEach(() => {
+    env = {
+      BOOK_COVERS: { get: vi.fn().mockResolvedValue(null), put: vi.fn().mockResolvedValue(undefined) },
+      KV_CACHE: createMockKV(),
+    };
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  function proxy() {
+    return handleImageProxy(new Request(`https://worker.dev/images/proxy?url=${encodeURIComponent(imageUrl)}`), env);
+  }
+
+  function serve(image) {
+    global.fetch = vi.fn().mockResolvedValue(new Response(image, { headers: { "content-type": "image/jpeg" } }));
+  }
+
+  it("should store new covers with their hash", async () => {
+    serve(COVER);
+
+    await proxy();
+
+    const [r2Key, , { customMetadata }] = env.BOOK_COVERS.put.mock.calls[0];
+    expect(customMetadata.dHash).toBe(coverHash(COVER));
+    expect(await env.KV_CACHE.get(CacheKeyFactory.coverHash(coverHash(COVER)), "json")).toMatchObject({ r2Key });
+  });
+
+  it("should reject placeholders with a 404 without storing them", async () => {
+    env.COVER_PLACEHOLDER_HASHES = coverHash(PLACEHOLDER);
+    serve(PLACEHOLDER);
+
+    const response = await proxy();
+
+    expect(response.status).toBe(404);
+    expect(env.BOOK_COVERS.put).not.toHaveBeenCalled();
+  });
+
+  it("should point duplicates at the stored cover instead of storing them again", async () => {
+    await recordCoverHash(coverHash(COVER), "covers/abc", env);
+    env.BOOK_COVERS.get = vi.fn(async (key) =>
+      key === "covers/abc" ? { body: COVER, httpMetadata: { contentType: "image/jpeg" }, customMetadata: { variantFormats: "" } } : null,
+    );
+    serve(COVER);
+
+    const response = await proxy();
+
+    expect(response.status).toBe(200);
+    expect(env.BOOK_COVERS.put).not.toHaveBeenCalled();
+    expect(await env.KV_CACHE.get(CacheKeyFactory.coverImageURL(imageUrl), "json")).toMatchObject({ r2Key: "covers/abc" });
+  });
+
+  it("should serve deduplicated covers from the shared object", async () => {
+    await env.KV_CACHE.put(CacheKeyFactory.coverImageURL(imageUrl), JSON.stringify({ r2Key: "covers/abc" }));
+    env.BOOK_COVERS.get = vi.fn(async (key) =>
+      key === "covers/abc" ? { arrayBuffer: async () => COVER.buffer, httpMetadata: { contentType: "image/webp" } } : null,
+    );
+    global.fetch = vi.fn();
+
+    const response = await proxy();
+
+    expect(response.headers.get("Content-Type")).toBe("image/webp");
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("/admin/covers/placeholders", () => {
+  let env;
+  let originalFetch;
+
+  beforeEach(() => {
+    env = { KV_CACHE: createMockKV(), HARVEST_SECRET: "s3cret", COVER_PLACEHOLDER_HASHES: "00000000000000ff" };
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  function post(body, secret = "s3cret") {
+    return handleAddCoverPlaceholder(
+      new Request("https://api.example.com/admin/covers/placeholders", {
+        method: "POST",
+        headers: { "X-Harvest-Secret": secret },
+        body: JSON.stringify(body),
+      }),
+      env,
+    );
+  }
+
+  it("should add a placeholder by image URL and list it", async () => {
+    global.fetch = vi.fn().mockResolvedValue(new Response(PLACEHOLDER));
+
+    const { data } = await (await post({ url: "https://images.isbndb.com/covers/none.jpg" })).json();
+    const list = await handleListCoverPlaceholders(
+      new Request("https://api.example.com/admin/covers/placeholders", { headers: { "X-Harvest-Secret": "s3cret" } }),
+      env,
+    );
+
+    expect(data.hash).toBe(coverHash(PLACEHOLDER));
+    expect((await list.json()).data.hashes).toEqual(["00000000000000ff", coverHash(PLACEHOLDER)]);
+  });
+
+  it("should reject invalid hashes and images it can't hash", async () => {
+    global.fetch = vi.fn().mockResolvedValue(new Response("GIF89a"));
+
+    expect((await post({ hash: "123" })).status).toBe(400);
+    expect((await post({ url: "https://images.isbndb.com/covers/none.gif" })).status).toBe(400);
+    expect((await post({})).status).toBe(400);
+  });
+
+  it("should require the admin secret", async () => {
+    expect((await post({ hash: "ff00000000000000" }, "wrong")).status).toBe(401);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Cover Preview Tests
+ *
+ * Tests BlurHash and color extraction for stored covers, and how previews
+ * reach EditionDTO / WorkDTO
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { readFileSync } from "fs";
+import { decodeJPEGPreview } from "../src/utils/jpeg-preview.js";
+import { encodeBlurHash } from "../src/utils/blurhash.js";
+import { computeCoverPreview, coverColors, attachCoverPreviews } from "../src/services/cover-preview.js";
+import { handleImageProxy } from "../src/handlers/image-proxy.ts";
+import { CacheKeyFactory } from "../src/services/cache-key-factory.js";
+import { createMockKV } from "./setup.js";
+
+// 48x72 JPEG (4:2:0): navy, with a red band from y=16 to y=48
+const COVER = readFileSync(new URL("./assets/cover-preview.jpg", import.meta.url));
+const NAVY = [20, 30, 80];
+const RED = [220, 40, 40];
+
+function solid(width, height, rgb) {
+  const pixels = new Uint8ClampedArray(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) pixels.set(rgb, i);
+  return pixels;
+}
+
+function near(actual, expected, tolerance = 12) {
+  return actual.every((value, i) => Math.abs(value - expected[i]) <= tolerance);
+}
+
+describe("decodeJPEGPreview", () => {
+  it("should decode a JPEG at 1/8 scale", () => {
+    const { width, height, pixels } = decodeJPEGPreview(COVER);
+
+    expect([width, height]).toEqual([6, 9]);
+    expect(near(Array.from(pixels.slice(0, 3)), NAVY)).toBe(true); // Row 0
+    expect(near(Array.from(pixels.slice(3 * 6 * 3, 3 * 6 * 3 + 3)), RED)).toBe(true); // Row 3 (y=24)
+  });
+
+  it("should return null for other formats and broken files", () => {
+    expect(decodeJPEGPreview(new TextEncoder().encode("GIF89a"))).toBeNull();
+    expect(decodeJPEGPreview(COVER.subarray(0, 200))).toBeNull();
+  });
+});
+
+describe("encodeBlurHash", () => {
+  it("should encode the component count and the average color", () => {
+    const hash = encodeBlurHash(solid(4, 6, [255, 0, 0]), 4, 6, 3, 4);
+
+    expect(hash).toHaveLength(4 + 2 * 3 * 4);
+    expect(hash[0]).toBe("T"); // (3 - 1) + (4 - 1) * 9
+    expect(hash.slice(2, 6)).toBe(encodeDC(0xff0000));
+  });
+
+  it("should encode a 1x1 hash of a solid color without AC components", () => {
+    expect(encodeBlurHash(solid(2, 2, [0, 0, 0]), 2, 2, 1, 1)).toBe("000000");
+  });
+
+  it("should reject component counts outside 1-9", () => {
+    expect(() => encodeBlurHash(solid(1, 1, [0, 0, 0]), 1, 1, 0, 4)).toThrow();
+  });
+});
+
+describe("coverColors", () => {
+  it("should find the dominant color and a saturated accent", () => {
+    const pixels = new Uint8ClampedArray([...solid(9, 1, [240, 240, 235]), ...solid(1, 1, [200, 30, 30])]);
+
+    const { dominant, accent } = coverColors(pixels);
+
+    expect(dominant).toEqual([240, 240, 235]);
+    expect(accent).toEqual([200, 30, 30]);
+  });
+
+  it("should use the dominant color as accent for monochrome covers", () => {
+    const { dominant, accent } = coverColors(solid(4, 4, [90, 90, 90]));
+    expect(accent).toEqual(dominant);
+  });
+});
+
+describe("computeCoverPreview", () => {
+  it("should compute a 3x4 BlurHash with dominant and accent colors", () => {
+    const preview = computeCoverPreview(COVER);
+
+    expect(preview.blurHash).toHaveLength(4 + 2 * 3 * 4);
+    expect(preview.blurHash[0]).toBe("T"); // 3x4 components
+    expect(near(hexToRGB(preview.dominantColor), NAVY)).toBe(true);
+    expect(near(hexToRGB(preview.accentColor), RED, 20)).toBe(true);
+  });
+
+  it("should skip formats it can't decode", () => {
+    expect(computeCoverPreview(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).toBeNull();
+  });
+});
+
+describe("attachCoverPreviews", () => {
+  let env;
+  const preview = { blurHash: "T0~}Wa%t", dominantColor: "#141e50", accentColor: "#dc2828" };
+
+  beforeEach(() => {
+    env = { KV_CACHE: createMockKV() };
+  });
+
+  it("should add previews by ISBN and cover URL, and share them with works", async () => {
+    await env.KV_CACHE.put(CacheKeyFactory.coverImage("9780441013593"), JSON.stringify({ r2Key: "covers/9780441013593", ...preview }));
+    await env.KV_CACHE.put(
+      CacheKeyFactory.coverImageURL("https://covers.openlibrary.org/b/id/1-L.jpg"),
+      JSON.stringify({ ...preview, blurHash: "T1" }),
+    );
+
+    const { works, editions } = await attachCoverPreviews(
+      [{ title: "Dune", coverImageURL: "https://books.google.com/dune" }, { title: "Other" }],
+      [
+        { isbn: "0441013597", coverImageURL: "https://books.google.com/dune" },
+        { isbn: "9780316129084", coverImageURL: "https://covers.openlibrary.org/b/id/1-L.jpg" },
+        { isbn: "9780765326355" },
+      ],
+      env,
+    );
+
+    expect(editions.map((edition) => edition.coverBlurHash)).toEqual(["T0~}Wa%t", "T1", undefined]);
+    expect(editions[0]).toMatchObject({ coverDominantColor: "#141e50", coverAccentColor: "#dc2828" });
+    expect(works[0].coverBlurHash).toBe("T0~}Wa%t");
+    expect(works[1]).toEqual({ title: "Other" });
+  });
+
+  it("should read every cover index of a page with one bulk get", async () => {
+    const editions = Array.from({ length: 20 }, (_, i) => ({
+      isbn: `97803161290${String(i).padStart(2, "0")}`,
+      coverImageURL: `https://books.google.com/cover-${i}`,
+    }));
+    const works = editions.map(({ coverImageURL }) => ({ title: "Book", coverImageURL }));
+    env.KV_CACHE.get.mockClear();
+
+    await attachCoverPreviews(works, editions, env);
+
+    expect(env.KV_CACHE.get).toHaveBeenCalledTimes(1);
+    expect(env.KV_CACHE.get.mock.calls[0][0].length).toBeGreaterThanOrEqual(20);
+  });
+
+  it("should leave results alone without KV", async () => {
+    const works = [{ title: "Dune" }];
+    expect(await attachCoverPreviews(works, [], {})).toEqual({ works, editions: [] });
+  });
+});
+
+describe("image proxy", () => {
+  it("should store the preview of newly proxied covers in R2 metadata and the KV index", async () => {
+    const imageUrl = "https://covers.openlibrary.org/b/id/1-L.jpg";
+    const env = {
+      BOOK_COVERS: { get: vi.fn().mockResolvedValue(null), put: vi.fn().mockResolvedValue(undefined) },
+      KV_CACHE: createMockKV(),
+    };
+    global.fetch = vi.fn().mockResolvedValue(new Response(COVER, { headers: { "content-type": "image/jpeg" } }));
+
+    await handleImageProxy(new Request(`https://worker.dev/images/proxy?url=${encodeURIComponent(imageUrl)}`), env);
+
+    const { customMetadata } = env.BOOK_COVERS.put.mock.calls.at(-1)[2];
+    const index = await env.KV_CACHE.get(CacheKeyFactory.coverImageURL(imageUrl), "json");
+    expect(customMetadata.blurHash).toHaveLength(28);
+    expect(index).toMatchObject({ url: imageUrl, blurHash: customMetadata.blurHash, dominantColor: customMetadata.dominantColor });
+  });
+});
+
+function encodeDC(value) {
+  const chars = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+  return [3, 2, 1, 0].map((power) => chars[Math.floor(value / 83 ** power) % 83]).join("");
+}
+
+function hexToRGB(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
@@ -0,0 +1,235 @@
+/**
+ * Cover Variants Tests
+ *
+ * Tests pre-generated cover sizes, Accept negotiation and how the image proxy
+ * serves them
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  variantName,
+  variantKey,
+  negotiateFormat,
+  storeCoverVariants,
+  serveCover,
+} from "../src/services/cover-variants.js";
+import { handleImageProxy } from "../src/handlers/image-proxy.ts";
+
+const ORIGINAL = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+// In-memory R2 bucket with R2's httpEtag
+function createBucket() {
+  const objects = new Map();
+  const object = (key, { data, httpMetadata, customMetadata }) => ({
+    key,
+    body: data,
+    httpMetadata,
+    customMetadata,
+    httpEtag: `"etag-${key}"`,
+    arrayBuffer: async () => data,
+  });
+  return {
+    objects,
+    get: vi.fn(async (key) => (objects.has(key) ? object(key, objects.get(key)) : null)),
+    put: vi.fn(async (key, data, options = {}) => {
+      objects.set(key, { data, ...options });
+      return object(key, { data, ...options });
+    }),
+  };
+}
+
+// Images binding that renders "{format} {width}" instead of an image
+function createImages({ failing = [] } = {}) {
+  return {
+    input: vi.fn(() => ({
+      transform: (options) => ({
+        output: async ({ format: contentType }) => {
+          const format = contentType.replace("image/", "");
+          if (failing.includes(format)) throw new Error(`${format} not supported`);
+          return { response: () => new Response(`${format} ${options.width || "original"}`) };
+        },
+      }),
+    })),
+  };
+}
+
+function request(headers = {}) {
+  return new Request("https://api.example.com/images/proxy", { headers });
+}
+
+describe("variantName", () => {
+  it("should accept variant names and the legacy sizes", () => {
+    expect(variantName("detail")).toBe("detail");
+    expect(variantName("small")).toBe("thumbnail");
+    expect(variantName("large")).toBe("detail");
+    expect(variantName(null)).toBe("grid");
+    expect(variantName("huge")).toBe("grid");
+  });
+});
+
+describe("negotiateFormat", () => {
+  const all = ["avif", "webp", "jpeg"];
+
+  it("should prefer AVIF, then WebP, then JPEG", () => {
+    expect(negotiateFormat("image/avif,image/webp,image/apng,*/*;q=0.8", all)).toBe("avif");
+    expect(negotiateFormat("image/webp,*/*", all)).toBe("webp");
+    expect(negotiateFormat("*/*", all)).toBe("jpeg");
+    expect(negotiateFormat(null, all)).toBe("jpeg");
+  });
+
+  it("should respect q=0 and the formats available", () => {
+    expect(negotiateFormat("image/avif;q=0,image/webp", all)).toBe("webp");
+    expect(negotiateFormat("image/avif", ["webp", "jpeg"])).toBe("jpeg");
+    expect(negotiateFormat("image/jpeg;q=0", ["jpeg"])).toBeNull();
+    expect(negotiateFormat("image/avif", [])).toBeNull();
+  });
+});
+
+describe("storeCoverVariants", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { BOOK_COVERS: createBucket(), IMAGES: createImages() };
+  });
+
+  it("should store every size in every format under deterministic keys", async () => {
+    const formats = await storeCoverVariants(ORIGINAL.buffer, "covers/9780441013593", env);
+
+    expect(formats).toEqual(["avif", "webp", "jpeg"]);
+    expect(env.BOOK_COVERS.objects.size).toBe(12);
+    const thumbnail = env.BOOK_COVERS.objects.get("covers/9780441013593/thumbnail.avif");
+    expect(new TextDecoder().decode(thumbnail.data)).toBe("avif 128");
+    expect(thumbnail.httpMetadata).toEqual({ contentType: "image/avif", cacheControl: "public, max-age=31536000, immutable" });
+  });
+
+  it("should leave out formats that fail", async () => {
+    env.IMAGES = createImages({ failing: ["avif"] });
+
+    expect(await storeCoverVariants(ORIGINAL.buffer, "covers/abc", env)).toEqual(["webp", "jpeg"]);
+    expect(env.BOOK_COVERS.objects.has("covers/abc/grid.avif")).toBe(false);
+  });
+
+  it("should store nothing without the Images binding", async () => {
+    delete env.IMAGES;
+
+    expect(await storeCoverVariants(ORIGINAL.buffer, "covers/abc", env)).toEqual([]);
+    expect(env.BOOK_COVERS.put).not.toHaveBeenCalled();
+  });
+});
+
+describe("serveCover", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { BOOK_COVERS: createBucket(), IMAGES: createImages() };
+  });
+
+  it("should serve the negotiated variant with a strong ETag", async () => {
+    await storeCoverVariants(ORIGINAL.buffer, "covers/abc", env);
+    const original = await env.BOOK_COVERS.put("covers/abc", ORIGINAL.buffer, {
+      customMetadata: { variantFormats: "avif,webp,jpeg" },
+    });
+
+    const response = await serveCover(original, "covers/abc", "thumbnail", request({ Accept: "image/webp,*/*" }), env);
+
+    expect(await response.text()).toBe("webp 128");
+    expect(response.headers.get("Content-Type")).toBe("image/webp");
+    expect(response.headers.get("ETag")).toBe('"etag-covers/abc/thumbnail.webp"');
+    expect(response.headers.get("Vary")).toBe("Accept");
+    expect(response.headers.get("Cache-Control")).toBe("public, max-age=31536000, immutable");
+  });
+
+  it("should answer 304 when the ETag matches", async () => {
+    await storeCoverVariants(ORIGINAL.buffer, "covers/abc", env);
+    const original = await env.BOOK_COVERS.put("covers/abc", ORIGINAL.buffer, {
+      customMetadata: { variantFormats: "avif,webp,jpeg" },
+    });
+
+    const response = await serveCover(original, "covers/abc", "grid", request({ "If-None-Match": '"etag-covers/abc/grid.jpeg"' }), env);
+
+    expect(response.status).toBe(304);
+  });
+
+  it("should serve the original and generate variants after the response for covers stored without them", async () => {
+    const ctx = { waitUntil: vi.fn() };
+    const original = await env.BOOK_COVERS.put("covers/abc", ORIGINAL.buffer, {
+      httpMetadata: { contentType: "image/jpeg" },
+      customMetadata: { dHash: "54a5944414a08004" },
+    });
+
+    const response = await serveCover(original, "covers/abc", "detail", request({ Accept: "image/avif" }), env, { ctx });
+
+    expect(response.headers.get("Content-Type")).toBe("image/jpeg");
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(ORIGINAL);
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+    expect(env.BOOK_COVERS.objects.get("covers/abc").customMetadata).toEqual({
+      dHash: "54a5944414a08004",
+      variantFormats: "avif,webp,jpeg",
+    });
+
+    const again = await serveCover(await env.BOOK_COVERS.get("covers/abc"), "covers/abc", "detail", request({ Accept: "image/avif" }), env);
+    expect(await again.text()).toBe("avif 512");
+  });
+
+  it("should leave covers without variants as they are when none can be generated", async () => {
+    const original = await env.BOOK_COVERS.put("covers/abc", ORIGINAL.buffer, { customMetadata: { dHash: "54a5944414a08004" } });
+    env.BOOK_COVERS.put.mockClear();
+
+    env.IMAGES = createImages({ failing: ["avif", "webp", "jpeg"] });
+    await serveCover(original, "covers/abc", "grid", request(), env);
+    delete env.IMAGES;
+    const response = await serveCover(original, "covers/abc", "grid", request(), env);
+
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(ORIGINAL);
+    expect(env.BOOK_COVERS.put).not.toHaveBeenCalled();
+    expect(env.BOOK_COVERS.objects.get("covers/abc").customMetadata).toEqual({ dHash: "54a5944414a08004" });
+  });
+
+  it("should serve the original when there are no variants", async () => {
+    delete env.IMAGES;
+    const original = await env.BOOK_COVERS.put("covers/abc", ORIGINAL.buffer, {
+      httpMetadata: { contentType: "image/png" },
+      customMetadata: { variantFormats: "" },
+    });
+
+    const response = await serveCover(original, "covers/abc", "thumbnail", request({ Accept: "image/avif" }), env);
+
+    expect(response.headers.get("Content-Type")).toBe("image/png");
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(ORIGINAL);
+  });
+});
+
+describe("image proxy", () => {
+  const imageUrl = "https://covers.openlibrary.org/b/id/3-L.jpg";
+  let env;
+  let originalFetch;
+
+  beforeEach(() => {
+    env = { BOOK_COVERS: createBucket(), IMAGES: createImages() };
+    originalFetch = global.fetch;
+    global.fetch = vi.fn().mockResolvedValue(new Response(ORIGINAL, { headers: { "content-type": "image/jpeg" } }));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  function proxy(size, headers) {
+    const url = `https://worker.dev/images/proxy?url=${encodeURIComponent(imageUrl)}${size ? `&size=${size}` : ""}`;
+    return handleImageProxy(new Request(url, { headers }), env);
+  }
+
+  it("should generate variants on first store and serve them afterwards", async () => {
+    const first = await proxy("small", { Accept: "image/avif,image/webp" });
+    const [originalKey, { customMetadata }] = [...env.BOOK_COVERS.objects].find(([key]) => !key.includes("."));
+
+    expect(await first.text()).toBe("avif 128");
+    expect(customMetadata.variantFormats).toBe("avif,webp,jpeg");
+    expect(env.BOOK_COVERS.objects.has(variantKey(originalKey, "full", "jpeg"))).toBe(true);
+
+    const second = await proxy("detail");
+    expect(await second.text()).toBe("jpeg 512");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(env.IMAGES.input).toHaveBeenCalledTimes(12);
+  });
+});
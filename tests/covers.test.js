@@ -0,0 +1,296 @@
+/**
+ * Cover Resolution Tests
+ *
+ * Tests GET /v1/covers/:isbn, the cover scoring and image header parsing
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { readFileSync } from "fs";
+import { handleGetCover, handleGetCoverImage } from "../src/handlers/v1/covers.ts";
+import { scoreCover, placeholderReason } from "../src/services/cover-resolver.js";
+import { imageInfo, exifOrientation } from "../src/utils/image-info.js";
+import { coverHash } from "../src/services/cover-dedupe.js";
+import { CacheKeyFactory } from "../src/services/cache-key-factory.js";
+import { isNegativelyCached } from "../src/services/negative-cache.js";
+import { createMockKV } from "./setup.js";
+import { createMockFetchResponse } from "./mocks/providers.js";
+
+const ISBN = "9780441013593";
+
+// Just the headers imageInfo() reads
+function jpeg(width, height) {
+  return new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, // APP0 segment, skipped
+    0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03,
+    0x00, 0x00, 0x00, 0x00,
+  ]);
+}
+
+function png(width, height) {
+  const bytes = new Uint8Array(24);
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+  new DataView(bytes.buffer).setUint32(16, width);
+  new DataView(bytes.buffer).setUint32(20, height);
+  return bytes;
+}
+
+function webp(width, height) {
+  const bytes = new Uint8Array(30);
+  bytes.set(new TextEncoder().encode("RIFF\0\0\0\0WEBPVP8X"));
+  bytes.set([(width - 1) & 0xff, (width - 1) >> 8, 0, (height - 1) & 0xff, (height - 1) >> 8, 0], 24);
+  return bytes;
+}
+
+function gif(width, height) {
+  const bytes = new Uint8Array(10);
+  bytes.set(new TextEncoder().encode("GIF89a"));
+  bytes.set([width & 0xff, width >> 8, height & 0xff, height >> 8], 6);
+  return bytes;
+}
+
+describe("imageInfo", () => {
+  it.each([
+    ["jpeg", jpeg(600, 900)],
+    ["png", png(600, 900)],
+    ["webp", webp(600, 900)],
+    ["gif", gif(600, 900)],
+  ])("should read %s dimensions", (format, bytes) => {
+    expect(imageInfo(bytes.buffer)).toEqual({ format, width: 600, height: 900 });
+  });
+
+  it("should return null for anything else", () => {
+    expect(imageInfo(new TextEncoder().encode("<html>Not Found</html>"))).toBeNull();
+    expect(imageInfo(new Uint8Array(0))).toBeNull();
+  });
+});
+
+describe("exifOrientation", () => {
+  it("should read the orientation of little-endian EXIF, skipping other segments", () => {
+    const photo = new Uint8Array([
+      0xff, 0xd8,
+      0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, // APP0 segment, skipped
+      0xff, 0xe1, 0x00, 0x22, ...new TextEncoder().encode("Exif\0\0"),
+      0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00,
+      0x01, 0x00, 0x12, 0x01, 0x03, 0x00, 0x01, 0x00, 0x00, 0x00, 0x08, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00,
+      ...jpeg(600, 900).subarray(8),
+    ]);
+
+    expect(exifOrientation(photo)).toBe(8);
+    expect(imageInfo(photo)).toEqual({ format: "jpeg", width: 600, height: 900 });
+  });
+
+  it("should default to 1 without EXIF", () => {
+    expect(exifOrientation(jpeg(600, 900))).toBe(1);
+    expect(exifOrientation(png(600, 900))).toBe(1);
+  });
+});
+
+describe("scoreCover", () => {
+  it("should prefer large covers with a book's aspect ratio", () => {
+    expect(scoreCover({ width: 600, height: 900 })).toBe(100);
+    expect(scoreCover({ width: 300, height: 450 })).toBeLessThan(scoreCover({ width: 600, height: 900 }));
+    expect(scoreCover({ width: 900, height: 600 })).toBeLessThan(scoreCover({ width: 600, height: 900 }));
+  });
+});
+
+describe("placeholderReason", () => {
+  it("should reject 1x1 blanks and Google's PNG placeholder", () => {
+    expect(placeholderReason("openlibrary", { format: "gif", width: 1, height: 1 })).toBe("placeholder");
+    expect(placeholderReason("google-books", { format: "png", width: 128, height: 192 })).toBe("placeholder");
+    expect(placeholderReason("isbndb", { format: "png", width: 128, height: 192 })).toBeNull();
+  });
+});
+
+describe("GET /v1/covers/:isbn", () => {
+  let env;
+  let ctx;
+  let originalFetch;
+  let images;
+  let stored;
+
+  beforeEach(() => {
+    stored = new Map();
+    env = {
+      CACHE: createMockKV(),
+      KV_CACHE: createMockKV(),
+      BOOK_COVERS: {
+        get: vi.fn(async (key) => {
+          const bytes = stored.get(key);
+          return bytes
+            ? { key, body: bytes, arrayBuffer: async () => bytes.buffer, httpMetadata: { contentType: "image/webp" } }
+            : null;
+        }),
+        put: vi.fn(),
+      },
+      ISBNDB_API_KEY: "test-isbndb-key",
+      GOOGLE_BOOKS_API_KEY: "test-google-key",
+    };
+    ctx = { waitUntil: vi.fn() };
+
+    images = {
+      "images.isbndb.com": jpeg(500, 750),
+      "books.google.com": jpeg(400, 600),
+      "covers.openlibrary.org": jpeg(300, 450),
+    };
+
+    originalFetch = global.fetch;
+    global.fetch = vi.fn(async (url) => {
+      const href = new URL(String(url));
+      if (href.hostname === "api2.isbndb.com") {
+        return createMockFetchResponse({
+          book: { isbn13: ISBN, title: "Dune", authors: ["Frank Herbert"], image: "https://images.isbndb.com/covers/dune.jpg" },
+        });
+      }
+      if (href.hostname === "www.googleapis.com") {
+        return createMockFetchResponse({
+          totalItems: 1,
+          items: [{
+            id: "B1y0QgAACAAJ",
+            volumeInfo: {
+              title: "Dune",
+              authors: ["Frank Herbert"],
+              industryIdentifiers: [{ type: "ISBN_13", identifier: ISBN }],
+              imageLinks: { thumbnail: "http://books.google.com/books/content?id=B1y0QgAACAAJ&zoom=1" },
+            },
+          }],
+        });
+      }
+      if (images[href.hostname]) {
+        return new Response(images[href.hostname], { status: 200 });
+      }
+      return new Response("Not Found", { status: 404 });
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  async function getCover(isbn = ISBN) {
+    const request = new Request(`https://api.oooefam.net/v1/covers/${isbn}`);
+    return handleGetCover(isbn, env, ctx, request);
+  }
+
+  it("should return the highest scoring cover with every candidate", async () => {
+    const response = await getCover();
+    const { data } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.cover).toMatchObject({
+      isbn: ISBN,
+      url: "https://images.isbndb.com/covers/dune.jpg",
+      source: "isbndb",
+      width: 500,
+      height: 750,
+      format: "jpeg",
+    });
+    expect(data.candidates.map((candidate) => candidate.source)).toEqual(["isbndb", "google-books", "openlibrary"]);
+  });
+
+  it("should prefer the R2 cover store over equal or worse covers, without asking ISBNdb", async () => {
+    stored.set(`covers/${ISBN}`, webp(500, 750));
+
+    const { data } = await (await getCover("0441013597")).json();
+
+    expect(data.cover).toMatchObject({ source: "r2", url: `https://api.oooefam.net/v1/covers/${ISBN}/image` });
+    expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining("isbndb.com"), expect.anything());
+  });
+
+  it("should reject placeholders and fall back to the next best cover", async () => {
+    images["books.google.com"] = png(128, 192); // "image not available"
+    images["covers.openlibrary.org"] = gif(1, 1);
+    stored.set(`covers/${ISBN}`, jpeg(200, 300));
+
+    const { data } = await (await getCover()).json();
+
+    expect(data.cover.source).toBe("r2");
+    expect(data.candidates.filter((candidate) => candidate.rejected).map(({ source, rejected }) => [source, rejected]))
+      .toEqual([
+        ["google-books", "placeholder"],
+        ["openlibrary", "placeholder"],
+      ]);
+  });
+
+  it("should reject covers matching a known placeholder hash", async () => {
+    const placeholder = readFileSync(new URL("./assets/cover-placeholder.jpg", import.meta.url));
+    images["covers.openlibrary.org"] = placeholder;
+    env.COVER_PLACEHOLDER_HASHES = coverHash(placeholder);
+
+    const { data } = await (await getCover()).json();
+
+    expect(data.candidates.find((candidate) => candidate.source === "openlibrary").rejected).toBe("placeholder");
+  });
+
+  it("should 404 with the candidates when no source has a usable cover", async () => {
+    delete images["images.isbndb.com"];
+    images["books.google.com"] = png(128, 192);
+    delete images["covers.openlibrary.org"];
+
+    const response = await getCover();
+    const body = await response.json();
+
+    expect(response.status).toBe(404);
+    expect(body.error.details.candidates.map(({ rejected }) => rejected)).toEqual(["not-found", "placeholder", "not-found"]);
+    expect(ctx.waitUntil).toHaveBeenCalled();
+  });
+
+  it("should not remember a missing cover when a source failed to answer", async () => {
+    delete images["images.isbndb.com"];
+    delete images["covers.openlibrary.org"];
+    const fetchMock = global.fetch;
+    global.fetch = vi.fn(async (url, init) => {
+      const { hostname } = new URL(String(url));
+      if (hostname === "www.googleapis.com") return new Response("Unavailable", { status: 503 });
+      if (hostname === "covers.openlibrary.org") return new Response("Bad Gateway", { status: 502 });
+      return fetchMock(url, init);
+    });
+
+    const response = await getCover();
+    const body = await response.json();
+
+    expect(response.status).toBe(404);
+    expect(body.error.details.failedSources).toEqual(["google-books", "openlibrary"]);
+    expect(body.error.details.candidates.map(({ source, rejected }) => [source, rejected])).toEqual([
+      ["isbndb", "not-found"],
+      ["openlibrary", "error"],
+    ]);
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+    expect(await isNegativelyCached(CacheKeyFactory.coverResolution(ISBN), env)).toBe(false);
+  });
+
+  it("should cache the winner with its provenance", async () => {
+    await getCover();
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+
+    const cached = JSON.parse(await env.CACHE.get(CacheKeyFactory.coverResolution(ISBN)));
+    expect(cached.data.data.cover).toMatchObject({ source: "isbndb", resolvedAt: expect.any(String) });
+  });
+
+  it("should reject invalid ISBNs", async () => {
+    const response = await getCover("9780441013590");
+
+    expect(response.status).toBe(400);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should serve the stored R2 cover", async () => {
+    stored.set(`covers/${ISBN}`, webp(500, 750));
+
+    const response = await handleGetCoverImage(ISBN, env);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Content-Type")).toBe("image/webp");
+    expect((await handleGetCoverImage("9780316129084", env)).status).toBe(404);
+  });
+
+  it("should serve a cover shared with another ISBN", async () => {
+    stored.set("covers/9780316129084", webp(500, 750));
+    await env.KV_CACHE.put(CacheKeyFactory.coverImage(ISBN), JSON.stringify({ r2Key: "covers/9780316129084" }));
+
+    const response = await handleGetCoverImage(ISBN, env);
+
+    expect(response.status).toBe(200);
+  });
+});
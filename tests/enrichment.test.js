@@ -25,6 +25,8 @@ vi.mock("../src/services/external-apis.ts", () => ({
   searchISBNdb: vi.fn(),
   getISBNdbEditionsForWork: vi.fn(),
   getISBNdbBookByISBN: vi.fn(),
+  searchLibraryOfCongress: vi.fn(),
+  searchLibraryOfCongressByISBN: vi.fn(),
 }));
 
 describe("enrichSingleBook()", () => {
@@ -271,6 +273,106 @@ describe("enrichSingleBook()", () => {
     expect(searchGoogleBooksSpy).toHaveBeenCalled();
     expect(searchOpenLibrarySpy).toHaveBeenCalled();
   });
+
+  test("merges every provider's record for an ISBN with per-field provenance", async () => {
+    mockEnv.ISBNDB_API_KEY = "test-isbndb-key";
+    externalApis.searchGoogleBooksByISBN.mockResolvedValue({
+      works: [{ title: "Nineteen Eighty-Four", description: "Big Brother is watching.", firstPublicationYear: 1961 }],
+      editions: [{ isbns: ["9780451524935"], pageCount: 328, coverImageURL: "https://example.com/cover.jpg" }],
+      authors: [{ name: "George Orwell" }],
+    });
+    externalApis.searchOpenLibrary.mockResolvedValue({
+      works: [{ title: "Nineteen Eighty-Four", firstPublicationYear: 1949 }],
+      editions: [{ isbns: ["9780451524935"] }],
+      authors: [{ name: "George Orwell" }],
+    });
+    externalApis.getISBNdbBookByISBN.mockResolvedValue({
+      work: { title: "1984 (Signet Classics)" },
+      edition: { isbns: ["9780451524935"], pageCount: 326, publisher: "Signet Classic" },
+      authors: [{ name: "Orwell, George" }],
+    });
+
+    const result = await enrichSingleBook({ isbn: "9780451524935" }, mockEnv);
+
+    expect(externalApis.searchOpenLibrary).toHaveBeenCalledWith("9780451524935", { maxResults: 1 }, mockEnv);
+    expect(result.work).toMatchObject({
+      title: "Nineteen Eighty-Four",
+      firstPublicationYear: 1949,
+      primaryProvider: "google-books",
+      contributors: ["google-books", "openlibrary", "isbndb"],
+      provenance: { description: "google-books", firstPublicationYear: "openlibrary" },
+    });
+    expect(result.edition).toMatchObject({
+      pageCount: 326,
+      publisher: "Signet Classic",
+      provenance: { pageCount: "isbndb", coverImageURL: "google-books" },
+    });
+    expect(result.conflicts.map((conflict) => conflict.field)).toEqual([
+      "work.firstPublicationYear",
+      "edition.pageCount",
+    ]);
+  });
+
+  test("does not merge a different book from the OpenLibrary title search", async () => {
+    externalApis.searchGoogleBooks.mockResolvedValue({
+      works: [{ title: "Dune", description: "Desert planet." }],
+      authors: [{ name: "Frank Herbert" }],
+    });
+    externalApis.searchOpenLibrary.mockResolvedValue({
+      works: [{ title: "Dune Messiah", firstPublicationYear: 1969 }],
+    });
+
+    const result = await enrichSingleBook({ title: "Dune", author: "Frank Herbert" }, mockEnv);
+
+    expect(result.work.contributors).toEqual(["google-books"]);
+    expect(result.work.firstPublicationYear).toBeUndefined();
+  });
+
+  test("takes catalog fields and author roles from the Library of Congress", async () => {
+    mockEnv.LOC_SRU_BASE_URL = "https://lx2.loc.gov:210/LCDB";
+    externalApis.searchGoogleBooksByISBN.mockResolvedValue({
+      works: [{ title: "The Left Hand of Darkness", description: "A lone human ambassador..." }],
+      editions: [{ isbns: ["9780441478125"], publisher: "Penguin", publicationDate: "2019-07-30" }],
+      authors: [{ name: "Ursula K. Le Guin" }],
+    });
+    externalApis.searchLibraryOfCongressByISBN.mockResolvedValue({
+      works: [{ title: "The left hand of darkness" }],
+      editions: [{ isbns: ["9780441478125"], publisher: "Ace Books", publicationDate: "2019", pageCount: 304 }],
+      authors: [
+        { name: "Ursula K. Le Guin", role: "author" },
+        { name: "Harold Bloom", role: "author of introduction" },
+      ],
+    });
+
+    const result = await enrichSingleBook({ isbn: "9780441478125" }, mockEnv);
+
+    expect(result.work).toMatchObject({
+      title: "The Left Hand of Darkness",
+      primaryProvider: "google-books",
+      contributors: ["google-books"],
+      provenance: { authors: "library-of-congress" },
+    });
+    expect(result.edition).toMatchObject({
+      publisher: "Ace Books",
+      pageCount: 304,
+      provenance: { publisher: "library-of-congress" },
+    });
+    expect(result.authors.map((author) => author.role)).toEqual(["author", "author of introduction"]);
+  });
+
+  test("ignores a title match only the Library of Congress found", async () => {
+    mockEnv.LOC_SRU_BASE_URL = "https://lx2.loc.gov:210/LCDB";
+    externalApis.searchLibraryOfCongress.mockResolvedValue({
+      works: [{ title: "Dune" }],
+      editions: [{ isbns: ["9780441172719"] }],
+      authors: [{ name: "Frank Herbert", role: "author" }],
+    });
+
+    const result = await enrichSingleBook({ title: "Dune", author: "Frank Herbert" }, mockEnv);
+
+    expect(externalApis.searchLibraryOfCongress).toHaveBeenCalled();
+    expect(result).toBeNull();
+  });
 });
 
 describe("enrichMultipleBooks()", () => {
@@ -346,7 +448,7 @@ describe("enrichMultipleBooks()", () => {
       mockEnv,
     );
 
-    expect(results).toEqual({ works: [], editions: [], authors: [] });
+    expect(results).toEqual({ works: [], editions: [], authors: [], failedProviders: [] });
   });
 
   test("respects maxResults parameter", async () => {
@@ -377,7 +479,7 @@ describe("enrichMultipleBooks()", () => {
     expect(results.works).toHaveLength(5);
     expect(externalApis.searchGoogleBooks).toHaveBeenCalledWith(
       "Test",
-      { maxResults: 5 },
+      { maxResults: 5, offset: 0 },
       mockEnv,
     );
   });
@@ -392,7 +494,7 @@ describe("enrichMultipleBooks()", () => {
 
     expect(externalApis.searchGoogleBooks).toHaveBeenCalledWith(
       "Test",
-      { maxResults: 20 },
+      { maxResults: 20, offset: 0 },
       mockEnv,
     );
   });
@@ -406,7 +508,40 @@ describe("enrichMultipleBooks()", () => {
     const results = await enrichMultipleBooks({ title: "Any Book" }, mockEnv);
 
     // Should not throw, returns empty result for graceful degradation
-    expect(results).toEqual({ works: [], editions: [], authors: [] });
+    expect(results).toEqual({ works: [], editions: [], authors: [], failedProviders: ["google-books"] });
+  });
+
+  test("falls back to the next provider when one fails (e.g. open circuit)", async () => {
+    mockEnv.ISBNDB_API_KEY = "test-isbndb-key";
+    externalApis.searchGoogleBooks.mockRejectedValue(
+      new Error("google-books circuit open: skipping request (retry in 30s)"),
+    );
+    externalApis.searchOpenLibrary.mockRejectedValue(
+      new Error("OpenLibrary search API failed: 503"),
+    );
+    externalApis.searchISBNdb.mockResolvedValue({
+      works: [{ title: "Dune" }],
+      editions: [],
+      authors: [],
+      totalResults: 1,
+    });
+
+    const results = await enrichMultipleBooks(
+      { title: "Dune", author: "Frank Herbert" },
+      mockEnv,
+    );
+
+    expect(results.works).toHaveLength(1);
+    expect(results.pagination.provider).toBe("isbndb");
+  });
+
+  test("never serves search results from a supplementary provider", async () => {
+    mockEnv.LOC_SRU_BASE_URL = "https://lx2.loc.gov:210/LCDB";
+
+    const results = await enrichMultipleBooks({ title: "Dune" }, mockEnv);
+
+    expect(externalApis.searchLibraryOfCongress).not.toHaveBeenCalled();
+    expect(results.works).toEqual([]);
   });
 
   test("combines title and author in search query", async () => {
@@ -422,9 +557,50 @@ describe("enrichMultipleBooks()", () => {
 
     expect(externalApis.searchGoogleBooks).toHaveBeenCalledWith(
       "Pride and Prejudice Jane Austen",
-      { maxResults: 20 },
+      { maxResults: 20, offset: 0 },
+      mockEnv,
+    );
+  });
+
+  test("returns pagination state for the provider that served the page", async () => {
+    externalApis.searchGoogleBooks.mockResolvedValue({
+      works: [{ title: "Dune" }],
+      editions: [],
+      authors: [],
+      totalResults: 45,
+    });
+
+    const results = await enrichMultipleBooks({ title: "Dune" }, mockEnv);
+
+    expect(results.pagination).toEqual({
+      provider: "google-books",
+      offset: 0,
+      nextOffset: 20,
+      totalResults: 45,
+      hasMore: true,
+    });
+  });
+
+  test("resumes with the cursor provider only, at its offset", async () => {
+    externalApis.searchOpenLibrary.mockResolvedValue({
+      works: [{ title: "Dune Messiah" }],
+      editions: [],
+      authors: [],
+      totalResults: 45,
+    });
+
+    const results = await enrichMultipleBooks({ title: "Dune" }, mockEnv, {
+      maxResults: 20,
+      offsets: { openlibrary: 40 },
+    });
+
+    expect(externalApis.searchGoogleBooks).not.toHaveBeenCalled();
+    expect(externalApis.searchOpenLibrary).toHaveBeenCalledWith(
+      "Dune",
+      { maxResults: 20, offset: 40 },
       mockEnv,
     );
+    expect(results.pagination.hasMore).toBe(false);
   });
 
   test("returns single result for ISBN search", async () => {
@@ -470,7 +646,7 @@ describe("enrichMultipleBooks()", () => {
 
     const results = await enrichMultipleBooks({ isbn: "9999999999" }, mockEnv);
 
-    expect(results).toEqual({ works: [], editions: [], authors: [] });
+    expect(results).toEqual({ works: [], editions: [], authors: [], failedProviders: [] });
   });
 
   test("falls back to OpenLibrary when Google Books returns no results", async () => {
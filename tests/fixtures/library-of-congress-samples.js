@@ -0,0 +1,141 @@
+/**
+ * Library of Congress Test Fixtures
+ *
+ * SRU searchRetrieve responses with MARCXML records, as returned by
+ * LOC_SRU_BASE_URL. Served by the MSW stand-in in tests/mocks/handlers/library-of-congress.js
+ */
+
+/**
+ * RDA record (264 publication statement, relator terms in $e and codes in $4)
+ */
+export const leftHandOfDarknessRecord = `<record xmlns="http://www.loc.gov/MARC21/slim">
+  <leader>01234cam a2200301 i 4500</leader>
+  <controlfield tag="001">21151432</controlfield>
+  <controlfield tag="008">190311s2019    nyu                 eng d</controlfield>
+  <datafield tag="010" ind1=" " ind2=" ">
+    <subfield code="a">  2018058347</subfield>
+  </datafield>
+  <datafield tag="020" ind1=" " ind2=" ">
+    <subfield code="a">9780441478125</subfield>
+    <subfield code="q">(paperback)</subfield>
+  </datafield>
+  <datafield tag="100" ind1="1" ind2=" ">
+    <subfield code="a">Le Guin, Ursula K.,</subfield>
+    <subfield code="d">1929-2018,</subfield>
+    <subfield code="e">author.</subfield>
+  </datafield>
+  <datafield tag="245" ind1="1" ind2="4">
+    <subfield code="a">The left hand of darkness /</subfield>
+    <subfield code="c">Ursula K. Le Guin ; introduction by Harold Bloom.</subfield>
+  </datafield>
+  <datafield tag="264" ind1=" " ind2="1">
+    <subfield code="a">New York :</subfield>
+    <subfield code="b">Ace Books,</subfield>
+    <subfield code="c">2019.</subfield>
+  </datafield>
+  <datafield tag="264" ind1=" " ind2="4">
+    <subfield code="c">&#xA9;1969</subfield>
+  </datafield>
+  <datafield tag="300" ind1=" " ind2=" ">
+    <subfield code="a">xiv, 304 pages ;</subfield>
+    <subfield code="c">18 cm</subfield>
+  </datafield>
+  <datafield tag="490" ind1="1" ind2=" ">
+    <subfield code="a">Hainish cycle ;</subfield>
+    <subfield code="v">4</subfield>
+  </datafield>
+  <datafield tag="650" ind1=" " ind2="0">
+    <subfield code="a">Science fiction.</subfield>
+  </datafield>
+  <datafield tag="650" ind1=" " ind2="0">
+    <subfield code="a">Gender identity</subfield>
+    <subfield code="v">Fiction.</subfield>
+  </datafield>
+  <datafield tag="700" ind1="1" ind2=" ">
+    <subfield code="a">Bloom, Harold,</subfield>
+    <subfield code="4">aui</subfield>
+  </datafield>
+</record>`;
+
+/**
+ * AACR2 record (260 publication statement, qualifier inside 020 $a, no relators)
+ */
+export const duneRecord = `<record xmlns="http://www.loc.gov/MARC21/slim">
+  <leader>00987cam a2200253 a 4500</leader>
+  <controlfield tag="001">4587312</controlfield>
+  <controlfield tag="008">900205r1990    nyu                 eng  </controlfield>
+  <datafield tag="020" ind1=" " ind2=" ">
+    <subfield code="a">0441172717 (pbk.) :</subfield>
+    <subfield code="c">$4.95</subfield>
+  </datafield>
+  <datafield tag="100" ind1="1" ind2=" ">
+    <subfield code="a">Herbert, Frank.</subfield>
+  </datafield>
+  <datafield tag="245" ind1="1" ind2="0">
+    <subfield code="a">Dune /</subfield>
+    <subfield code="c">Frank Herbert.</subfield>
+  </datafield>
+  <datafield tag="260" ind1=" " ind2=" ">
+    <subfield code="a">New York :</subfield>
+    <subfield code="b">Ace Books,</subfield>
+    <subfield code="c">c1990.</subfield>
+  </datafield>
+  <datafield tag="300" ind1=" " ind2=" ">
+    <subfield code="a">537 p. ;</subfield>
+    <subfield code="c">18 cm.</subfield>
+  </datafield>
+  <datafield tag="650" ind1=" " ind2="0">
+    <subfield code="a">Dune (Imaginary place)</subfield>
+    <subfield code="v">Fiction.</subfield>
+  </datafield>
+  <datafield tag="650" ind1=" " ind2="0">
+    <subfield code="a">Life on other planets</subfield>
+    <subfield code="v">Fiction.</subfield>
+  </datafield>
+</record>`;
+
+/**
+ * Build an SRU 1.1 searchRetrieve response around MARCXML records
+ */
+export function createSruResponse(records, total = records.length) {
+  const body = records
+    .map(
+      (record, index) => `
+    <zs:record>
+      <zs:recordSchema>marcxml</zs:recordSchema>
+      <zs:recordPacking>xml</zs:recordPacking>
+      <zs:recordData>${record}</zs:recordData>
+      <zs:recordPosition>${index + 1}</zs:recordPosition>
+    </zs:record>`,
+    )
+    .join("");
+
+  return `<?xml version="1.0"?>
+<zs:searchRetrieveResponse xmlns:zs="http://www.loc.gov/zing/srw/">
+  <zs:version>1.1</zs:version>
+  <zs:numberOfRecords>${total}</zs:numberOfRecords>
+  <zs:records>${body}
+  </zs:records>
+</zs:searchRetrieveResponse>`;
+}
+
+/**
+ * SRU response with no matches
+ */
+export const emptySruResponse = createSruResponse([]);
+
+/**
+ * SRU diagnostic (e.g. an unsupported CQL index)
+ */
+export const diagnosticSruResponse = `<?xml version="1.0"?>
+<zs:searchRetrieveResponse xmlns:zs="http://www.loc.gov/zing/srw/">
+  <zs:version>1.1</zs:version>
+  <zs:numberOfRecords>0</zs:numberOfRecords>
+  <zs:diagnostics>
+    <diag:diagnostic xmlns:diag="http://www.loc.gov/zing/srw/diagnostic/">
+      <diag:uri>info:srw/diagnostic/1/16</diag:uri>
+      <diag:message>Unsupported index</diag:message>
+      <diag:details>bath.foo</diag:details>
+    </diag:diagnostic>
+  </zs:diagnostics>
+</zs:searchRetrieveResponse>`;
@@ -97,6 +97,43 @@ describe('Book Search Handler - searchByISBN', () => {
     })
   })
 
+  describe('Negative Caching', () => {
+    it('should answer a repeat lookup of an unknown ISBN from the negative cache', async () => {
+      server.use(
+        http.get('https://www.googleapis.com/books/v1/volumes', () => {
+          return HttpResponse.json({ kind: 'books#volumes', totalItems: 0 })
+        }),
+        http.get('https://openlibrary.org/search.json', () => {
+          return HttpResponse.json({ numFound: 0, docs: [] })
+        })
+      )
+
+      const first = await searchByISBN('9780000000002', {}, mockEnv, mockCtx)
+      expect(first.items).toEqual([])
+
+      const second = await searchByISBN('9780000000002', {}, mockEnv, mockCtx)
+
+      expect(second.items).toEqual([])
+      expect(second.cached).toBe(true)
+      expect(second.cacheSource).toBe('NEGATIVE')
+      expect(await mockEnv.CACHE.get('search:isbn:isbn=9780000000002')).toBeUndefined()
+    })
+
+    it('should not cache an empty result when a provider failed', async () => {
+      server.use(
+        http.get('https://openlibrary.org/search.json', () => {
+          return new HttpResponse(null, { status: 500 })
+        })
+      )
+
+      const first = await searchByISBN('9780000000002', {}, mockEnv, mockCtx)
+      const second = await searchByISBN('9780000000002', {}, mockEnv, mockCtx)
+
+      expect(first._cacheHeaders['X-Cache-TTL']).toBe('0')
+      expect(second.cached).toBe(false)
+    })
+  })
+
   describe('Data Transformation', () => {
     it('should include cache headers with quality metrics', async () => {
       // Act: Search by ISBN
@@ -499,6 +499,158 @@ describe("GET /v1/search/advanced - Comprehensive", () => {
     });
   });
 
+  // ============================================================================
+  // PAGINATION
+  // ============================================================================
+
+  describe("Cursor Pagination", () => {
+    beforeEach(() => {
+      mockEnv.CURSOR_SIGNING_SECRET = "test-cursor-secret";
+    });
+
+    it("should return nextCursor when the provider reports more results", async () => {
+      global.fetch = vi.fn().mockResolvedValue(
+        createMockFetchResponse({ ...mockGoogleBooksSearchResponse, totalItems: 57 }),
+      );
+
+      const response = await handleSearchAdvanced("harry potter", "", mockEnv, mockCtx);
+      const { body } = await parseV2Response(response);
+
+      expect(body.metadata.hasMore).toBe(true);
+      expect(body.metadata.nextCursor).toBeTypeOf("string");
+      expect(body.data.totalResults).toBe(57);
+    });
+
+    it("should fetch the next page from the same provider at the cursor offset", async () => {
+      global.fetch = vi.fn().mockResolvedValue(
+        createMockFetchResponse({ ...mockGoogleBooksSearchResponse, totalItems: 57 }),
+      );
+
+      const first = await parseV2Response(
+        await handleSearchAdvanced("harry potter", "", mockEnv, mockCtx),
+      );
+      const second = await parseV2Response(
+        await handleSearchAdvanced("harry potter", "", mockEnv, mockCtx, null, first.body.metadata.nextCursor),
+      );
+
+      expect(second.status).toBe(200);
+      const googleUrls = global.fetch.mock.calls
+        .map(([url]) => String(url))
+        .filter((url) => url.includes("googleapis.com"));
+      expect(googleUrls.at(-1)).toContain("startIndex=20");
+    });
+
+    it("should reject a cursor from a different query", async () => {
+      global.fetch = vi.fn().mockResolvedValue(
+        createMockFetchResponse({ ...mockGoogleBooksSearchResponse, totalItems: 57 }),
+      );
+
+      const first = await parseV2Response(
+        await handleSearchAdvanced("harry potter", "", mockEnv, mockCtx),
+      );
+      const response = await handleSearchAdvanced("dune", "", mockEnv, mockCtx, null, first.body.metadata.nextCursor);
+      const { body, status } = await parseV2Response(response);
+
+      expect(status).toBe(400);
+      expect(body.error.code).toBe("INVALID_CURSOR");
+    });
+  });
+
+  // ============================================================================
+  // FACETED FILTERING
+  // ============================================================================
+
+  describe("Faceted Filtering", () => {
+    beforeEach(() => {
+      global.fetch = vi
+        .fn()
+        .mockResolvedValue(
+          createMockFetchResponse(mockGoogleBooksSearchResponse),
+        );
+    });
+
+    it("should filter results by canonical genre and report facet counts", async () => {
+      const response = await handleSearchAdvanced(
+        "harry potter", "", mockEnv, mockCtx, null, null,
+        { genre: "fantasy" },
+      );
+      const { body, status } = await parseV2Response(response);
+
+      expect(status).toBe(200);
+      expect(body.data.works).toHaveLength(1);
+      expect(body.data.editions).toHaveLength(1);
+      expect(body.data.works[0].subjectTags).toContain("Fantasy");
+      expect(body.metadata.facets.genre).toEqual({ Fantasy: 1, Fiction: 1 });
+      expect(body.metadata.facets.language).toEqual({ en: 1 });
+    });
+
+    it("should fetch further provider pages until the provider runs out", async () => {
+      global.fetch = vi.fn().mockResolvedValue(
+        createMockFetchResponse({ ...mockGoogleBooksSearchResponse, totalItems: 57 }),
+      );
+
+      const response = await handleSearchAdvanced(
+        "harry potter", "", mockEnv, mockCtx, null, null,
+        { genre: "fantasy" },
+      );
+      const { body } = await parseV2Response(response);
+
+      const startIndexes = global.fetch.mock.calls
+        .map(([url]) => new URL(String(url)))
+        .filter((url) => url.hostname === "www.googleapis.com")
+        .map((url) => url.searchParams.get("startIndex"));
+      expect(startIndexes).toEqual([null, "20", "40"]);
+      expect(body.data.works).toHaveLength(3);
+      expect(body.metadata.facets.genre).toEqual({ Fantasy: 3, Fiction: 3 });
+      expect(body.metadata.hasMore).toBe(false);
+    });
+
+    it("should fetch one provider page without filters", async () => {
+      global.fetch = vi.fn().mockResolvedValue(
+        createMockFetchResponse({ ...mockGoogleBooksSearchResponse, totalItems: 57 }),
+      );
+
+      await handleSearchAdvanced("harry potter", "", mockEnv, mockCtx);
+
+      expect(global.fetch.mock.calls.filter(([url]) => String(url).includes("googleapis.com"))).toHaveLength(1);
+    });
+
+    it("should push language down to Google Books as langRestrict", async () => {
+      await handleSearchAdvanced(
+        "harry potter", "", mockEnv, mockCtx, null, null,
+        { language: "en" },
+      );
+
+      expect(global.fetch.mock.calls[0][0]).toContain("langRestrict=en");
+    });
+
+    it("should cache filtered searches under a separate key", async () => {
+      await handleSearchAdvanced("harry potter", "", mockEnv, mockCtx);
+      await handleSearchAdvanced(
+        "harry potter", "", mockEnv, mockCtx, null, null,
+        { format: "Hardcover" },
+      );
+
+      expect(mockEnv.CACHE.put).toHaveBeenCalledWith(
+        expect.stringContaining("filter.format=hardcover"),
+        expect.any(String),
+        expect.anything(),
+      );
+    });
+
+    it("should return 400 for invalid filter values", async () => {
+      const response = await handleSearchAdvanced(
+        "harry potter", "", mockEnv, mockCtx, null, null,
+        { yearFrom: "2010", yearTo: "1990" },
+      );
+      const { body, status } = await parseV2Response(response);
+
+      expect(status).toBe(400);
+      expect(body.error.code).toBe("INVALID_QUERY");
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
   // ============================================================================
   // PERFORMANCE TESTS
   // ============================================================================
@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import { handleSearchEditions } from "../../../src/handlers/v1/search-editions.ts";
 import { createMockFetchResponse } from "../../mocks/providers.js";
+import { createMockKV } from "../../setup.js";
 
 /**
  * Parse v2 Response object and extract body + status
@@ -351,6 +352,51 @@ describe("GET /v1/editions/search - Comprehensive Integration Tests", () => {
   });
 
   describe("Query Parameter Validation", () => {
+    it("should normalize the title in the requested language", async () => {
+      global.fetch.mockImplementation(async (url) =>
+        url.toString().includes("api2.isbndb.com")
+          ? createMockFetchResponse({
+              total: 1,
+              books: [{ title: "Les Misérables", isbn13: "9782253096337", binding: "Paperback", authors: ["Victor Hugo"], language: "fr" }],
+            })
+          : createMockFetchResponse({ kind: "books#volumes", totalItems: 0 }),
+      );
+      const mockEnv = { GOOGLE_BOOKS_API_KEY: "test-key", ISBNDB_API_KEY: "test-key", CACHE: createMockKV() };
+      const pending = [];
+      const mockCtx = { waitUntil: (promise) => pending.push(promise), passThroughOnException: () => {} };
+
+      await handleSearchEditions("Les Misérables", "Victor Hugo", 20, mockEnv, mockCtx, null, null, "fr");
+      await Promise.all(pending);
+      const fetchCalls = global.fetch.mock.calls.length;
+
+      const french = await parseV2Response(
+        await handleSearchEditions("Misérables", "Victor Hugo", 20, mockEnv, mockCtx, null, null, "fre"),
+      );
+      expect(french.body.metadata.cached).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(fetchCalls);
+
+      const english = await parseV2Response(
+        await handleSearchEditions("Les Misérables", "Victor Hugo", 20, mockEnv, mockCtx),
+      );
+      expect(english.body.metadata.cached).toBe(false);
+    });
+
+    it("should reject invalid language codes", async () => {
+      const response = await handleSearchEditions(
+        "Les Misérables",
+        "Victor Hugo",
+        20,
+        { CACHE: createMockKV() },
+        createMockContext(),
+        null,
+        null,
+        "french!",
+      );
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error.code).toBe("INVALID_QUERY");
+    });
+
     it("should normalize title with special characters", async () => {
       const mockEnv = {
         GOOGLE_BOOKS_API_KEY: "test-key",
@@ -683,4 +729,78 @@ describe("GET /v1/editions/search - Comprehensive Integration Tests", () => {
       expect(duration).toBeLessThan(100);
     });
   });
+
+  describe("Providers", () => {
+    it("should search Google Books alone when ISBNdb isn't configured", async () => {
+      global.fetch.mockImplementation(async () =>
+        createMockFetchResponse({
+          kind: "books#volumes",
+          totalItems: 1,
+          items: [
+            {
+              id: "martian",
+              volumeInfo: {
+                title: "The Martian",
+                authors: ["Andy Weir"],
+                industryIdentifiers: [{ type: "ISBN_13", identifier: "9780553418026" }],
+              },
+            },
+          ],
+        }),
+      );
+      const mockEnv = { GOOGLE_BOOKS_API_KEY: "test-key", CACHE: createMockKV() };
+
+      const response = await handleSearchEditions("The Martian", "Andy Weir", 20, mockEnv, createMockContext());
+      const { body, status } = await parseV2Response(response);
+
+      expect(status).toBe(200);
+      expect(body.data.editions.map((edition) => edition.isbn)).toEqual(["9780553418026"]);
+      expect(global.fetch.mock.calls.some(([url]) => String(url).includes("api2.isbndb.com"))).toBe(false);
+    });
+  });
+
+  describe("Negative Caching", () => {
+    it("should answer a repeat search with no editions from the negative cache", async () => {
+      global.fetch.mockImplementation(async (url) =>
+        url.toString().includes("api2.isbndb.com")
+          ? createMockFetchResponse({ errorMessage: "Not Found" }, 404)
+          : createMockFetchResponse({ kind: "books#volumes", totalItems: 0 }, 200),
+      );
+      const mockEnv = {
+        GOOGLE_BOOKS_API_KEY: "test-key",
+        ISBNDB_API_KEY: "test-key",
+        CACHE: createMockKV(),
+      };
+
+      const first = await handleSearchEditions("Unwritten Book", "Nobody", 20, mockEnv, createMockContext());
+      const fetchCalls = global.fetch.mock.calls.length;
+      const second = await handleSearchEditions("Unwritten Book", "Nobody", 20, mockEnv, createMockContext());
+
+      const { body, status } = await parseV2Response(second);
+
+      expect(first.status).toBe(404);
+      expect(status).toBe(404);
+      expect(body.error.code).toBe("NOT_FOUND");
+      expect(body.error.details.cached).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(fetchCalls);
+    });
+
+    it("should not negatively cache provider errors", async () => {
+      global.fetch.mockImplementation(async () => createMockFetchResponse({ error: "Unavailable" }, 503));
+      const mockEnv = {
+        GOOGLE_BOOKS_API_KEY: "test-key",
+        ISBNDB_API_KEY: "test-key",
+        CACHE: createMockKV(),
+      };
+
+      const response = await handleSearchEditions("Unwritten Book", "Nobody", 20, mockEnv, createMockContext());
+
+      expect(response.status).toBe(503);
+      expect(mockEnv.CACHE.put).not.toHaveBeenCalledWith(
+        expect.stringMatching(/^negative:/),
+        expect.anything(),
+        expect.anything(),
+      );
+    });
+  });
 });
@@ -0,0 +1,247 @@
+/**
+ * Batch ISBN Lookup Handler Tests
+ *
+ * Tests POST /v1/search/isbn/batch
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { handleSearchISBNBatch } from "../../../src/handlers/v1/search-isbn-batch.ts";
+import { CacheKeyFactory } from "../../../src/services/cache-key-factory.js";
+import { createMockKV } from "../../setup.js";
+import {
+  mockGoogleBooksSearchResponse,
+  createMockFetchResponse,
+} from "../../mocks/providers.js";
+
+const isbndbBook = {
+  isbn13: "9780439708180",
+  isbn: "0439708184",
+  title: "Harry Potter and the Philosopher's Stone",
+  authors: ["J.K. Rowling"],
+  publisher: "Bloomsbury",
+  binding: "Paperback",
+  pages: 309,
+};
+
+function batchRequest(body) {
+  return new Request("https://api.test/v1/search/isbn/batch", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+}
+
+/**
+ * Route fetch by provider: ISBNdb bulk, Google Books ISBN, everything else empty
+ */
+function mockProviders({ isbndbBooks = [isbndbBook], google = mockGoogleBooksSearchResponse, isbndbStatus = 200 } = {}) {
+  global.fetch = vi.fn(async (url) => {
+    const href = String(url);
+    if (href.startsWith("https://api2.isbndb.com/books")) {
+      return createMockFetchResponse({ total: isbndbBooks.length, data: isbndbBooks }, isbndbStatus);
+    }
+    if (href.includes("googleapis.com/books")) {
+      return createMockFetchResponse(google);
+    }
+    return createMockFetchResponse({}, 404);
+  });
+}
+
+const createMockContext = () => ({
+  waitUntil: vi.fn(),
+  passThroughOnException: vi.fn(),
+});
+
+describe("POST /v1/search/isbn/batch", () => {
+  let mockEnv;
+  let mockCtx;
+  let originalFetch;
+
+  beforeEach(() => {
+    mockEnv = {
+      GOOGLE_BOOKS_API_KEY: "test-google-key",
+      ISBNDB_API_KEY: "test-isbndb-key",
+      CACHE: createMockKV(),
+    };
+    mockCtx = createMockContext();
+    originalFetch = global.fetch;
+  });
+
+  afterEach(async () => {
+    global.fetch = originalFetch;
+    vi.clearAllMocks();
+    // KV hits are promoted to the (global) edge cache
+    await caches.default.delete(`https://cache.internal/${CacheKeyFactory.isbnLookup("9780439708180")}`);
+  });
+
+  describe("Validation", () => {
+    it("should reject a non-JSON body", async () => {
+      const response = await handleSearchISBNBatch(batchRequest("not json"), mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error.code).toBe("INVALID_REQUEST");
+    });
+
+    it("should reject an empty batch", async () => {
+      const response = await handleSearchISBNBatch(batchRequest({ isbns: [] }), mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error.code).toBe("EMPTY_BATCH");
+    });
+
+    it("should reject more than 100 ISBNs", async () => {
+      const isbns = Array.from({ length: 101 }, (_, i) => `978000000${String(i).padStart(4, "0")}`);
+      const response = await handleSearchISBNBatch(batchRequest({ isbns }), mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error.code).toBe("BATCH_TOO_LARGE");
+    });
+
+    it("should report invalid ISBNs per item without failing the batch", async () => {
+      mockProviders();
+
+      const response = await handleSearchISBNBatch(
+        batchRequest({ isbns: ["9780439708180", "not-an-isbn"] }),
+        mockEnv,
+        mockCtx,
+      );
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data.results["not-an-isbn"].error.code).toBe("INVALID_ISBN");
+      expect(body.data.results["9780439708180"].work.title).toBe(isbndbBook.title);
+      expect(body.data.summary.failed).toBe(1);
+    });
+  });
+
+  describe("Lookup", () => {
+    it("should look up hyphenated and plain forms of the same ISBN once", async () => {
+      mockProviders();
+
+      const response = await handleSearchISBNBatch(
+        batchRequest({ isbns: ["978-0-439-70818-0", "9780439708180"] }),
+        mockEnv,
+        mockCtx,
+      );
+      const body = await response.json();
+
+      expect(Object.keys(body.data.results)).toEqual(["978-0-439-70818-0", "9780439708180"]);
+      expect(body.data.results["978-0-439-70818-0"]).toEqual(body.data.results["9780439708180"]);
+      expect(body.data.summary).toMatchObject({ requested: 2, unique: 1, found: 1, failed: 0 });
+    });
+
+    it("should key results by each ISBN as sent", async () => {
+      mockProviders({ isbndbBooks: [], google: { totalItems: 0 } });
+
+      const response = await handleSearchISBNBatch(
+        batchRequest({ isbns: ["0-439-06487-2", " 9781234567897 "] }),
+        mockEnv,
+        mockCtx,
+      );
+      const body = await response.json();
+
+      expect(Object.keys(body.data.results)).toEqual(["0-439-06487-2", " 9781234567897 "]);
+      expect(body.data.summary).toMatchObject({ unique: 2, found: 0, failed: 2 });
+    });
+
+    it("should fetch misses from ISBNdb in a single bulk request", async () => {
+      mockProviders();
+
+      await handleSearchISBNBatch(
+        batchRequest({ isbns: ["9780439708180", "0439064872"] }),
+        mockEnv,
+        mockCtx,
+      );
+
+      const isbndbCalls = global.fetch.mock.calls.filter(([url]) =>
+        String(url).startsWith("https://api2.isbndb.com/books"),
+      );
+      expect(isbndbCalls).toHaveLength(1);
+      expect(isbndbCalls[0][1].method).toBe("POST");
+      expect(isbndbCalls[0][1].body).toBe("isbns=9780439708180,0439064872");
+    });
+
+    it("should fall back to Google Books for ISBNs ISBNdb did not return", async () => {
+      mockProviders();
+
+      const response = await handleSearchISBNBatch(
+        batchRequest({ isbns: ["9780439708180", "9780439064873"] }),
+        mockEnv,
+        mockCtx,
+      );
+      const body = await response.json();
+
+      const googleCalls = global.fetch.mock.calls.filter(([url]) =>
+        String(url).includes("googleapis.com/books"),
+      );
+      expect(googleCalls).toHaveLength(1);
+      expect(googleCalls[0][0]).toContain("isbn:9780439064873");
+      expect(body.data.results["9780439064873"].work.primaryProvider).toBe("google-books");
+      expect(body.data.results["9780439064873"].work.authors).toBeUndefined();
+      expect(body.data.results["9780439064873"].authors[0].name).toBe("J.K. Rowling");
+    });
+
+    it("should match ISBN-10 input against ISBNdb results", async () => {
+      mockProviders();
+
+      const response = await handleSearchISBNBatch(batchRequest({ isbns: ["0439708184"] }), mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(body.data.results["0439708184"].edition.isbn).toBe("9780439708180");
+    });
+
+    it("should still use Google Books when the ISBNdb bulk call fails", async () => {
+      mockProviders({ isbndbStatus: 500 });
+
+      const response = await handleSearchISBNBatch(batchRequest({ isbns: ["9780439708180"] }), mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data.results["9780439708180"].work.primaryProvider).toBe("google-books");
+    });
+
+    it("should report NOT_FOUND when no provider has the ISBN", async () => {
+      mockProviders({ isbndbBooks: [], google: { totalItems: 0 } });
+
+      const response = await handleSearchISBNBatch(batchRequest({ isbns: ["9781234567897"] }), mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(body.data.results["9781234567897"].error.code).toBe("NOT_FOUND");
+    });
+  });
+
+  describe("Caching", () => {
+    it("should serve cached ISBNs without calling providers", async () => {
+      mockProviders();
+      await mockEnv.CACHE.put(CacheKeyFactory.isbnLookup("9780439708180"), {
+        data: { work: { title: "Cached Book" }, edition: null, authors: [] },
+        cachedAt: Date.now(),
+        ttl: 3600,
+      });
+
+      const response = await handleSearchISBNBatch(batchRequest({ isbns: ["9780439708180"] }), mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(body.data.results["9780439708180"]).toMatchObject({ work: { title: "Cached Book" }, cached: true });
+      expect(body.data.summary.cached).toBe(1);
+      expect(body.metadata.cached).toBe(true);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should write fetched books to cache", async () => {
+      mockProviders();
+
+      await handleSearchISBNBatch(batchRequest({ isbns: ["9780439708180"] }), mockEnv, mockCtx);
+
+      expect(mockCtx.waitUntil).toHaveBeenCalled();
+      expect(mockEnv.CACHE.put).toHaveBeenCalledWith(
+        "v1:isbn:isbn=9780439708180",
+        expect.any(String),
+        expect.anything(),
+      );
+    });
+  });
+});
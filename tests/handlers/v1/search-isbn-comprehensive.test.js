@@ -347,6 +347,56 @@ describe("GET /v1/search/isbn - Comprehensive", () => {
       expect(cached !== null || cached !== undefined);
     });
 
+    it("should negatively cache ISBNs no provider knows", async () => {
+      mockEnv.CACHE = createMockKV();
+      global.fetch = vi
+        .fn()
+        .mockResolvedValue(createMockFetchResponse({ totalItems: 0, docs: [] }));
+
+      await handleSearchISBN(validISBNs[0], mockEnv);
+      const callsAfterFirst = global.fetch.mock.calls.length;
+      const response = await handleSearchISBN(validISBNs[0], mockEnv);
+
+      const { body, status } = await parseV2Response(response);
+
+      expect(status).toBe(200);
+      expect(body.data.works).toEqual([]);
+      expect(body.metadata.cached).toBe(true);
+      expect(body.metadata.negativeCache).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(callsAfterFirst);
+    });
+
+    it("should write the negative cache in the background", async () => {
+      mockEnv.CACHE = createMockKV();
+      global.fetch = vi
+        .fn()
+        .mockResolvedValue(createMockFetchResponse({ totalItems: 0, docs: [] }));
+      const pending = [];
+      const ctx = { waitUntil: vi.fn((promise) => pending.push(promise)) };
+
+      await handleSearchISBN(validISBNs[0], mockEnv, null, ctx);
+      await Promise.all(pending);
+      const response = await handleSearchISBN(validISBNs[0], mockEnv, null, ctx);
+
+      const { body } = await parseV2Response(response);
+
+      expect(ctx.waitUntil).toHaveBeenCalledTimes(1);
+      expect(body.metadata.negativeCache).toBe(true);
+    });
+
+    it("should not negatively cache provider errors", async () => {
+      mockEnv.CACHE = createMockKV();
+      global.fetch = vi.fn().mockRejectedValue(new Error("Network error"));
+
+      await handleSearchISBN(validISBNs[0], mockEnv);
+      const response = await handleSearchISBN(validISBNs[0], mockEnv);
+
+      const { body } = await parseV2Response(response);
+
+      expect(body.metadata.cached).toBe(false);
+      expect(body.metadata.negativeCache).toBeUndefined();
+    });
+
     it.skip("should not cache error responses (caching not implemented)", async () => {
       // NOTE: Current implementation doesn't cache, test kept for future
       const isbn = invalidISBNs[0];
@@ -349,6 +349,95 @@ describe("GET /v1/search/title - Comprehensive", () => {
       // Should use cache on second request (may not fetch again)
       expect(response1.success).toBe(response2.success);
     });
+
+    it("should negatively cache titles no provider knows", async () => {
+      mockEnv.CACHE = createMockKV();
+      global.fetch = vi
+        .fn()
+        .mockResolvedValue(createMockFetchResponse(mockGoogleBooksEmptyResponse));
+
+      await handleSearchTitle("nonexistent book xyz123", mockEnv);
+      const callsAfterFirst = global.fetch.mock.calls.length;
+      const response = await handleSearchTitle("Nonexistent Book XYZ123", mockEnv);
+
+      const { body } = await parseV2Response(response);
+
+      expect(body.data.works).toEqual([]);
+      expect(body.metadata.negativeCache).toBe(true);
+      expect(body.metadata.hasMore).toBe(false);
+      expect(global.fetch).toHaveBeenCalledTimes(callsAfterFirst);
+    });
+
+    it("should write the negative cache in the background", async () => {
+      mockEnv.CACHE = createMockKV();
+      global.fetch = vi
+        .fn()
+        .mockResolvedValue(createMockFetchResponse(mockGoogleBooksEmptyResponse));
+      const pending = [];
+      const ctx = { waitUntil: vi.fn((promise) => pending.push(promise)) };
+
+      await handleSearchTitle("nonexistent book xyz123", mockEnv, null, null, null, ctx);
+      await Promise.all(pending);
+      const response = await handleSearchTitle("nonexistent book xyz123", mockEnv, null, null, null, ctx);
+
+      const { body } = await parseV2Response(response);
+
+      expect(ctx.waitUntil).toHaveBeenCalledTimes(1);
+      expect(body.metadata.negativeCache).toBe(true);
+    });
+  });
+
+  // ============================================================================
+  // TITLE LANGUAGE TESTS
+  // ============================================================================
+
+  describe("Title Language", () => {
+    beforeEach(() => {
+      mockEnv.CACHE = createMockKV();
+      global.fetch = vi
+        .fn()
+        .mockResolvedValue(createMockFetchResponse(mockGoogleBooksEmptyResponse));
+    });
+
+    function googleQueries() {
+      return global.fetch.mock.calls
+        .map(([url]) => new URL(String(url)))
+        .filter((url) => url.hostname === "www.googleapis.com")
+        .map((url) => url.searchParams.get("q"));
+    }
+
+    it("should strip the leading article of the title's language", async () => {
+      await handleSearchTitle("Les Misérables", mockEnv, null, null, "fr");
+
+      expect(googleQueries()[0]).toBe("miserables");
+    });
+
+    it("should default to English articles", async () => {
+      await handleSearchTitle("Les Misérables", mockEnv);
+
+      expect(googleQueries()[0]).toBe("les miserables");
+    });
+
+    it("should key the negative cache by the language's normalization", async () => {
+      await handleSearchTitle("Les Misérables", mockEnv, null, null, "fr");
+      const callsAfterFirst = global.fetch.mock.calls.length;
+
+      const english = await handleSearchTitle("Les Misérables", mockEnv);
+      expect(global.fetch.mock.calls.length).toBeGreaterThan(callsAfterFirst);
+
+      const french = await parseV2Response(await handleSearchTitle("Misérables", mockEnv, null, null, "fr-FR"));
+      expect(french.body.metadata.negativeCache).toBe(true);
+      expect((await parseV2Response(english)).body.metadata.negativeCache).toBeUndefined();
+    });
+
+    it("should reject invalid language codes", async () => {
+      const { body, status } = await parseV2Response(
+        await handleSearchTitle("Les Misérables", mockEnv, null, null, "french!"),
+      );
+
+      expect(status).toBe(400);
+      expect(body.error.code).toBe("INVALID_QUERY");
+    });
   });
 
   // ============================================================================
@@ -0,0 +1,235 @@
+/**
+ * Series Handler Tests
+ *
+ * Tests GET /v1/series/search and GET /v1/series/:id
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { handleSeriesSearch } from "../../../src/handlers/v1/series-search.ts";
+import { handleGetSeries } from "../../../src/handlers/v1/series.ts";
+import { handleSearchTitle } from "../../../src/handlers/v1/search-title.ts";
+import { recordSeries } from "../../../src/services/series-index.ts";
+import { CacheKeyFactory } from "../../../src/services/cache-key-factory.js";
+import { createMockKV } from "../../setup.js";
+import { createMockFetchResponse } from "../../mocks/providers.js";
+
+const claim = (id, qualifiers = {}) => ({
+  mainsnak: { datavalue: { type: "wikibase-entityid", value: { id } } },
+  qualifiers: Object.fromEntries(
+    Object.entries(qualifiers).map(([pid, value]) => [pid, [{ datavalue: { value } }]]),
+  ),
+});
+const published = (year) => [
+  { mainsnak: { datavalue: { type: "time", value: { time: `+${year}-01-01T00:00:00Z` } } } },
+];
+
+// The Expanse on Wikidata: series Q1 with parts Q11 (#1) and Q12 (#2 on the book's own claim)
+const WIKIDATA_ENTITIES = {
+  Q1: {
+    labels: { en: { value: "The Expanse" } },
+    claims: { P31: [claim("Q277759")], P527: [claim("Q11", { P1545: "1" }), claim("Q12")] },
+  },
+  Q11: {
+    labels: { en: { value: "Leviathan Wakes" } },
+    claims: { P179: [claim("Q1", { P1545: "1" })], P577: published(2011) },
+  },
+  Q12: {
+    labels: { en: { value: "Caliban's War" } },
+    claims: { P179: [claim("Q1", { P1545: "2" })], P577: published(2012) },
+  },
+};
+
+const googleVolume = (id, title, subtitle) => ({
+  id,
+  volumeInfo: {
+    title,
+    subtitle,
+    authors: ["James S. A. Corey"],
+    publishedDate: "2011-06-02",
+    industryIdentifiers: [{ type: "ISBN_13", identifier: "9780316129084" }],
+  },
+});
+
+function mockFetch(googleItems) {
+  return vi.fn(async (url) => {
+    const href = new URL(String(url));
+    if (href.hostname === "www.googleapis.com") {
+      return createMockFetchResponse({ totalItems: googleItems.length, items: googleItems });
+    }
+    if (href.pathname.startsWith("/wiki/Special:EntityData/")) {
+      const id = href.pathname.split("/").pop().replace(".json", "");
+      return createMockFetchResponse({ entities: { [id]: WIKIDATA_ENTITIES[id] } });
+    }
+    const action = href.searchParams.get("action");
+    if (action === "wbsearchentities") {
+      const search = href.searchParams.get("search").toLowerCase();
+      const hits = Object.entries(WIKIDATA_ENTITIES)
+        .filter(([, entity]) => entity.labels.en.value.toLowerCase().includes(search))
+        .map(([id]) => ({ id }));
+      return createMockFetchResponse({ search: hits });
+    }
+    if (action === "wbgetentities") {
+      const ids = href.searchParams.get("ids").split("|");
+      return createMockFetchResponse({
+        entities: Object.fromEntries(ids.map((id) => [id, WIKIDATA_ENTITIES[id]])),
+      });
+    }
+    return createMockFetchResponse({}, 404);
+  });
+}
+
+describe("Series endpoints", () => {
+  let mockEnv;
+  let mockCtx;
+  let pendingWrites;
+  let originalFetch;
+
+  beforeEach(() => {
+    mockEnv = { CACHE: createMockKV(), GOOGLE_BOOKS_API_KEY: "test-google-key" };
+    pendingWrites = [];
+    mockCtx = {
+      waitUntil: vi.fn((promise) => pendingWrites.push(promise)),
+      passThroughOnException: vi.fn(),
+    };
+    originalFetch = global.fetch;
+  });
+
+  afterEach(async () => {
+    await Promise.all(pendingWrites);
+    for (const query of ["The Expanse", "Leviathan Wakes"]) {
+      await caches.default.delete(`https://cache.internal/${CacheKeyFactory.seriesSearch(query)}`);
+    }
+    global.fetch = originalFetch;
+    vi.clearAllMocks();
+  });
+
+  describe("GET /v1/series/search", () => {
+    it("should require q", async () => {
+      const response = await handleSeriesSearch("", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error.code).toBe("INVALID_QUERY");
+    });
+
+    it("should return series detected on search results", async () => {
+      global.fetch = mockFetch([
+        googleVolume("gb-1", "Leviathan Wakes (The Expanse, #1)"),
+        googleVolume("gb-2", "Caliban's War", "Book 2 of the Expanse"),
+      ]);
+
+      const response = await handleSeriesSearch("The Expanse", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data.series).toHaveLength(1);
+      expect(body.data.series[0]).toMatchObject({
+        id: "expanse",
+        name: "The Expanse",
+        authors: ["James S. A. Corey"],
+      });
+      expect(body.data.series[0].works.map((entry) => [entry.position, entry.googleBooksVolumeID])).toEqual([
+        [1, "gb-1"],
+        [2, "gb-2"],
+      ]);
+    });
+
+    it("should fall back to Wikidata when providers expose no series", async () => {
+      mockEnv.KV_CACHE = createMockKV();
+      global.fetch = mockFetch([googleVolume("gb-1", "Leviathan Wakes")]);
+
+      const response = await handleSeriesSearch("Leviathan Wakes", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(body.data.series[0]).toMatchObject({ id: "expanse", wikidataID: "Q1" });
+      expect(body.data.series[0].works[0]).toMatchObject({ title: "Leviathan Wakes", position: 1 });
+    });
+
+    it("should return an empty list when nothing is part of a series", async () => {
+      global.fetch = mockFetch([]);
+
+      const response = await handleSeriesSearch("The Expanse", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data.series).toEqual([]);
+    });
+  });
+
+  describe("GET /v1/series/:id", () => {
+    it("should return 404 for unknown series", async () => {
+      global.fetch = vi.fn();
+
+      const response = await handleGetSeries("unknown", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(body.error.code).toBe("NOT_FOUND");
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should find series seen in title search results", async () => {
+      global.fetch = mockFetch([googleVolume("gb-7", "Dragons of Autumn Twilight (Dragonlance Chronicles, #1)")]);
+
+      await handleSearchTitle("Dragons of Autumn Twilight", mockEnv, null, null, null, mockCtx);
+      await Promise.all(pendingWrites);
+      const response = await handleGetSeries("dragonlance-chronicles", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data.series).toMatchObject({ name: "Dragonlance Chronicles", authors: ["James S. A. Corey"] });
+      expect(body.data.series.works.map((entry) => [entry.position, entry.googleBooksVolumeID])).toEqual([[1, "gb-7"]]);
+    });
+
+    it("should list recorded works and fill in the rest from Wikidata in reading order", async () => {
+      await recordSeries(mockEnv, [
+        {
+          title: "Caliban's War (The Expanse, #2)",
+          series: { id: "expanse", name: "The Expanse", position: 2 },
+          authors: [{ name: "James S. A. Corey" }],
+        },
+      ]);
+      global.fetch = mockFetch([]);
+
+      const response = await handleGetSeries("expanse", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data.series.wikidataID).toBe("Q1");
+      expect(body.data.series.works).toEqual([
+        { title: "Leviathan Wakes", position: 1, authors: [], firstPublicationYear: 2011, wikidataID: "Q11" },
+        {
+          title: "Caliban's War (The Expanse, #2)",
+          position: 2,
+          authors: ["James S. A. Corey"],
+          firstPublicationYear: 2012,
+          wikidataID: "Q12",
+        },
+      ]);
+
+      // Wikidata additions are saved to the registry
+      await Promise.all(pendingWrites);
+      global.fetch = vi.fn(async () => createMockFetchResponse({}, 500));
+      const again = await (await handleGetSeries("expanse", mockEnv, mockCtx)).json();
+      expect(again.data.series.works).toHaveLength(2);
+    });
+
+    it("should serve repeat requests from the Wikidata cache without rewriting the registry", async () => {
+      mockEnv.KV_CACHE = createMockKV();
+      await recordSeries(mockEnv, [
+        { title: "Caliban's War (The Expanse, #2)", series: { id: "expanse", name: "The Expanse", position: 2 } },
+      ]);
+      global.fetch = mockFetch([]);
+      await handleGetSeries("expanse", mockEnv, mockCtx);
+      await Promise.all(pendingWrites);
+      global.fetch.mockClear();
+      mockEnv.CACHE.put.mockClear();
+
+      const response = await handleGetSeries("expanse", mockEnv, mockCtx);
+
+      expect((await response.json()).data.series.works).toHaveLength(2);
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockEnv.CACHE.put).not.toHaveBeenCalled();
+    });
+  });
+});
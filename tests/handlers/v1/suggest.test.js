@@ -0,0 +1,99 @@
+/**
+ * Suggest Handler Tests
+ *
+ * Tests GET /v1/suggest
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { handleSuggest } from "../../../src/handlers/v1/suggest.ts";
+import { recordSuggestions } from "../../../src/services/suggest-index.ts";
+import { CacheKeyFactory } from "../../../src/services/cache-key-factory.js";
+import { createMockKV } from "../../setup.js";
+
+describe("GET /v1/suggest", () => {
+  let mockEnv;
+  let mockCtx;
+  let pendingWrites;
+
+  beforeEach(async () => {
+    mockEnv = { CACHE: createMockKV() };
+    pendingWrites = [];
+    mockCtx = {
+      waitUntil: vi.fn((promise) => pendingWrites.push(promise)),
+      passThroughOnException: vi.fn(),
+    };
+    global.fetch = vi.fn();
+
+    await recordSuggestions(mockEnv, [
+      { type: "title", text: "The Hobbit", author: "J.R.R. Tolkien" },
+      { type: "author", text: "J.R.R. Tolkien" },
+    ]);
+  });
+
+  afterEach(async () => {
+    await Promise.all(pendingWrites);
+    for (const prefix of ["th", "the", "ho", "hob", "to", "tol"]) {
+      await caches.default.delete(`https://cache.internal/${CacheKeyFactory.suggestBucket(prefix)}`);
+    }
+    vi.clearAllMocks();
+  });
+
+  describe("Validation", () => {
+    it("should require q", async () => {
+      const response = await handleSuggest(null, mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error.code).toBe("INVALID_QUERY");
+    });
+
+    it("should reject overly long queries", async () => {
+      const response = await handleSuggest("x".repeat(101), mockEnv, mockCtx);
+
+      expect(response.status).toBe(400);
+    });
+
+    it.each(["0", "21", "abc"])("should reject limit=%s", async (limit) => {
+      const response = await handleSuggest("hob", mockEnv, mockCtx, null, limit);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error.message).toContain("limit");
+    });
+  });
+
+  describe("Suggestions", () => {
+    it("should return matching titles and authors", async () => {
+      const response = await handleSuggest("Hob", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data).toEqual({
+        query: "Hob",
+        suggestions: [{ text: "The Hobbit", type: "title", author: "J.R.R. Tolkien" }],
+      });
+      expect(body.metadata.cached).toBe(true);
+    });
+
+    it("should match authors by any name", async () => {
+      const response = await handleSuggest("tolk", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(body.data.suggestions).toEqual([{ text: "J.R.R. Tolkien", type: "author" }]);
+    });
+
+    it("should return an empty list for one-character queries", async () => {
+      const response = await handleSuggest("h", mockEnv, mockCtx);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data.suggestions).toEqual([]);
+    });
+
+    it("should never call a provider", async () => {
+      await handleSuggest("hob", mockEnv, mockCtx);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
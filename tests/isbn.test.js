@@ -0,0 +1,133 @@
+/**
+ * Unit tests for ISBN validation, conversion and hyphenation
+ */
+
+import { describe, test, expect } from "vitest";
+import {
+  cleanISBN,
+  isValidISBN10,
+  isValidISBN13,
+  isValidISBN,
+  isbn10To13,
+  isbn13To10,
+  toISBN13,
+  canonicalISBN,
+  expandISBNs,
+  hyphenateISBN,
+} from "../src/utils/isbn.ts";
+
+describe("cleanISBN", () => {
+  test("should strip separators and uppercase the check digit", () => {
+    expect(cleanISBN("0-8044-2957-x")).toBe("080442957X");
+    expect(cleanISBN(" 978 0 7432 7356 5 ")).toBe("9780743273565");
+  });
+});
+
+describe("checksum validation", () => {
+  test("should accept valid ISBN-10s", () => {
+    expect(isValidISBN10("0743273567")).toBe(true);
+    expect(isValidISBN10("0-8044-2957-X")).toBe(true);
+  });
+
+  test("should reject ISBN-10s with a wrong check digit", () => {
+    expect(isValidISBN10("0743273568")).toBe(false);
+    expect(isValidISBN10("1234567890")).toBe(false);
+  });
+
+  test("should reject X anywhere but the check digit", () => {
+    expect(isValidISBN10("X743273567")).toBe(false);
+  });
+
+  test("should accept valid ISBN-13s", () => {
+    expect(isValidISBN13("9780743273565")).toBe(true);
+    expect(isValidISBN13("979-10-90636-07-1")).toBe(true);
+  });
+
+  test("should reject ISBN-13s with a wrong check digit or prefix", () => {
+    expect(isValidISBN13("9780743273566")).toBe(false);
+    expect(isValidISBN13("9770743273565")).toBe(false);
+  });
+
+  test("isValidISBN should accept either form", () => {
+    expect(isValidISBN("0743273567")).toBe(true);
+    expect(isValidISBN("9780743273565")).toBe(true);
+    expect(isValidISBN("not-an-isbn")).toBe(false);
+    expect(isValidISBN("")).toBe(false);
+  });
+});
+
+describe("ISBN-10 ↔ ISBN-13 conversion", () => {
+  test("should convert ISBN-10 to ISBN-13", () => {
+    expect(isbn10To13("0-7432-7356-7")).toBe("9780743273565");
+    expect(isbn10To13("080442957X")).toBe("9780804429573");
+  });
+
+  test("should convert ISBN-13 to ISBN-10", () => {
+    expect(isbn13To10("9780743273565")).toBe("0743273567");
+    expect(isbn13To10("9780804429573")).toBe("080442957X");
+  });
+
+  test("should return null for 979-prefixed ISBN-13s", () => {
+    expect(isbn13To10("9791090636071")).toBeNull();
+  });
+
+  test("should return null for invalid input", () => {
+    expect(isbn10To13("1234567890")).toBeNull();
+    expect(isbn13To10("9780743273566")).toBeNull();
+  });
+
+  test("toISBN13 should accept either form", () => {
+    expect(toISBN13("0743273567")).toBe("9780743273565");
+    expect(toISBN13("978-0-7432-7356-5")).toBe("9780743273565");
+    expect(toISBN13("1234567890")).toBeNull();
+  });
+});
+
+describe("canonicalISBN", () => {
+  test("should collapse ISBN-10 and ISBN-13 to the same value", () => {
+    expect(canonicalISBN("0-7432-7356-7")).toBe(canonicalISBN("9780743273565"));
+  });
+
+  test("should fall back to the cleaned input when invalid", () => {
+    expect(canonicalISBN("123-456-789-0")).toBe("1234567890");
+  });
+});
+
+describe("expandISBNs", () => {
+  test("should return ISBN-13 then ISBN-10, deduplicated", () => {
+    expect(expandISBNs(["9780743273565", "0743273567"])).toEqual(["9780743273565", "0743273567"]);
+    expect(expandISBNs([undefined, "0743273567"])).toEqual(["9780743273565", "0743273567"]);
+  });
+
+  test("should not invent an ISBN-10 for 979 prefixes", () => {
+    expect(expandISBNs(["9791090636071", null])).toEqual(["9791090636071"]);
+  });
+
+  test("should keep invalid provider ISBNs", () => {
+    expect(expandISBNs(["1234567890"])).toEqual(["1234567890"]);
+  });
+});
+
+describe("hyphenateISBN", () => {
+  test("should hyphenate English-language ISBN-13s", () => {
+    expect(hyphenateISBN("9780743273565")).toBe("978-0-7432-7356-5");
+    expect(hyphenateISBN("9780439708180")).toBe("978-0-439-70818-0");
+    expect(hyphenateISBN("9781408855652")).toBe("978-1-4088-5565-2");
+  });
+
+  test("should hyphenate ISBN-10 input as ISBN-10", () => {
+    expect(hyphenateISBN("0743273567")).toBe("0-7432-7356-7");
+  });
+
+  test("should hyphenate 979-10 ISBNs", () => {
+    expect(hyphenateISBN("9791090636071")).toBe("979-10-90636-07-1");
+  });
+
+  test("should return the cleaned ISBN for groups without range data", () => {
+    expect(hyphenateISBN("9788845292613")).toBe("9788845292613");
+  });
+
+  test("should return null for invalid ISBNs", () => {
+    expect(hyphenateISBN("9780743273566")).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for MARCXML / SRU response parsing
+ */
+
+import { describe, test, expect } from "vitest";
+import {
+  parseMarcXml,
+  parseSruResponse,
+  marcFields,
+  marcSubfield,
+  marcSubfields,
+} from "../src/utils/marcxml.ts";
+import {
+  leftHandOfDarknessRecord,
+  duneRecord,
+  createSruResponse,
+  emptySruResponse,
+  diagnosticSruResponse,
+} from "./fixtures/library-of-congress-samples.js";
+
+describe("parseMarcXml", () => {
+  test("should read the leader, control fields and data fields", () => {
+    const [record] = parseMarcXml(leftHandOfDarknessRecord);
+
+    expect(record.leader).toBe("01234cam a2200301 i 4500");
+    expect(record.controlFields["001"]).toBe("21151432");
+    expect(marcFields(record, "245")[0]).toEqual({
+      tag: "245",
+      ind1: "1",
+      ind2: "4",
+      subfields: [
+        { code: "a", value: "The left hand of darkness /" },
+        { code: "c", value: "Ursula K. Le Guin ; introduction by Harold Bloom." },
+      ],
+    });
+  });
+
+  test("should read every record of a collection", () => {
+    const records = parseMarcXml(`<collection>${leftHandOfDarknessRecord}${duneRecord}</collection>`);
+
+    expect(records.map((record) => record.controlFields["001"])).toEqual(["21151432", "4587312"]);
+  });
+
+  test("should accept namespace-prefixed elements", () => {
+    const [record] = parseMarcXml(`
+      <marc:record xmlns:marc="http://www.loc.gov/MARC21/slim">
+        <marc:controlfield tag="001">123</marc:controlfield>
+        <marc:datafield tag="650" ind1=" " ind2="0">
+          <marc:subfield code="a">Science fiction.</marc:subfield>
+        </marc:datafield>
+      </marc:record>`);
+
+    expect(record.controlFields["001"]).toBe("123");
+    expect(marcSubfield(marcFields(record, "650")[0], "a")).toBe("Science fiction.");
+  });
+
+  test("should decode entities", () => {
+    const [record] = parseMarcXml(leftHandOfDarknessRecord);
+    const copyright = marcFields(record, "264").find((field) => field.ind2 === "4");
+    const [withAmp] = parseMarcXml(
+      '<record><datafield tag="245" ind1="0" ind2="0"><subfield code="a">Pride &amp; prejudice</subfield></datafield></record>',
+    );
+
+    expect(marcSubfield(copyright, "c")).toBe("©1969");
+    expect(marcSubfield(marcFields(withAmp, "245")[0], "a")).toBe("Pride & prejudice");
+  });
+});
+
+describe("marcSubfields", () => {
+  test("should return every value of a repeated subfield", () => {
+    const [record] = parseMarcXml(
+      '<record><datafield tag="700" ind1="1" ind2=" "><subfield code="a">Doe, Jane,</subfield><subfield code="e">editor,</subfield><subfield code="e">translator.</subfield></datafield></record>',
+    );
+
+    expect(marcSubfields(marcFields(record, "700")[0], "e")).toEqual(["editor,", "translator."]);
+    expect(marcSubfields(undefined, "e")).toEqual([]);
+  });
+});
+
+describe("parseSruResponse", () => {
+  test("should return the records and total", () => {
+    const response = parseSruResponse(createSruResponse([leftHandOfDarknessRecord, duneRecord], 42));
+
+    expect(response.total).toBe(42);
+    expect(response.records).toHaveLength(2);
+  });
+
+  test("should return no records for an empty result", () => {
+    expect(parseSruResponse(emptySruResponse)).toEqual({ total: 0, records: [] });
+  });
+
+  test("should throw on an SRU diagnostic", () => {
+    expect(() => parseSruResponse(diagnosticSruResponse)).toThrow("SRU error: Unsupported index");
+  });
+
+  test("should throw on a response that isn't SRU", () => {
+    expect(() => parseSruResponse("<html>Service unavailable</html>")).toThrow(
+      "SRU error: unrecognized response",
+    );
+  });
+});
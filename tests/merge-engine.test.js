@@ -0,0 +1,234 @@
+/**
+ * Unit tests for the provider merge engine
+ */
+
+import { describe, test, expect } from "vitest";
+import {
+  mergeBookRecords,
+  precedenceFor,
+  resolveMergeRules,
+  sameBook,
+  DEFAULT_MERGE_RULES,
+} from "../src/services/merge-engine.ts";
+
+const google = {
+  source: "google-books",
+  work: {
+    title: "Leviathan Wakes",
+    subjectTags: ["Science Fiction"],
+    description: "Humanity has colonized the solar system...",
+    firstPublicationYear: 2012,
+    googleBooksVolumeIDs: ["gb-1"],
+    isbndbQuality: 0,
+    reviewStatus: "verified",
+  },
+  edition: {
+    isbn: "9780316129084",
+    isbns: ["9780316129084", "0316129089"],
+    publisher: "Orbit",
+    publicationDate: "2012-05-01",
+    pageCount: 592,
+    format: "Paperback",
+    coverImageURL: "https://books.google.com/cover.jpg",
+    googleBooksVolumeIDs: ["gb-1"],
+    amazonASINs: [],
+    librarythingIDs: [],
+    isbndbQuality: 0,
+  },
+  authors: [{ name: "James S. A. Corey", gender: "Unknown" }],
+};
+
+const openLibrary = {
+  source: "openlibrary",
+  work: {
+    title: "Leviathan Wakes",
+    subjectTags: ["Space Opera"],
+    firstPublicationYear: 2011,
+    openLibraryWorkID: "OL15832982W",
+    series: { id: "expanse", name: "The Expanse", position: 1 },
+    isbndbQuality: 0,
+  },
+  edition: {
+    isbns: ["9780316129084"],
+    pageCount: 582,
+    format: "Paperback",
+    openLibraryEditionID: "OL24952567M",
+    isbndbQuality: 0,
+  },
+  authors: [{ name: "James S.A. Corey", gender: "Unknown" }],
+};
+
+const isbndb = {
+  source: "isbndb",
+  work: { title: "Leviathan Wakes (The Expanse, 1)", firstPublicationYear: 2012, isbndbQuality: 80 },
+  edition: {
+    isbns: ["9780316129084"],
+    publisher: "Orbit Books",
+    publicationDate: "2011-06-15",
+    pageCount: 582,
+    format: "Paperback",
+    isbndbQuality: 80,
+  },
+  authors: [{ name: "Corey, James S. A.", gender: "Unknown" }],
+};
+
+const wikidata = {
+  source: "wikidata",
+  work: {
+    title: "Leviathan Wakes",
+    firstPublicationYear: 2011,
+    series: { id: "expanse", name: "The Expanse", position: 1, wikidataID: "Q19610143" },
+  },
+};
+
+describe("mergeBookRecords", () => {
+  test("should take each field from the highest-precedence source that has it", () => {
+    const merged = mergeBookRecords([isbndb, openLibrary, google, wikidata]);
+
+    expect(merged.work.description).toBe(google.work.description);
+    expect(merged.work.firstPublicationYear).toBe(2011);
+    expect(merged.edition.pageCount).toBe(582);
+    expect(merged.edition.publisher).toBe("Orbit Books");
+    expect(merged.edition.coverImageURL).toBe(google.edition.coverImageURL);
+  });
+
+  test("should record per-field provenance", () => {
+    const merged = mergeBookRecords([isbndb, openLibrary, google, wikidata]);
+
+    expect(merged.work.provenance).toEqual({
+      title: "google-books",
+      description: "google-books",
+      firstPublicationYear: "wikidata",
+      series: "openlibrary",
+      coverImageURL: "google-books",
+      authors: "google-books",
+    });
+    expect(merged.edition.provenance).toMatchObject({
+      pageCount: "isbndb",
+      publisher: "isbndb",
+      publicationDate: "isbndb",
+      coverImageURL: "google-books",
+    });
+  });
+
+  test("should report conflicting fields with every source's value", () => {
+    const merged = mergeBookRecords([isbndb, openLibrary, google, wikidata]);
+
+    expect(merged.conflicts).toContainEqual({
+      field: "work.firstPublicationYear",
+      values: [
+        { source: "wikidata", value: 2011 },
+        { source: "openlibrary", value: 2011 },
+        { source: "isbndb", value: 2012 },
+        { source: "google-books", value: 2012 },
+      ],
+      resolvedFrom: "wikidata",
+    });
+    expect(merged.conflicts.map((conflict) => conflict.field)).toEqual([
+      "work.firstPublicationYear",
+      "edition.publicationDate",
+      "edition.pageCount",
+    ]);
+  });
+
+  test("should not report conflicts when sources agree", () => {
+    const merged = mergeBookRecords([google, { ...openLibrary, work: { ...openLibrary.work, firstPublicationYear: 2012 }, edition: null }]);
+
+    expect(merged.conflicts).toEqual([]);
+  });
+
+  test("should union IDs and tags and keep provider-specific IDs", () => {
+    const merged = mergeBookRecords([google, openLibrary]);
+
+    expect(merged.work.subjectTags).toEqual(["Science Fiction", "Space Opera"]);
+    expect(merged.work.openLibraryWorkID).toBe("OL15832982W");
+    expect(merged.edition.isbns).toEqual(["9780316129084", "0316129089"]);
+    expect(merged.edition.openLibraryEditionID).toBe("OL24952567M");
+  });
+
+  test("should fill in the series' Wikidata ID from another source", () => {
+    const merged = mergeBookRecords([openLibrary, wikidata]);
+
+    expect(merged.work.series).toEqual({ id: "expanse", name: "The Expanse", position: 1, wikidataID: "Q19610143" });
+  });
+
+  test("should list data providers as contributors, with the primary first", () => {
+    const merged = mergeBookRecords([wikidata, isbndb, openLibrary, google]);
+
+    expect(merged.work.primaryProvider).toBe("google-books");
+    expect(merged.work.contributors).toEqual(["google-books", "openlibrary", "isbndb"]);
+    expect(merged.work.synthetic).toBe(false);
+    expect(merged.authors).toEqual(google.authors);
+  });
+
+  test("should not merge editions that don't share an ISBN", () => {
+    const hardcover = { ...isbndb, edition: { ...isbndb.edition, isbns: ["9780316129077"], pageCount: 561 } };
+    const merged = mergeBookRecords([google, hardcover]);
+
+    expect(merged.edition.pageCount).toBe(592);
+    expect(merged.edition.contributors).toEqual(["google-books"]);
+    expect(merged.conflicts.find((conflict) => conflict.field === "edition.pageCount")).toBeUndefined();
+  });
+
+  test("should honour custom precedence", () => {
+    const rules = { ...DEFAULT_MERGE_RULES, "edition.pageCount": ["google-books"] };
+    const merged = mergeBookRecords([google, isbndb], rules);
+
+    expect(merged.edition.pageCount).toBe(592);
+    expect(merged.edition.provenance.pageCount).toBe("google-books");
+    expect(merged.conflicts[merged.conflicts.length - 1]).toMatchObject({
+      field: "edition.pageCount",
+      resolvedFrom: "google-books",
+    });
+  });
+
+  test("should return null without a work", () => {
+    expect(mergeBookRecords([])).toBeNull();
+  });
+});
+
+describe("precedenceFor", () => {
+  test("should append remaining default sources to a field rule", () => {
+    expect(precedenceFor("edition.pageCount")).toEqual([
+      "isbndb",
+      "library-of-congress",
+      "google-books",
+      "openlibrary",
+      "wikidata",
+      "gemini",
+    ]);
+  });
+
+  test("should use the default order for fields without a rule", () => {
+    expect(precedenceFor("edition.language")).toEqual(DEFAULT_MERGE_RULES.default);
+  });
+});
+
+describe("resolveMergeRules", () => {
+  test("should apply MERGE_PRECEDENCE overrides", () => {
+    const rules = resolveMergeRules({ MERGE_PRECEDENCE: '{"work.description": ["openlibrary"]}' });
+
+    expect(rules["work.description"]).toEqual(["openlibrary"]);
+    expect(rules["edition.pageCount"]).toEqual(DEFAULT_MERGE_RULES["edition.pageCount"]);
+  });
+
+  test("should ignore invalid configuration", () => {
+    expect(resolveMergeRules({ MERGE_PRECEDENCE: "not json" })).toBe(DEFAULT_MERGE_RULES);
+    expect(resolveMergeRules({ MERGE_PRECEDENCE: '{"work.title": "google-books"}' })).toEqual(DEFAULT_MERGE_RULES);
+    expect(resolveMergeRules({})).toBe(DEFAULT_MERGE_RULES);
+  });
+});
+
+describe("sameBook", () => {
+  test("should match on a shared ISBN", () => {
+    expect(sameBook(google, { source: "openlibrary", work: { title: "Different" }, edition: { isbns: ["0316129089"] } })).toBe(true);
+  });
+
+  test("should match on the main title", () => {
+    expect(sameBook({ source: "google-books", work: { title: "Leviathan Wakes: A Novel" } }, isbndb)).toBe(true);
+  });
+
+  test("should not match different books", () => {
+    expect(sameBook(google, { source: "openlibrary", work: { title: "Caliban's War" } })).toBe(false);
+  });
+});
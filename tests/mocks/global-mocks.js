@@ -14,18 +14,42 @@
 
 // In-memory store for KV namespaces
 const kvStore = new Map();
+const kvMetadata = new Map();
 
 export const mockKV = {
-  get: vi.fn((key) => kvStore.get(key)),
-  put: vi.fn((key, value) => kvStore.set(key, value)),
-  delete: vi.fn((key) => kvStore.delete(key)),
-  list: vi.fn(() => ({
-    keys: Array.from(kvStore.keys()).map((name) => ({ name })),
+  get: vi.fn((key, type) => {
+    const json = type === 'json' || type?.type === 'json';
+    const read = (name) => {
+      const value = kvStore.get(name);
+      return json && typeof value === 'string' ? JSON.parse(value) : value;
+    };
+    // Bulk get: an array of keys reads a Map, null for missing keys
+    return Array.isArray(key) ? new Map(key.map((name) => [name, read(name) ?? null])) : read(key);
+  }),
+  put: vi.fn((key, value, options) => {
+    kvStore.set(key, value);
+    if (options?.metadata) {
+      kvMetadata.set(key, options.metadata);
+    } else {
+      kvMetadata.delete(key);
+    }
+  }),
+  delete: vi.fn((key) => {
+    kvMetadata.delete(key);
+    return kvStore.delete(key);
+  }),
+  list: vi.fn(({ prefix = '' } = {}) => ({
+    keys: Array.from(kvStore.keys())
+      .filter((name) => name.startsWith(prefix))
+      .map((name) => (kvMetadata.has(name) ? { name, metadata: kvMetadata.get(name) } : { name })),
     list_complete: true,
     cursor: undefined,
   })),
   // Helper to clear the store before each test
-  clear: () => kvStore.clear(),
+  clear: () => {
+    kvStore.clear();
+    kvMetadata.clear();
+  },
 };
 
 // =============================================================================
@@ -9,6 +9,7 @@ import { googleBooksHandlers } from './google-books.js'
 import { isbndbHandlers } from './isbndb.js'
 import { geminiHandlers } from './gemini.js'
 import { openLibraryHandlers } from './openlibrary.js'
+import { libraryOfCongressHandlers } from './library-of-congress.js'
 
 /**
  * All MSW handlers combined
@@ -18,7 +19,8 @@ export const handlers = [
   ...googleBooksHandlers,
   ...isbndbHandlers,
   ...geminiHandlers,
-  ...openLibraryHandlers
+  ...openLibraryHandlers,
+  ...libraryOfCongressHandlers
 ]
 
 /**
@@ -28,7 +30,8 @@ export {
   googleBooksHandlers,
   isbndbHandlers,
   geminiHandlers,
-  openLibraryHandlers
+  openLibraryHandlers,
+  libraryOfCongressHandlers
 }
 
 /**
@@ -53,3 +56,7 @@ export {
   createOpenLibraryResponse,
   createOpenLibraryHandler
 } from './openlibrary.js'
+
+export {
+  createLibraryOfCongressHandler
+} from './library-of-congress.js'
@@ -0,0 +1,66 @@
+/**
+ * MSW Handlers for the Library of Congress SRU API
+ *
+ * Local stand-in for LOC_SRU_BASE_URL, backed by the MARCXML fixtures in
+ * tests/fixtures/library-of-congress-samples.js
+ */
+
+import { http, HttpResponse } from "msw";
+import {
+  leftHandOfDarknessRecord,
+  duneRecord,
+  createSruResponse,
+  diagnosticSruResponse,
+} from "../../fixtures/library-of-congress-samples.js";
+
+export const LOC_SRU_BASE_URL = "https://lx2.loc.gov:210/LCDB";
+
+/**
+ * Fixture records and the CQL terms that find them
+ */
+const catalog = [
+  { record: leftHandOfDarknessRecord, terms: ["9780441478125", "0441478123", "left hand of darkness", "le guin"] },
+  { record: duneRecord, terms: ["9780441172719", "0441172717", "dune", "herbert"] },
+];
+
+function xml(body, status = 200) {
+  return new HttpResponse(body, {
+    status,
+    headers: { "Content-Type": "application/xml" },
+  });
+}
+
+/**
+ * Library of Congress API Handlers
+ */
+export const libraryOfCongressHandlers = [
+  http.get(LOC_SRU_BASE_URL, ({ request }) => {
+    const url = new URL(request.url);
+    const query = (url.searchParams.get("query") || "").toLowerCase();
+
+    // Unknown CQL indexes get an SRU diagnostic, like the real server
+    if (!/^bath\.(isbn|title|author)=/.test(query)) {
+      return xml(diagnosticSruResponse);
+    }
+
+    // Every clause ("bath.title=... and bath.author=...") must match
+    const clauses = [...query.matchAll(/bath\.\w+="([^"]*)"/g)].map(([, term]) => term);
+    const matches = catalog
+      .filter(({ terms }) => clauses.every((clause) => terms.some((term) => clause.includes(term))))
+      .map(({ record }) => record);
+
+    const start = parseInt(url.searchParams.get("startRecord") || "1", 10) - 1;
+    const max = parseInt(url.searchParams.get("maximumRecords") || "20", 10);
+    const page = matches.slice(start, start + max);
+
+    return xml(createSruResponse(page, matches.length));
+  }),
+];
+
+/**
+ * Create a custom Library of Congress handler
+ * For one-off test cases that need specific responses (e.g. server errors)
+ */
+export function createLibraryOfCongressHandler(body, status = 200) {
+  return http.get(LOC_SRU_BASE_URL, () => xml(body, status));
+}
@@ -0,0 +1,140 @@
+/**
+ * Negative Cache Tests
+ *
+ * Tests short-TTL caching of not-found lookups (src/services/negative-cache.js)
+ * and busting via DELETE /api/cache/negative (src/handlers/cache-admin.js)
+ */
+
+import { describe, test, expect, beforeEach } from "vitest";
+import {
+  negativeCacheTTL,
+  isNegativelyCached,
+  setNegativeCached,
+  bustNegativeCache,
+  negativeKeysFor,
+} from "../src/services/negative-cache.js";
+import { handleBustNegativeCache } from "../src/handlers/cache-admin.js";
+import { CacheKeyFactory } from "../src/services/cache-key-factory.js";
+import { createMockKV } from "./setup.js";
+
+describe("negative cache", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV() };
+  });
+
+  test("should default the TTL to one hour", () => {
+    expect(negativeCacheTTL({})).toBe(3600);
+    expect(negativeCacheTTL({ NEGATIVE_CACHE_TTL: "not a number" })).toBe(3600);
+  });
+
+  test("should read the TTL from NEGATIVE_CACHE_TTL, no lower than KV's minimum", () => {
+    expect(negativeCacheTTL({ NEGATIVE_CACHE_TTL: "900" })).toBe(900);
+    expect(negativeCacheTTL({ NEGATIVE_CACHE_TTL: "5" })).toBe(60);
+  });
+
+  test("should remember a not-found lookup under its own prefix", async () => {
+    const cacheKey = CacheKeyFactory.bookISBN("9780000000002");
+
+    expect(await isNegativelyCached(cacheKey, env)).toBe(false);
+    await setNegativeCached(cacheKey, { ...env, NEGATIVE_CACHE_TTL: "600" });
+
+    expect(await isNegativelyCached(cacheKey, env)).toBe(true);
+    expect(env.CACHE.put).toHaveBeenCalledWith(`negative:${cacheKey}`, expect.any(String), {
+      expirationTtl: 600,
+    });
+    expect(await env.CACHE.get(cacheKey)).toBeUndefined(); // Positive entry untouched
+  });
+
+  test("should treat a KV failure as not cached", async () => {
+    env.CACHE.get.mockRejectedValueOnce(new Error("KV unavailable"));
+
+    expect(await isNegativelyCached("search:isbn:isbn=9780000000002", env)).toBe(false);
+  });
+
+  test("should bust entries", async () => {
+    await setNegativeCached("a", env);
+    await setNegativeCached("b", env);
+
+    await bustNegativeCache(["a"], env);
+
+    expect(await isNegativelyCached("a", env)).toBe(false);
+    expect(await isNegativelyCached("b", env)).toBe(true);
+  });
+
+  test("should map an ISBN to the keys of every ISBN endpoint", () => {
+    expect(negativeKeysFor({ isbn: "0-306-40615-2" })).toEqual([
+      "search:isbn:isbn=9780306406157",
+      "v1:isbn:isbn=9780306406157",
+    ]);
+  });
+
+  test("should map a title, or a title and author, to their search keys", () => {
+    expect(negativeKeysFor({ title: "Dune" })).toEqual([
+      CacheKeyFactory.bookTitle("Dune"),
+      CacheKeyFactory.titleSearch("Dune"),
+    ]);
+    expect(negativeKeysFor({ title: "Dune", author: "Frank Herbert" })).toEqual([
+      CacheKeyFactory.editionsSearch({ title: "Dune", author: "Frank Herbert" }),
+    ]);
+  });
+});
+
+describe("DELETE /api/cache/negative", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV(), HARVEST_SECRET: "s3cret" };
+  });
+
+  function bustRequest(query, secret = "s3cret") {
+    return new Request(`https://api.example.com/api/cache/negative?${query}`, {
+      method: "DELETE",
+      headers: secret ? { "X-Harvest-Secret": secret } : {},
+    });
+  }
+
+  test("should require the admin secret", async () => {
+    const response = await handleBustNegativeCache(bustRequest("isbn=9780306406157", null), env);
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).error.code).toBe("UNAUTHORIZED");
+  });
+
+  test("should reject every request when no secret is configured", async () => {
+    const response = await handleBustNegativeCache(bustRequest("isbn=9780306406157", "undefined"), {
+      CACHE: env.CACHE,
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  test("should bust the entries for an ISBN", async () => {
+    await setNegativeCached(CacheKeyFactory.isbnLookup("9780306406157"), env);
+
+    const response = await handleBustNegativeCache(bustRequest("isbn=0306406152"), env);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data.busted).toContain("v1:isbn:isbn=9780306406157");
+    expect(await isNegativelyCached(CacheKeyFactory.isbnLookup("9780306406157"), env)).toBe(false);
+  });
+
+  test("should bust raw cache keys", async () => {
+    await setNegativeCached("v1:editions:author=herbert&title=dune:page:position=20", env);
+
+    const response = await handleBustNegativeCache(
+      bustRequest(`key=${encodeURIComponent("v1:editions:author=herbert&title=dune:page:position=20")}`),
+      env,
+    );
+
+    expect(response.status).toBe(200);
+    expect(await isNegativelyCached("v1:editions:author=herbert&title=dune:page:position=20", env)).toBe(false);
+  });
+
+  test("should reject invalid ISBNs and empty requests", async () => {
+    expect((await handleBustNegativeCache(bustRequest("isbn=123"), env)).status).toBe(400);
+    expect((await handleBustNegativeCache(bustRequest(""), env)).status).toBe(400);
+  });
+});
@@ -43,6 +43,23 @@ describe('normalizeGoogleBooksToWork', () => {
     expect(work.firstPublicationYear).toBeUndefined();
     expect(work.subjectTags).toEqual([]);
     expect(work.description).toBeUndefined();
+    expect(work.series).toBeUndefined();
+  });
+
+  it('should detect series from the subtitle', () => {
+    const item = {
+      id: 'abc789',
+      volumeInfo: {
+        title: "Caliban's War",
+        subtitle: 'Book 2 of the Expanse',
+        authors: ['James S. A. Corey']
+      }
+    };
+
+    const work = normalizeGoogleBooksToWork(item);
+
+    expect(work.title).toBe("Caliban's War");
+    expect(work.series).toEqual({ id: 'expanse', name: 'Expanse', position: 2 });
   });
 });
 
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for signed pagination cursors
+ */
+
+import { describe, test, expect } from "vitest";
+import {
+  encodeCursor,
+  decodeCursor,
+  providerPageMetadata,
+} from "../src/utils/pagination-cursor.ts";
+
+const env = { CURSOR_SIGNING_SECRET: "test-cursor-secret" };
+const baseKey = "v1:advanced:author=frank herbert&title=dune";
+
+describe("pagination cursors", () => {
+  test("should round-trip provider offsets", async () => {
+    const cursor = await encodeCursor(baseKey, { offsets: { "google-books": 20 } }, env);
+    const state = await decodeCursor(cursor, baseKey, env);
+
+    expect(state.offsets).toEqual({ "google-books": 20 });
+    expect(state.position).toBeUndefined();
+  });
+
+  test("should round-trip merged-list position", async () => {
+    const cursor = await encodeCursor(baseKey, { position: 40 }, env);
+    const state = await decodeCursor(cursor, baseKey, env);
+
+    expect(state.position).toBe(40);
+  });
+
+  test("should be opaque (no raw JSON or key in the cursor)", async () => {
+    const cursor = await encodeCursor(baseKey, { offsets: { isbndb: 20 } }, env);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(cursor).not.toContain("dune");
+  });
+
+  test("should reject cursors issued for a different query", async () => {
+    const cursor = await encodeCursor(baseKey, { offsets: { "google-books": 20 } }, env);
+    const state = await decodeCursor(cursor, "v1:advanced:author=&title=emma", env);
+
+    expect(state).toBeNull();
+  });
+
+  test("should reject tampered payloads", async () => {
+    const cursor = await encodeCursor(baseKey, { offsets: { "google-books": 20 } }, env);
+    const [, signature] = cursor.split(".");
+    const forged = btoa(JSON.stringify({ v: 1, q: "x", offsets: { "google-books": 900 } }))
+      .replace(/=+$/, "");
+
+    expect(await decodeCursor(`${forged}.${signature}`, baseKey, env)).toBeNull();
+  });
+
+  test("should reject cursors signed with another secret", async () => {
+    const cursor = await encodeCursor(baseKey, { offsets: { openlibrary: 20 } }, env);
+    const state = await decodeCursor(cursor, baseKey, { CURSOR_SIGNING_SECRET: "rotated" });
+
+    expect(state).toBeNull();
+  });
+
+  test("should not issue or accept cursors without a secret outside dev and test", async () => {
+    const cursor = await encodeCursor(baseKey, { offsets: { "google-books": 20 } }, { ENVIRONMENT: "development" });
+
+    expect(await encodeCursor(baseKey, { offsets: { "google-books": 20 } }, {})).toBeUndefined();
+    expect(await decodeCursor(cursor, baseKey, { ENVIRONMENT: "production" })).toBeNull();
+    expect(await decodeCursor(cursor, baseKey, {})).toBeNull();
+    expect(await decodeCursor(cursor, baseKey, { ENVIRONMENT: "test" })).toMatchObject({ offsets: { "google-books": 20 } });
+  });
+
+  test("should reject truncated and padded signatures", async () => {
+    const cursor = await encodeCursor(baseKey, { offsets: { "google-books": 20 } }, env);
+
+    expect(await decodeCursor(cursor.slice(0, -2), baseKey, env)).toBeNull();
+    expect(await decodeCursor(`${cursor}AA`, baseKey, env)).toBeNull();
+  });
+
+  test("should reject garbage", async () => {
+    expect(await decodeCursor("not-a-cursor", baseKey, env)).toBeNull();
+    expect(await decodeCursor("", baseKey, env)).toBeNull();
+  });
+});
+
+describe("providerPageMetadata()", () => {
+  test("should return a cursor only when more results exist", async () => {
+    const more = await providerPageMetadata(
+      baseKey,
+      { provider: "openlibrary", nextOffset: 20, hasMore: true },
+      env,
+    );
+    const done = await providerPageMetadata(
+      baseKey,
+      { provider: "openlibrary", nextOffset: 20, hasMore: false },
+      env,
+    );
+
+    expect(more.hasMore).toBe(true);
+    expect((await decodeCursor(more.nextCursor, baseKey, env)).offsets).toEqual({ openlibrary: 20 });
+    expect(done).toEqual({ hasMore: false });
+  });
+});
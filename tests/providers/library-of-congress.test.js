@@ -0,0 +1,88 @@
+/**
+ * Tests for the Library of Congress provider against the fixture-backed SRU
+ * stand-in (tests/mocks/handlers/library-of-congress.js)
+ */
+
+import { describe, test, expect } from "vitest";
+import { setupMSW } from "../helpers/msw-server.js";
+import {
+  libraryOfCongressHandlers,
+  createLibraryOfCongressHandler,
+  LOC_SRU_BASE_URL,
+} from "../mocks/handlers/library-of-congress.js";
+import { diagnosticSruResponse } from "../fixtures/library-of-congress-samples.js";
+import {
+  searchLibraryOfCongress,
+  searchLibraryOfCongressByISBN,
+} from "../../src/services/external-apis.ts";
+import { getProvider, getProviders } from "../../src/providers/index.ts";
+
+const server = setupMSW(libraryOfCongressHandlers);
+
+const env = { LOC_SRU_BASE_URL };
+
+describe("searchLibraryOfCongressByISBN", () => {
+  test("should normalize the catalog record", async () => {
+    const result = await searchLibraryOfCongressByISBN("9780441478125", env);
+
+    expect(result.works).toHaveLength(1);
+    expect(result.works[0]).toMatchObject({
+      title: "The left hand of darkness",
+      series: { name: "Hainish cycle", position: 4 },
+    });
+    expect(result.works[0].authors.map((author) => author.role)).toEqual(["author", "author of introduction"]);
+    expect(result.editions[0]).toMatchObject({ isbn: "9780441478125", publisher: "Ace Books", pageCount: 304 });
+    expect(result.totalResults).toBe(1);
+  });
+
+  test("should return null for an unknown ISBN", async () => {
+    expect(await searchLibraryOfCongressByISBN("9780000000002", env)).toBeNull();
+  });
+
+  test("should throw on server errors", async () => {
+    server.use(createLibraryOfCongressHandler("Service unavailable", 503));
+
+    await expect(searchLibraryOfCongressByISBN("9780441478125", env)).rejects.toThrow(
+      "Library of Congress SRU API failed: 503",
+    );
+  });
+
+  test("should throw on SRU diagnostics", async () => {
+    server.use(createLibraryOfCongressHandler(diagnosticSruResponse));
+
+    await expect(searchLibraryOfCongressByISBN("9780441478125", env)).rejects.toThrow("SRU error: Unsupported index");
+  });
+});
+
+describe("searchLibraryOfCongress", () => {
+  test("should search by title and author", async () => {
+    const result = await searchLibraryOfCongress("Dune", "Frank Herbert", env);
+
+    expect(result.works.map((work) => work.title)).toEqual(["Dune"]);
+    expect(result.authors).toEqual([{ name: "Frank Herbert", gender: "Unknown", role: "author" }]);
+  });
+
+  test("should return null past the last page", async () => {
+    const result = await searchLibraryOfCongress("Dune", null, env, { maxResults: 1, offset: 1 });
+
+    expect(result).toBeNull();
+  });
+});
+
+describe("Library of Congress provider", () => {
+  test("should only be enabled when LOC_SRU_BASE_URL is an HTTPS endpoint", () => {
+    expect(getProviders({}).map((provider) => provider.id)).not.toContain("library-of-congress");
+    expect(getProviders({ LOC_SRU_BASE_URL: "http://lx2.loc.gov:210/LCDB" }).map((provider) => provider.id)).not.toContain(
+      "library-of-congress",
+    );
+    expect(getProviders(env, "isbn-lookup").map((provider) => provider.id)).toContain("library-of-congress");
+  });
+
+  test("should be supplementary", () => {
+    expect(getProvider("library-of-congress").supplementary).toBe(true);
+  });
+
+  test("should not search without a title", async () => {
+    expect(await getProvider("library-of-congress").searchByTitle({ author: "Frank Herbert" }, { maxResults: 1 }, env)).toBeNull();
+  });
+});
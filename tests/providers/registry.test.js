@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the enrichment provider registry
+ */
+
+import { describe, test, expect, afterEach, vi } from "vitest";
+import {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getProviders,
+} from "../../src/providers/index.ts";
+import { enrichMultipleBooks } from "../../src/services/enrichment.ts";
+import * as externalApis from "../../src/services/external-apis.ts";
+
+vi.mock("../../src/services/external-apis.ts", () => ({
+  searchGoogleBooks: vi.fn(),
+  searchGoogleBooksById: vi.fn(),
+  searchGoogleBooksByISBN: vi.fn(),
+  searchOpenLibrary: vi.fn(),
+  searchOpenLibraryById: vi.fn(),
+  searchOpenLibraryByGoodreadsId: vi.fn(),
+  searchISBNdb: vi.fn(),
+  getISBNdbEditionsForWork: vi.fn(),
+  getISBNdbBookByISBN: vi.fn(),
+}));
+
+const testProvider = {
+  id: "test-source",
+  name: "Test Source",
+  priority: 5,
+  capabilities: ["title-search"],
+  searchByTitle: vi.fn(async () => ({
+    works: [{ title: "Dune" }],
+    editions: [],
+    authors: [],
+    totalResults: 1,
+  })),
+};
+
+describe("provider registry", () => {
+  afterEach(() => {
+    unregisterProvider("test-source");
+    vi.clearAllMocks();
+  });
+
+  test("should register the built-in providers in priority order", () => {
+    expect(getProviders({ ISBNDB_API_KEY: "key" }).map((provider) => provider.id)).toEqual([
+      "google-books",
+      "openlibrary",
+      "isbndb",
+      "wikidata",
+    ]);
+  });
+
+  test("should filter by capability", () => {
+    expect(getProviders({}, "work-lookup").map((provider) => provider.id)).toEqual([
+      "google-books",
+      "openlibrary",
+    ]);
+  });
+
+  test("should skip providers that aren't configured", () => {
+    expect(getProviders({}).map((provider) => provider.id)).not.toContain("isbndb");
+  });
+
+  test("should mark supplementary providers", () => {
+    expect(getProvider("wikidata").supplementary).toBe(true);
+    expect(getProvider("google-books").supplementary).toBeUndefined();
+  });
+
+  test("should reject capabilities without an implementation", () => {
+    expect(() =>
+      registerProvider({ id: "broken", name: "Broken", priority: 1, capabilities: ["isbn-lookup"] }),
+    ).toThrow('Provider "broken" declares isbn-lookup but does not implement searchByISBN()');
+    expect(getProvider("broken")).toBeUndefined();
+  });
+
+  test("should let the enrichment service use a registered provider", async () => {
+    registerProvider(testProvider);
+
+    const results = await enrichMultipleBooks({ title: "Dune" }, {});
+
+    expect(testProvider.searchByTitle).toHaveBeenCalledWith(
+      { title: "Dune", author: undefined },
+      { maxResults: 20, offset: 0, filters: {} },
+      {},
+    );
+    expect(externalApis.searchGoogleBooks).not.toHaveBeenCalled();
+    expect(results.pagination.provider).toBe("test-source");
+  });
+});
+
+describe("built-in providers", () => {
+  test("ISBN searches should fall through to ISBNdb when the free providers miss", async () => {
+    externalApis.searchGoogleBooksByISBN.mockResolvedValue(null);
+    externalApis.searchOpenLibrary.mockResolvedValue(null);
+    externalApis.getISBNdbBookByISBN.mockResolvedValue({
+      work: { title: "Dune" },
+      edition: { isbn: "9780441013593" },
+      authors: [],
+      book: {},
+    });
+
+    const results = await enrichMultipleBooks({ isbn: "9780441013593" }, { ISBNDB_API_KEY: "key" });
+
+    expect(externalApis.getISBNdbBookByISBN).toHaveBeenCalledWith("9780441013593", { ISBNDB_API_KEY: "key" });
+    expect(results.works[0].primaryProvider).toBe("isbndb");
+  });
+
+
+  test("ISBNdb should not search by title without an author", async () => {
+    const result = await getProvider("isbndb").searchByTitle({ title: "Dune" }, { maxResults: 20 }, {});
+
+    expect(result).toBeNull();
+    expect(externalApis.searchISBNdb).not.toHaveBeenCalled();
+  });
+
+  test("ISBNdb should wrap an ISBN lookup as a provider result", async () => {
+    externalApis.getISBNdbBookByISBN.mockResolvedValue({
+      work: { title: "Dune" },
+      edition: { isbn: "9780441013593" },
+      authors: [{ name: "Frank Herbert" }],
+      book: {},
+    });
+
+    const result = await getProvider("isbndb").searchByISBN("9780441013593", {});
+
+    expect(result).toEqual({
+      works: [{ title: "Dune" }],
+      editions: [{ isbn: "9780441013593" }],
+      authors: [{ name: "Frank Herbert" }],
+    });
+  });
+
+  test("OpenLibrary should fall back to the Goodreads ID", async () => {
+    externalApis.searchOpenLibraryById.mockResolvedValue(null);
+    externalApis.searchOpenLibraryByGoodreadsId.mockResolvedValue({ works: [{ title: "Dune" }], editions: [], authors: [] });
+
+    const result = await getProvider("openlibrary").getWork({ openLibraryId: "OL1W", goodreadsId: "234225" }, {});
+
+    expect(result.works[0].title).toBe("Dune");
+    expect(externalApis.searchOpenLibraryByGoodreadsId).toHaveBeenCalledWith("234225", {});
+  });
+
+  test("Google Books should ignore IDs it doesn't know", async () => {
+    expect(await getProvider("google-books").getWork({ openLibraryId: "OL1W" }, {})).toBeNull();
+    expect(externalApis.searchGoogleBooksById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { handleScheduledWarming, warmingBudgets } from "../src/handlers/scheduled-warming.js";
+import { CacheKeyFactory } from "../src/services/cache-key-factory.js";
+import { createMockKV } from "./setup.js";
+import { createMockFetchResponse } from "./mocks/providers.js";
+
+describe("handleScheduledWarming", () => {
+  let env;
+  let originalFetch;
+  let missed;
+  let popular;
+
+  beforeEach(() => {
+    env = {
+      CACHE: createMockKV(),
+      KV_CACHE: createMockKV(),
+      AUTHOR_WARMING_QUEUE: { sendBatch: vi.fn().mockResolvedValue(undefined) },
+      CF_ACCOUNT_ID: "test-account",
+      CF_API_TOKEN: "test-token",
+      ISBNDB_API_KEY: "test-isbndb-key",
+    };
+    missed = [
+      { endpoint: "title", query: "Piranesi", miss_count: "9" },
+      { endpoint: "author", query: "Susanna Clarke", miss_count: "4" },
+    ];
+    popular = [{ isbn: "9780575079212", search_count: "30" }];
+
+    originalFetch = global.fetch;
+    global.fetch = vi.fn(async (url, init) => {
+      const href = String(url);
+      if (href.includes("analytics_engine/sql")) {
+        return createMockFetchResponse({ data: init.body.includes("api_miss") ? missed : popular });
+      }
+      if (href.startsWith("https://api2.isbndb.com/books")) {
+        return createMockFetchResponse({
+          data: [{ isbn13: "9780575079212", title: "Homeland", authors: ["R.A. Salvatore"] }],
+        });
+      }
+      return createMockFetchResponse({}, 404);
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  function queued() {
+    return env.AUTHOR_WARMING_QUEUE.sendBatch.mock.calls.flatMap(([messages]) => messages.map(({ body }) => body));
+  }
+
+  it("should queue missed searches, trending ISBN authors and scanned authors", async () => {
+    await env.KV_CACHE.put(
+      "scan-results:job-1",
+      JSON.stringify({ books: [{ title: "Dune", author: "Frank Herbert" }, { title: "Homeland", author: "R.A. Salvatore" }] }),
+    );
+
+    const summary = await handleScheduledWarming(env);
+
+    expect(queued().map(({ title, author, source }) => [title || author, source])).toEqual([
+      ["Piranesi", "missed-search"],
+      ["Susanna Clarke", "missed-search"],
+      ["R.A. Salvatore", "trending-isbn"],
+      ["Frank Herbert", "recent-scan"],
+    ]);
+    expect(queued()[1]).toMatchObject({ depth: 0, maxTitles: 20, refresh: true, jobId: summary.jobId });
+    expect(summary).toMatchObject({ candidates: 4, queued: 4, alreadyWarm: 0, overBudget: 0 });
+    expect(summary.spent).toEqual({ "google-books": 61, openlibrary: 64, isbndb: 1 });
+    expect(JSON.parse(await env.CACHE.get(`warming:job:${summary.jobId}`))).toMatchObject({
+      authorsQueued: 3,
+      titlesQueued: 1,
+      source: "predictive",
+    });
+  });
+
+  it("should skip cached titles and recently warmed authors", async () => {
+    await env.CACHE.put(CacheKeyFactory.bookTitle("Piranesi", 20), "{}");
+    await env.CACHE.put(
+      "warming:processed:author:susanna clarke",
+      JSON.stringify({ lastWarmed: Date.now() - 24 * 60 * 60 * 1000, depth: 0 }),
+    );
+    await env.CACHE.put(
+      "warming:processed:author:r.a. salvatore",
+      JSON.stringify({ lastWarmed: Date.now() - 30 * 24 * 60 * 60 * 1000, depth: 0 }),
+    );
+
+    const summary = await handleScheduledWarming(env);
+
+    expect(queued().map((body) => body.author || body.title)).toEqual(["R.A. Salvatore"]);
+    expect(summary.alreadyWarm).toBe(2);
+  });
+
+  it("should stop queueing what would exceed a provider budget", async () => {
+    env.WARMING_BUDGET_GOOGLE_BOOKS = "21";
+    env.WARMING_BUDGET_ISBNDB = "0";
+
+    const summary = await handleScheduledWarming(env);
+
+    // Piranesi (1) and Susanna Clarke (20); the trending ISBN can't be resolved without ISBNdb
+    expect(queued().map((body) => body.author || body.title)).toEqual(["Piranesi", "Susanna Clarke"]);
+    expect(summary.spent["google-books"]).toBe(21);
+    expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining("isbndb"), expect.anything());
+  });
+
+  it("should count candidates that don't fit the budget", async () => {
+    env.WARMING_BUDGET_OPENLIBRARY = "5";
+
+    const summary = await handleScheduledWarming(env);
+
+    expect(queued().map((body) => body.author || body.title)).toEqual(["Piranesi"]);
+    expect(summary).toMatchObject({ queued: 1, overBudget: 2 });
+  });
+
+  it("should stop reading KV once nothing fits the budget", async () => {
+    env.WARMING_BUDGET_GOOGLE_BOOKS = "1";
+    const get = vi.spyOn(env.CACHE, "get");
+
+    const summary = await handleScheduledWarming(env);
+
+    expect(queued().map((body) => body.author || body.title)).toEqual(["Piranesi"]);
+    expect(summary).toMatchObject({ candidates: 3, queued: 1, overBudget: 2 });
+    expect(get).not.toHaveBeenCalledWith(expect.stringContaining("warming:processed:author:"), "json");
+  });
+
+  it("should keep only the most scanned authors", async () => {
+    const books = Array.from({ length: 60 }, (_, i) => ({ title: `Book ${i}`, author: `Author ${i}` }));
+    await env.KV_CACHE.put("scan-results:job-1", JSON.stringify({ books }));
+    await env.KV_CACHE.put("scan-results:job-2", JSON.stringify({ books: [{ title: "Book", author: "Author 59" }] }));
+    env.WARMING_BUDGET_ISBNDB = "0";
+
+    const summary = await handleScheduledWarming(env);
+
+    const scanned = queued().filter((body) => body.source === "recent-scan").map((body) => body.author);
+    expect(summary.candidates).toBe(2 + 50);
+    expect(scanned[0]).toBe("Author 59");
+    expect(scanned).toHaveLength(46); // openlibrary budget: (1000 - 1 - 21) / 21 more authors
+  });
+
+  it("should queue nothing without traffic data", async () => {
+    delete env.CF_API_TOKEN;
+
+    const summary = await handleScheduledWarming(env);
+
+    expect(summary).toMatchObject({ candidates: 0, queued: 0 });
+    expect(env.AUTHOR_WARMING_QUEUE.sendBatch).not.toHaveBeenCalled();
+  });
+});
+
+describe("warmingBudgets", () => {
+  it("should use the WARMING_BUDGET_* vars, falling back to defaults", () => {
+    expect(warmingBudgets({ WARMING_BUDGET_OPENLIBRARY: "50", WARMING_BUDGET_ISBNDB: "nope" })).toEqual({
+      "google-books": 1000,
+      openlibrary: 50,
+      isbndb: 2,
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for advanced search facet filters
+ */
+
+import { describe, test, expect } from "vitest";
+import {
+  parseSearchFilters,
+  toProviderFilters,
+  applySearchFilters,
+  computeFacets,
+  normalizeLanguageCode,
+  toMarcLanguage,
+} from "../src/utils/search-filters.ts";
+
+function makeResult({ language, format, subjectTags = [], year, pageCount }) {
+  return {
+    work: { title: "Book", subjectTags, firstPublicationYear: year },
+    edition: { isbns: [], format, language, pageCount },
+  };
+}
+
+describe("parseSearchFilters()", () => {
+  test("should return an empty object when no filters are set", () => {
+    expect(parseSearchFilters({})).toEqual({});
+    expect(parseSearchFilters({ language: "", genre: null })).toEqual({});
+  });
+
+  test("should normalize language, format and genre", () => {
+    const filters = parseSearchFilters({ language: "EN-us", format: "ebook", genre: "sci-fi" });
+
+    expect(filters).toEqual({ language: "en", format: "E-book", genre: ["Science Fiction"] });
+  });
+
+  test("should parse year and page ranges", () => {
+    const filters = parseSearchFilters({ yearFrom: "1950", yearTo: "1999", minPages: "100", maxPages: "400" });
+
+    expect(filters).toEqual({ yearFrom: 1950, yearTo: 1999, minPages: 100, maxPages: 400 });
+  });
+
+  test("should reject invalid values", () => {
+    expect(() => parseSearchFilters({ format: "scroll" })).toThrow(/format must be one of/);
+    expect(() => parseSearchFilters({ language: "english!" })).toThrow(/language/);
+    expect(() => parseSearchFilters({ yearFrom: "abc" })).toThrow(/yearFrom must be a whole number/);
+    expect(() => parseSearchFilters({ yearFrom: "2000", yearTo: "1990" })).toThrow(/yearFrom must not be after yearTo/);
+    expect(() => parseSearchFilters({ minPages: "500", maxPages: "100" })).toThrow(/minPages/);
+  });
+});
+
+describe("language codes", () => {
+  test("should map MARC codes to ISO 639-1", () => {
+    expect(normalizeLanguageCode("eng")).toBe("en");
+    expect(normalizeLanguageCode("ger")).toBe("de");
+    expect(normalizeLanguageCode("en_US")).toBe("en");
+  });
+
+  test("should map ISO 639-1 to MARC for OpenLibrary", () => {
+    expect(toMarcLanguage("en")).toBe("eng");
+    expect(toMarcLanguage("xx")).toBeUndefined();
+  });
+});
+
+describe("toProviderFilters()", () => {
+  test("should push down language and genre only", () => {
+    const filters = parseSearchFilters({ language: "fr", genre: "Fantasy", format: "Hardcover", yearFrom: "2000" });
+
+    expect(toProviderFilters(filters)).toEqual({ language: "fr", subject: "Fantasy" });
+  });
+
+  test("should not push down a genre that maps to several tags", () => {
+    expect(toProviderFilters({ genre: ["Fantasy", "Young Adult"] })).toEqual({});
+  });
+});
+
+describe("applySearchFilters()", () => {
+  const results = [
+    makeResult({ language: "en", format: "Hardcover", subjectTags: ["Fantasy", "Fiction"], year: 1954, pageCount: 423 }),
+    makeResult({ language: "eng", format: "Paperback", subjectTags: ["Science Fiction"], year: 1965, pageCount: 612 }),
+    makeResult({ language: "fr", format: "Hardcover", subjectTags: ["Fantasy"], year: 2001 }),
+  ];
+  const works = results.map((r) => r.work);
+  const editions = results.map((r) => r.edition);
+
+  test("should return input unchanged without filters", () => {
+    const filtered = applySearchFilters(works, editions, {});
+
+    expect(filtered.works).toBe(works);
+    expect(filtered.editions).toBe(editions);
+  });
+
+  test("should keep works and editions paired", () => {
+    const filtered = applySearchFilters(works, editions, { format: "Paperback" });
+
+    expect(filtered.works).toEqual([works[1]]);
+    expect(filtered.editions).toEqual([editions[1]]);
+  });
+
+  test("should match MARC language codes against ISO filters", () => {
+    const filtered = applySearchFilters(works, editions, { language: "en" });
+
+    expect(filtered.works).toHaveLength(2);
+  });
+
+  test("should filter by genre and year range", () => {
+    const filtered = applySearchFilters(works, editions, { genre: ["Fantasy"], yearTo: 2000 });
+
+    expect(filtered.works).toEqual([works[0]]);
+  });
+
+  test("should match any of the genre tags", () => {
+    const filtered = applySearchFilters(works, editions, { genre: ["Science Fiction", "Young Adult"] });
+
+    expect(filtered.works).toEqual([works[1]]);
+  });
+
+  test("should exclude results missing a filtered field", () => {
+    const filtered = applySearchFilters(works, editions, { minPages: 100 });
+
+    expect(filtered.works).toEqual([works[0], works[1]]);
+  });
+});
+
+describe("computeFacets()", () => {
+  test("should count language, format and genre values", () => {
+    const results = [
+      makeResult({ language: "en", format: "Hardcover", subjectTags: ["Fantasy", "Fiction"] }),
+      makeResult({ language: "eng", format: "Paperback", subjectTags: ["Fantasy"] }),
+      makeResult({ format: "Hardcover" }),
+    ];
+
+    const facets = computeFacets(results.map((r) => r.work), results.map((r) => r.edition));
+
+    expect(facets).toEqual({
+      language: { en: 2 },
+      format: { Hardcover: 2, Paperback: 1 },
+      genre: { Fantasy: 2, Fiction: 1 },
+    });
+  });
+
+  test("should add to earlier counts", () => {
+    const first = makeResult({ language: "en", subjectTags: ["Fantasy"] });
+    const second = makeResult({ language: "fr", subjectTags: ["Fantasy"] });
+
+    const facets = computeFacets([first.work], [first.edition]);
+    computeFacets([second.work], [second.edition], facets);
+
+    expect(facets.language).toEqual({ en: 1, fr: 1 });
+    expect(facets.genre).toEqual({ Fantasy: 2 });
+  });
+});
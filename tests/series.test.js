@@ -0,0 +1,174 @@
+/**
+ * Unit tests for series detection and the series registry
+ */
+
+import { describe, test, expect, beforeEach } from "vitest";
+import {
+  seriesId,
+  parseSeriesString,
+  parseSeriesFromTitle,
+  detectSeries,
+} from "../src/utils/series.ts";
+import {
+  mergeSeriesEntries,
+  entriesFromWikidataParts,
+  recordSeries,
+  getSeries,
+} from "../src/services/series-index.ts";
+import { createMockKV } from "./setup.js";
+
+describe("seriesId", () => {
+  test("should slug the normalized name", () => {
+    expect(seriesId("The Expanse")).toBe("expanse");
+    expect(seriesId("Wheel of Time")).toBe("wheel-of-time");
+  });
+
+  test("should give the same ID regardless of article, case and suffix", () => {
+    expect(seriesId("expanse series")).toBe(seriesId("The Expanse"));
+  });
+
+  test("should return undefined for empty names", () => {
+    expect(seriesId("  ")).toBeUndefined();
+  });
+});
+
+describe("parseSeriesString", () => {
+  test.each([
+    ["The Expanse ; 3", "The Expanse", 3],
+    ["Discworld, #12", "Discworld", 12],
+    ["Discworld -- 4", "Discworld", 4],
+    ["Harry Potter Book 7", "Harry Potter", 7],
+    ["The Expanse, #1.5", "The Expanse", 1.5],
+  ])("should parse %s", (value, name, position) => {
+    expect(parseSeriesString(value)).toEqual({ id: seriesId(name), name, position });
+  });
+
+  test("should keep series without a position", () => {
+    expect(parseSeriesString("Discworld")).toEqual({ id: "discworld", name: "Discworld" });
+  });
+
+  test("should ignore empty strings", () => {
+    expect(parseSeriesString("")).toBeUndefined();
+  });
+});
+
+describe("parseSeriesFromTitle", () => {
+  test.each([
+    ["Leviathan Wakes (The Expanse, #1)", "The Expanse", 1],
+    ["Caliban's War (Book 2 of the Expanse)", "Expanse", 2],
+    ["Abaddon's Gate: The Expanse, Book 3", "The Expanse", 3],
+    ["Mort (Discworld Book Four)", "Discworld", 4],
+  ])("should parse %s", (title, name, position) => {
+    expect(parseSeriesFromTitle(title)).toEqual({ id: seriesId(name), name, position });
+  });
+
+  test("should not treat plain subtitles as series", () => {
+    expect(parseSeriesFromTitle("Sapiens: A Brief History of Humankind")).toBeUndefined();
+    expect(parseSeriesFromTitle("1984")).toBeUndefined();
+  });
+});
+
+describe("detectSeries", () => {
+  test("should prefer the provider series string", () => {
+    const series = detectSeries({
+      seriesStrings: ["The Expanse ; 1"],
+      titles: ["Leviathan Wakes (Expanse Omnibus, #1)"],
+    });
+
+    expect(series).toEqual({ id: "expanse", name: "The Expanse", position: 1 });
+  });
+
+  test("should take the position from the title when the series string has none", () => {
+    const series = detectSeries({
+      seriesStrings: ["The Expanse"],
+      titles: ["Leviathan Wakes (The Expanse, #1)"],
+    });
+
+    expect(series.position).toBe(1);
+  });
+
+  test("should return undefined when nothing matches", () => {
+    expect(detectSeries({ seriesStrings: [null], titles: ["The Hobbit"] })).toBeUndefined();
+  });
+});
+
+describe("mergeSeriesEntries", () => {
+  const expanse = { id: "expanse", name: "The Expanse", authors: [], works: [] };
+
+  test("should order by position, then year, then title", () => {
+    const merged = mergeSeriesEntries(expanse, [
+      { title: "Gods of Risk", authors: [], firstPublicationYear: 2012 },
+      { title: "Caliban's War", position: 2, authors: [] },
+      { title: "Drive", authors: [], firstPublicationYear: 2012 },
+      { title: "Leviathan Wakes", position: 1, authors: [] },
+      { title: "The Churn", authors: [], firstPublicationYear: 2014 },
+    ]);
+
+    expect(merged.works.map((entry) => entry.title)).toEqual([
+      "Leviathan Wakes",
+      "Caliban's War",
+      "Drive",
+      "Gods of Risk",
+      "The Churn",
+    ]);
+  });
+
+  test("should merge entries for the same book, ignoring series suffixes", () => {
+    const merged = mergeSeriesEntries(
+      {
+        ...expanse,
+        works: [{ title: "Leviathan Wakes (The Expanse, #1)", position: 1, authors: ["James S. A. Corey"], isbn: "9780316129084" }],
+      },
+      entriesFromWikidataParts([
+        { wikidataId: "Q6535422", title: "Leviathan Wakes", position: 1, publicationYear: 2011 },
+      ]),
+    );
+
+    expect(merged.works).toEqual([
+      {
+        title: "Leviathan Wakes (The Expanse, #1)",
+        position: 1,
+        authors: ["James S. A. Corey"],
+        isbn: "9780316129084",
+        firstPublicationYear: 2011,
+        wikidataID: "Q6535422",
+      },
+    ]);
+    expect(merged.authors).toEqual(["James S. A. Corey"]);
+  });
+});
+
+describe("recordSeries", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { CACHE: createMockKV() };
+  });
+
+  test("should group works by series and skip works without one", async () => {
+    const works = [
+      { title: "Leviathan Wakes", series: { id: "expanse", name: "The Expanse", position: 1 }, authors: [{ name: "James S. A. Corey" }] },
+      { title: "The Hobbit" },
+      { title: "Mort", series: { id: "discworld", name: "Discworld", position: 4 }, authors: [{ name: "Terry Pratchett" }] },
+    ];
+    const editions = [{ isbn: "9780316129084" }, {}, { coverImageURL: "https://example.com/mort.jpg" }];
+
+    const recorded = await recordSeries(env, works, editions);
+
+    expect(Array.from(recorded.keys())).toEqual(["expanse", "discworld"]);
+    expect(recorded.get("expanse").works[0]).toMatchObject({ title: "Leviathan Wakes", isbn: "9780316129084" });
+    expect(recorded.get("discworld").works[0].coverImageURL).toBe("https://example.com/mort.jpg");
+  });
+
+  test("should accumulate works across recordings", async () => {
+    await recordSeries(env, [{ title: "Caliban's War", series: { id: "expanse", name: "The Expanse", position: 2 } }]);
+    await recordSeries(env, [{ title: "Leviathan Wakes", series: { id: "expanse", name: "The Expanse", position: 1 } }]);
+
+    const series = await getSeries("expanse", env);
+    expect(series.works.map((entry) => entry.title)).toEqual(["Leviathan Wakes", "Caliban's War"]);
+  });
+
+  test("should return null for unknown series", async () => {
+    expect(await getSeries("nope", env)).toBeNull();
+  });
+});
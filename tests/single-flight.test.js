@@ -0,0 +1,200 @@
+/**
+ * Unit tests for single-flight request coalescing
+ */
+
+import { describe, test, expect, vi, beforeEach } from "vitest";
+
+vi.mock("cloudflare:workers", () => ({
+  DurableObject: class {
+    constructor(state, env) {
+      this.state = state;
+      this.env = env;
+    }
+  },
+}));
+
+const { singleFlight, inFlightCount, withFetchLock } = await import("../src/services/single-flight.js");
+const { UnifiedCacheService } = await import("../src/services/unified-cache.js");
+const { FetchLockDO } = await import("../src/durable-objects/fetch-lock.js");
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * FETCH_LOCK_DO binding with one FetchLockDO instance per key
+ */
+function createLockNamespace() {
+  const locks = new Map();
+  return {
+    locks,
+    idFromName: vi.fn((name) => name),
+    get: vi.fn((key) => {
+      if (!locks.has(key)) {
+        locks.set(key, new FetchLockDO({}, {}));
+      }
+      return locks.get(key);
+    }),
+  };
+}
+
+describe("singleFlight", () => {
+  test("should share one call between concurrent callers", async () => {
+    const upstream = deferred();
+    const fn = vi.fn(() => upstream.promise);
+
+    const first = singleFlight("key", fn);
+    const second = singleFlight("key", fn);
+    upstream.resolve("result");
+
+    expect(first.coalesced).toBe(false);
+    expect(second.coalesced).toBe(true);
+    expect(await first.promise).toBe("result");
+    expect(await second.promise).toBe("result");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("should not coalesce different keys", async () => {
+    const fn = vi.fn(async () => "result");
+
+    await Promise.all([singleFlight("a", fn).promise, singleFlight("b", fn).promise]);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test("should call again once the first call settled", async () => {
+    const fn = vi.fn(async () => "result");
+
+    await singleFlight("key", fn).promise;
+    await singleFlight("key", fn).promise;
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(inFlightCount()).toBe(0);
+  });
+
+  test("should share failures and then forget them", async () => {
+    const fn = vi.fn().mockRejectedValueOnce(new Error("ISBNdb API error: 503")).mockResolvedValue("result");
+
+    const first = singleFlight("key", fn);
+    const second = singleFlight("key", fn);
+
+    await expect(first.promise).rejects.toThrow("ISBNdb API error: 503");
+    await expect(second.promise).rejects.toThrow("ISBNdb API error: 503");
+    expect(await singleFlight("key", fn).promise).toBe("result");
+  });
+});
+
+describe("withFetchLock", () => {
+  test("should fetch directly without a lock binding", async () => {
+    const fetcher = vi.fn(async () => "result");
+
+    expect(await withFetchLock({}, "key", fetcher)).toEqual({ data: "result", waited: false });
+  });
+
+  test("should hand the holder's result to another isolate instead of fetching", async () => {
+    const env = { FETCH_LOCK_DO: createLockNamespace() };
+    const upstream = deferred();
+
+    const holder = withFetchLock(env, "key", () => upstream.promise);
+    const fetcher = vi.fn();
+    const waiter = withFetchLock(env, "key", fetcher);
+
+    upstream.resolve("result");
+
+    expect(await holder).toEqual({ data: "result", waited: false });
+    expect(await waiter).toEqual({ data: "result", waited: true });
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  test("should fetch itself if the holder found nothing", async () => {
+    const env = { FETCH_LOCK_DO: createLockNamespace() };
+    const upstream = deferred();
+
+    const holder = withFetchLock(env, "key", () => upstream.promise);
+    const waiter = withFetchLock(env, "key", async () => "own result");
+    upstream.resolve(null);
+
+    expect(await holder).toEqual({ data: null, waited: false });
+    expect(await waiter).toEqual({ data: "own result", waited: false });
+  });
+
+  test("should fetch itself if the holder failed", async () => {
+    const env = { FETCH_LOCK_DO: createLockNamespace() };
+    const upstream = deferred();
+
+    const holder = withFetchLock(env, "key", () => upstream.promise);
+    const waiter = withFetchLock(env, "key", async () => "own result");
+    upstream.reject(new Error("ISBNdb API error: 503"));
+
+    await expect(holder).rejects.toThrow("ISBNdb API error: 503");
+    expect(await waiter).toEqual({ data: "own result", waited: false });
+  });
+
+  test("should fail open when the lock is unavailable", async () => {
+    const env = {
+      FETCH_LOCK_DO: {
+        idFromName: (name) => name,
+        get: () => ({
+          acquire: vi.fn().mockRejectedValue(new Error("DO unavailable")),
+          release: vi.fn().mockRejectedValue(new Error("DO unavailable")),
+        }),
+      },
+    };
+
+    expect(await withFetchLock(env, "key", async () => "result")).toEqual({ data: "result", waited: false });
+  });
+});
+
+describe("UnifiedCacheService.coalesce", () => {
+  let env;
+  let cache;
+
+  beforeEach(() => {
+    env = {
+      CACHE: { get: vi.fn(async () => null), put: vi.fn(async () => {}) },
+      CACHE_ANALYTICS: { writeDataPoint: vi.fn() },
+    };
+    cache = new UnifiedCacheService(env, { waitUntil: vi.fn() });
+  });
+
+  test("should make one upstream fetch for concurrent misses and count the coalesced ones", async () => {
+    const upstream = deferred();
+    const fetcher = vi.fn(() => upstream.promise);
+
+    const requests = [1, 2, 3].map(() => cache.coalesce("v1:advanced:title=dune", "advanced", fetcher));
+    upstream.resolve({ data: { works: [] } });
+    const results = await Promise.all(requests);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(results.map((result) => result.coalesced)).toEqual([false, true, true]);
+    expect(results[2].data).toEqual({ data: { works: [] } });
+
+    const events = env.CACHE_ANALYTICS.writeDataPoint.mock.calls.map(([point]) => point.indexes[0]);
+    expect(events).toEqual(["coalesced", "coalesced"]);
+  });
+
+  test("should get another isolate's result from the lock before it reaches KV", async () => {
+    env.FETCH_LOCK_DO = createLockNamespace();
+    const lock = env.FETCH_LOCK_DO.get("isbn:9780441172719");
+    await lock.acquire("other-isolate", 10000);
+    const fetcher = vi.fn();
+
+    const request = cache.coalesce("isbn:9780441172719", "isbn", fetcher);
+    await new Promise((resolve) => setTimeout(resolve, 0)); // Let it reach wait()
+    await lock.release("other-isolate", { data: { items: [{ title: "Dune" }] } });
+    const result = await request;
+
+    expect(result).toEqual({ data: { data: { items: [{ title: "Dune" }] } }, coalesced: true });
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(env.CACHE.get).not.toHaveBeenCalled();
+    expect(env.CACHE_ANALYTICS.writeDataPoint).toHaveBeenCalledWith(
+      expect.objectContaining({ indexes: ["coalesced_remote"] }),
+    );
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Unit tests for the search-as-you-type prefix index
+ */
+
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  normalizeSuggestText,
+  suggestionsFromWorks,
+  recordSuggestions,
+  lookupSuggestions,
+} from "../src/services/suggest-index.ts";
+import { handleScheduledSuggestRefresh } from "../src/handlers/scheduled-suggest.js";
+import { CacheKeyFactory } from "../src/services/cache-key-factory.js";
+import { createMockKV } from "./setup.js";
+import { createMockFetchResponse } from "./mocks/providers.js";
+
+const BUCKETS = [
+  "ha", "po", "ph", "st", "ro", "jk", "th", "ho", "tr", "to", "jr", "mu", "pi", "su", "cl", "ノル",
+  "har", "phi", "row", "mur", "ノルウ", "hob", "tol", "the", "thu",
+];
+
+// Background edge cache writes are collected so they can't land in a later test
+let pendingWrites = [];
+const createMockContext = () => ({
+  waitUntil: vi.fn((promise) => pendingWrites.push(promise)),
+  passThroughOnException: vi.fn(),
+});
+
+async function settleBackgroundWrites() {
+  await Promise.all(pendingWrites);
+  pendingWrites = [];
+}
+
+async function clearEdgeBuckets() {
+  for (const prefix of BUCKETS) {
+    await caches.default.delete(`https://cache.internal/${CacheKeyFactory.suggestBucket(prefix)}`);
+  }
+}
+
+describe("normalizeSuggestText", () => {
+  test("should fold case and diacritics and drop punctuation", () => {
+    expect(normalizeSuggestText("J.K. Rowling")).toBe("jk rowling");
+    expect(normalizeSuggestText("Les Misérables")).toBe("les miserables");
+  });
+
+  test("should keep leading articles", () => {
+    expect(normalizeSuggestText("The Hobbit")).toBe("the hobbit");
+  });
+});
+
+describe("suggestionsFromWorks", () => {
+  test("should emit a title (with primary author) and each author", () => {
+    const inputs = suggestionsFromWorks([
+      { title: "Good Omens", authors: [{ name: "Terry Pratchett" }, { name: "Neil Gaiman" }] },
+    ]);
+
+    expect(inputs).toEqual([
+      { type: "title", text: "Good Omens", author: "Terry Pratchett" },
+      { type: "author", text: "Terry Pratchett" },
+      { type: "author", text: "Neil Gaiman" },
+    ]);
+  });
+});
+
+describe("prefix index", () => {
+  let env;
+  let ctx;
+
+  beforeEach(async () => {
+    env = { CACHE: createMockKV() };
+    ctx = createMockContext();
+    await clearEdgeBuckets();
+  });
+
+  afterEach(async () => {
+    await settleBackgroundWrites();
+    await clearEdgeBuckets();
+  });
+
+  test("should file entries under the first letters of each word", async () => {
+    await recordSuggestions(env, [
+      { type: "title", text: "Harry Potter and the Philosopher's Stone", author: "J.K. Rowling" },
+    ]);
+
+    const putKeys = env.CACHE.put.mock.calls.map(([key]) => key);
+    expect(putKeys).toEqual(
+      expect.arrayContaining(["suggest:prefix=ha", "suggest:prefix=po", "suggest:prefix=ph", "suggest:prefix=st"]),
+    );
+    expect(putKeys).toEqual(
+      expect.arrayContaining(["suggest:prefix=har", "suggest:prefix=pot", "suggest:prefix=phi", "suggest:prefix=sto"]),
+    );
+    // "and" and "the" are not bucketed on their own
+    expect(putKeys).not.toContain("suggest:prefix=an");
+    expect(putKeys).not.toContain("suggest:prefix=th");
+  });
+
+  test("should match a prefix of any word", async () => {
+    await recordSuggestions(env, suggestionsFromWorks([
+      { title: "Harry Potter and the Philosopher's Stone", authors: [{ name: "J.K. Rowling" }] },
+    ]));
+
+    const byTitle = await lookupSuggestions("harry pot", env, ctx, 8);
+    expect(byTitle).toEqual([
+      { text: "Harry Potter and the Philosopher's Stone", type: "title", author: "J.K. Rowling" },
+    ]);
+
+    const byWord = await lookupSuggestions("Philo", env, ctx, 8);
+    expect(byWord[0].text).toBe("Harry Potter and the Philosopher's Stone");
+
+    const byAuthor = await lookupSuggestions("rowl", env, ctx, 8);
+    expect(byAuthor).toEqual([{ text: "J.K. Rowling", type: "author" }]);
+  });
+
+  test("should match accent-insensitively", async () => {
+    await recordSuggestions(env, [{ type: "author", text: "Haruki Murakami" }]);
+
+    const results = await lookupSuggestions("MURÁK", env, ctx, 8);
+    expect(results).toEqual([{ text: "Haruki Murakami", type: "author" }]);
+  });
+
+  test("should index scripts without spaces by leading characters", async () => {
+    await recordSuggestions(env, [{ type: "title", text: "ノルウェイの森" }]);
+
+    const results = await lookupSuggestions("ノルウ", env, ctx, 8);
+    expect(results).toEqual([{ text: "ノルウェイの森", type: "title" }]);
+  });
+
+  test("should return nothing for queries shorter than the prefix length", async () => {
+    await recordSuggestions(env, [{ type: "title", text: "Hobbit" }]);
+
+    expect(await lookupSuggestions("h", env, ctx, 8)).toEqual([]);
+    expect(env.CACHE.get).not.toHaveBeenCalledWith("suggest:prefix=h");
+  });
+
+  test("should find entries a crowded two-character bucket dropped with longer queries", async () => {
+    const popular = Array.from({ length: 200 }, (_, i) => ({ type: "title", text: `The Book ${i}` }));
+    await recordSuggestions(env, popular, { hits: 2 });
+    await recordSuggestions(env, [{ type: "title", text: "Thud!" }]);
+
+    const crowded = JSON.parse(await env.CACHE.get("suggest:prefix=th"));
+    expect(crowded.entries).toHaveLength(200);
+    expect(crowded.entries.map((entry) => entry.text)).not.toContain("Thud!");
+    expect(await lookupSuggestions("thu", env, ctx, 8)).toEqual([{ text: "Thud!", type: "title" }]);
+  });
+
+  test("should rank by hits, accumulating across recordings", async () => {
+    await recordSuggestions(env, [{ type: "title", text: "The Hobbit" }]);
+    await recordSuggestions(env, [{ type: "title", text: "Homeland" }]);
+    await recordSuggestions(env, [{ type: "title", text: "Homeland" }]);
+
+    const results = await lookupSuggestions("ho", env, ctx, 8);
+    expect(results.map((s) => s.text)).toEqual(["Homeland", "The Hobbit"]);
+  });
+
+  test("should rank analytics popularity above hits", async () => {
+    await recordSuggestions(env, [{ type: "title", text: "Homeland" }], { hits: 5 });
+    await recordSuggestions(env, [{ type: "title", text: "The Hobbit", popularity: 40 }], { hits: 0 });
+
+    const results = await lookupSuggestions("ho", env, ctx, 8);
+    expect(results.map((s) => s.text)).toEqual(["The Hobbit", "Homeland"]);
+  });
+
+  test("should ignore popularity older than the refresh window", async () => {
+    const now = Date.now();
+    vi.spyOn(Date, "now").mockReturnValue(now - 30 * 24 * 60 * 60 * 1000);
+    await recordSuggestions(env, [{ type: "title", text: "The Hobbit", popularity: 40 }], { hits: 0 });
+    vi.spyOn(Date, "now").mockReturnValue(now);
+    await recordSuggestions(env, [{ type: "title", text: "Homeland" }]);
+
+    const results = await lookupSuggestions("ho", env, ctx, 8);
+    expect(results.map((s) => s.text)).toEqual(["Homeland", "The Hobbit"]);
+    vi.restoreAllMocks();
+  });
+
+  test("should respect the limit", async () => {
+    await recordSuggestions(env, [
+      { type: "title", text: "Hobbit" },
+      { type: "title", text: "Homeland" },
+      { type: "title", text: "Hornblower" },
+    ]);
+
+    const results = await lookupSuggestions("ho", env, ctx, 2);
+    expect(results).toHaveLength(2);
+  });
+
+  test("should serve repeated lookups from the edge cache", async () => {
+    await recordSuggestions(env, [{ type: "title", text: "Hobbit" }]);
+
+    await lookupSuggestions("hob", env, ctx, 8);
+    await settleBackgroundWrites();
+    env.CACHE.get.mockClear();
+
+    const results = await lookupSuggestions("hobb", env, ctx, 8);
+    expect(results).toHaveLength(1);
+    expect(env.CACHE.get).not.toHaveBeenCalled();
+  });
+});
+
+describe("handleScheduledSuggestRefresh", () => {
+  let env;
+  let originalFetch;
+
+  beforeEach(async () => {
+    env = {
+      CACHE: createMockKV(),
+      CF_ACCOUNT_ID: "test-account",
+      CF_API_TOKEN: "test-token",
+      ISBNDB_API_KEY: "test-isbndb-key",
+    };
+    originalFetch = global.fetch;
+    await clearEdgeBuckets();
+  });
+
+  afterEach(async () => {
+    global.fetch = originalFetch;
+    await settleBackgroundWrites();
+    await clearEdgeBuckets();
+  });
+
+  test("should rank titles and authors by ISBN search counts", async () => {
+    // Cached batch lookup for one ISBN, ISBNdb for the other
+    await env.CACHE.put(CacheKeyFactory.isbnLookup("9780261102217"), {
+      data: {
+        work: { title: "The Hobbit" },
+        authors: [{ name: "J.R.R. Tolkien" }],
+      },
+      cachedAt: Date.now(),
+      ttl: 3600,
+    });
+
+    global.fetch = vi.fn(async (url) => {
+      const href = String(url);
+      if (href.includes("analytics_engine/sql")) {
+        return createMockFetchResponse({
+          data: [
+            { isbn: "9780261102217", search_count: "12" },
+            { isbn: "9780575079212", search_count: "30" },
+          ],
+        });
+      }
+      if (href.startsWith("https://api2.isbndb.com/books")) {
+        return createMockFetchResponse({
+          data: [{ isbn13: "9780575079212", title: "Homeland", authors: ["R.A. Salvatore"] }],
+        });
+      }
+      return createMockFetchResponse({}, 404);
+    });
+
+    const summary = await handleScheduledSuggestRefresh(env);
+    expect(summary).toMatchObject({ isbns: 2, resolved: 2 });
+
+    const results = await lookupSuggestions("ho", env, createMockContext(), 8);
+    expect(results.map((s) => s.text)).toEqual(["Homeland", "The Hobbit"]);
+
+    const authors = await lookupSuggestions("tolk", env, createMockContext(), 8);
+    expect(authors).toEqual([{ text: "J.R.R. Tolkien", type: "author" }]);
+  });
+
+  test("should index the top results of the last day's fresh advanced searches", async () => {
+    const firstPage = CacheKeyFactory.advancedSearch({ title: "piranesi" });
+    await env.CACHE.put(firstPage, {
+      data: { success: true, data: { works: [{ title: "Piranesi", authors: [{ name: "Susanna Clarke" }] }] } },
+      cachedAt: Date.now(),
+      ttl: 3600,
+    });
+
+    global.fetch = vi.fn(async (url, init) => {
+      if (String(url).includes("analytics_engine/sql") && init.body.includes("api_miss")) {
+        return createMockFetchResponse({ data: [{ cache_key: firstPage }, { cache_key: `${firstPage}:page:offset.x=20` }] });
+      }
+      return createMockFetchResponse({ data: [] });
+    });
+
+    const summary = await handleScheduledSuggestRefresh(env);
+    const results = await lookupSuggestions("pi", env, createMockContext(), 8);
+
+    expect(summary).toMatchObject({ searches: 1, isbns: 0 });
+    expect(results).toEqual([{ text: "Piranesi", type: "title", author: "Susanna Clarke" }]);
+  });
+
+  test("should skip the refresh without Analytics Engine credentials", async () => {
+    delete env.CF_API_TOKEN;
+    global.fetch = vi.fn();
+
+    const summary = await handleScheduledSuggestRefresh(env);
+
+    expect(summary).toEqual({ searches: 0, isbns: 0, resolved: 0, buckets: 0 });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
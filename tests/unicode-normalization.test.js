@@ -0,0 +1,92 @@
+/**
+ * Unit tests for script-aware title/author normalization
+ * Covers diacritic folding, locale article stripping and CJK tokenization
+ */
+
+import { describe, test, expect } from "vitest";
+import {
+  normalizeTitle,
+  normalizeAuthor,
+  tokenizeTitle,
+  foldDiacritics,
+  legacyNormalizeTitle,
+} from "../src/utils/normalization.ts";
+
+describe("foldDiacritics()", () => {
+  test("should strip Latin and Greek accents", () => {
+    expect(foldDiacritics("Café Crème")).toBe("cafe creme");
+    expect(foldDiacritics("Ὀδύσσεια")).toBe("οδυσσεια");
+  });
+
+  test("should fold letters without a decomposition", () => {
+    expect(foldDiacritics("Straße Ærø Łódź")).toBe("strasse aero lodz");
+  });
+
+  test("should fold full-width compatibility forms", () => {
+    expect(foldDiacritics("ＡＢＣ１２３")).toBe("abc123");
+  });
+
+  test("should keep Japanese voicing marks and Cyrillic short i", () => {
+    expect(foldDiacritics("ガラスの仮面")).toBe("ガラスの仮面");
+    expect(foldDiacritics("Йога")).toBe("йога");
+  });
+});
+
+describe("normalizeTitle()", () => {
+  test("should keep existing English behaviour", () => {
+    expect(normalizeTitle("The Hobbit")).toBe("hobbit");
+    expect(normalizeTitle("The Hobbit: An Unexpected Journey")).toBe("hobbit an unexpected journey");
+    expect(normalizeTitle("")).toBe("");
+  });
+
+  test("should preserve CJK, Cyrillic and Greek titles", () => {
+    expect(normalizeTitle("ノルウェイの森")).toBe("ノルウェイの森");
+    expect(normalizeTitle("「三体」")).toBe("三体");
+    expect(normalizeTitle("Война и мир")).toBe("война и мир");
+    expect(normalizeTitle("Η Οδύσσεια")).toBe("η οδυσσεια");
+  });
+
+  test("should strip French, German, Spanish and Italian articles", () => {
+    expect(normalizeTitle("Les Misérables", { language: "fr" })).toBe("miserables");
+    expect(normalizeTitle("L’Étranger", { language: "fr" })).toBe("etranger");
+    expect(normalizeTitle("Die Verwandlung", { language: "de" })).toBe("verwandlung");
+    expect(normalizeTitle("El Túnel", { language: "es" })).toBe("tunel");
+    expect(normalizeTitle("Il nome della rosa", { language: "it" })).toBe("nome della rosa");
+    expect(normalizeTitle("L'amica geniale", { language: "it-IT" })).toBe("amica geniale");
+  });
+
+  test("should only strip English articles when no language is given", () => {
+    expect(normalizeTitle("Die Hard")).toBe("die hard");
+    expect(normalizeTitle("La La Land")).toBe("la la land");
+  });
+
+  test("should collapse whitespace left by removed punctuation", () => {
+    expect(normalizeTitle("Harry Potter & the Stone")).toBe("harry potter the stone");
+  });
+
+  test("legacy normalizer should still collapse non-Latin titles", () => {
+    expect(legacyNormalizeTitle("ノルウェイの森")).toBe("");
+  });
+});
+
+describe("tokenizeTitle()", () => {
+  test("should split spaced scripts on whitespace", () => {
+    expect(tokenizeTitle("The Lord of the Rings")).toEqual(["lord", "of", "the", "rings"]);
+  });
+
+  test("should split CJK runs into single characters", () => {
+    expect(tokenizeTitle("三体 II")).toEqual(["三", "体", "ii"]);
+    expect(tokenizeTitle("1Q84")).toEqual(["1q84"]);
+  });
+});
+
+describe("normalizeAuthor()", () => {
+  test("should fold accents and keep punctuation", () => {
+    expect(normalizeAuthor("  Gabriel García  Márquez ")).toBe("gabriel garcia marquez");
+    expect(normalizeAuthor("J.R.R. Tolkien")).toBe("j.r.r. tolkien");
+  });
+
+  test("should preserve non-Latin names", () => {
+    expect(normalizeAuthor("村上 春樹")).toBe("村上 春樹");
+  });
+});
@@ -46,6 +46,20 @@ describe('UnifiedCacheService - Cold Storage', () => {
     expect(result.source).toBe('MISS');
   });
 
+  it('should log the endpoint and query of API misses for predictive warming', async () => {
+    cache.edgeCache.get = vi.fn().mockResolvedValue(null);
+    cache.kvCache.get = vi.fn().mockResolvedValue(null);
+    env.CACHE.get.mockResolvedValue(null);
+    env.CACHE_ANALYTICS = { writeDataPoint: vi.fn() };
+
+    await cache.get('search:title:maxresults=20&title=piranesi', 'title', { query: 'Piranesi' });
+
+    expect(env.CACHE_ANALYTICS.writeDataPoint).toHaveBeenCalledWith(expect.objectContaining({
+      blobs: ['api_miss', 'search:title:maxresults=20&title=piranesi', 'title', 'Piranesi'],
+      indexes: ['api_miss']
+    }));
+  });
+
   it('should rehydrate from R2 to KV and Edge', async () => {
     const mockR2Object = {
       json: vi.fn().mockResolvedValue({ items: [{ title: 'Book' }] })
@@ -70,3 +84,97 @@ describe('UnifiedCacheService - Cold Storage', () => {
     expect(env.CACHE.delete).toHaveBeenCalledWith('cold-index:search:title:q=book');
   });
 });
+
+describe('UnifiedCacheService - Synchronous cold reads', () => {
+  let env, ctx, cache;
+  const coldIndex = {
+    r2Path: 'cold-cache/2025/10/search:title:q=book.json',
+    archivedAt: Date.now(),
+    originalTTL: 86400,
+    bytes: 2048
+  };
+  const payload = { items: [{ title: 'Book' }] };
+
+  beforeEach(() => {
+    env = {
+      COLD_READ_MODE: 'sync',
+      CACHE: {
+        get: vi.fn().mockResolvedValue(coldIndex),
+        delete: vi.fn()
+      },
+      LIBRARY_DATA: {
+        get: vi.fn().mockResolvedValue({ json: vi.fn().mockResolvedValue(payload) })
+      },
+      CACHE_ANALYTICS: { writeDataPoint: vi.fn() }
+    };
+    ctx = { waitUntil: vi.fn() };
+    cache = new UnifiedCacheService(env, ctx);
+    cache.edgeCache.get = vi.fn().mockResolvedValue(null);
+    cache.edgeCache.set = vi.fn();
+    cache.kvCache.get = vi.fn().mockResolvedValue(null);
+    cache.kvCache.set = vi.fn();
+  });
+
+  function events() {
+    return env.CACHE_ANALYTICS.writeDataPoint.mock.calls.map(([point]) => point.indexes[0]);
+  }
+
+  it('should return small archived entries inline and restore them in the background', async () => {
+    const result = await cache.get('search:title:q=book', 'title');
+
+    expect(result.data).toEqual(payload);
+    expect(result.source).toBe('R2');
+    expect(events()).toContain('r2_sync_hit');
+    expect(events()).not.toContain('cold_check');
+
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+    expect(cache.kvCache.set).toHaveBeenCalledWith('search:title:q=book', payload, 'title', expect.any(Object));
+    expect(env.CACHE.delete).toHaveBeenCalledWith('cold-index:search:title:q=book');
+  });
+
+  it('should fall back to background rehydration when the read runs over budget', async () => {
+    env.COLD_SYNC_BUDGET_MS = '5';
+    env.LIBRARY_DATA.get.mockImplementation(
+      () => new Promise((resolve) => setTimeout(() => resolve({ json: async () => payload }), 50))
+    );
+
+    const result = await cache.get('search:title:q=book', 'title');
+
+    expect(result).toMatchObject({ data: null, source: 'COLD' });
+    expect(events()).toEqual(expect.arrayContaining(['r2_sync_fallback', 'cold_check']));
+
+    // The rehydration reuses the inline read instead of reading R2 again
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+    expect(env.LIBRARY_DATA.get).toHaveBeenCalledTimes(1);
+    expect(cache.kvCache.set).toHaveBeenCalled();
+  });
+
+  it('should fall back when the inline read fails', async () => {
+    env.LIBRARY_DATA.get.mockRejectedValue(new Error('R2 unavailable'));
+
+    const result = await cache.get('search:title:q=book', 'title');
+
+    expect(result.source).toBe('COLD');
+    expect(events()).toContain('r2_sync_fallback');
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+  });
+
+  it('should rehydrate large or unsized archives in the background only', async () => {
+    env.CACHE.get.mockResolvedValue({ ...coldIndex, bytes: 512 * 1024 });
+    expect((await cache.get('search:title:q=book', 'title')).source).toBe('COLD');
+
+    env.CACHE.get.mockResolvedValue({ ...coldIndex, bytes: undefined });
+    expect((await cache.get('search:title:q=book', 'title')).source).toBe('COLD');
+
+    expect(events()).not.toContain('r2_sync_fallback');
+  });
+
+  it('should keep the async behavior unless sync mode is on', async () => {
+    delete env.COLD_READ_MODE;
+
+    const result = await cache.get('search:title:q=book', 'title');
+
+    expect(result.source).toBe('COLD');
+    expect(events()).not.toContain('r2_sync_hit');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests: AccessStatsDO
+ *
+ * Sharded sampled cache read counts, kept per day, used for cold-storage archival.
+ * See: src/durable-objects/access-stats.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+// Mock DurableObject base class for testing
+class MockDurableObject {
+  constructor(state, env) {
+    this.state = state
+    this.env = env
+  }
+}
+
+vi.mock('cloudflare:workers', () => ({
+  DurableObject: MockDurableObject,
+}))
+
+// Import after mocking
+const { AccessStatsDO } = await import('../../src/durable-objects/access-stats.js')
+
+describe('AccessStatsDO', () => {
+  let stats
+  let storage
+  let alarm
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'))
+
+    storage = new Map()
+    alarm = null
+    const mockState = {
+      storage: {
+        get: vi.fn(async (keys) => new Map(keys.filter((key) => storage.has(key)).map((key) => [key, storage.get(key)]))),
+        put: vi.fn(async (entries) => {
+          for (const [key, value] of Object.entries(entries)) storage.set(key, value)
+        }),
+        list: vi.fn(async ({ prefix }) => new Map([...storage].filter(([key]) => key.startsWith(prefix)))),
+        delete: vi.fn(async (keys) => {
+          for (const key of keys) storage.delete(key)
+        }),
+        getAlarm: vi.fn(async () => alarm),
+        setAlarm: vi.fn(async (time) => {
+          alarm = time
+        }),
+      },
+    }
+    stats = new AccessStatsDO(mockState, {})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should add up access counts per cache key', async () => {
+    await stats.record({ 'v1:isbn:isbn=9780441013593': 10 }, '2025-01-01')
+    await stats.record({ 'v1:isbn:isbn=9780441013593': 10, 'v1:title:title=dune': 10 }, '2025-01-01')
+
+    expect(await stats.counts()).toEqual({
+      'v1:isbn:isbn=9780441013593': 20,
+      'v1:title:title=dune': 10,
+    })
+  })
+
+  it('should sum only the days asked for', async () => {
+    await stats.record({ 'v1:title:title=dune': 5 }, '2024-12-20')
+    await stats.record({ 'v1:title:title=dune': 10 }, '2024-12-31')
+    await stats.record({ 'v1:title:title=dune': 10 }, '2025-01-01')
+
+    expect(await stats.counts({ days: 1 })).toEqual({ 'v1:title:title=dune': 10 })
+    expect(await stats.counts({ days: 7 })).toEqual({ 'v1:title:title=dune': 20 })
+    expect(await stats.counts({ days: 30 })).toEqual({ 'v1:title:title=dune': 25 })
+  })
+
+  it('should filter by prefix, keys and minimum count, hottest first', async () => {
+    await stats.record(
+      { 'v1:isbn:isbn=9780441013593': 50, 'v1:title:title=dune': 10, 'v1:title:title=gone': 30 },
+      '2025-01-01',
+    )
+
+    expect(await stats.counts({ prefix: 'v1:title:' })).toEqual({ 'v1:title:title=gone': 30, 'v1:title:title=dune': 10 })
+    expect(await stats.counts({ keys: ['v1:title:title=dune', 'v1:title:title=emma'] })).toEqual({
+      'v1:title:title=dune': 10,
+    })
+    expect(await stats.counts({ minCount: 30 })).toEqual({ 'v1:isbn:isbn=9780441013593': 50, 'v1:title:title=gone': 30 })
+    expect(Object.keys(await stats.counts({ limit: 1 }))).toEqual(['v1:isbn:isbn=9780441013593'])
+  })
+
+  it('should drop days past the retention period', async () => {
+    await stats.record({ 'v1:title:title=dune': 10, 'v1:title:title=gone': 10 }, '2025-01-01')
+    await stats.record({ 'v1:title:title=dune': 10 }, '2025-01-01')
+
+    expect(alarm).toBe(Date.now() + 24 * 60 * 60 * 1000)
+
+    vi.setSystemTime(new Date('2025-02-10T00:00:00Z'))
+    await stats.record({ 'v1:title:title=dune': 1 }, '2025-02-10')
+    await stats.alarm()
+
+    expect(storage.has('count:v1:title:title=gone')).toBe(false)
+    expect(storage.get('count:v1:title:title=dune')).toEqual({ '2025-02-10': 1 })
+    expect(await stats.counts({ days: 365 })).toEqual({ 'v1:title:title=dune': 1 })
+  })
+})
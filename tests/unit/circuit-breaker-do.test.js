@@ -0,0 +1,136 @@
+/**
+ * Unit Tests: CircuitBreakerDO
+ *
+ * Per-provider circuit breaker state machine (closed → open → half-open).
+ * See: src/durable-objects/circuit-breaker.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+// Mock DurableObject base class for testing
+class MockDurableObject {
+  constructor(state, env) {
+    this.state = state
+    this.env = env
+  }
+}
+
+vi.mock('cloudflare:workers', () => ({
+  DurableObject: MockDurableObject,
+}))
+
+// Import after mocking
+const { CircuitBreakerDO } = await import(
+  '../../src/durable-objects/circuit-breaker.js'
+)
+
+describe('CircuitBreakerDO', () => {
+  let breaker
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'))
+
+    let storage = {}
+    const mockState = {
+      storage: {
+        get: vi.fn(async (key) => storage[key]),
+        put: vi.fn(async (key, value) => {
+          storage[key] = value
+        }),
+      },
+    }
+    breaker = new CircuitBreakerDO(mockState, {})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  async function fail(times) {
+    let status
+    for (let i = 0; i < times; i++) {
+      status = await breaker.recordFailure('HTTP 503')
+    }
+    return status
+  }
+
+  it('should start closed and allow requests', async () => {
+    const status = await breaker.check()
+
+    expect(status).toMatchObject({ state: 'closed', allowed: true, failures: 0, retryAt: null })
+  })
+
+  it('should stay closed below the failure threshold', async () => {
+    const status = await fail(4)
+
+    expect(status.state).toBe('closed')
+    expect((await breaker.check()).allowed).toBe(true)
+  })
+
+  it('should open after 5 failures and reject requests', async () => {
+    const status = await fail(5)
+
+    expect(status.state).toBe('open')
+    expect(status.lastFailure).toBe('HTTP 503')
+    expect(status.retryAt).toBe(Date.now() + 30000)
+    expect(await breaker.check()).toMatchObject({ state: 'open', allowed: false })
+  })
+
+  it('should forget failures outside the 60 second window', async () => {
+    await fail(4)
+    vi.advanceTimersByTime(61000)
+
+    const status = await fail(1)
+
+    expect(status.state).toBe('closed')
+    expect(status.failures).toBe(1)
+  })
+
+  it('should let a single probe through once the cooldown has passed', async () => {
+    await fail(5)
+    vi.advanceTimersByTime(30000)
+
+    expect(await breaker.check()).toMatchObject({ state: 'half-open', allowed: true })
+    expect(await breaker.check()).toMatchObject({ state: 'half-open', allowed: false })
+  })
+
+  it('should hand the probe to another request if it never reports back', async () => {
+    await fail(5)
+    vi.advanceTimersByTime(30000)
+    await breaker.check()
+    vi.advanceTimersByTime(15000)
+
+    expect((await breaker.check()).allowed).toBe(true)
+  })
+
+  it('should close when the probe succeeds', async () => {
+    await fail(5)
+    vi.advanceTimersByTime(30000)
+    await breaker.check()
+
+    const status = await breaker.recordSuccess()
+
+    expect(status).toMatchObject({ state: 'closed', allowed: true, failures: 0 })
+    expect((await breaker.check()).allowed).toBe(true)
+  })
+
+  it('should reopen when the probe fails', async () => {
+    await fail(5)
+    vi.advanceTimersByTime(30000)
+    await breaker.check()
+
+    const status = await breaker.recordFailure('timeout')
+
+    expect(status).toMatchObject({ state: 'open', allowed: false, lastFailure: 'timeout' })
+    expect(status.retryAt).toBe(Date.now() + 30000)
+  })
+
+  it('should report status without claiming the probe', async () => {
+    await fail(5)
+    vi.advanceTimersByTime(30000)
+
+    expect(await breaker.getStatus()).toMatchObject({ state: 'open', allowed: true })
+    expect(await breaker.check()).toMatchObject({ state: 'half-open', allowed: true })
+  })
+})
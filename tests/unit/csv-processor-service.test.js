@@ -306,7 +306,7 @@ describe("CSV Processor Service", () => {
         {
           title: "  Spaced Book  ",
           author: "  Spaced Author  ",
-          isbn: "  1234567890  ",
+          isbn: "  0-7432-7356-7  ",
         },
       ]);
 
@@ -328,7 +328,7 @@ describe("CSV Processor Service", () => {
       expect(storedResults.books[0]).toEqual({
         title: "Spaced Book",
         author: "Spaced Author",
-        isbn: "1234567890",
+        isbn: "9780743273565",
       });
     });
 
@@ -336,8 +336,9 @@ describe("CSV Processor Service", () => {
       const csvText = "title,author\nTest Book,Test Author";
 
       mockParseCSVWithGemini.mockResolvedValue([
-        { title: "Book With ISBN", author: "Author", isbn: "1234567890" },
+        { title: "Book With ISBN", author: "Author", isbn: "0743273567" },
         { title: "Book Without ISBN", author: "Author" },
+        { title: "Book With Bad ISBN", author: "Author", isbn: "1234567890" },
       ]);
 
       await processCSVImport(csvText, mockProgressReporter, mockEnv, testJobId);
@@ -348,8 +349,9 @@ describe("CSV Processor Service", () => {
       );
       const storedResults = JSON.parse(kvPutCall[1]);
 
-      expect(storedResults.books[0].isbn).toBe("1234567890");
+      expect(storedResults.books[0].isbn).toBe("9780743273565");
       expect(storedResults.books[1].isbn).toBeUndefined();
+      expect(storedResults.books[2].isbn).toBeUndefined();
     });
   });
 
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests: FetchLockDO
+ *
+ * Per-cache-key lock used to coalesce cache misses across isolates.
+ * See: src/durable-objects/fetch-lock.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+// Mock DurableObject base class for testing
+class MockDurableObject {
+  constructor(state, env) {
+    this.state = state
+    this.env = env
+  }
+}
+
+vi.mock('cloudflare:workers', () => ({
+  DurableObject: MockDurableObject,
+}))
+
+// Import after mocking
+const { FetchLockDO } = await import('../../src/durable-objects/fetch-lock.js')
+
+describe('FetchLockDO', () => {
+  let lock
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'))
+    lock = new FetchLockDO({}, {})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should grant the lock to one holder at a time', async () => {
+    expect(await lock.acquire('a', 10000)).toBe(true)
+    expect(await lock.acquire('b', 10000)).toBe(false)
+    expect(await lock.isHeld()).toBe(true)
+  })
+
+  it('should only let the holder release the lock', async () => {
+    await lock.acquire('a', 10000)
+
+    await lock.release('b')
+    expect(await lock.isHeld()).toBe(true)
+
+    await lock.release('a')
+    expect(await lock.isHeld()).toBe(false)
+    expect(await lock.acquire('b', 10000)).toBe(true)
+  })
+
+  it('should expire a lock that was never released', async () => {
+    await lock.acquire('a', 10000)
+
+    vi.advanceTimersByTime(10001)
+
+    expect(await lock.isHeld()).toBe(false)
+    expect(await lock.acquire('b', 10000)).toBe(true)
+  })
+
+  it('should cap the TTL', async () => {
+    await lock.acquire('a', 10 * 60 * 1000)
+
+    vi.advanceTimersByTime(30001)
+
+    expect(await lock.acquire('b', 10000)).toBe(true)
+  })
+
+  it('should hand the released value to waiters', async () => {
+    await lock.acquire('a', 10000)
+
+    const waiting = lock.wait(5000)
+    await lock.release('a', { title: 'Dune' })
+
+    expect(await waiting).toEqual({ released: true, value: { title: 'Dune' } })
+    expect(await lock.wait(5000)).toEqual({ released: true, value: { title: 'Dune' } })
+  })
+
+  it('should stop waiting after the timeout', async () => {
+    await lock.acquire('a', 10000)
+
+    const waiting = lock.wait(5000)
+    vi.advanceTimersByTime(5000)
+
+    expect(await waiting).toEqual({ released: false, value: null })
+  })
+
+  it('should forget the value after a while, and on the next acquire', async () => {
+    await lock.acquire('a', 10000)
+    await lock.release('a', { title: 'Dune' })
+
+    vi.advanceTimersByTime(5001)
+    expect(await lock.wait(5000)).toEqual({ released: true, value: null })
+
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'))
+    await lock.release('b', { title: 'Other' })
+    await lock.acquire('b', 10000)
+    await lock.release('b')
+    expect(await lock.wait(5000)).toEqual({ released: true, value: null })
+  })
+})
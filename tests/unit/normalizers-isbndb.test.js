@@ -198,7 +198,7 @@ describe("ISBNdb → EditionDTO Normalization", () => {
     const edition = normalizeISBNdbToEdition(isbndbBook);
 
     expect(edition.isbn).toBe("0439708184");
-    expect(edition.isbns).toEqual(["0439708184"]);
+    expect(edition.isbns).toEqual(["9780439708180", "0439708184"]);
   });
 
   it("should not include editionTitle if title_long equals title", () => {
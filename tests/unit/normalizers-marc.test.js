@@ -0,0 +1,92 @@
+/**
+ * Unit Tests: MARC21 (Library of Congress) Normalizer
+ *
+ * Tests MARC record normalization to canonical DTOs
+ *
+ * NOTE: These are pure function tests - no HTTP mocking needed
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeMarcToWork,
+  normalizeMarcToEdition,
+  normalizeMarcToAuthors,
+} from "../../src/services/normalizers/marc.js";
+import { parseMarcXml } from "../../src/utils/marcxml.js";
+import { leftHandOfDarknessRecord, duneRecord } from "../fixtures/library-of-congress-samples.js";
+
+const [leftHand] = parseMarcXml(leftHandOfDarknessRecord);
+const [dune] = parseMarcXml(duneRecord);
+
+describe("normalizeMarcToWork", () => {
+  it("should strip ISBD punctuation from the title", () => {
+    expect(normalizeMarcToWork(leftHand).title).toBe("The left hand of darkness");
+    expect(normalizeMarcToWork(dune).title).toBe("Dune");
+  });
+
+  it("should read the language from the 008 field", () => {
+    expect(normalizeMarcToWork(leftHand).originalLanguage).toBe("en");
+  });
+
+  it("should detect the series from the 490 field", () => {
+    expect(normalizeMarcToWork(leftHand).series).toMatchObject({ name: "Hainish cycle", position: 4 });
+    expect(normalizeMarcToWork(dune).series).toBeUndefined();
+  });
+
+  it("should normalize topical subjects", () => {
+    expect(normalizeMarcToWork(leftHand).subjectTags).toContain("Science Fiction");
+  });
+
+  it("should default required fields", () => {
+    const work = normalizeMarcToWork({ controlFields: {}, dataFields: [] });
+
+    expect(work.title).toBe("Unknown");
+    expect(work.synthetic).toBe(false);
+    expect(work.goodreadsWorkIDs).toEqual([]);
+  });
+});
+
+describe("normalizeMarcToEdition", () => {
+  it("should read an RDA record", () => {
+    const edition = normalizeMarcToEdition(leftHand);
+
+    expect(edition.isbn).toBe("9780441478125");
+    expect(edition.isbns).toEqual(["9780441478125", "0441478123"]);
+    expect(edition.publisher).toBe("Ace Books");
+    expect(edition.publicationDate).toBe("2019");
+    expect(edition.pageCount).toBe(304);
+    expect(edition.format).toBe("Paperback");
+  });
+
+  it("should read an AACR2 record with the qualifier inside the ISBN", () => {
+    const edition = normalizeMarcToEdition(dune);
+
+    expect(edition.isbn).toBe("9780441172719");
+    expect(edition.publicationDate).toBe("1990");
+    expect(edition.pageCount).toBe(537);
+    expect(edition.format).toBe("Paperback");
+  });
+
+  it("should default to hardcover without a binding qualifier", () => {
+    const [record] = parseMarcXml(
+      '<record><datafield tag="020" ind1=" " ind2=" "><subfield code="a">9780441478125</subfield></datafield></record>',
+    );
+
+    expect(normalizeMarcToEdition(record).format).toBe("Hardcover");
+  });
+});
+
+describe("normalizeMarcToAuthors", () => {
+  it("should invert names and read relator terms and codes", () => {
+    expect(normalizeMarcToAuthors(leftHand)).toEqual([
+      { name: "Ursula K. Le Guin", gender: "Unknown", role: "author" },
+      { name: "Harold Bloom", gender: "Unknown", role: "author of introduction" },
+    ]);
+  });
+
+  it("should treat the main entry as the author when it has no relator", () => {
+    expect(normalizeMarcToAuthors(dune)).toEqual([
+      { name: "Frank Herbert", gender: "Unknown", role: "author" },
+    ]);
+  });
+});
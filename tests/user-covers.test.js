@@ -0,0 +1,260 @@
+/**
+ * User Cover Tests
+ *
+ * Tests POST /v1/covers/:isbn/upload, auto-crop, and how cover lookups prefer
+ * the user's own upload
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { handleUploadCover, handleGetCover, handleGetCoverImage } from "../src/handlers/v1/covers.ts";
+import { userCoverKey, cropToBook } from "../src/services/user-covers.js";
+import { signUserToken, verifyUserToken, authenticatedUser } from "../src/utils/user-token.ts";
+import { imageInfo } from "../src/utils/image-info.js";
+import { createMockKV } from "./setup.js";
+
+const ISBN = "9780441013593";
+const USER = "_a1b2c3d4e5f6a7b8c9d0";
+const SECRET = "test-user-token-secret";
+
+function token(userId = USER, ttlSeconds = 3600) {
+  return signUserToken(userId, ttlSeconds, { USER_TOKEN_SECRET: SECRET });
+}
+
+// Just the headers imageInfo() and exifOrientation() read
+function jpeg(width, height, orientation) {
+  const exif = orientation
+    ? [
+      0xff, 0xe1, 0x00, 0x22, ...new TextEncoder().encode("Exif\0\0"),
+      0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // Big-endian TIFF header, IFD0 at 8
+      0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00,
+    ]
+    : [];
+  return new Uint8Array([
+    0xff, 0xd8,
+    ...exif,
+    0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03,
+    0x00, 0x00, 0x00, 0x00,
+  ]);
+}
+
+function createBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    get: vi.fn(async (key) => {
+      const stored = objects.get(key);
+      return stored
+        ? { key, body: stored.data, arrayBuffer: async () => stored.data, httpEtag: `"${key}"`, ...stored.options }
+        : null;
+    }),
+    put: vi.fn(async (key, data, options) => {
+      objects.set(key, { data, options });
+    }),
+  };
+}
+
+// Images binding that records the transforms and returns a 360x720 JPEG (or the given outputs, in turn)
+function createImages(outputs = []) {
+  const transforms = [];
+  return {
+    transforms,
+    input: () => ({
+      transform: (options) => {
+        transforms.push(options);
+        const output = outputs.shift() || jpeg(360, 720);
+        return { output: async () => ({ response: () => new Response(output) }) };
+      },
+    }),
+  };
+}
+
+let env;
+
+async function upload(body, { auth, query = "" } = {}) {
+  const authorization = auth === undefined ? `Bearer ${await token()}` : auth;
+  return handleUploadCover(
+    ISBN,
+    env,
+    new Request(`https://api.oooefam.net/v1/covers/${ISBN}/upload${query}`, {
+      method: "POST",
+      headers: authorization ? { Authorization: authorization, "Content-Type": "image/jpeg" } : { "Content-Type": "image/jpeg" },
+      body,
+    }),
+  );
+}
+
+describe("user tokens", () => {
+  const env = { USER_TOKEN_SECRET: SECRET };
+
+  it("should verify tokens signed with the secret", async () => {
+    expect(await verifyUserToken(await token(), env)).toBe(USER);
+    expect(await verifyUserToken(await token(), { USER_TOKEN_SECRET: "another-secret" })).toBeNull();
+    expect(await verifyUserToken(await token(), {})).toBeNull();
+  });
+
+  it("should reject expired, tampered and malformed tokens", async () => {
+    const [payload, signature] = (await token()).split(".");
+    const forged = btoa(JSON.stringify({ sub: "_another-user-id", exp: 4102444800 })).replace(/=+$/, "");
+
+    expect(await verifyUserToken(await token(USER, -1), env)).toBeNull();
+    expect(await verifyUserToken(`${forged}.${signature}`, env)).toBeNull();
+    expect(await verifyUserToken(payload, env)).toBeNull();
+    expect(await verifyUserToken(await token("../../covers/9780441013593"), env)).toBeNull();
+  });
+
+  it("should read the token from a Bearer Authorization header only", async () => {
+    const request = (headers) => new Request("https://api.oooefam.net/", { headers });
+
+    expect(await authenticatedUser(request({ Authorization: `Bearer ${await token()}` }), env)).toBe(USER);
+    expect(await authenticatedUser(request({ "X-User-ID": USER }), env)).toBeNull();
+    expect(await authenticatedUser(null, env)).toBeNull();
+  });
+
+  it("should key uploads by a hash of the user", async () => {
+    const key = await userCoverKey(USER, ISBN);
+
+    expect(key).toMatch(/^user-covers\/[0-9a-f]{32}\/9780441013593$/);
+    expect(key).not.toContain(USER);
+    expect(await userCoverKey("_another-user-id", ISBN)).not.toBe(key);
+  });
+});
+
+describe("POST /v1/covers/:isbn/upload", () => {
+  beforeEach(() => {
+    env = { BOOK_COVERS: createBucket(), USER_TOKEN_SECRET: SECRET };
+  });
+
+  it("should store the photo for that user", async () => {
+    const response = await upload(jpeg(600, 900));
+    const { data } = await response.json();
+    const stored = env.BOOK_COVERS.objects.get(await userCoverKey(USER, ISBN));
+
+    expect(response.status).toBe(201);
+    expect(data).toMatchObject({ cover: { source: "user", width: 600, height: 900, score: 100 }, cropped: false });
+    expect(stored.options.customMetadata).toMatchObject({ isbn: ISBN, source: "user-upload", width: "600" });
+  });
+
+  it("should require a valid user token", async () => {
+    const forged = await signUserToken(USER, 3600, { USER_TOKEN_SECRET: "guessed-secret" });
+
+    expect((await upload(jpeg(600, 900), { auth: null })).status).toBe(401);
+    expect((await upload(jpeg(600, 900), { auth: `Bearer ${forged}` })).status).toBe(401);
+    expect(env.BOOK_COVERS.put).not.toHaveBeenCalled();
+  });
+
+  it("should refuse uploads when no token secret is configured", async () => {
+    delete env.USER_TOKEN_SECRET;
+
+    expect((await upload(jpeg(600, 900))).status).toBe(401);
+  });
+
+  it("should reject anything but JPEG, PNG or WebP", async () => {
+    const gif = new TextEncoder().encode("GIF89a\x58\x02\x84\x03");
+    const response = await upload(gif);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.code).toBe("INVALID_FILE");
+  });
+
+  it("should reject photos over the limit without Content-Length", async () => {
+    const photo = new Uint8Array(5 * 1024 * 1024 + 1);
+    photo.set(jpeg(600, 900));
+
+    expect((await upload(photo)).status).toBe(413);
+  });
+});
+
+describe("cropToBook", () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    env = { BOOK_COVERS: createBucket(), IMAGES: createImages(), GEMINI_API_KEY: "test-gemini-key", USER_TOKEN_SECRET: SECRET };
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  function geminiFinds(bounds) {
+    global.fetch = vi.fn().mockResolvedValue(
+      new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text: JSON.stringify(bounds) }] } }] })),
+    );
+  }
+
+  it("should crop to the edges Gemini finds", async () => {
+    geminiFinds({ found: true, top: 0.1, left: 0.2, bottom: 0.9, right: 0.8 });
+
+    const result = await cropToBook(jpeg(600, 900).buffer, { format: "jpeg", width: 600, height: 900 }, env);
+
+    expect(env.IMAGES.transforms[0]).toEqual({ trim: { top: 90, left: 120, width: 360, height: 720 } });
+    expect(result).toMatchObject({ cropped: true, info: { width: 360, height: 720 } });
+  });
+
+  it("should turn rotated phone photos upright before finding the edges", async () => {
+    geminiFinds({ found: true, top: 0.1, left: 0.2, bottom: 0.9, right: 0.8 });
+    env.IMAGES = createImages([jpeg(600, 900)]);
+
+    // Stored as 900x600 pixels, shown rotated 90° (orientation 6) as 600x900
+    const photo = jpeg(900, 600, 6);
+    const result = await cropToBook(photo.buffer, imageInfo(photo), env);
+
+    expect(env.IMAGES.transforms).toEqual([{}, { trim: { top: 90, left: 120, width: 360, height: 720 } }]);
+    expect(result).toMatchObject({ cropped: true, info: { width: 360, height: 720 } });
+  });
+
+  it("should keep the photo when Gemini finds no cover or fails", async () => {
+    const info = { format: "jpeg", width: 600, height: 900 };
+
+    geminiFinds({ found: false });
+    expect((await cropToBook(jpeg(600, 900).buffer, info, env)).cropped).toBe(false);
+
+    global.fetch = vi.fn().mockResolvedValue(new Response("quota exceeded", { status: 429 }));
+    expect((await cropToBook(jpeg(600, 900).buffer, info, env)).cropped).toBe(false);
+    expect(env.IMAGES.transforms).toEqual([]);
+  });
+
+  it("should crop uploads with crop=true", async () => {
+    geminiFinds({ found: true, top: 0.1, left: 0.2, bottom: 0.9, right: 0.8 });
+
+    const { data } = await (await upload(jpeg(600, 900), { query: "?crop=true" })).json();
+
+    expect(data).toMatchObject({ cropped: true, cover: { width: 360, height: 720 } });
+  });
+});
+
+describe("cover lookups", () => {
+  const ctx = { waitUntil: vi.fn() };
+
+  beforeEach(async () => {
+    env = { BOOK_COVERS: createBucket(), CACHE: createMockKV(), KV_CACHE: createMockKV(), USER_TOKEN_SECRET: SECRET };
+    await upload(jpeg(600, 900));
+  });
+
+  async function request(path, userId) {
+    return new Request(`https://api.oooefam.net${path}`, { headers: { Authorization: `Bearer ${await token(userId)}` } });
+  }
+
+  it("should prefer the user's upload for that user", async () => {
+    const { data } = await (await handleGetCover(ISBN, env, ctx, await request(`/v1/covers/${ISBN}`, USER))).json();
+
+    expect(data.cover).toMatchObject({ source: "user", url: `https://api.oooefam.net/v1/covers/${ISBN}/image` });
+  });
+
+  it("should serve the upload privately, and only to that user", async () => {
+    const own = await handleGetCoverImage(ISBN, env, await request(`/v1/covers/${ISBN}/image`, USER));
+    const other = await handleGetCoverImage(ISBN, env, await request(`/v1/covers/${ISBN}/image`, "_another-user-id"));
+    const claimed = await handleGetCoverImage(
+      ISBN,
+      env,
+      new Request(`https://api.oooefam.net/v1/covers/${ISBN}/image`, { headers: { "X-User-ID": USER } }),
+    );
+
+    expect(own.status).toBe(200);
+    expect(own.headers.get("Cache-Control")).toBe("private, no-cache");
+    expect(own.headers.get("Vary")).toBe("Accept, Authorization");
+    expect(other.status).toBe(404);
+    expect(claimed.status).toBe(404);
+  });
+});